@@ -6,6 +6,20 @@ const cors = require('cors');
 const lineWebhook = require('./src/api/lineWebhook');
 const wechatWebhook = require('./src/api/wechatWebhook');
 
+// Import media route (serves relayed WeCom media to LINE)
+const media = require('./src/api/media');
+
+// Import admin routes
+const adminMappings = require('./src/api/adminMappings');
+const adminTranslation = require('./src/api/adminTranslation');
+const adminDeliveries = require('./src/api/adminDeliveries');
+
+// Retries failed LINE/WeCom sends in the background
+const { deliveryQueue } = require('./src/services/deliveryQueue');
+// Processes webhook events after the request has been acknowledged
+const { webhookEventQueue } = require('./src/services/webhookEventQueue');
+const { webhookDeduplicationService } = require('./src/services/webhookDeduplicationService');
+
 const app = express();
 
 // Configure CORS for Azure
@@ -33,6 +47,10 @@ app.get('/', (req, res) => {
         endpoints: {
             line: '/webhook/line',
             wechat: '/webhook/wechat',
+            media: '/media/:id',
+            adminMappings: '/admin/mappings',
+            adminTranslation: '/admin/translation',
+            adminDeliveries: '/admin/deliveries',
             health: '/health'
         }
     });
@@ -42,6 +60,14 @@ app.get('/', (req, res) => {
 app.use('/webhook/line', lineWebhook);
 app.use('/webhook/wechat', wechatWebhook);
 
+// Mount media route (signed URLs, no other auth)
+app.use('/media', media);
+
+// Mount admin routes (require ADMIN_API_KEY)
+app.use('/admin/mappings', adminMappings);
+app.use('/admin/translation', adminTranslation);
+app.use('/admin/deliveries', adminDeliveries);
+
 // Error handling middleware
 app.use((error, req, res, next) => {
     console.error('Unhandled error:', error);
@@ -68,13 +94,22 @@ const server = app.listen(port, () => {
     console.log(`🔗 LINE webhook: /webhook/line`);
     console.log(`💬 WeChat webhook: /webhook/wechat`);
     console.log(`❤️ Health check: /health`);
+
+    // Resume retries stored before the last restart
+    deliveryQueue.start().catch(error => console.error('Failed to start the delivery queue:', error.message));
+    // Drop expired webhook event claims
+    webhookDeduplicationService.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('📴 SIGTERM signal received: closing HTTP server');
-    server.close(() => {
+    deliveryQueue.stop();
+    webhookDeduplicationService.stop();
+    server.close(async () => {
         console.log('✅ HTTP server closed');
+        // Finish webhook events that were acknowledged but not yet processed
+        await webhookEventQueue.onIdle();
         process.exit(0);
     });
 });
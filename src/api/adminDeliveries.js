@@ -0,0 +1,75 @@
+const express = require('express');
+const adminAuth = require('../middleware/adminAuth');
+const { deliveryQueue } = require('../services/deliveryQueue');
+const { lineDeliveryPlanner } = require('../services/lineDeliveryPlanner');
+const { sendError } = require('../utils/apiError');
+const router = express.Router();
+
+/**
+ * Admin REST API for the outbound delivery queue
+ * Mounted at /admin/deliveries; every route requires ADMIN_API_KEY
+ * (Express 5 forwards rejected async handlers to the error middleware)
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+router.use(adminAuth);
+router.use(express.json());
+
+// Pending and dead-lettered job counts, and when the next retry is due
+router.get('/', async (req, res) => {
+    res.json(await deliveryQueue.getStats());
+});
+
+// Jobs waiting for a retry, soonest first
+router.get('/pending', async (req, res) => {
+    res.json({ pending: await deliveryQueue.listPending() });
+});
+
+// How messages reach LINE (replies vs pushes, receipts) and the monthly push quota
+router.get('/line', async (req, res) => {
+    res.json({
+        ...lineDeliveryPlanner.getStats(),
+        quota: await lineDeliveryPlanner.getQuota({ refresh: req.query.refresh === 'true' })
+    });
+});
+
+router.get('/dead-letters', async (req, res) => {
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : parseInt(req.query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return sendError(res, 400, 'Bad Request', `limit must be between 1 and ${MAX_LIMIT}`);
+    }
+    res.json({ deadLetters: await deliveryQueue.listDeadLetters({ limit }) });
+});
+
+router.get('/dead-letters/:id', async (req, res) => {
+    const deadLetter = await deliveryQueue.getDeadLetter(req.params.id);
+    if (!deadLetter) {
+        return sendError(res, 404, 'Not Found', `No dead letter ${req.params.id}`);
+    }
+    res.json(deadLetter);
+});
+
+// Send a dead letter again; it is retried as usual and dead-lettered again if it still fails
+router.post('/dead-letters/:id/replay', async (req, res) => {
+    const delivery = await deliveryQueue.replayDeadLetter(req.params.id);
+    if (!delivery) {
+        return sendError(res, 404, 'Not Found', `No dead letter ${req.params.id}`);
+    }
+
+    console.log(`Admin replayed dead letter ${req.params.id}: ${delivery.status}`);
+    res.json({ id: delivery.id, status: delivery.status, ...(delivery.error && { error: delivery.error }) });
+});
+
+router.delete('/dead-letters/:id', async (req, res) => {
+    const removed = await deliveryQueue.deleteDeadLetter(req.params.id);
+    if (!removed) {
+        return sendError(res, 404, 'Not Found', `No dead letter ${req.params.id}`);
+    }
+
+    console.log(`Admin discarded dead letter ${req.params.id}`);
+    res.status(204).send();
+});
+
+module.exports = router;
@@ -0,0 +1,267 @@
+const express = require('express');
+const adminAuth = require('../middleware/adminAuth');
+const { userMappingService } = require('../services/userMappingService');
+const { translationService } = require('../services/translationService');
+const { GLOSSARY_ID_PATTERN } = require('../services/glossaryService');
+const { normalizeLanguageTag } = require('../utils/language');
+const { RELAY_FORMATS } = require('../utils/relayFormat');
+const { sendError } = require('../utils/apiError');
+const router = express.Router();
+
+/**
+ * Admin REST API for user and group mappings
+ * Mounted at /admin/mappings; every route requires ADMIN_API_KEY
+ * (Express 5 forwards rejected async handlers to the error middleware)
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAPPING_SOURCES = ['config', 'test', 'autoMapped', 'admin', 'pairing'];
+// Languages each side of a mapping reads relayed messages in
+const LANGUAGE_FIELDS = ['lineLanguage', 'wechatLanguage'];
+
+router.use(adminAuth);
+router.use(express.json());
+
+// Parse ?page=&pageSize=&source= into list options, or return an error message
+function parseListQuery(query) {
+    const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+    const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.pageSize, 10);
+
+    if (!Number.isInteger(page) || page < 1) {
+        return { error: 'page must be a positive integer' };
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return { error: `pageSize must be between 1 and ${MAX_PAGE_SIZE}` };
+    }
+    if (query.source && !MAPPING_SOURCES.includes(query.source)) {
+        return { error: `source must be one of: ${MAPPING_SOURCES.join(', ')}` };
+    }
+
+    return { page, pageSize, source: query.source };
+}
+
+function paginate(items, page, pageSize) {
+    const start = (page - 1) * pageSize;
+    return {
+        mappings: items.slice(start, start + pageSize),
+        page,
+        pageSize,
+        total: items.length,
+        totalPages: Math.ceil(items.length / pageSize)
+    };
+}
+
+// Extra fields admins may attach to a mapping (e.g. displayName, translationProvider, relayFormat)
+const OPTION_FIELDS = ['displayName', 'translationProvider', 'glossaryId', 'relayFormat', ...LANGUAGE_FIELDS];
+
+// Updates pass the existing mapping: fields the body leaves out keep their value (and edited
+// config or pairing mappings keep their source), while an explicit null removes the field
+function pickMappingOptions(body, existing = {}) {
+    const options = { source: existing.source || 'admin' };
+    for (const field of OPTION_FIELDS) {
+        const value = body?.[field] === undefined ? existing[field] : body[field];
+        if (typeof value === 'string') {
+            options[field] = LANGUAGE_FIELDS.includes(field) ? normalizeLanguageTag(value) : value;
+        }
+    }
+    return options;
+}
+
+// Check admin-supplied mapping options, returning an error message if invalid
+function validateMappingOptions(body) {
+    const { translationProvider, glossaryId, relayFormat } = body || {};
+    const invalidField = OPTION_FIELDS.find(field => ![undefined, null].includes(body?.[field])
+        && typeof body[field] !== 'string');
+    if (invalidField) {
+        return `${invalidField} must be a string, or null to remove it`;
+    }
+    if (translationProvider !== undefined && translationProvider !== null
+        && !translationService.getProvider(translationProvider)) {
+        const names = translationService.listProviders().map(provider => provider.name);
+        return `translationProvider must be one of: ${names.join(', ')}`;
+    }
+    if (glossaryId !== undefined && glossaryId !== null
+        && (typeof glossaryId !== 'string' || !GLOSSARY_ID_PATTERN.test(glossaryId))) {
+        return 'glossaryId may only contain letters, digits, _ and - (max 64)';
+    }
+    if (relayFormat !== undefined && relayFormat !== null && !RELAY_FORMATS.includes(relayFormat)) {
+        return `relayFormat must be one of: ${RELAY_FORMATS.join(', ')}`;
+    }
+    for (const field of LANGUAGE_FIELDS) {
+        const language = body?.[field];
+        if (language !== undefined && language !== null
+            && ([null, 'auto'].includes(normalizeLanguageTag(language)))) {
+            return `${field} must be a BCP-47 language tag such as ja, zh-CN, zh-TW, en or ko`;
+        }
+    }
+    return null;
+}
+
+// ---- User mappings ----
+
+router.get('/users', async (req, res) => {
+    const query = parseListQuery(req.query);
+    if (query.error) {
+        return sendError(res, 400, 'Bad Request', query.error);
+    }
+
+    const mappings = await userMappingService.listUserMappings({ source: query.source });
+    res.json(paginate(mappings, query.page, query.pageSize));
+});
+
+router.get('/users/:lineUserId', async (req, res) => {
+    const mapping = await userMappingService.getUserMapping(req.params.lineUserId);
+    if (!mapping) {
+        return sendError(res, 404, 'Not Found', `No mapping for LINE user ${req.params.lineUserId}`);
+    }
+    res.json(mapping);
+});
+
+router.post('/users', async (req, res) => {
+    const { lineUserId, wechatUserId } = req.body || {};
+    if (!lineUserId || !wechatUserId) {
+        return sendError(res, 400, 'Bad Request', 'lineUserId and wechatUserId are required');
+    }
+    const optionsError = validateMappingOptions(req.body);
+    if (optionsError) {
+        return sendError(res, 400, 'Bad Request', optionsError);
+    }
+
+    if (await userMappingService.getUserMapping(lineUserId)) {
+        return sendError(res, 409, 'Conflict', `LINE user ${lineUserId} is already mapped`);
+    }
+    if (await userMappingService.getLineUserFromWeChat(wechatUserId)) {
+        return sendError(res, 409, 'Conflict', `WeChat user ${wechatUserId} is already mapped`);
+    }
+
+    const success = await userMappingService.mapLineToWeChat(lineUserId, wechatUserId, pickMappingOptions(req.body));
+    if (!success) {
+        return sendError(res, 500, 'Internal server error', 'Failed to create mapping');
+    }
+
+    console.log(`Admin created user mapping: LINE ${lineUserId} <-> WeChat ${wechatUserId}`);
+    res.status(201).json(await userMappingService.getUserMapping(lineUserId));
+});
+
+router.put('/users/:lineUserId', async (req, res) => {
+    const { lineUserId } = req.params;
+    const existing = await userMappingService.getUserMapping(lineUserId);
+    if (!existing) {
+        return sendError(res, 404, 'Not Found', `No mapping for LINE user ${lineUserId}`);
+    }
+    const optionsError = validateMappingOptions(req.body);
+    if (optionsError) {
+        return sendError(res, 400, 'Bad Request', optionsError);
+    }
+
+    const wechatUserId = (req.body && req.body.wechatUserId) || existing.wechatUserId;
+    const mappedLineUserId = await userMappingService.getLineUserFromWeChat(wechatUserId);
+    if (mappedLineUserId && mappedLineUserId !== lineUserId) {
+        return sendError(res, 409, 'Conflict', `WeChat user ${wechatUserId} is already mapped to LINE user ${mappedLineUserId}`);
+    }
+    const options = pickMappingOptions(req.body, existing);
+
+    const success = await userMappingService.mapLineToWeChat(lineUserId, wechatUserId, options);
+    if (!success) {
+        return sendError(res, 500, 'Internal server error', 'Failed to update mapping');
+    }
+
+    console.log(`Admin updated user mapping: LINE ${lineUserId} <-> WeChat ${wechatUserId}`);
+    res.json(await userMappingService.getUserMapping(lineUserId));
+});
+
+router.delete('/users/:lineUserId', async (req, res) => {
+    const removed = await userMappingService.removeMapping(req.params.lineUserId);
+    if (!removed) {
+        return sendError(res, 404, 'Not Found', `No mapping for LINE user ${req.params.lineUserId}`);
+    }
+
+    console.log(`Admin removed user mapping for LINE ${req.params.lineUserId}`);
+    res.status(204).send();
+});
+
+// ---- Group mappings ----
+
+router.get('/groups', async (req, res) => {
+    const query = parseListQuery(req.query);
+    if (query.error) {
+        return sendError(res, 400, 'Bad Request', query.error);
+    }
+
+    const mappings = await userMappingService.listGroupMappings({ source: query.source });
+    res.json(paginate(mappings, query.page, query.pageSize));
+});
+
+router.get('/groups/:lineGroupId', async (req, res) => {
+    const mapping = await userMappingService.getGroupMapping(req.params.lineGroupId);
+    if (!mapping) {
+        return sendError(res, 404, 'Not Found', `No mapping for LINE group ${req.params.lineGroupId}`);
+    }
+    res.json(mapping);
+});
+
+router.post('/groups', async (req, res) => {
+    const { lineGroupId, wechatGroupId } = req.body || {};
+    if (!lineGroupId || !wechatGroupId) {
+        return sendError(res, 400, 'Bad Request', 'lineGroupId and wechatGroupId are required');
+    }
+    const optionsError = validateMappingOptions(req.body);
+    if (optionsError) {
+        return sendError(res, 400, 'Bad Request', optionsError);
+    }
+
+    if (await userMappingService.getGroupMapping(lineGroupId)) {
+        return sendError(res, 409, 'Conflict', `LINE group ${lineGroupId} is already mapped`);
+    }
+    if (await userMappingService.getLineGroupFromWeChat(wechatGroupId)) {
+        return sendError(res, 409, 'Conflict', `WeChat group ${wechatGroupId} is already mapped`);
+    }
+
+    const success = await userMappingService.mapGroups(lineGroupId, wechatGroupId, pickMappingOptions(req.body));
+    if (!success) {
+        return sendError(res, 500, 'Internal server error', 'Failed to create group mapping');
+    }
+
+    console.log(`Admin created group mapping: LINE ${lineGroupId} <-> WeChat ${wechatGroupId}`);
+    res.status(201).json(await userMappingService.getGroupMapping(lineGroupId));
+});
+
+router.put('/groups/:lineGroupId', async (req, res) => {
+    const { lineGroupId } = req.params;
+    const existing = await userMappingService.getGroupMapping(lineGroupId);
+    if (!existing) {
+        return sendError(res, 404, 'Not Found', `No mapping for LINE group ${lineGroupId}`);
+    }
+    const optionsError = validateMappingOptions(req.body);
+    if (optionsError) {
+        return sendError(res, 400, 'Bad Request', optionsError);
+    }
+
+    const wechatGroupId = (req.body && req.body.wechatGroupId) || existing.wechatGroupId;
+    const mappedLineGroupId = await userMappingService.getLineGroupFromWeChat(wechatGroupId);
+    if (mappedLineGroupId && mappedLineGroupId !== lineGroupId) {
+        return sendError(res, 409, 'Conflict', `WeChat group ${wechatGroupId} is already mapped to LINE group ${mappedLineGroupId}`);
+    }
+    const options = pickMappingOptions(req.body, existing);
+
+    const success = await userMappingService.mapGroups(lineGroupId, wechatGroupId, options);
+    if (!success) {
+        return sendError(res, 500, 'Internal server error', 'Failed to update group mapping');
+    }
+
+    console.log(`Admin updated group mapping: LINE ${lineGroupId} <-> WeChat ${wechatGroupId}`);
+    res.json(await userMappingService.getGroupMapping(lineGroupId));
+});
+
+router.delete('/groups/:lineGroupId', async (req, res) => {
+    const removed = await userMappingService.removeGroupMapping(req.params.lineGroupId);
+    if (!removed) {
+        return sendError(res, 404, 'Not Found', `No mapping for LINE group ${req.params.lineGroupId}`);
+    }
+
+    console.log(`Admin removed group mapping for LINE ${req.params.lineGroupId}`);
+    res.status(204).send();
+});
+
+module.exports = router;
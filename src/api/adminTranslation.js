@@ -0,0 +1,110 @@
+const express = require('express');
+const adminAuth = require('../middleware/adminAuth');
+const { translationService } = require('../services/translationService');
+const { glossaryService, validateGlossary, GLOSSARY_ID_PATTERN } = require('../services/glossaryService');
+const { feedbackService } = require('../services/feedbackService');
+const { sendError } = require('../utils/apiError');
+const router = express.Router();
+
+/**
+ * Admin REST API for the translation service
+ * Mounted at /admin/translation; every route requires ADMIN_API_KEY
+ * (Express 5 forwards rejected async handlers to the error middleware)
+ */
+
+router.use(adminAuth);
+router.use(express.json());
+
+const MAX_FEEDBACK_LIMIT = 100;
+
+// Registered providers with credentials status and circuit breaker state
+router.get('/providers', (req, res) => {
+    res.json({ providers: translationService.listProviders() });
+});
+
+// Translation cache hit/miss metrics
+router.get('/cache', (req, res) => {
+    const stats = translationService.getCacheStats();
+    res.json(stats ? { enabled: true, ...stats } : { enabled: false });
+});
+
+// Drop in-memory cached translations (e.g. after changing prompts)
+router.delete('/cache', async (req, res) => {
+    await translationService.clearCache();
+    console.log('Admin cleared the translation cache');
+    res.status(204).send();
+});
+
+// ---- Glossaries ----
+
+router.get('/glossaries', async (req, res) => {
+    res.json({ glossaries: await glossaryService.listGlossaries() });
+});
+
+router.get('/glossaries/:glossaryId', async (req, res) => {
+    const glossary = await glossaryService.getGlossary(req.params.glossaryId);
+    if (!glossary) {
+        return sendError(res, 404, 'Not Found', `No glossary ${req.params.glossaryId}`);
+    }
+    res.json(glossary);
+});
+
+// Create or replace a glossary; 'default' applies to every conversation
+router.put('/glossaries/:glossaryId', async (req, res) => {
+    const { glossaryId } = req.params;
+    if (!GLOSSARY_ID_PATTERN.test(glossaryId)) {
+        return sendError(res, 400, 'Bad Request', 'Glossary ID may only contain letters, digits, _ and - (max 64)');
+    }
+    const validationError = validateGlossary(req.body);
+    if (validationError) {
+        return sendError(res, 400, 'Bad Request', validationError);
+    }
+
+    const glossary = await glossaryService.saveGlossary(glossaryId, req.body || {});
+    console.log(`Admin saved glossary ${glossaryId} (${glossary.terms.length} terms)`);
+    res.json(glossary);
+});
+
+router.delete('/glossaries/:glossaryId', async (req, res) => {
+    const removed = await glossaryService.deleteGlossary(req.params.glossaryId);
+    if (!removed) {
+        return sendError(res, 404, 'Not Found', `No glossary ${req.params.glossaryId}`);
+    }
+
+    console.log(`Admin removed glossary ${req.params.glossaryId}`);
+    res.status(204).send();
+});
+
+// ---- Translation feedback ----
+
+function parseFeedbackQuery(query, defaultLimit) {
+    const limit = query.limit === undefined ? defaultLimit : parseInt(query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_FEEDBACK_LIMIT) {
+        return { error: `limit must be between 1 and ${MAX_FEEDBACK_LIMIT}` };
+    }
+    if (query.since !== undefined && Number.isNaN(Date.parse(query.since))) {
+        return { error: 'since must be an ISO 8601 date' };
+    }
+
+    return { limit, since: query.since && new Date(query.since).toISOString() };
+}
+
+// Latest reports from LINE/WeCom users, newest first
+router.get('/feedback', async (req, res) => {
+    const query = parseFeedbackQuery(req.query, 50);
+    if (query.error) {
+        return sendError(res, 400, 'Bad Request', query.error);
+    }
+    res.json({ feedback: await feedbackService.listFeedback({ limit: query.limit }) });
+});
+
+// Most reported language pairs and phrases
+router.get('/feedback/report', async (req, res) => {
+    const query = parseFeedbackQuery(req.query, 10);
+    if (query.error) {
+        return sendError(res, 400, 'Bad Request', query.error);
+    }
+    res.json(await feedbackService.getReport({ since: query.since, limit: query.limit }));
+});
+
+module.exports = router;
@@ -45,7 +45,10 @@ async function sendLineReply(replyToken, message) {
 }
 
 // Send push message to LINE (can be sent anytime, not just as reply)
-async function sendLinePush(to, message) {
+// Returns null if there is nothing to send; API and network errors are thrown so the
+// delivery queue can retry them. With a retryKey (a UUID kept across retries) LINE
+// answers a repeat of an accepted push with 409, which is treated as delivered
+async function sendLinePush(to, message, { retryKey } = {}) {
     // Validate inputs
     if (!to) {
         console.error('Recipient (to) is required');
@@ -75,7 +78,8 @@ async function sendLinePush(to, message) {
         }, {
             headers: {
                 'Authorization': `Bearer ${channelAccessToken}`,
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...(retryKey && { 'X-Line-Retry-Key': retryKey })
             },
             timeout: 10000
         });
@@ -83,8 +87,12 @@ async function sendLinePush(to, message) {
         console.log(`Push message sent to LINE successfully`);
         return response.data;
     } catch (error) {
+        if (retryKey && error.response?.status === 409) {
+            console.log(`Push message with retry key ${retryKey} was already accepted by LINE`);
+            return { sentMessages: [], acceptedRequestId: error.response.headers?.['x-line-accepted-request-id'] };
+        }
         console.error('Error sending push message to LINE:', error.response?.data || error.message);
-        return null;
+        throw error;
     }
 }
 
@@ -161,6 +169,102 @@ async function getLineUserProfile(userId) {
     }
 }
 
+// Show the loading animation in a 1:1 chat until the bot's next message or loadingSeconds pass
+// loadingSeconds is rounded up to a multiple of 5 between 5 and 60, as LINE requires
+async function startLineLoadingAnimation(chatId, loadingSeconds = 20) {
+    if (!chatId) {
+        console.error('Chat ID is required');
+        return null;
+    }
+    
+    const channelAccessToken = process.env.LINE_CHANNEL_ACCESS_TOKEN;
+    if (!channelAccessToken) {
+        console.error('LINE_CHANNEL_ACCESS_TOKEN not configured');
+        return null;
+    }
+
+    try {
+        const response = await axios.post('https://api.line.me/v2/bot/chat/loading/start', {
+            chatId: chatId,
+            loadingSeconds: Math.min(60, Math.max(5, Math.ceil(loadingSeconds / 5) * 5))
+        }, {
+            headers: {
+                'Authorization': `Bearer ${channelAccessToken}`,
+                'Content-Type': 'application/json'
+            },
+            timeout: 10000
+        });
+
+        return response.data;
+    } catch (error) {
+        console.error('Error starting LINE loading animation:', error.response?.data || error.message);
+        return null;
+    }
+}
+
+// Get this month's push message limit and usage
+// Returns { limit, used } (limit is null when there is no limit), or null on error
+async function getLineMessageQuota() {
+    const channelAccessToken = process.env.LINE_CHANNEL_ACCESS_TOKEN;
+    if (!channelAccessToken) {
+        console.error('LINE_CHANNEL_ACCESS_TOKEN not configured');
+        return null;
+    }
+
+    const options = {
+        headers: {
+            'Authorization': `Bearer ${channelAccessToken}`
+        },
+        timeout: 10000
+    };
+
+    try {
+        const [quota, consumption] = await Promise.all([
+            axios.get('https://api.line.me/v2/bot/message/quota', options),
+            axios.get('https://api.line.me/v2/bot/message/quota/consumption', options)
+        ]);
+
+        return {
+            limit: quota.data.type === 'limited' ? quota.data.value : null,
+            used: consumption.data.totalUsage
+        };
+    } catch (error) {
+        console.error('Error getting message quota from LINE:', error.response?.data || error.message);
+        return null;
+    }
+}
+
+// Get profile of a group or room member (works even if the user hasn't added the bot)
+async function getLineGroupMemberProfile(sourceType, groupOrRoomId, userId) {
+    if (!groupOrRoomId || !userId) {
+        console.error('Group/room ID and user ID are required');
+        return null;
+    }
+    
+    const channelAccessToken = process.env.LINE_CHANNEL_ACCESS_TOKEN;
+    if (!channelAccessToken) {
+        console.error('LINE_CHANNEL_ACCESS_TOKEN not configured');
+        return null;
+    }
+
+    const chatType = sourceType === 'room' ? 'room' : 'group';
+
+    try {
+        const response = await axios.get(`https://api.line.me/v2/bot/${chatType}/${groupOrRoomId}/member/${userId}`, {
+            headers: {
+                'Authorization': `Bearer ${channelAccessToken}`
+            },
+            timeout: 10000
+        });
+
+        console.log(`Retrieved ${chatType} member profile for user: ${userId}`);
+        return response.data;
+    } catch (error) {
+        console.error(`Error getting ${chatType} member profile from LINE:`, error.response?.data || error.message);
+        return null;
+    }
+}
+
 // Get message content (for images, videos, audio, files)
 async function getLineMessageContent(messageId) {
     if (!messageId) {
@@ -230,7 +334,10 @@ module.exports = {
     sendLineReply,
     sendLinePush,
     sendLineMulticast,
+    startLineLoadingAnimation,
     getLineUserProfile,
+    getLineMessageQuota,
+    getLineGroupMemberProfile,
     getLineMessageContent,
     createTextMessage,
     createStickerMessage,
@@ -34,31 +34,123 @@ function validateLineSignature(req, res, next) {
     next();
 }
 
-const { sendLineReply } = require('./lineRelay');
-const { sendWeComMessage } = require('./wechatRelay');
+const { startLineLoadingAnimation, getLineUserProfile, getLineGroupMemberProfile } = require('./lineRelay');
 const { translationService } = require('../services/translationService');
 const { userMappingService } = require('../services/userMappingService');
+const { pairingService } = require('../services/pairingService');
+const { mediaRelayService } = require('../services/mediaRelayService');
+const { speechToTextService } = require('../services/speechToTextService');
+const { conversationHistoryService } = require('../services/conversationHistoryService');
+const { feedbackService } = require('../services/feedbackService');
+const { deliveryQueue, deliveryAuditFields } = require('../services/deliveryQueue');
+const { webhookEventQueue } = require('../services/webhookEventQueue');
+const { webhookDeduplicationService } = require('../services/webhookDeduplicationService');
+const { lineDeliveryPlanner } = require('../services/lineDeliveryPlanner');
+const { sniffContentType } = require('../utils/mediaType');
+const { resolveRelayFormat, buildWeComRelayMessage } = require('../utils/relayFormat');
+const { logMessage, MESSAGE_DIRECTIONS, getConversationId } = require('../database/azureTableStorage');
 const axios = require('axios');
 
+// Tell the WeCom recipient a message is on its way when translation is slow
+// (WECOM_TRANSLATING_NOTICE after WECOM_TRANSLATING_NOTICE_DELAY_MS; unset to disable)
+// Returns a function that cancels the notice if it hasn't been sent yet
+function scheduleTranslatingNotice(wechatUserId) {
+    const notice = process.env.WECOM_TRANSLATING_NOTICE;
+    if (!notice) {
+        return () => {};
+    }
+
+    const timer = setTimeout(() => {
+        deliveryQueue.deliver('wechat.message', { to: { users: [wechatUserId] }, message: notice })
+            .catch(error => console.error(`Failed to send translating notice to WeChat user ${wechatUserId}:`, error.message));
+    }, parseInt(process.env.WECOM_TRANSLATING_NOTICE_DELAY_MS) || 2000);
+    return () => clearTimeout(timer);
+}
+
+// Shortest loading animation LINE accepts
+const MIN_LOADING_SECONDS = 5;
+
+// Show the LINE user the loading animation while their message is translated and relayed
+// It ends when the bot's next message (the receipt or an answer) arrives; LINE_LOADING_SECONDS=0 disables it.
+// With LINE_RECEIPT_MODE=off no receipt ends it, so it runs for LINE's minimum instead
+function showRelayInProgress(userId) {
+    const loadingSeconds = parseInt(process.env.LINE_LOADING_SECONDS || '20', 10);
+    if (loadingSeconds > 0) {
+        // Best effort: failures are logged by lineRelay and must not hold up the relay
+        startLineLoadingAnimation(userId, lineDeliveryPlanner.receiptMode === 'off' ? MIN_LOADING_SECONDS : loadingSeconds);
+    }
+}
+
 // Relay message from LINE to WeChat with translation
-async function relayToWeChat(lineUserId, message, messageType = 'text') {
+async function relayToWeChat(lineUserId, message, messageType = 'text', metadata = {}) {
+    const auditEntry = {
+        direction: MESSAGE_DIRECTIONS.LINE_TO_WECOM,
+        sourceId: lineUserId,
+        messageType,
+        originalText: message,
+        sourceMessageId: metadata.messageId,
+        receivedAt: new Date()
+    };
+    let cancelTranslatingNotice = () => {};
+
     try {
         // Get mapped WeChat user
-        const wechatUserId = userMappingService.getWeChatUserFromLine(lineUserId);
+        const wechatUserId = await userMappingService.getWeChatUserFromLine(lineUserId);
         if (!wechatUserId) {
             console.log(`No WeChat mapping found for LINE user: ${lineUserId}`);
+            auditEntry.outcome = 'no_mapping';
             return false;
         }
+        auditEntry.targetId = wechatUserId;
 
         // Only translate and relay text messages for now
         if (messageType === 'text' && message) {
-            // Translate message to Chinese
-            const translatedMessage = await translationService.translateToChinese(message);
+            // Translate message into the WeCom user's language, with the mapping's provider and
+            // glossary if it has them and the conversation's recent messages as context
+            const mapping = await userMappingService.getUserMapping(lineUserId);
+            const targetLanguage = await userMappingService.getPreferredLanguage('wechat', mapping, wechatUserId);
+            const conversationId = getConversationId(lineUserId, wechatUserId);
+            cancelTranslatingNotice = scheduleTranslatingNotice(wechatUserId);
+            const detection = await translationService.detect(message);
+            auditEntry.detectedLanguage = detection.lang;
+            const translation = await translationService.translateWithDetails(message, {
+                to: targetLanguage,
+                detection,
+                provider: mapping?.translationProvider,
+                glossaryId: mapping?.glossaryId,
+                context: conversationHistoryService.getRecentMessages(conversationId),
+                mentions: metadata.mentions
+            });
+            cancelTranslatingNotice();
+            const translatedMessage = translation.text;
+            auditEntry.translatedText = translatedMessage;
+
+            // Bilingual formats name the sender; translation-only 1:1 messages don't need to
+            const relayFormat = resolveRelayFormat(mapping);
+            const senderName = relayFormat === 'translation'
+                ? undefined
+                : await getTranslatedSenderName({ type: 'user', userId: lineUserId }, targetLanguage);
             
             // Send to WeChat
-            const success = await sendWeComMessage(wechatUserId, translatedMessage, 'text');
-            if (success) {
+            const delivery = await deliveryQueue.deliver('wechat.message', {
+                to: { users: [wechatUserId] },
+                message: buildWeComRelayMessage({
+                    translatedText: translatedMessage,
+                    originalText: message,
+                    senderName,
+                    sourceLanguage: detection.lang
+                }, relayFormat)
+            });
+            Object.assign(auditEntry, deliveryAuditFields(delivery));
+            if (delivery.status !== 'failed') {
                 console.log(`Message relayed from LINE to WeChat: ${lineUserId} -> ${wechatUserId}`);
+                feedbackService.rememberRelay({
+                    platform: 'wechat',
+                    recipientId: wechatUserId,
+                    sourceText: message,
+                    translation
+                });
+                conversationHistoryService.addMessage(conversationId, { speaker: 'LINE', text: message });
                 return true;
             } else {
                 console.error(`Failed to send message to WeChat user: ${wechatUserId}`);
@@ -66,11 +158,264 @@ async function relayToWeChat(lineUserId, message, messageType = 'text') {
             }
         } else {
             console.log(`Message type ${messageType} not supported for relay yet`);
+            auditEntry.outcome = 'unsupported';
             return false;
         }
     } catch (error) {
         console.error('Error relaying message to WeChat:', error);
+        auditEntry.outcome = 'error';
+        auditEntry.error = error.message;
+        return false;
+    } finally {
+        cancelTranslatingNotice();
+        await logMessage({ ...auditEntry, relayedAt: new Date() });
+    }
+}
+
+// Text notices sent instead of media that can't be relayed as-is
+const MEDIA_NOTICES = {
+    image: () => '📷 画像が送信されました (Image sent)',
+    video: () => '🎥 動画が送信されました (Video sent)',
+    audio: () => '🎵 音声メッセージが送信されました (Voice message sent)',
+    file: (message) => `📁 ファイルが送信されました: ${message.fileName} (File sent)`
+};
+
+// Relay LINE image/video/audio/file content to WeChat as real media
+// Falls back to a translated text notice if the media can't be downloaded,
+// exceeds WeCom's limits or is rejected by media/upload.
+// Audio is also transcribed and relayed as translated text.
+async function relayMediaToWeChat(lineUserId, lineMessage, metadata = {}) {
+    const notice = MEDIA_NOTICES[lineMessage.type](lineMessage);
+
+    const wechatUserId = await userMappingService.getWeChatUserFromLine(lineUserId);
+    if (!wechatUserId) {
+        // relayToWeChat records the missing mapping
+        return await relayToWeChat(lineUserId, notice, 'text', metadata);
+    }
+
+    let content = null;
+    let media = null;
+    try {
+        content = await mediaRelayService.downloadLineMedia(lineMessage);
+        media = await mediaRelayService.uploadMediaToWeCom(content, lineMessage);
+    } catch (error) {
+        console.warn(`Relaying LINE ${lineMessage.type} as a text notice: ${error.message}`);
+    }
+
+    const relaySuccess = media
+        ? await sendMediaToWeChat(lineUserId, wechatUserId, lineMessage, media, metadata)
+        : await relayToWeChat(lineUserId, notice, 'text', metadata);
+
+    if (lineMessage.type === 'audio' && content) {
+        await relayTranscriptToWeChat(lineUserId, content, metadata);
+    }
+    return relaySuccess;
+}
+
+// Send uploaded WeCom media to the mapped user
+async function sendMediaToWeChat(lineUserId, wechatUserId, lineMessage, media, metadata) {
+    const auditEntry = {
+        direction: MESSAGE_DIRECTIONS.LINE_TO_WECOM,
+        sourceId: lineUserId,
+        targetId: wechatUserId,
+        messageType: lineMessage.type,
+        originalText: media.filename,
+        sourceMessageId: metadata.messageId,
+        receivedAt: new Date()
+    };
+
+    try {
+        const delivery = await deliveryQueue.deliver('wechat.message', {
+            to: { users: [wechatUserId] },
+            message: { type: media.type, mediaId: media.mediaId }
+        });
+        Object.assign(auditEntry, deliveryAuditFields(delivery));
+        if (delivery.status !== 'failed') {
+            console.log(`${lineMessage.type} relayed from LINE to WeChat as ${media.type}: ${lineUserId} -> ${wechatUserId}`);
+            return true;
+        } else {
+            console.error(`Failed to send media to WeChat user: ${wechatUserId}`);
+            return false;
+        }
+    } catch (error) {
+        console.error('Error relaying media to WeChat:', error);
+        auditEntry.outcome = 'error';
+        auditEntry.error = error.message;
         return false;
+    } finally {
+        await logMessage({ ...auditEntry, relayedAt: new Date() });
+    }
+}
+
+// Transcribe LINE audio and relay the translated transcript after the audio
+async function relayTranscriptToWeChat(lineUserId, content, metadata) {
+    const { contentType, extension } = sniffContentType(content);
+    const transcript = await speechToTextService.transcribe(content, {
+        contentType,
+        filename: `audio.${extension}`
+    });
+    if (!transcript) {
+        return false;
+    }
+
+    return await relayToWeChat(lineUserId, `🎤 ${transcript.text}`, 'text', metadata);
+}
+
+// Resolve a LINE user's display name (group member or 1:1 sender), translated for WeCom readers
+// Translated names are cached per language on the stored LINE profile
+async function getTranslatedSenderName(source, targetLanguage = 'zh-CN') {
+    if (!source.userId) {
+        return 'LINE用户';
+    }
+
+    const cached = await userMappingService.getUserProfile('line', source.userId);
+    if (cached?.translatedNames?.[targetLanguage]) {
+        return cached.translatedNames[targetLanguage];
+    }
+
+    const profile = source.groupId || source.roomId
+        ? await getLineGroupMemberProfile(source.type, source.groupId || source.roomId, source.userId)
+        : await getLineUserProfile(source.userId);
+    const displayName = profile?.displayName || cached?.displayName;
+    if (!displayName) {
+        return 'LINE用户';
+    }
+
+    // Names are shown as-is rather than flagged when translation is unavailable
+    const translatedName = await translationService.translate(displayName, { to: targetLanguage, markUntranslated: false });
+    await userMappingService.storeUserProfile('line', source.userId, {
+        ...cached,
+        displayName,
+        translatedNames: { ...cached?.translatedNames, [targetLanguage]: translatedName }
+    });
+    return translatedName;
+}
+
+// Relay message from a LINE group/room to the mapped WeChat group chat
+async function relayGroupToWeChat(source, message, messageType = 'text', metadata = {}) {
+    const lineGroupId = source.groupId || source.roomId;
+    const auditEntry = {
+        direction: MESSAGE_DIRECTIONS.LINE_TO_WECOM,
+        sourceId: lineGroupId,
+        messageType,
+        originalText: message,
+        sourceMessageId: metadata.messageId,
+        receivedAt: new Date()
+    };
+
+    try {
+        const wechatGroupId = await userMappingService.getWeChatGroupFromLine(lineGroupId);
+        if (!wechatGroupId) {
+            console.log(`No WeChat group mapping found for LINE ${source.type}: ${lineGroupId}`);
+            auditEntry.outcome = 'no_mapping';
+            return false;
+        }
+        auditEntry.targetId = wechatGroupId;
+
+        const mapping = await userMappingService.getGroupMapping(lineGroupId);
+        const targetLanguage = await userMappingService.getPreferredLanguage('wechat', mapping);
+        const conversationId = getConversationId(lineGroupId, wechatGroupId);
+        const detection = await translationService.detect(message);
+        auditEntry.detectedLanguage = detection.lang;
+        const translation = await translationService.translateWithDetails(message, {
+            to: targetLanguage,
+            detection,
+            provider: mapping?.translationProvider,
+            glossaryId: mapping?.glossaryId,
+            context: conversationHistoryService.getRecentMessages(conversationId),
+            mentions: metadata.mentions
+        });
+        const translatedMessage = translation.text;
+        const senderName = await getTranslatedSenderName(source, targetLanguage);
+        auditEntry.translatedText = `${senderName}: ${translatedMessage}`;
+
+        const delivery = await deliveryQueue.deliver('wechat.appchat', {
+            chatId: wechatGroupId,
+            message: buildWeComRelayMessage({
+                translatedText: translatedMessage,
+                originalText: message,
+                senderName,
+                sourceLanguage: detection.lang
+            }, resolveRelayFormat(mapping))
+        });
+        Object.assign(auditEntry, deliveryAuditFields(delivery));
+        if (delivery.status !== 'failed') {
+            console.log(`Group message relayed from LINE to WeChat: ${lineGroupId} -> ${wechatGroupId}`);
+            feedbackService.rememberRelay({
+                platform: 'wechat',
+                recipientId: wechatGroupId,
+                sourceText: message,
+                translation
+            });
+            conversationHistoryService.addMessage(conversationId, { speaker: senderName, text: message });
+            return true;
+        } else {
+            console.error(`Failed to send message to WeChat group: ${wechatGroupId}`);
+            return false;
+        }
+    } catch (error) {
+        console.error('Error relaying group message to WeChat:', error);
+        auditEntry.outcome = 'error';
+        auditEntry.error = error.message;
+        return false;
+    } finally {
+        await logMessage({ ...auditEntry, relayedAt: new Date() });
+    }
+}
+
+// Describe a sticker as text (keywords when LINE provides them)
+function describeSticker(message) {
+    return message.keywords?.length > 0
+        ? `😄 ${message.keywords.join(' ')} (スタンプ sent a sticker)`
+        : '😄 スタンプが送信されました (Sticker sent)';
+}
+
+// Handle messages posted in a LINE group or room
+// Group messages are relayed silently - no confirmation or echo replies
+async function handleGroupMessageEvent(event) {
+    const messageType = event.message.type;
+    const messageId = event.message.id;
+    const sourceId = event.source.groupId || event.source.roomId;
+
+    console.log(`Received ${messageType} message in ${event.source.type}: ${sourceId}`);
+
+    // Translation feedback (/feedback [correction]) flags the last translation relayed to the group
+    if (messageType === 'text') {
+        const feedbackResult = await feedbackService.handleCommand('line', event.source.userId, event.message.text, { chatId: sourceId });
+        if (feedbackResult) {
+            await lineDeliveryPlanner.reply(sourceId, event.replyToken, feedbackResult.reply, { fallbackToPush: true });
+            return;
+        }
+    }
+
+    // An answer from the WeCom group can use the reply token instead of a push
+    lineDeliveryPlanner.rememberReplyToken(sourceId, event.replyToken);
+
+    switch (messageType) {
+        case 'text':
+            await relayGroupToWeChat(event.source, event.message.text, 'text', { messageId, mentions: event.message.mention?.mentionees });
+            break;
+        case 'image':
+            await relayGroupToWeChat(event.source, '📷 画像が送信されました (Image sent)', 'text', { messageId });
+            break;
+        case 'sticker':
+            await relayGroupToWeChat(event.source, describeSticker(event.message), 'text', { messageId });
+            break;
+        default:
+            console.log(`Group message type ${messageType} not supported for relay yet`);
+    }
+}
+
+// Notify the WeCom side of a pairing change (linked/unlinked)
+async function notifyPairedUser(notify) {
+    if (!notify || notify.platform !== 'wechat') {
+        return;
+    }
+
+    try {
+        await deliveryQueue.deliver('wechat.message', { to: { users: [notify.userId] }, message: notify.message });
+    } catch (error) {
+        console.error(`Failed to notify WeChat user ${notify.userId} of pairing change:`, error.message);
     }
 }
 
@@ -82,6 +427,10 @@ async function handleMessageEvent(event) {
         return;
     }
     
+    if (event.source?.type === 'group' || event.source?.type === 'room') {
+        return await handleGroupMessageEvent(event);
+    }
+    
     if (!event.source || !event.source.userId) {
         console.log('Message event missing source user ID, skipping');
         return;
@@ -108,16 +457,32 @@ async function handleMessageEvent(event) {
                 console.log('Message quotes another message:', event.message.quotedMessageId);
             }
             
+            // Account linking commands (/link, /unlink) are handled here, not relayed
+            const pairingResult = await pairingService.handleCommand('line', userId, event.message.text);
+            if (pairingResult) {
+                await lineDeliveryPlanner.reply(userId, event.replyToken, pairingResult.reply, { fallbackToPush: true });
+                await notifyPairedUser(pairingResult.notify);
+                break;
+            }
+            
+            // Translation feedback (/feedback [correction]) is recorded, not relayed
+            const feedbackResult = await feedbackService.handleCommand('line', userId, event.message.text);
+            if (feedbackResult) {
+                await lineDeliveryPlanner.reply(userId, event.replyToken, feedbackResult.reply, { fallbackToPush: true });
+                break;
+            }
+            
             // Relay message to WeChat (translate to Chinese)
-            const relaySuccess = await relayToWeChat(userId, event.message.text, 'text');
+            showRelayInProgress(userId);
+            const relaySuccess = await relayToWeChat(userId, event.message.text, 'text', { messageId, mentions: event.message.mention?.mentionees });
             
-            // Send confirmation reply to LINE
+            // Confirm to the LINE user (as LINE_RECEIPT_MODE says; the reply token may be kept for the answer)
             if (relaySuccess) {
-                await sendLineReply(event.replyToken, '✅ メッセージをWeChatに転送しました (Message forwarded to WeChat)');
+                await lineDeliveryPlanner.confirmRelay(userId, event.replyToken, '✅ メッセージをWeChatに転送しました (Message forwarded to WeChat)');
             } else {
                 // Still send echo if relay fails
                 const replyMessage = `Echo: ${event.message.text}`;
-                await sendLineReply(event.replyToken, replyMessage);
+                await lineDeliveryPlanner.reply(userId, event.replyToken, replyMessage);
             }
             break;
             
@@ -127,13 +492,14 @@ async function handleMessageEvent(event) {
                 console.log('Image stored on LINE servers - can be retrieved via API');
             }
             
-            // Try to relay image notification to WeChat
-            const imageRelaySuccess = await relayToWeChat(userId, '📷 画像が送信されました (Image sent)', 'text');
+            // Relay the image to WeChat (text notice if the upload isn't possible)
+            showRelayInProgress(userId);
+            const imageRelaySuccess = await relayMediaToWeChat(userId, event.message, { messageId });
             
             if (imageRelaySuccess) {
-                await sendLineReply(event.replyToken, '✅ 画像通知をWeChatに送信しました (Image notification sent to WeChat)');
+                await lineDeliveryPlanner.confirmRelay(userId, event.replyToken, '✅ 画像をWeChatに送信しました (Image sent to WeChat)');
             } else {
-                await sendLineReply(event.replyToken, 'I received your image! 📷');
+                await lineDeliveryPlanner.reply(userId, event.replyToken, 'I received your image! 📷');
             }
             break;
             
@@ -142,7 +508,13 @@ async function handleMessageEvent(event) {
             if (event.message.contentProvider?.type === 'line') {
                 console.log('Video stored on LINE servers - can be retrieved via API');
             }
-            await sendLineReply(event.replyToken, 'I received your video! 🎥');
+            
+            showRelayInProgress(userId);
+            if (await relayMediaToWeChat(userId, event.message, { messageId })) {
+                await lineDeliveryPlanner.confirmRelay(userId, event.replyToken, '✅ 動画をWeChatに送信しました (Video sent to WeChat)');
+            } else {
+                await lineDeliveryPlanner.reply(userId, event.replyToken, 'I received your video! 🎥');
+            }
             break;
             
         case 'audio':
@@ -150,18 +522,30 @@ async function handleMessageEvent(event) {
             if (event.message.contentProvider?.type === 'line') {
                 console.log('Audio stored on LINE servers - can be retrieved via API');
             }
-            await sendLineReply(event.replyToken, 'I received your voice message! 🎵');
+            
+            showRelayInProgress(userId);
+            if (await relayMediaToWeChat(userId, event.message, { messageId })) {
+                await lineDeliveryPlanner.confirmRelay(userId, event.replyToken, '✅ 音声メッセージをWeChatに送信しました (Voice message sent to WeChat)');
+            } else {
+                await lineDeliveryPlanner.reply(userId, event.replyToken, 'I received your voice message! 🎵');
+            }
             break;
             
         case 'file':
             console.log(`File message - ID: ${messageId}, Filename: ${event.message.fileName}, Size: ${event.message.fileSize} bytes`);
-            await sendLineReply(event.replyToken, `I received your file: ${event.message.fileName} 📁`);
+            
+            showRelayInProgress(userId);
+            if (await relayMediaToWeChat(userId, event.message, { messageId })) {
+                await lineDeliveryPlanner.confirmRelay(userId, event.replyToken, `✅ ファイルをWeChatに送信しました: ${event.message.fileName} (File sent to WeChat)`);
+            } else {
+                await lineDeliveryPlanner.reply(userId, event.replyToken, `I received your file: ${event.message.fileName} 📁`);
+            }
             break;
             
         case 'location':
             const { title, address, latitude, longitude } = event.message;
             console.log(`Location message - Title: ${title}, Address: ${address}, Coords: ${latitude},${longitude}`);
-            await sendLineReply(event.replyToken, `I received your location: ${title || address} 📍`);
+            await lineDeliveryPlanner.reply(userId, event.replyToken, `I received your location: ${title || address} 📍`);
             break;
             
         case 'sticker':
@@ -174,30 +558,39 @@ async function handleMessageEvent(event) {
             }
             
             // Try to relay sticker as emoji to WeChat
-            const stickerMessage = event.message.keywords?.length > 0 
-                ? `😄 ${event.message.keywords.join(' ')} (スタンプ sent a sticker)`
-                : '😄 スタンプが送信されました (Sticker sent)';
-            const stickerRelaySuccess = await relayToWeChat(userId, stickerMessage, 'text');
+            showRelayInProgress(userId);
+            const stickerRelaySuccess = await relayToWeChat(userId, describeSticker(event.message), 'text', { messageId });
             
             if (stickerRelaySuccess) {
-                await sendLineReply(event.replyToken, '✅ スタンプ情報をWeChatに送信しました (Sticker info sent to WeChat)');
+                await lineDeliveryPlanner.confirmRelay(userId, event.replyToken, '✅ スタンプ情報をWeChatに送信しました (Sticker info sent to WeChat)');
             } else {
-                await sendLineReply(event.replyToken, 'Nice sticker! 😄');
+                await lineDeliveryPlanner.reply(userId, event.replyToken, 'Nice sticker! 😄');
             }
             break;
             
         default:
             console.log(`Unsupported message type: ${messageType}`);
-            await sendLineReply(event.replyToken, 'I received your message, but I don\'t know how to handle this type yet.');
+            await lineDeliveryPlanner.reply(userId, event.replyToken, 'I received your message, but I don\'t know how to handle this type yet.');
     }
 }
 
 // Handle follow events (user adds bot as friend)
+// The LINE profile is stored so its language can be used as the user's preferred language
 async function handleFollowEvent(event) {
     const userId = event.source?.userId;
     console.log(`User ${userId} followed the bot`);
+
+    const profile = await getLineUserProfile(userId);
+    if (profile) {
+        const cached = await userMappingService.getUserProfile('line', userId);
+        await userMappingService.storeUserProfile('line', userId, {
+            ...cached,
+            displayName: profile.displayName,
+            ...(profile.language && { language: profile.language })
+        });
+    }
     
-    await sendLineReply(event.replyToken, 'Thank you for adding me as a friend! 👋');
+    await lineDeliveryPlanner.reply(userId, event.replyToken, 'Thank you for adding me as a friend! 👋');
 }
 
 // Handle unfollow events (user blocks bot)
@@ -213,7 +606,7 @@ async function handleJoinEvent(event) {
     const sourceId = event.source?.groupId || event.source?.roomId;
     console.log(`Bot joined ${sourceType}: ${sourceId}`);
     
-    await sendLineReply(event.replyToken, 'Hello everyone! Thanks for adding me to the group! 🎉');
+    await lineDeliveryPlanner.reply(sourceId, event.replyToken, 'Hello everyone! Thanks for adding me to the group! 🎉');
 }
 
 // Handle leave events (bot leaves group/room)
@@ -234,7 +627,14 @@ async function handlePostbackEvent(event) {
         console.log('Postback params:', event.postback.params);
     }
     
-    await sendLineReply(event.replyToken, `You clicked: ${data}`);
+    // The "翻訳がおかしい" quick reply under relayed translations
+    const feedbackResult = await feedbackService.handlePostback(userId, data);
+    if (feedbackResult) {
+        await lineDeliveryPlanner.reply(event.source?.groupId || event.source?.roomId || userId, event.replyToken, feedbackResult.reply, { fallbackToPush: true });
+        return;
+    }
+
+    console.log(`No handler for postback: ${data}`);
 }
 
 // Handle unsend events (user unsends a message)
@@ -247,44 +647,54 @@ async function handleUnsendEvent(event) {
     // Note: Cannot reply to unsend events
 }
 
+// Dispatch a webhook event to its handler, unless it was already processed
+async function handleEvent(event) {
+    console.log(`Processing event type: ${event.type}${event.deliveryContext?.isRedelivery ? ' (redelivery)' : ''}`);
+    
+    if (!await webhookDeduplicationService.claim('line', event.webhookEventId)) {
+        return;
+    }
+    
+    if (event.type === 'message') {
+        await handleMessageEvent(event);
+    } else if (event.type === 'follow') {
+        await handleFollowEvent(event);
+    } else if (event.type === 'unfollow') {
+        await handleUnfollowEvent(event);
+    } else if (event.type === 'join') {
+        await handleJoinEvent(event);
+    } else if (event.type === 'leave') {
+        await handleLeaveEvent(event);
+    } else if (event.type === 'postback') {
+        await handlePostbackEvent(event);
+    } else if (event.type === 'unsend') {
+        await handleUnsendEvent(event);
+    } else {
+        console.log(`Received ${event.type} event (handler not implemented)`);
+    }
+}
+
+// Events from the same user, group or room are processed in order
+function conversationKey(event) {
+    const source = event.source || {};
+    return `line:${source.groupId || source.roomId || source.userId || 'unknown'}`;
+}
+
 // LINE webhook handler
-router.post('/', validateLineSignature, async (req, res) => {
-    try {
-        console.log('Received LINE webhook event');
+// Events are queued and the webhook acknowledged before they are processed
+router.post('/', validateLineSignature, (req, res) => {
+    console.log('Received LINE webhook event');
 
-        if (!req.body || !req.body.events) {
-            console.log('No events in webhook payload');
-            return res.status(200).send('OK');
-        }
+    if (!req.body || !Array.isArray(req.body.events)) {
+        console.log('No events in webhook payload');
+        return res.status(200).send('OK');
+    }
 
-        // Process each event
-        for (const event of req.body.events) {
-            console.log(`Processing event type: ${event.type}`);
-            
-            if (event.type === 'message') {
-                await handleMessageEvent(event);
-            } else if (event.type === 'follow') {
-                await handleFollowEvent(event);
-            } else if (event.type === 'unfollow') {
-                await handleUnfollowEvent(event);
-            } else if (event.type === 'join') {
-                await handleJoinEvent(event);
-            } else if (event.type === 'leave') {
-                await handleLeaveEvent(event);
-            } else if (event.type === 'postback') {
-                await handlePostbackEvent(event);
-            } else if (event.type === 'unsend') {
-                await handleUnsendEvent(event);
-            } else {
-                console.log(`Received ${event.type} event (handler not implemented)`);
-            }
-        }
-        
-        res.status(200).send('OK');
-    } catch (error) {
-        console.error('Error processing LINE webhook:', error);
-        res.status(500).send('Internal Server Error');
+    for (const event of req.body.events) {
+        webhookEventQueue.enqueue(conversationKey(event), () => handleEvent(event));
     }
+    
+    res.status(200).send('OK');
 });
 
 module.exports = router;
\ No newline at end of file
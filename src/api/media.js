@@ -0,0 +1,44 @@
+const express = require('express');
+const { mediaRelayService } = require('../services/mediaRelayService');
+const { LINE_IMAGE_TYPES, LINE_AUDIO_TYPES, LINE_VIDEO_TYPES } = require('../utils/mediaType');
+const router = express.Router();
+
+// Types LINE shows or plays from the URL; anything else is only served as a download,
+// so a relayed HTML or SVG file can't run in a browser under this origin
+const INLINE_TYPES = [...LINE_IMAGE_TYPES, ...LINE_AUDIO_TYPES, ...LINE_VIDEO_TYPES];
+
+/**
+ * Serves relayed media to LINE under signed, expiring URLs
+ * GET /media/:id?expires=<unix seconds>&signature=<hmac>
+ */
+router.get('/:id', async (req, res) => {
+    const { id } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!mediaRelayService.verifySignedUrl(id, expires, signature)) {
+        console.warn(`Rejected media request with invalid or expired signature: ${id}`);
+        return res.status(403).send('Forbidden');
+    }
+
+    try {
+        const media = await mediaRelayService.getStoredMedia(id);
+        if (!media) {
+            return res.status(404).send('Not Found');
+        }
+
+        // attachment() guesses Content-Type from the file extension, so the stored type is set after it
+        if (media.filename || !INLINE_TYPES.includes(media.contentType)) {
+            res.attachment(media.filename || undefined);
+        }
+        res.set('Content-Type', media.contentType);
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.set('Content-Length', String(media.content.length));
+        res.set('Cache-Control', 'private, max-age=3600');
+        res.send(media.content);
+    } catch (error) {
+        console.error(`Error serving media ${id}:`, error);
+        res.status(500).send('Internal Server Error');
+    }
+});
+
+module.exports = router;
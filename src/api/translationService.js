@@ -1,18 +1,66 @@
-const OpenAI = require('openai');
+const { translationService } = require('../services/translationService');
+const { LANGUAGE_NAMES } = require('../services/translationProviders');
 
-// Cost optimization constants
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-3.5-turbo-0125'; // Default to cheapest model
-const DEFAULT_MAX_TOKENS = 150; // Conservative token limit
+// Legacy translation helpers taking language names ('Chinese', 'Spanish', ...)
+// Everything goes through the provider registry in services/translationService;
+// new code should call that service directly
 
-// Initialize OpenAI client (only if API key is available)
-let openai = null;
-if (process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
+// With OpenAI the helpers keep the prompts and settings they always sent, which are
+// cheaper than the relay's: a snapshot model, a short token limit and a low temperature
+const LEGACY_OPENAI_MODEL = 'gpt-3.5-turbo-0125';
+
+function legacyModel() {
+    return process.env.OPENAI_MODEL || LEGACY_OPENAI_MODEL;
+}
+
+function translateWithLegacyPrompt(provider, text, targetLanguage, sourceLanguage) {
+    const prompt = sourceLanguage === 'auto-detect'
+        ? `Translate the following text to ${targetLanguage}. Only return the translated text, nothing else:\n\n${text}`
+        : `Translate the following text from ${sourceLanguage} to ${targetLanguage}. Only return the translated text, nothing else:\n\n${text}`;
+
+    return provider.complete([
+        {
+            role: 'system',
+            content: 'Translate accurately. Return only the translated text.'
+        },
+        {
+            role: 'user',
+            content: prompt
+        }
+    ], {
+        model: legacyModel(),
+        max_tokens: Math.min(text.length * 3, 150), // Dynamic token limit based on input
+        temperature: 0.1 // Very low for consistency and cost
+    });
+}
+
+function detectWithLegacyPrompt(provider, text) {
+    return provider.complete([
+        {
+            role: 'system',
+            content: 'Detect language. Return only the language name.'
+        },
+        {
+            role: 'user',
+            content: `Language: "${text}"`
+        }
+    ], {
+        model: legacyModel(),
+        max_tokens: 10, // Very small for just language name
+        temperature: 0
     });
 }
 
-// Translate text using OpenAI
+function toLanguageCode(language) {
+    if (!language || language === 'auto-detect') {
+        return 'auto';
+    }
+    const entry = Object.entries(LANGUAGE_NAMES)
+        .find(([, name]) => name.toLowerCase().startsWith(language.toLowerCase()));
+    return entry ? entry[0] : language;
+}
+
+// Translate text with the default translation provider
 async function translateText(text, targetLanguage = 'English', sourceLanguage = 'auto-detect') {
     // Validate inputs
     if (!text || typeof text !== 'string') {
@@ -20,38 +68,24 @@ async function translateText(text, targetLanguage = 'English', sourceLanguage =
         return null;
     }
 
-    if (!process.env.OPENAI_API_KEY || !openai) {
-        console.error('OPENAI_API_KEY not configured');
+    const provider = translationService.getProvider();
+    if (!provider || !provider.isConfigured()) {
+        console.error('Translation provider not configured');
         return null;
     }
 
     try {
         console.log(`Translating: "${text}" to ${targetLanguage}`);
 
-        const prompt = sourceLanguage === 'auto-detect' 
-            ? `Translate the following text to ${targetLanguage}. Only return the translated text, nothing else:\n\n${text}`
-            : `Translate the following text from ${sourceLanguage} to ${targetLanguage}. Only return the translated text, nothing else:\n\n${text}`;
-
-        const response = await openai.chat.completions.create({
-            model: OPENAI_MODEL, // Model from environment variable
-            messages: [
-                {
-                    role: 'system',
-                    content: 'Translate accurately. Return only the translated text.'
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            max_tokens: Math.min(text.length * 3, 150), // Dynamic token limit based on input
-            temperature: 0.1 // Very low for consistency and cost
-        });
-
-        const translatedText = response.choices[0]?.message?.content?.trim();
-        
+        const translatedText = provider.name === 'openai'
+            ? await translateWithLegacyPrompt(provider, text, targetLanguage, sourceLanguage)
+            : await provider.translate(text, {
+                from: toLanguageCode(sourceLanguage),
+                to: toLanguageCode(targetLanguage)
+            });
+
         if (!translatedText) {
-            console.error('No translation received from OpenAI');
+            console.error(`No translation received from ${provider.name}`);
             return null;
         }
 
@@ -60,44 +94,39 @@ async function translateText(text, targetLanguage = 'English', sourceLanguage =
 
     } catch (error) {
         console.error('Error translating text:', error.message);
-        
-        // Handle specific OpenAI errors
+
+        // Handle specific API errors
         if (error.status === 401) {
-            console.error('OpenAI API key is invalid');
+            console.error(`${provider.name} API key is invalid`);
         } else if (error.status === 429) {
-            console.error('OpenAI API rate limit exceeded');
+            console.error(`${provider.name} API rate limit exceeded`);
         } else if (error.status === 500) {
-            console.error('OpenAI API server error');
+            console.error(`${provider.name} API server error`);
         }
-        
+
         return null;
     }
 }
 
-// Language detection helper (optional)
+// Language detection helper (optional), returns a language name
 async function detectLanguage(text) {
     if (!text || typeof text !== 'string') {
         return null;
     }
 
     try {
-        const response = await openai.chat.completions.create({
-            model: OPENAI_MODEL, // Model from environment variable
-            messages: [
-                {
-                    role: 'system',
-                    content: 'Detect language. Return only the language name.'
-                },
-                {
-                    role: 'user',
-                    content: `Language: "${text}"`
-                }
-            ],
-            max_tokens: 10, // Very small for just language name
-            temperature: 0
-        });
-
-        const detectedLanguage = response.choices[0]?.message?.content?.trim();
+        const provider = translationService.getProvider();
+        if (provider?.name === 'openai' && provider.isConfigured()) {
+            const detectedLanguage = await detectWithLegacyPrompt(provider, text);
+            console.log(`Detected language: ${detectedLanguage}`);
+            return detectedLanguage;
+        }
+
+        const code = provider?.capabilities.detection && provider.isConfigured()
+            ? await provider.detect(text)
+            : await translationService.detectLanguage(text);
+
+        const detectedLanguage = LANGUAGE_NAMES[code] || code;
         console.log(`Detected language: ${detectedLanguage}`);
         return detectedLanguage;
 
@@ -107,24 +136,18 @@ async function detectLanguage(text) {
     }
 }
 
-// Estimate cost for translation (approximate)
+// Estimate cost for translation with the default provider (approximate)
 function estimateTranslationCost(text, includeDetection = false) {
-    const inputTokens = Math.ceil(text.length / 4); // Rough estimate: 4 chars = 1 token
-    const outputTokens = Math.ceil(inputTokens * 1.2); // Translations usually slightly longer
-    
-    // GPT-3.5-turbo-0125 pricing (as of 2024)
-    const inputCostPer1K = 0.0005; // $0.0005 per 1K input tokens
-    const outputCostPer1K = 0.0015; // $0.0015 per 1K output tokens
-    
-    let cost = (inputTokens / 1000) * inputCostPer1K + (outputTokens / 1000) * outputCostPer1K;
-    
+    const estimate = translationService.estimateCost(text);
+    let cost = estimate ? estimate.costUSD : 0;
+
     if (includeDetection) {
         cost += 0.00002; // Small additional cost for language detection
     }
-    
+
     return {
-        estimatedInputTokens: inputTokens,
-        estimatedOutputTokens: outputTokens,
+        estimatedInputTokens: estimate ? estimate.inputTokens : 0,
+        estimatedOutputTokens: estimate ? estimate.outputTokens : 0,
         estimatedCostUSD: parseFloat(cost.toFixed(6))
     };
 }
@@ -135,4 +158,4 @@ module.exports = {
     estimateTranslationCost,
     // Backward compatibility alias
     translate: translateText
-};
\ No newline at end of file
+};
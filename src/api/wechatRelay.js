@@ -11,6 +11,25 @@ let accessTokenCache = {
     expiresAt: 0
 };
 
+// Error for a non-zero errcode; errcode is kept so callers can tell rate limits from bad requests
+function weComApiError(description, result) {
+    const error = new Error(`${description}: ${result.errcode} - ${result.errmsg}`);
+    error.errcode = result.errcode;
+    return error;
+}
+
+// errcodes for an invalid or expired access token
+const TOKEN_ERRCODES = [40001, 40014, 42001];
+
+// Drop the cached access token after a token error so the next call (or retry) fetches a new one
+function clearTokenOnAuthError(error) {
+    if (TOKEN_ERRCODES.includes(error.errcode)) {
+        console.log('Clearing invalid access token from cache');
+        accessTokenCache.token = null;
+        accessTokenCache.expiresAt = 0;
+    }
+}
+
 /**
  * Get WeChat Work access token
  * Tokens are cached and automatically refreshed when expired
@@ -42,7 +61,7 @@ async function getWeComAccessToken() {
         
         const data = response.data;
         if (data.errcode !== 0) {
-            throw new Error(`WeChat Work API error: ${data.errcode} - ${data.errmsg}`);
+            throw weComApiError('WeChat Work API error', data);
         }
         
         // Cache the token
@@ -58,14 +77,111 @@ async function getWeComAccessToken() {
     }
 }
 
+// Message types accepted by message/send and appchat/send
+const MESSAGE_TYPES = ['text', 'markdown', 'image', 'voice', 'video', 'file', 'news', 'textcard'];
+
+/**
+ * Build the msgtype-specific part of a WeChat Work message body
+ * @param {string|Object} message - Plain text, or a typed message:
+ *   { type: 'text' | 'markdown', content }
+ *   { type: 'image' | 'voice' | 'file', mediaId }
+ *   { type: 'video', mediaId, title, description }
+ *   { type: 'news', articles: [{ title, description, url, picurl }] }
+ *   { type: 'textcard', title, description, url, btntxt }
+ * @returns {Object} - { msgtype, [msgtype]: payload }
+ */
+function buildMessageBody(message) {
+    const typed = typeof message === 'string' || message == null
+        ? { type: 'text', content: message }
+        : message;
+    
+    if (!MESSAGE_TYPES.includes(typed.type)) {
+        throw new Error(`Unsupported WeChat Work message type: ${typed.type}`);
+    }
+    
+    switch (typed.type) {
+        case 'text':
+        case 'markdown':
+            if (!typed.content || typeof typed.content !== 'string' || typed.content.trim() === '') {
+                throw new Error('Message content cannot be empty');
+            }
+            return { msgtype: typed.type, [typed.type]: { content: typed.content.trim() } };
+            
+        case 'image':
+        case 'voice':
+        case 'video':
+        case 'file':
+            if (!typed.mediaId) {
+                throw new Error(`WeChat Work ${typed.type} message requires a mediaId`);
+            }
+            return {
+                msgtype: typed.type,
+                [typed.type]: {
+                    media_id: typed.mediaId,
+                    ...(typed.type === 'video' && typed.title && { title: typed.title }),
+                    ...(typed.type === 'video' && typed.description && { description: typed.description })
+                }
+            };
+            
+        case 'news':
+            if (!Array.isArray(typed.articles) || typed.articles.length === 0 || typed.articles.length > 8) {
+                throw new Error('WeChat Work news message requires 1-8 articles');
+            }
+            typed.articles.forEach(article => {
+                if (!article.title || !article.url) {
+                    throw new Error('WeChat Work news articles require a title and url');
+                }
+            });
+            return { msgtype: 'news', news: { articles: typed.articles } };
+            
+        case 'textcard':
+            if (!typed.title || !typed.description || !typed.url) {
+                throw new Error('WeChat Work textcard message requires a title, description and url');
+            }
+            return {
+                msgtype: 'textcard',
+                textcard: {
+                    title: typed.title,
+                    description: typed.description,
+                    url: typed.url,
+                    ...(typed.btntxt && { btntxt: typed.btntxt })
+                }
+            };
+    }
+}
+
+// Join recipient IDs into WeChat Work's "a|b|c" format
+function formatRecipients(ids) {
+    if (!ids) {
+        return '';
+    }
+    return (Array.isArray(ids) ? ids : [ids]).filter(Boolean).join('|');
+}
+
+// Short description of a message for logging
+function describeMessage(body) {
+    const payload = body[body.msgtype];
+    if (payload.content) {
+        return payload.content.substring(0, 100) + (payload.content.length > 100 ? '...' : '');
+    }
+    return payload.title || payload.media_id || `${payload.articles?.length} article(s)`;
+}
+
 /**
- * Send a text message to WeChat Work
- * @param {string} content - Message content to send
- * @param {string} touser - Specific user ID (optional)
- * @param {string} toparty - Department ID (optional, defaults to WECOM_TO_PARTY)
- * @param {string} totag - Tag ID (optional)
+ * Send a message to WeChat Work users, departments and/or tags
+ * @param {Object} options
+ * @param {Object} [options.to] - Recipients; defaults to the WECOM_TO_PARTY department
+ * @param {string|string[]} [options.to.users] - User ID(s)
+ * @param {string|string[]} [options.to.parties] - Department ID(s)
+ * @param {string|string[]} [options.to.tags] - Tag ID(s)
+ * @param {string|Object} options.message - Plain text or a typed message (see buildMessageBody)
+ * @returns {Promise<Object>} - API result (includes msgid)
  */
-async function sendWeComMessage(content, touser = '', toparty = '', totag = '') {
+async function sendWeComMessage(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new TypeError('sendWeComMessage expects an options object: { to, message }');
+    }
+    
     const agentId = process.env.WECOM_AGENT_ID;
     const defaultParty = process.env.WECOM_TO_PARTY || '1';
     
@@ -73,9 +189,11 @@ async function sendWeComMessage(content, touser = '', toparty = '', totag = '')
         throw new Error('WeChat Work agent ID not configured (WECOM_AGENT_ID missing)');
     }
     
-    if (!content || content.trim() === '') {
-        throw new Error('Message content cannot be empty');
-    }
+    const body = buildMessageBody(options.message);
+    const to = options.to || {};
+    let touser = formatRecipients(to.users);
+    let toparty = formatRecipients(to.parties);
+    let totag = formatRecipients(to.tags);
     
     // Use default party if no specific recipient provided
     if (!touser && !toparty && !totag) {
@@ -89,18 +207,16 @@ async function sendWeComMessage(content, touser = '', toparty = '', totag = '')
             touser: touser,
             toparty: toparty,
             totag: totag,
-            msgtype: 'text',
             agentid: parseInt(agentId),
-            text: {
-                content: content.trim()
-            }
+            ...body
         };
         
         console.log('Sending WeChat Work message:', {
             touser: touser || 'not specified',
             toparty: toparty || 'not specified',
             totag: totag || 'not specified',
-            content: content.substring(0, 100) + (content.length > 100 ? '...' : ''),
+            msgtype: body.msgtype,
+            content: describeMessage(body),
             agentId: agentId
         });
         
@@ -117,7 +233,7 @@ async function sendWeComMessage(content, touser = '', toparty = '', totag = '')
         
         const result = response.data;
         if (result.errcode !== 0) {
-            throw new Error(`WeChat Work send message error: ${result.errcode} - ${result.errmsg}`);
+            throw weComApiError('WeChat Work send message error', result);
         }
         
         console.log('WeChat Work message sent successfully:', {
@@ -130,18 +246,193 @@ async function sendWeComMessage(content, touser = '', toparty = '', totag = '')
         
     } catch (error) {
         console.error('Error sending WeChat Work message:', error.message);
+        clearTokenOnAuthError(error);
+        throw error;
+    }
+}
+
+/**
+ * Upload temporary media (valid for 3 days) for image/voice/video/file messages
+ * @param {Buffer} content - Media content
+ * @param {Object} options
+ * @param {string} options.type - 'image', 'voice', 'video' or 'file'
+ * @param {string} options.filename - File name shown to the recipient
+ * @param {string} [options.contentType] - MIME type of the content
+ * @returns {Promise<string>} - media_id to use in the message
+ */
+async function uploadWeComMedia(content, { type, filename, contentType = 'application/octet-stream' } = {}) {
+    if (!['image', 'voice', 'video', 'file'].includes(type)) {
+        throw new Error(`Unsupported WeChat Work media type: ${type}`);
+    }
+    
+    if (!Buffer.isBuffer(content) || content.length === 0) {
+        throw new Error('Media content cannot be empty');
+    }
+    
+    try {
+        const accessToken = await getWeComAccessToken();
+        
+        const form = new FormData();
+        form.append('media', new Blob([content], { type: contentType }), filename || `media.${type}`);
+        
+        console.log(`Uploading WeChat Work ${type} media: ${filename} (${content.length} bytes, ${contentType})`);
+        
+        const response = await axios.post(
+            'https://qyapi.weixin.qq.com/cgi-bin/media/upload',
+            form,
+            {
+                params: {
+                    access_token: accessToken,
+                    type
+                },
+                timeout: 30000,
+                maxBodyLength: Infinity
+            }
+        );
+        
+        const result = response.data;
+        if (result.errcode !== 0) {
+            throw weComApiError('WeChat Work media upload error', result);
+        }
+        
+        console.log(`WeChat Work media uploaded successfully: ${result.media_id}`);
+        return result.media_id;
+        
+    } catch (error) {
+        console.error('Error uploading WeChat Work media:', error.message);
+        clearTokenOnAuthError(error);
+        throw error;
+    }
+}
+
+/**
+ * Download temporary media (images, voice, video, files) by media ID
+ * @param {string} mediaId - MediaId from a received message
+ * @returns {Promise<Object>} - { content: Buffer, contentType, filename }
+ */
+async function getWeComMedia(mediaId) {
+    if (!mediaId) {
+        throw new Error('Media ID is required');
+    }
+    
+    try {
+        const accessToken = await getWeComAccessToken();
+        const response = await axios.get('https://qyapi.weixin.qq.com/cgi-bin/media/get', {
+            params: {
+                access_token: accessToken,
+                media_id: mediaId
+            },
+            responseType: 'arraybuffer',
+            timeout: 30000
+        });
         
-        // Clear token cache if it's an authentication error
-        if (error.message.includes('40014') || error.message.includes('42001')) {
-            console.log('Clearing invalid access token from cache');
-            accessTokenCache.token = null;
-            accessTokenCache.expiresAt = 0;
+        const contentType = response.headers?.['content-type'] || 'application/octet-stream';
+        const content = Buffer.from(response.data);
+        
+        // Errors come back as JSON instead of media
+        if (contentType.includes('application/json') || contentType.includes('text/plain')) {
+            const result = JSON.parse(content.toString('utf8'));
+            throw weComApiError('WeChat Work get media error', result);
         }
         
+        const disposition = response.headers?.['content-disposition'] || '';
+        const filename = disposition.match(/filename="?([^";]+)"?/)?.[1];
+        
+        console.log(`Downloaded WeChat Work media ${mediaId} (${content.length} bytes, ${contentType})`);
+        return { content, contentType, filename };
+        
+    } catch (error) {
+        console.error('Error downloading WeChat Work media:', error.message);
+        clearTokenOnAuthError(error);
         throw error;
     }
 }
 
+/**
+ * Send a message to a WeChat Work group chat (app chat)
+ * The chat must have been created by this application via appchat/create
+ * @param {string} chatId - Group chat ID
+ * @param {string|Object} message - Plain text or a typed message (see buildMessageBody)
+ */
+async function sendWeComAppChatMessage(chatId, message) {
+    if (!chatId) {
+        throw new Error('Group chat ID is required');
+    }
+    
+    const body = buildMessageBody(message);
+    
+    try {
+        const accessToken = await getWeComAccessToken();
+        
+        console.log('Sending WeChat Work group chat message:', {
+            chatid: chatId,
+            msgtype: body.msgtype,
+            content: describeMessage(body)
+        });
+        
+        const response = await axios.post(
+            `https://qyapi.weixin.qq.com/cgi-bin/appchat/send?access_token=${accessToken}`,
+            {
+                chatid: chatId,
+                ...body,
+                safe: 0
+            },
+            {
+                timeout: 10000,
+                headers: {
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+        
+        const result = response.data;
+        if (result.errcode !== 0) {
+            throw weComApiError('WeChat Work group chat error', result);
+        }
+        
+        console.log(`WeChat Work group chat message sent successfully: ${chatId}`);
+        return result;
+        
+    } catch (error) {
+        console.error('Error sending WeChat Work group chat message:', error.message);
+        clearTokenOnAuthError(error);
+        throw error;
+    }
+}
+
+/**
+ * Get a WeChat Work member's details (name, department, etc.)
+ * @param {string} userId - WeChat Work user ID
+ * @returns {Promise<Object|null>} - Member details or null if unavailable
+ */
+async function getWeComUser(userId) {
+    if (!userId) {
+        console.error('User ID is required');
+        return null;
+    }
+    
+    try {
+        const accessToken = await getWeComAccessToken();
+        const response = await axios.get('https://qyapi.weixin.qq.com/cgi-bin/user/get', {
+            params: {
+                access_token: accessToken,
+                userid: userId
+            },
+            timeout: 10000
+        });
+        
+        const result = response.data;
+        if (result.errcode !== 0) {
+            throw weComApiError('WeChat Work get user error', result);
+        }
+        
+        return result;
+    } catch (error) {
+        console.error(`Error getting WeChat Work user ${userId}:`, error.message);
+        return null;
+    }
+}
+
 /**
  * Send a simple text message to the default department
  * This is the main export function for compatibility
@@ -149,7 +440,7 @@ async function sendWeComMessage(content, touser = '', toparty = '', totag = '')
  */
 async function sendToWeChat(translatedMessage) {
     console.log('Forwarding message to WeChat Work:', translatedMessage);
-    return await sendWeComMessage(translatedMessage);
+    return await sendWeComMessage({ message: translatedMessage });
 }
 
 /**
@@ -158,7 +449,7 @@ async function sendToWeChat(translatedMessage) {
  * @param {string} userId - WeChat Work user ID
  */
 async function sendToWeComUser(content, userId) {
-    return await sendWeComMessage(content, userId, '', '');
+    return await sendWeComMessage({ to: { users: userId }, message: content });
 }
 
 /**
@@ -167,7 +458,7 @@ async function sendToWeComUser(content, userId) {
  * @param {string} departmentId - WeChat Work department ID
  */
 async function sendToWeComDepartment(content, departmentId) {
-    return await sendWeComMessage(content, '', departmentId, '');
+    return await sendWeComMessage({ to: { parties: departmentId }, message: content });
 }
 
 /**
@@ -176,7 +467,7 @@ async function sendToWeComDepartment(content, departmentId) {
  * @param {string} tagId - WeChat Work tag ID
  */
 async function sendToWeComTag(content, tagId) {
-    return await sendWeComMessage(content, '', '', tagId);
+    return await sendWeComMessage({ to: { tags: tagId }, message: content });
 }
 
 // Export the main function for backward compatibility
@@ -187,4 +478,10 @@ module.exports.sendWeComMessage = sendWeComMessage;
 module.exports.sendToWeComUser = sendToWeComUser;
 module.exports.sendToWeComDepartment = sendToWeComDepartment;
 module.exports.sendToWeComTag = sendToWeComTag;
-module.exports.getWeComAccessToken = getWeComAccessToken;
\ No newline at end of file
+module.exports.sendWeComAppChatMessage = sendWeComAppChatMessage;
+module.exports.getWeComUser = getWeComUser;
+module.exports.uploadWeComMedia = uploadWeComMedia;
+module.exports.getWeComMedia = getWeComMedia;
+module.exports.getWeComAccessToken = getWeComAccessToken;
+module.exports.buildMessageBody = buildMessageBody;
+module.exports.MESSAGE_TYPES = MESSAGE_TYPES;
\ No newline at end of file
@@ -1,8 +1,319 @@
-// Azure Table Storage integration
+const crypto = require('crypto');
+const { TableClient, odata } = require('@azure/data-tables');
 
-module.exports = {
-    logMessage: async (messageData) => {
-        // TODO: Implement logic to log message data to Azure Table Storage
-        console.log('Logging message data to Azure Table Storage:', messageData);
+/**
+ * Azure Table Storage client
+ * Thin wrapper around @azure/data-tables that creates tables on first use
+ * and normalizes "not found" responses to null/false instead of throwing
+ */
+
+class AzureTableStorage {
+    constructor(connectionString = process.env.AZURE_STORAGE_CONNECTION_STRING) {
+        this.connectionString = connectionString;
+        this.tableClients = new Map(); // table name -> Promise<TableClient>
+    }
+
+    /**
+     * Check whether a storage connection string is configured
+     * @returns {boolean}
+     */
+    isConfigured() {
+        return !!this.connectionString;
+    }
+
+    /**
+     * Get a client for the given table, creating the table if needed
+     * @param {string} tableName - Azure table name (alphanumeric)
+     * @returns {Promise<TableClient>}
+     */
+    async getTableClient(tableName) {
+        if (!this.isConfigured()) {
+            throw new Error('Azure Table Storage not configured (AZURE_STORAGE_CONNECTION_STRING missing)');
+        }
+
+        if (!this.tableClients.has(tableName)) {
+            const clientPromise = (async () => {
+                const client = TableClient.fromConnectionString(this.connectionString, tableName);
+                try {
+                    await client.createTable();
+                } catch (error) {
+                    if (error.statusCode !== 409) {
+                        throw error;
+                    }
+                }
+                console.log(`Azure table ready: ${tableName}`);
+                return client;
+            })();
+
+            // Drop failed initializations so the next call retries
+            clientPromise.catch(() => this.tableClients.delete(tableName));
+            this.tableClients.set(tableName, clientPromise);
+        }
+
+        return this.tableClients.get(tableName);
+    }
+
+    /**
+     * Get a single entity
+     * @param {string} tableName - Table name
+     * @param {string} partitionKey - Partition key
+     * @param {string} rowKey - Row key
+     * @returns {Promise<Object|null>} - Entity or null if not found
+     */
+    async getEntity(tableName, partitionKey, rowKey) {
+        const client = await this.getTableClient(tableName);
+        try {
+            return await client.getEntity(partitionKey, rowKey);
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Insert or replace an entity
+     * @param {string} tableName - Table name
+     * @param {Object} entity - Entity with partitionKey and rowKey
+     */
+    async upsertEntity(tableName, entity) {
+        const client = await this.getTableClient(tableName);
+        return await client.upsertEntity(entity, 'Replace');
+    }
+
+    /**
+     * Insert an entity unless one with the same keys exists
+     * @param {string} tableName - Table name
+     * @param {Object} entity - Entity with partitionKey and rowKey
+     * @returns {Promise<boolean>} - True if inserted, false if it already existed
+     */
+    async createEntity(tableName, entity) {
+        const client = await this.getTableClient(tableName);
+        try {
+            await client.createEntity(entity);
+            return true;
+        } catch (error) {
+            if (error.statusCode === 409) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Delete an entity
+     * @param {string} tableName - Table name
+     * @param {string} partitionKey - Partition key
+     * @param {string} rowKey - Row key
+     * @param {Object} options - { etag } to delete only the version that was read
+     * @returns {Promise<boolean>} - True if deleted, false if it did not exist (or has changed since it was read)
+     */
+    async deleteEntity(tableName, partitionKey, rowKey, options = {}) {
+        const client = await this.getTableClient(tableName);
+        try {
+            await client.deleteEntity(partitionKey, rowKey, options.etag ? { etag: options.etag } : undefined);
+            return true;
+        } catch (error) {
+            if (error.statusCode === 404 || error.statusCode === 412) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * List entities, optionally restricted to one partition
+     * @param {string} tableName - Table name
+     * @param {Object} options - { partitionKey, filter }
+     * @returns {Promise<Array<Object>>} - Matching entities
+     */
+    async listEntities(tableName, options = {}) {
+        const client = await this.getTableClient(tableName);
+
+        const filters = [];
+        if (options.partitionKey) {
+            filters.push(odata`PartitionKey eq ${options.partitionKey}`);
+        }
+        if (options.filter) {
+            filters.push(options.filter);
+        }
+
+        const queryOptions = filters.length > 0 ? { filter: filters.join(' and ') } : undefined;
+        const entities = [];
+        for await (const entity of client.listEntities({ queryOptions })) {
+            entities.push(entity);
+        }
+        return entities;
     }
-};
\ No newline at end of file
+
+    /**
+     * List one page of entities matching an OData filter
+     * @param {string} tableName - Table name
+     * @param {Object} options - { filter, pageSize, continuationToken }
+     * @returns {Promise<{ entities: Array<Object>, continuationToken: string|undefined }>}
+     */
+    async listEntitiesPage(tableName, options = {}) {
+        const client = await this.getTableClient(tableName);
+        const queryOptions = options.filter ? { filter: options.filter } : undefined;
+        const pages = client.listEntities({ queryOptions }).byPage({
+            maxPageSize: options.pageSize || 50,
+            continuationToken: options.continuationToken
+        });
+
+        const { value: page } = await pages.next();
+        if (!page) {
+            return { entities: [], continuationToken: undefined };
+        }
+
+        return {
+            entities: Array.from(page),
+            continuationToken: page.continuationToken
+        };
+    }
+}
+
+/**
+ * Message audit log
+ * One row per relayed message, partitioned by conversation and UTC date
+ * (PartitionKey = "<conversationId>_<YYYYMMDD>") with time-ordered row keys
+ */
+
+const MESSAGE_DIRECTIONS = {
+    LINE_TO_WECOM: 'LINE_TO_WECOM',
+    WECOM_TO_LINE: 'WECOM_TO_LINE'
+};
+
+// Azure Table string properties are limited to 64KB (32K UTF-16 characters)
+const MAX_TEXT_LENGTH = 30000;
+
+function getMessageLogTableName() {
+    return process.env.MESSAGE_LOG_TABLE_NAME || 'MessageLog';
+}
+
+// Azure Table keys cannot contain / \ # ? or control characters
+function sanitizeKey(value) {
+    return String(value).replace(/[\\/#?\u0000-\u001f\u007f-\u009f]/g, '_');
+}
+
+function toDateKey(date) {
+    return new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function truncateText(text) {
+    if (typeof text !== 'string') {
+        return text;
+    }
+    return text.length > MAX_TEXT_LENGTH ? text.substring(0, MAX_TEXT_LENGTH) : text;
+}
+
+/**
+ * Build the conversation ID for a LINE <-> WeCom pair
+ * @param {string} lineId - LINE user/group ID
+ * @param {string} wechatId - WeCom user/chat ID (optional for unmapped messages)
+ * @returns {string}
+ */
+function getConversationId(lineId, wechatId) {
+    return sanitizeKey(`${lineId || 'unknown'}_${wechatId || 'unmapped'}`);
+}
+
+/**
+ * Build the audit log entity for a relayed message
+ * @param {Object} messageData - Relay details (see logMessage)
+ * @returns {Object} - Table entity
+ */
+function buildMessageLogEntity(messageData) {
+    const receivedAt = messageData.receivedAt ? new Date(messageData.receivedAt) : new Date();
+    const relayedAt = messageData.relayedAt ? new Date(messageData.relayedAt) : new Date();
+    const fromLine = messageData.direction === MESSAGE_DIRECTIONS.LINE_TO_WECOM;
+
+    const conversationId = messageData.conversationId || getConversationId(
+        fromLine ? messageData.sourceId : messageData.targetId,
+        fromLine ? messageData.targetId : messageData.sourceId
+    );
+
+    return {
+        partitionKey: `${conversationId}_${toDateKey(receivedAt)}`,
+        rowKey: `${receivedAt.toISOString()}_${crypto.randomBytes(4).toString('hex')}`,
+        conversationId,
+        direction: messageData.direction,
+        sourceId: messageData.sourceId || '',
+        targetId: messageData.targetId || '',
+        messageType: messageData.messageType || 'text',
+        originalText: truncateText(messageData.originalText || ''),
+        translatedText: truncateText(messageData.translatedText || ''),
+        detectedLanguage: messageData.detectedLanguage || '',
+        sourceMessageId: messageData.sourceMessageId ? String(messageData.sourceMessageId) : '',
+        targetMessageId: messageData.targetMessageId ? String(messageData.targetMessageId) : '',
+        receivedAt: receivedAt.toISOString(),
+        relayedAt: relayedAt.toISOString(),
+        latencyMs: relayedAt.getTime() - receivedAt.getTime(),
+        outcome: messageData.outcome || 'unknown',
+        error: messageData.error || ''
+    };
+}
+
+/**
+ * Record a relayed message in the audit log
+ * Never throws - audit logging must not break message relay
+ * @param {Object} messageData - { direction, sourceId, targetId, messageType, originalText,
+ *   translatedText, detectedLanguage, sourceMessageId, targetMessageId, receivedAt, relayedAt,
+ *   outcome, error }
+ * @param {AzureTableStorage} storage - Storage client (defaults to the shared instance)
+ * @returns {Promise<Object|null>} - Logged entity, or null if not persisted
+ */
+async function logMessage(messageData, storage = azureTableStorage) {
+    try {
+        const entity = buildMessageLogEntity(messageData);
+
+        if (!storage.isConfigured()) {
+            console.log('Message log (Azure Table Storage not configured):', {
+                direction: entity.direction,
+                conversationId: entity.conversationId,
+                outcome: entity.outcome,
+                latencyMs: entity.latencyMs
+            });
+            return null;
+        }
+
+        await storage.upsertEntity(getMessageLogTableName(), entity);
+        return entity;
+    } catch (error) {
+        console.error('Error logging message to Azure Table Storage:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Page through a conversation's message history in chronological order
+ * @param {string} conversationId - Conversation ID (see getConversationId)
+ * @param {Object} options - { from, to (Date or ISO date strings, default today), pageSize, continuationToken }
+ * @param {AzureTableStorage} storage - Storage client (defaults to the shared instance)
+ * @returns {Promise<{ messages: Array<Object>, continuationToken: string|undefined }>}
+ */
+async function getConversationHistory(conversationId, options = {}, storage = azureTableStorage) {
+    const from = toDateKey(options.from || new Date());
+    const to = toDateKey(options.to || options.from || new Date());
+    const id = sanitizeKey(conversationId);
+
+    const { entities, continuationToken } = await storage.listEntitiesPage(getMessageLogTableName(), {
+        filter: odata`PartitionKey ge ${`${id}_${from}`} and PartitionKey le ${`${id}_${to}`}`,
+        pageSize: options.pageSize,
+        continuationToken: options.continuationToken
+    });
+
+    return { messages: entities, continuationToken };
+}
+
+// Singleton instance
+const azureTableStorage = new AzureTableStorage();
+
+module.exports = {
+    AzureTableStorage,
+    azureTableStorage,
+    MESSAGE_DIRECTIONS,
+    getConversationId,
+    buildMessageLogEntity,
+    logMessage,
+    getConversationHistory
+};
@@ -0,0 +1,103 @@
+const { azureTableStorage } = require('./azureTableStorage');
+
+/**
+ * Storage backends for user/group mappings
+ * Each backend stores JSON-serializable records grouped by type
+ * ('lineToWeChat', 'wechatToLine', 'group', 'profile') and exposes
+ * async get/set/delete/list so UserMappingService can cache on top of it
+ */
+
+/**
+ * In-memory mapping store (tests and local development)
+ */
+class InMemoryMappingStore {
+    constructor() {
+        this.records = new Map(); // type -> Map(id -> value)
+    }
+
+    _bucket(type) {
+        if (!this.records.has(type)) {
+            this.records.set(type, new Map());
+        }
+        return this.records.get(type);
+    }
+
+    async get(type, id) {
+        const value = this._bucket(type).get(id);
+        return value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    async set(type, id, value) {
+        this._bucket(type).set(id, JSON.parse(JSON.stringify(value)));
+    }
+
+    async delete(type, id) {
+        return this._bucket(type).delete(id);
+    }
+
+    async list(type) {
+        return Array.from(this._bucket(type).entries()).map(([id, value]) => ({
+            id,
+            value: JSON.parse(JSON.stringify(value))
+        }));
+    }
+}
+
+/**
+ * Azure Table Storage mapping store
+ * PartitionKey = record type, RowKey = URI-encoded ID, record JSON in the `data` column
+ */
+class AzureTableMappingStore {
+    constructor(tableStorage = azureTableStorage, tableName = process.env.MAPPINGS_TABLE_NAME || 'UserMappings') {
+        this.tableStorage = tableStorage;
+        this.tableName = tableName;
+    }
+
+    async get(type, id) {
+        const entity = await this.tableStorage.getEntity(this.tableName, type, encodeURIComponent(id));
+        return entity ? JSON.parse(entity.data) : null;
+    }
+
+    async set(type, id, value) {
+        await this.tableStorage.upsertEntity(this.tableName, {
+            partitionKey: type,
+            rowKey: encodeURIComponent(id),
+            data: JSON.stringify(value)
+        });
+    }
+
+    async delete(type, id) {
+        return await this.tableStorage.deleteEntity(this.tableName, type, encodeURIComponent(id));
+    }
+
+    async list(type) {
+        const entities = await this.tableStorage.listEntities(this.tableName, { partitionKey: type });
+        return entities.map(entity => ({
+            id: decodeURIComponent(entity.rowKey),
+            value: JSON.parse(entity.data)
+        }));
+    }
+}
+
+/**
+ * Create the mapping store for this deployment
+ * Uses Azure Table Storage when a connection string is configured, otherwise in-memory
+ * @param {Object} options - { tableName, label } to reuse the store for other records (e.g. glossaries)
+ * @returns {InMemoryMappingStore|AzureTableMappingStore}
+ */
+function createMappingStore(options = {}) {
+    const label = options.label || 'user mappings';
+    if (process.env.MAPPING_STORE !== 'memory' && azureTableStorage.isConfigured()) {
+        console.log(`Using Azure Table Storage for ${label}`);
+        return new AzureTableMappingStore(azureTableStorage, options.tableName);
+    }
+
+    console.log(`Using in-memory store for ${label} (not persisted across restarts)`);
+    return new InMemoryMappingStore();
+}
+
+module.exports = {
+    InMemoryMappingStore,
+    AzureTableMappingStore,
+    createMappingStore
+};
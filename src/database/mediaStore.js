@@ -0,0 +1,189 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * Storage backends for relayed media (WeCom images/voice/video/files served to LINE)
+ * Each backend exposes async put/get/delete keyed by an opaque media ID;
+ * access control lives in the signed URLs issued by MediaRelayService
+ */
+
+// Media IDs are generated by MediaRelayService; reject anything else so IDs can't escape the store
+const MEDIA_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+function assertMediaId(id) {
+    if (!MEDIA_ID_PATTERN.test(id || '')) {
+        throw new Error(`Invalid media ID: ${id}`);
+    }
+}
+
+/**
+ * Local filesystem media store
+ * Content is written to <dir>/<id> with metadata in <dir>/<id>.json;
+ * files older than maxAgeMs are purged at most once per purge interval
+ */
+class LocalMediaStore {
+    constructor(options = {}) {
+        this.directory = options.directory || process.env.MEDIA_STORE_DIR || path.join(os.tmpdir(), 'line-wechat-media');
+        this.maxAgeMs = options.maxAgeMs || 7 * 24 * 3600000;
+        this.purgeIntervalMs = options.purgeIntervalMs || 3600000;
+        this.lastPurgeAt = 0;
+    }
+
+    async put(id, content, metadata = {}) {
+        assertMediaId(id);
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(path.join(this.directory, id), content);
+        await fs.writeFile(path.join(this.directory, `${id}.json`), JSON.stringify({
+            contentType: metadata.contentType || 'application/octet-stream',
+            filename: metadata.filename || null,
+            size: content.length,
+            storedAt: new Date().toISOString()
+        }));
+
+        if (Date.now() - this.lastPurgeAt > this.purgeIntervalMs) {
+            this.lastPurgeAt = Date.now();
+            this.purgeExpired().catch(error => console.error('Error purging expired media:', error));
+        }
+    }
+
+    async get(id) {
+        assertMediaId(id);
+        try {
+            const metadata = JSON.parse(await fs.readFile(path.join(this.directory, `${id}.json`), 'utf8'));
+            const content = await fs.readFile(path.join(this.directory, id));
+            return { content, ...metadata };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async delete(id) {
+        assertMediaId(id);
+        const results = await Promise.allSettled([
+            fs.unlink(path.join(this.directory, id)),
+            fs.unlink(path.join(this.directory, `${id}.json`))
+        ]);
+        return results.some(result => result.status === 'fulfilled');
+    }
+
+    /**
+     * Delete media stored more than maxAgeMs ago
+     * @returns {Promise<number>} - Number of media items removed
+     */
+    async purgeExpired() {
+        let entries;
+        try {
+            entries = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return 0;
+            }
+            throw error;
+        }
+
+        const cutoff = Date.now() - this.maxAgeMs;
+        let removed = 0;
+        for (const entry of entries.filter(name => name.endsWith('.json'))) {
+            const id = entry.slice(0, -'.json'.length);
+            const stats = await fs.stat(path.join(this.directory, entry)).catch(() => null);
+            if (stats && stats.mtimeMs < cutoff && await this.delete(id)) {
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+/**
+ * Azure Blob Storage media store using the Blob REST API with a container SAS URL
+ * (e.g. https://account.blob.core.windows.net/media?sv=...&sig=...), so no extra SDK is needed.
+ * Expire old blobs with a lifecycle management rule on the container.
+ */
+class AzureBlobMediaStore {
+    constructor(containerSasUrl = process.env.MEDIA_BLOB_CONTAINER_SAS_URL) {
+        if (!containerSasUrl) {
+            throw new Error('MEDIA_BLOB_CONTAINER_SAS_URL not configured');
+        }
+        this.containerUrl = new URL(containerSasUrl);
+    }
+
+    _blobUrl(id) {
+        const url = new URL(this.containerUrl);
+        url.pathname = `${url.pathname.replace(/\/$/, '')}/${id}`;
+        return url.toString();
+    }
+
+    async put(id, content, metadata = {}) {
+        assertMediaId(id);
+        await axios.put(this._blobUrl(id), content, {
+            headers: {
+                'x-ms-blob-type': 'BlockBlob',
+                'x-ms-blob-content-type': metadata.contentType || 'application/octet-stream',
+                ...(metadata.filename && { 'x-ms-meta-filename': encodeURIComponent(metadata.filename) })
+            },
+            maxBodyLength: Infinity,
+            timeout: 30000
+        });
+    }
+
+    async get(id) {
+        assertMediaId(id);
+        try {
+            const response = await axios.get(this._blobUrl(id), {
+                responseType: 'arraybuffer',
+                timeout: 30000
+            });
+            const filename = response.headers['x-ms-meta-filename'];
+            return {
+                content: Buffer.from(response.data),
+                contentType: response.headers['content-type'] || 'application/octet-stream',
+                filename: filename ? decodeURIComponent(filename) : null,
+                size: response.data.byteLength
+            };
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async delete(id) {
+        assertMediaId(id);
+        try {
+            await axios.delete(this._blobUrl(id), { timeout: 30000 });
+            return true;
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+/**
+ * Create the media store for this deployment
+ * Uses Azure Blob Storage when MEDIA_BLOB_CONTAINER_SAS_URL is set, otherwise the local filesystem
+ * @returns {LocalMediaStore|AzureBlobMediaStore}
+ */
+function createMediaStore() {
+    if (process.env.MEDIA_BLOB_CONTAINER_SAS_URL) {
+        console.log('Using Azure Blob Storage for relayed media');
+        return new AzureBlobMediaStore();
+    }
+
+    console.log('Using local filesystem for relayed media');
+    return new LocalMediaStore();
+}
+
+module.exports = {
+    LocalMediaStore,
+    AzureBlobMediaStore,
+    createMediaStore
+};
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const { azureTableStorage } = require('./azureTableStorage');
+
+/**
+ * Translation cache
+ * Entries are keyed by normalized source text, language pair and provider/model
+ * (see buildCacheKey). A bounded in-memory LRU sits in front of an optional
+ * Azure Table Storage tier shared by every instance; both honour the same TTL.
+ */
+
+const DEFAULT_TTL_MINUTES = 7 * 24 * 60;
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// Unicode-normalize and collapse whitespace so trivially different inputs share an entry
+function normalizeText(text) {
+    return String(text).normalize('NFKC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build the cache key for a translation
+ * @param {string} text - Source text
+ * @param {Object} params - { from, to, model } where model identifies the provider/model
+ * @returns {{ partition: string, id: string }} - Language pair and hashed text/model
+ */
+function buildCacheKey(text, { from = 'auto', to, model }) {
+    const hash = crypto.createHash('sha256').update(`${model}\n${normalizeText(text)}`).digest('hex');
+    return { partition: `${from}_${to}`, id: hash };
+}
+
+/**
+ * In-memory LRU tier (Map iteration order is insertion order, so the first key is least recent)
+ */
+class LruTranslationCache {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const cacheKey = `${key.partition}:${key.id}`;
+        const entry = this.entries.get(cacheKey);
+        if (!entry) {
+            return null;
+        }
+        this.entries.delete(cacheKey);
+        if (entry.expiresAt <= Date.now()) {
+            return null;
+        }
+        this.entries.set(cacheKey, entry);
+        return entry.value;
+    }
+
+    async set(key, value, expiresAt) {
+        const cacheKey = `${key.partition}:${key.id}`;
+        this.entries.delete(cacheKey);
+        this.entries.set(cacheKey, { value, expiresAt });
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    async clear() {
+        this.entries.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+/**
+ * Azure Table Storage tier
+ * PartitionKey = language pair, RowKey = hash of model and normalized text
+ */
+class AzureTableTranslationCache {
+    constructor(tableStorage = azureTableStorage, tableName = process.env.TRANSLATION_CACHE_TABLE_NAME || 'TranslationCache') {
+        this.tableStorage = tableStorage;
+        this.tableName = tableName;
+    }
+
+    async get(key) {
+        const entity = await this.tableStorage.getEntity(this.tableName, key.partition, key.id);
+        if (!entity) {
+            return null;
+        }
+        if (new Date(entity.expiresAt).getTime() <= Date.now()) {
+            this.tableStorage.deleteEntity(this.tableName, key.partition, key.id)
+                .catch(error => console.error('Error deleting expired translation:', error.message));
+            return null;
+        }
+        return entity.translatedText;
+    }
+
+    async set(key, value, expiresAt) {
+        await this.tableStorage.upsertEntity(this.tableName, {
+            partitionKey: key.partition,
+            rowKey: key.id,
+            translatedText: value,
+            expiresAt: new Date(expiresAt).toISOString()
+        });
+    }
+}
+
+/**
+ * Tiered cache with hit/miss metrics
+ * Table hits are copied into memory; storage errors count as misses so the cache never blocks translation
+ */
+class TranslationCache {
+    constructor(options = {}) {
+        this.memory = options.memory || new LruTranslationCache(options);
+        this.table = options.table || null;
+        this.ttlMs = (options.ttlMinutes || DEFAULT_TTL_MINUTES) * 60000;
+        this.maxTextLength = options.maxTextLength || 200;
+        this.resetStats();
+    }
+
+    /**
+     * Whether text may be served from (and stored in) the cache
+     * @param {string} text - Source text
+     * @param {Object} options - { cache: false } for context-dependent messages
+     * @returns {boolean}
+     */
+    isCacheable(text, options = {}) {
+        return options.cache !== false && normalizeText(text).length <= this.maxTextLength;
+    }
+
+    /**
+     * @param {Object} key - Key from buildCacheKey
+     * @returns {Promise<string|null>} - Cached translation or null
+     */
+    async get(key) {
+        const cached = await this.memory.get(key);
+        if (cached !== null) {
+            this.stats.hits.memory++;
+            return cached;
+        }
+
+        if (this.table) {
+            try {
+                const stored = await this.table.get(key);
+                if (stored !== null) {
+                    this.stats.hits.table++;
+                    await this.memory.set(key, stored, Date.now() + this.ttlMs);
+                    return stored;
+                }
+            } catch (error) {
+                console.error('Error reading translation cache table:', error.message);
+            }
+        }
+
+        this.stats.misses++;
+        return null;
+    }
+
+    /**
+     * @param {Object} key - Key from buildCacheKey
+     * @param {string} value - Translated text
+     */
+    async set(key, value) {
+        const expiresAt = Date.now() + this.ttlMs;
+        await this.memory.set(key, value, expiresAt);
+        this.stats.writes++;
+
+        if (this.table) {
+            try {
+                await this.table.set(key, value, expiresAt);
+            } catch (error) {
+                console.error('Error writing translation cache table:', error.message);
+            }
+        }
+    }
+
+    recordBypass() {
+        this.stats.bypassed++;
+    }
+
+    /**
+     * @returns {Object} - { hits: { memory, table }, misses, bypassed, writes, hitRate, entries, maxEntries, tiers }
+     */
+    getStats() {
+        const hits = this.stats.hits.memory + this.stats.hits.table;
+        const lookups = hits + this.stats.misses;
+        return {
+            hits: { ...this.stats.hits },
+            misses: this.stats.misses,
+            bypassed: this.stats.bypassed,
+            writes: this.stats.writes,
+            hitRate: lookups > 0 ? parseFloat((hits / lookups).toFixed(4)) : 0,
+            entries: this.memory.size,
+            maxEntries: this.memory.maxEntries,
+            tiers: this.table ? ['memory', 'table'] : ['memory']
+        };
+    }
+
+    resetStats() {
+        this.stats = { hits: { memory: 0, table: 0 }, misses: 0, bypassed: 0, writes: 0 };
+    }
+
+    /**
+     * Empty the in-memory tier (table entries expire by TTL)
+     */
+    async clear() {
+        await this.memory.clear();
+    }
+}
+
+/**
+ * Create the translation cache for this deployment
+ * TRANSLATION_CACHE_STORE: 'memory' (default), 'table' to add the Azure Table tier, or 'none'
+ * @returns {TranslationCache|null}
+ */
+function createTranslationCache() {
+    const store = process.env.TRANSLATION_CACHE_STORE || 'memory';
+    if (store === 'none') {
+        console.log('Translation cache disabled');
+        return null;
+    }
+
+    const useTable = store === 'table' && azureTableStorage.isConfigured();
+    if (store === 'table' && !useTable) {
+        console.warn('⚠️  TRANSLATION_CACHE_STORE=table but Azure Table Storage is not configured - using memory only');
+    }
+
+    return new TranslationCache({
+        maxEntries: parseInt(process.env.TRANSLATION_CACHE_MAX_ENTRIES) || undefined,
+        ttlMinutes: parseInt(process.env.TRANSLATION_CACHE_TTL_MINUTES) || undefined,
+        maxTextLength: parseInt(process.env.TRANSLATION_CACHE_MAX_TEXT_LENGTH) || undefined,
+        table: useTable ? new AzureTableTranslationCache() : null
+    });
+}
+
+module.exports = {
+    LruTranslationCache,
+    AzureTableTranslationCache,
+    TranslationCache,
+    buildCacheKey,
+    normalizeText,
+    createTranslationCache
+};
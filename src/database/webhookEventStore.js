@@ -0,0 +1,128 @@
+const { odata } = require('@azure/data-tables');
+const { azureTableStorage } = require('./azureTableStorage');
+
+/**
+ * Processed webhook event store
+ * Records the IDs of webhook events (LINE webhookEventId, WeCom MsgId) that have been
+ * claimed for processing, so redelivered events can be skipped. claim() is atomic per
+ * store: when several instances receive the same event, exactly one of them gets true.
+ * Records expire after the TTL passed to claim().
+ */
+
+/**
+ * In-memory store (tests, local development and single-instance deployments)
+ */
+class InMemoryWebhookEventStore {
+    constructor() {
+        this.entries = new Map(); // 'platform:eventId' -> expiresAt (ms), in insertion order
+    }
+
+    /**
+     * @param {Object} key - { platform, eventId }
+     * @param {number} expiresAt - Expiry (ms since epoch)
+     * @returns {Promise<boolean>} - True if claimed, false if already claimed and not expired
+     */
+    async claim(key, expiresAt) {
+        const id = `${key.platform}:${key.eventId}`;
+        const existing = this.entries.get(id);
+        if (existing !== undefined && existing > Date.now()) {
+            return false;
+        }
+
+        this.entries.delete(id);
+        this.entries.set(id, expiresAt);
+        return true;
+    }
+
+    /**
+     * Drop expired records (entries share one TTL, so the oldest come first)
+     * @returns {Promise<number>} - Records removed
+     */
+    async purgeExpired() {
+        let removed = 0;
+        for (const [id, expiresAt] of this.entries) {
+            if (expiresAt > Date.now()) {
+                break;
+            }
+            this.entries.delete(id);
+            removed++;
+        }
+        return removed;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+/**
+ * Azure Table Storage store shared by every instance
+ * PartitionKey = platform, RowKey = URI-encoded event ID
+ */
+class AzureTableWebhookEventStore {
+    constructor(tableStorage = azureTableStorage, tableName = process.env.WEBHOOK_EVENTS_TABLE_NAME || 'ProcessedWebhookEvents') {
+        this.tableStorage = tableStorage;
+        this.tableName = tableName;
+    }
+
+    async claim(key, expiresAt) {
+        const entity = {
+            partitionKey: key.platform,
+            rowKey: encodeURIComponent(key.eventId),
+            expiresAt: new Date(expiresAt).toISOString(),
+            claimedAt: new Date().toISOString()
+        };
+        if (await this.tableStorage.createEntity(this.tableName, entity)) {
+            return true;
+        }
+
+        const existing = await this.tableStorage.getEntity(this.tableName, entity.partitionKey, entity.rowKey);
+        if (existing && new Date(existing.expiresAt).getTime() > Date.now()) {
+            return false;
+        }
+
+        // Expired: replace it, unless another instance got there first
+        if (existing) {
+            const deleted = await this.tableStorage.deleteEntity(this.tableName, entity.partitionKey, entity.rowKey, {
+                etag: existing.etag
+            });
+            if (!deleted) {
+                return false;
+            }
+        }
+        return await this.tableStorage.createEntity(this.tableName, entity);
+    }
+
+    async purgeExpired() {
+        const expired = await this.tableStorage.listEntities(this.tableName, {
+            filter: odata`expiresAt lt ${new Date().toISOString()}`
+        });
+        for (const entity of expired) {
+            await this.tableStorage.deleteEntity(this.tableName, entity.partitionKey, entity.rowKey, { etag: entity.etag });
+        }
+        return expired.length;
+    }
+}
+
+/**
+ * Create the processed event store for this deployment
+ * Uses Azure Table Storage when a connection string is configured, so instances share it
+ * @param {Object} options - { label } to reuse the store for other claims (e.g. delivery retries)
+ * @returns {InMemoryWebhookEventStore|AzureTableWebhookEventStore}
+ */
+function createWebhookEventStore(options = {}) {
+    const label = options.label || 'processed webhook events';
+    if (process.env.WEBHOOK_EVENT_STORE !== 'memory' && azureTableStorage.isConfigured()) {
+        console.log(`Using Azure Table Storage for ${label}`);
+        return new AzureTableWebhookEventStore();
+    }
+
+    console.log(`Using in-memory store for ${label} (not shared between instances)`);
+    return new InMemoryWebhookEventStore();
+}
+
+module.exports = {
+    InMemoryWebhookEventStore,
+    AzureTableWebhookEventStore,
+    createWebhookEventStore
+};
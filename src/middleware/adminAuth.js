@@ -0,0 +1,41 @@
+// Authentication for admin endpoints
+// Accepts ADMIN_API_KEY as "Authorization: Bearer <key>" or "X-API-Key: <key>"
+
+const crypto = require('crypto');
+
+function extractApiKey(req) {
+    const authorization = req.headers['authorization'] || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+    return req.headers['x-api-key'] || '';
+}
+
+function safeEqual(a, b) {
+    // Hash both values so timingSafeEqual gets equal-length buffers
+    const hashA = crypto.createHash('sha256').update(a).digest();
+    const hashB = crypto.createHash('sha256').update(b).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+module.exports = (req, res, next) => {
+    const adminApiKey = process.env.ADMIN_API_KEY;
+    if (!adminApiKey) {
+        console.error('❌ ADMIN_API_KEY not configured - admin API disabled');
+        return res.status(503).json({
+            error: 'Admin API not configured',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const providedKey = extractApiKey(req);
+    if (!providedKey || !safeEqual(providedKey, adminApiKey)) {
+        console.warn(`Rejected unauthenticated admin request: ${req.method} ${req.originalUrl}`);
+        return res.status(401).json({
+            error: 'Unauthorized',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    next();
+};
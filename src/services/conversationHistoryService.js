@@ -0,0 +1,74 @@
+/**
+ * Rolling per-conversation message history used as translation context
+ * Keeps the last few relayed messages of each LINE <-> WeCom conversation in memory
+ * (keyed by getConversationId); older and stale messages drop off automatically.
+ * History is per instance and is not persisted - it only needs to cover the last few minutes.
+ */
+
+function parseCount(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+class ConversationHistoryService {
+    constructor(options = {}) {
+        // 0 disables context
+        this.maxMessages = parseCount(options.maxMessages ?? process.env.TRANSLATION_CONTEXT_MESSAGES, 6);
+        this.maxAgeMs = parseCount(options.maxAgeMinutes ?? process.env.TRANSLATION_CONTEXT_MAX_AGE_MINUTES, 60) * 60000;
+        this.maxConversations = options.maxConversations || 1000;
+        this.conversations = new Map(); // conversationId -> [{ speaker, text, at }], least recently active first
+    }
+
+    /**
+     * Append a relayed message to a conversation's history
+     * @param {string} conversationId - Conversation ID (see getConversationId)
+     * @param {Object} message - { speaker, text } where speaker labels the sender in prompts
+     */
+    addMessage(conversationId, { speaker, text }) {
+        if (this.maxMessages === 0 || !conversationId || !text) {
+            return;
+        }
+
+        const messages = this.conversations.get(conversationId) || [];
+        messages.push({ speaker, text, at: Date.now() });
+        if (messages.length > this.maxMessages) {
+            messages.splice(0, messages.length - this.maxMessages);
+        }
+
+        // Re-insert so the Map stays ordered by activity, then evict the least recent
+        this.conversations.delete(conversationId);
+        this.conversations.set(conversationId, messages);
+        if (this.conversations.size > this.maxConversations) {
+            this.conversations.delete(this.conversations.keys().next().value);
+        }
+    }
+
+    /**
+     * Recent messages in a conversation, oldest first
+     * @param {string} conversationId - Conversation ID
+     * @returns {Array<Object>} - [{ speaker, text }]
+     */
+    getRecentMessages(conversationId) {
+        const messages = this.conversations.get(conversationId) || [];
+        const cutoff = Date.now() - this.maxAgeMs;
+        return messages
+            .filter(message => message.at > cutoff)
+            .map(({ speaker, text }) => ({ speaker, text }));
+    }
+
+    /**
+     * Forget a conversation's history
+     * @param {string} conversationId - Conversation ID
+     */
+    clear(conversationId) {
+        this.conversations.delete(conversationId);
+    }
+}
+
+// Singleton instance
+const conversationHistoryService = new ConversationHistoryService();
+
+module.exports = {
+    ConversationHistoryService,
+    conversationHistoryService
+};
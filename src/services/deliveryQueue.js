@@ -0,0 +1,358 @@
+const crypto = require('crypto');
+const lineRelay = require('../api/lineRelay');
+const wechatRelay = require('../api/wechatRelay');
+const { createMappingStore } = require('../database/mappingStore');
+const { createWebhookEventStore } = require('../database/webhookEventStore');
+
+/**
+ * Outbound delivery queue
+ * Messages to LINE and WeCom are sent through deliver(): the first attempt is made right
+ * away; if it fails with an error worth retrying (network, 5xx, rate limit, expired token)
+ * the job is stored and retried with exponential backoff and jitter. Jobs that fail
+ * permanently or run out of attempts are kept as dead letters for inspection and replay
+ * (see /admin/deliveries). Stored jobs survive restarts: start() picks them up again.
+ * Every instance retries stored jobs, so each retry is claimed first (in the processed
+ * webhook event store, partition 'delivery') and made by only one of them.
+ */
+
+const RECORD_TYPES = {
+    PENDING: 'pending',
+    DEAD_LETTER: 'deadLetter'
+};
+
+// WeCom errcodes worth retrying; everything else (bad recipient, invalid message, ...) is permanent
+const WECOM_RETRYABLE_ERRCODES = {
+    '-1': 'server_busy',
+    40001: 'token_invalid',
+    40014: 'token_invalid', // the relay clears the cached token, so the retry fetches a new one
+    42001: 'token_expired',
+    45009: 'rate_limited', // API call frequency limit
+    45033: 'rate_limited' // concurrent call limit
+};
+// WeCom frequency limits are per minute; retrying sooner only burns attempts
+const WECOM_RATE_LIMIT_DELAY_MS = 60000;
+
+// A retry claimed by an instance that stopped mid-attempt can be taken over after this long
+const CLAIM_TTL_MS = 5 * 60000;
+
+const NETWORK_ERROR_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'ERR_NETWORK'];
+
+// Errors thrown before a request was made (validation, missing configuration) are permanent
+function classifyHttpError(error) {
+    const status = error.response?.status;
+    if (status === 429) {
+        const retryAfter = parseInt(error.response.headers?.['retry-after'], 10);
+        return { retryable: true, reason: 'rate_limited', delayMs: retryAfter > 0 ? retryAfter * 1000 : 0 };
+    }
+    if (status >= 500) {
+        return { retryable: true, reason: 'server_error' };
+    }
+    if (status) {
+        return { retryable: false, reason: `http_${status}` };
+    }
+    if (NETWORK_ERROR_CODES.includes(error.code) || error.isAxiosError) {
+        return { retryable: true, reason: 'network' };
+    }
+    return { retryable: false, reason: 'rejected' };
+}
+
+/**
+ * Classify a LINE Messaging API error
+ * @param {Error} error - Error thrown by lineRelay
+ * @returns {Object} - { retryable, reason, delayMs? }
+ */
+function classifyLineError(error) {
+    // The monthly push quota only resets next month
+    if (error.response?.status === 429 && /monthly limit/i.test(error.response.data?.message || '')) {
+        return { retryable: false, reason: 'quota_exceeded' };
+    }
+    return classifyHttpError(error);
+}
+
+/**
+ * Classify a WeCom API error
+ * @param {Error} error - Error thrown by wechatRelay (errcode is set for API errors)
+ * @returns {Object} - { retryable, reason, delayMs? }
+ */
+function classifyWeComError(error) {
+    if (error.errcode === undefined) {
+        return classifyHttpError(error);
+    }
+    const reason = WECOM_RETRYABLE_ERRCODES[error.errcode];
+    if (!reason) {
+        return { retryable: false, reason: `errcode_${error.errcode}` };
+    }
+    return { retryable: true, reason, delayMs: reason === 'rate_limited' ? WECOM_RATE_LIMIT_DELAY_MS : 0 };
+}
+
+// What each kind of job sends; the relay modules are looked up at call time
+// Handlers with retryKey get a UUID in the payload that stays the same across retries
+const DELIVERY_HANDLERS = {
+    'line.push': {
+        retryKey: true,
+        send: ({ to, message, retryKey }) => lineRelay.sendLinePush(to, message, { retryKey }),
+        classify: classifyLineError
+    },
+    'wechat.message': {
+        send: ({ to, message }) => wechatRelay.sendWeComMessage({ to, message }),
+        classify: classifyWeComError
+    },
+    'wechat.appchat': {
+        send: ({ chatId, message }) => wechatRelay.sendWeComAppChatMessage(chatId, message),
+        classify: classifyWeComError
+    }
+};
+
+class DeliveryQueue {
+    constructor(store = createMappingStore({
+        tableName: process.env.DELIVERY_QUEUE_TABLE_NAME || 'OutboundDeliveries',
+        label: 'outbound deliveries'
+    }), options = {}) {
+        this.store = store;
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.DELIVERY_MAX_ATTEMPTS) || 6;
+        this.baseDelayMs = options.baseDelayMs || parseInt(process.env.DELIVERY_RETRY_BASE_MS) || 2000;
+        this.maxDelayMs = options.maxDelayMs || parseInt(process.env.DELIVERY_RETRY_MAX_MS) || 10 * 60000;
+        this.random = options.random || Math.random;
+        this.claimStore = options.claimStore || createWebhookEventStore({ label: 'outbound delivery claims' });
+
+        this.started = false;
+        this.timer = null;
+        this.timerAt = null;
+        this.processing = null;
+    }
+
+    /**
+     * Send a message, queueing it for retry if the attempt fails transiently
+     * @param {string} kind - 'line.push' ({ to, message }), 'wechat.message' ({ to, message })
+     *   or 'wechat.appchat' ({ chatId, message })
+     * @param {Object} payload - Arguments for the send
+     * @returns {Promise<Object>} - { status: 'delivered', id, result }, { status: 'queued', id, error }
+     *   when a retry is scheduled, or { status: 'failed', id, error } when it was dead-lettered
+     */
+    async deliver(kind, payload) {
+        const handler = DELIVERY_HANDLERS[kind];
+        if (!handler) {
+            throw new Error(`Unknown delivery kind: ${kind}`);
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            kind,
+            payload: handler.retryKey ? { ...payload, retryKey: crypto.randomUUID() } : payload,
+            attempts: 0,
+            createdAt: new Date().toISOString()
+        };
+        return await this._attempt(job);
+    }
+
+    /**
+     * Backoff before the next attempt: exponential, capped, with jitter over the upper half
+     * @param {number} attempts - Attempts made so far
+     * @param {Object} failure - Classification of the last failure (delayMs is a minimum)
+     * @returns {number} - Delay in milliseconds
+     */
+    getRetryDelay(attempts, failure = {}) {
+        const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempts - 1));
+        const jittered = Math.round(exponential / 2 + this.random() * exponential / 2);
+        return Math.max(jittered, failure.delayMs || 0);
+    }
+
+    /**
+     * Start retrying stored jobs, including those left over from before a restart
+     */
+    async start() {
+        this.started = true;
+        await this.processDue();
+    }
+
+    stop() {
+        this.started = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.timerAt = null;
+    }
+
+    /**
+     * Retry every stored job whose backoff has passed
+     * @returns {Promise<void>}
+     */
+    async processDue() {
+        if (!this.processing) {
+            this.processing = this._processDue().finally(() => {
+                this.processing = null;
+            });
+        }
+        return await this.processing;
+    }
+
+    async listPending() {
+        const records = await this.store.list(RECORD_TYPES.PENDING);
+        return records.map(({ value }) => value).sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+    }
+
+    /**
+     * @param {Object} options - { limit } dead letters to return, newest first
+     * @returns {Promise<Array<Object>>}
+     */
+    async listDeadLetters({ limit } = {}) {
+        const records = await this.store.list(RECORD_TYPES.DEAD_LETTER);
+        const deadLetters = records
+            .map(({ value }) => value)
+            .sort((a, b) => b.deadAt.localeCompare(a.deadAt));
+        return limit ? deadLetters.slice(0, limit) : deadLetters;
+    }
+
+    async getDeadLetter(id) {
+        return await this.store.get(RECORD_TYPES.DEAD_LETTER, id);
+    }
+
+    /**
+     * Send a dead letter again with a fresh set of attempts
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} - Same result as deliver(), or null if there is no such dead letter
+     */
+    async replayDeadLetter(id) {
+        const deadLetter = await this.getDeadLetter(id);
+        if (!deadLetter) {
+            return null;
+        }
+
+        await this.store.delete(RECORD_TYPES.DEAD_LETTER, id);
+        console.log(`Replaying dead-lettered ${deadLetter.kind} delivery ${id}`);
+        const { deadAt, lastError, nextAttemptAt, ...job } = deadLetter;
+        return await this._attempt({ ...job, attempts: 0, replayedAt: new Date().toISOString() });
+    }
+
+    async deleteDeadLetter(id) {
+        return await this.store.delete(RECORD_TYPES.DEAD_LETTER, id);
+    }
+
+    /**
+     * @returns {Promise<Object>} - { pending, deadLetters, nextAttemptAt }
+     */
+    async getStats() {
+        const [pending, deadLetters] = await Promise.all([
+            this.listPending(),
+            this.store.list(RECORD_TYPES.DEAD_LETTER)
+        ]);
+        return {
+            pending: pending.length,
+            deadLetters: deadLetters.length,
+            nextAttemptAt: pending.length > 0 ? new Date(pending[0].nextAttemptAt).toISOString() : null
+        };
+    }
+
+    /**
+     * @private
+     */
+    async _attempt(job) {
+        const handler = DELIVERY_HANDLERS[job.kind];
+        job.attempts++;
+
+        let failure;
+        try {
+            const result = await handler.send(job.payload);
+            if (result) {
+                if (job.attempts > 1 || job.replayedAt) {
+                    await this.store.delete(RECORD_TYPES.PENDING, job.id);
+                    console.log(`Delivered ${job.kind} ${job.id} on attempt ${job.attempts}`);
+                }
+                return { status: 'delivered', id: job.id, result };
+            }
+            // The relay functions return null for requests they refuse to send
+            failure = { retryable: false, reason: 'rejected', message: 'Not sent (missing recipient, message or configuration)' };
+        } catch (error) {
+            failure = { ...handler.classify(error), message: error.message };
+        }
+
+        job.lastError = { reason: failure.reason, message: failure.message, at: new Date().toISOString() };
+
+        if (failure.retryable && job.attempts < this.maxAttempts) {
+            const delayMs = this.getRetryDelay(job.attempts, failure);
+            job.nextAttemptAt = Date.now() + delayMs;
+            await this.store.set(RECORD_TYPES.PENDING, job.id, job);
+            this._schedule(job.nextAttemptAt);
+            console.warn(`${job.kind} ${job.id} failed (${failure.reason}), attempt ${job.attempts}/${this.maxAttempts}; retrying in ${delayMs}ms`);
+            return { status: 'queued', id: job.id, error: failure.message };
+        }
+
+        await this.store.set(RECORD_TYPES.DEAD_LETTER, job.id, { ...job, deadAt: new Date().toISOString() });
+        await this.store.delete(RECORD_TYPES.PENDING, job.id);
+        console.error(`${job.kind} ${job.id} dead-lettered after ${job.attempts} attempt(s): ${failure.message}`);
+        return { status: 'failed', id: job.id, error: failure.message };
+    }
+
+    /**
+     * @private
+     */
+    async _processDue() {
+        for (const job of await this.listPending()) {
+            if (job.nextAttemptAt > Date.now()) {
+                // Pending jobs are sorted, so the rest are later still
+                this._schedule(job.nextAttemptAt);
+                return;
+            }
+            const claimed = await this._claim(job);
+            if (claimed) {
+                await this._attempt(claimed);
+            }
+        }
+    }
+
+    /**
+     * Claim a stored job's next attempt so only one instance makes it
+     * @returns {Promise<Object|null>} - The job as stored, or null if another instance has it
+     * @private
+     */
+    async _claim(job) {
+        const key = { platform: 'delivery', eventId: `${job.id}:${job.attempts}` };
+        if (!await this.claimStore.claim(key, Date.now() + CLAIM_TTL_MS)) {
+            return null;
+        }
+
+        // Another instance may have made this attempt between listing and claiming
+        const current = await this.store.get(RECORD_TYPES.PENDING, job.id);
+        return current && current.attempts === job.attempts ? current : null;
+    }
+
+    // One timer for the earliest retry; only runs once start() has been called
+    _schedule(at) {
+        if (!this.started || (this.timer && this.timerAt <= at)) {
+            return;
+        }
+
+        clearTimeout(this.timer);
+        this.timerAt = at;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.timerAt = null;
+            this.processDue().catch(error => console.error('Error retrying outbound deliveries:', error.message));
+        }, Math.max(0, at - Date.now()));
+        this.timer.unref?.();
+    }
+}
+
+/**
+ * Message log fields for a delivery (see logMessage)
+ * @param {Object} delivery - Result of deliver()
+ * @returns {Object} - { outcome: 'relayed' | 'queued' | 'failed', targetMessageId, error? }
+ */
+function deliveryAuditFields(delivery) {
+    const result = delivery.result || {};
+    return {
+        outcome: { delivered: 'relayed', queued: 'queued', failed: 'failed' }[delivery.status],
+        targetMessageId: result.msgid || result.sentMessages?.[0]?.id,
+        ...(delivery.error && { error: delivery.error })
+    };
+}
+
+// Singleton instance
+const deliveryQueue = new DeliveryQueue();
+
+module.exports = {
+    DeliveryQueue,
+    deliveryQueue,
+    deliveryAuditFields,
+    classifyLineError,
+    classifyWeComError
+};
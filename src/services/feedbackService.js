@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const { createMappingStore } = require('../database/mappingStore');
+
+/**
+ * Translation quality feedback
+ * Relayed translations are remembered in memory for a day under a short reference. A LINE
+ * recipient flags one by tapping the quick reply under it (a postback carrying the reference,
+ * see buildQuickReply); a LINE or WeCom user can also send /feedback, which flags the last
+ * translation relayed to them, or to the group they send it in. "/feedback <text>" adds a correction - to the report the user
+ * just made, or as a new report. Reports keep the source text, translation, languages,
+ * provider and model, persist in their own table and are summarized by getReport().
+ */
+
+const RECORD_TYPE = 'feedback';
+const POSTBACK_ACTION = 'translationFeedback';
+const QUICK_REPLY_LABEL = '翻訳がおかしい';
+
+// A correction sent this soon after flagging a translation is added to that report
+const CORRECTION_WINDOW_MS = 10 * 60000;
+
+const REPLIES = {
+    line: {
+        recorded: '🙏 翻訳の問題を報告しました。正しい訳があれば「/feedback 正しい訳」で送ってください (Thanks, reported. Send "/feedback <correct translation>" to suggest a fix)',
+        corrected: '🙏 修正案を記録しました (Thanks, your correction was recorded)',
+        missing: '報告できる最近の翻訳がありません (No recent translation to report)'
+    },
+    wechat: {
+        recorded: '🙏 已记录翻译问题。如有正确译文，请发送“/feedback 正确译文” (Thanks, reported. Send "/feedback <correct translation>" to suggest a fix)',
+        corrected: '🙏 已记录您的修改建议 (Thanks, your correction was recorded)',
+        missing: '没有可以反馈的最近翻译 (No recent translation to report)'
+    }
+};
+
+// Group phrases that differ only in case and spacing
+function normalizePhrase(text) {
+    return text.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function countBy(values) {
+    const counts = {};
+    for (const value of values) {
+        counts[value] = (counts[value] || 0) + 1;
+    }
+    return counts;
+}
+
+class FeedbackService {
+    constructor(store = createMappingStore({
+        tableName: process.env.FEEDBACK_TABLE_NAME || 'TranslationFeedback',
+        label: 'translation feedback'
+    }), options = {}) {
+        this.store = store;
+        this.quickReplyEnabled = options.quickReply ?? process.env.TRANSLATION_FEEDBACK_QUICK_REPLY === 'true';
+        this.relayTtlMs = (options.relayTtlHours || 24) * 3600000;
+        this.maxRelays = options.maxRelays || 2000;
+
+        this.relays = new Map(); // ref -> relay, oldest first
+        this.latestRelays = new Map(); // platform:recipientId -> ref of the last relay they received
+        this.recentReports = new Map(); // platform:userId -> { id, ref, at } of the last report they made
+    }
+
+    /**
+     * Remember a relayed translation so recipients can report it
+     * @param {Object} relay - { platform, recipientId } of who received it (user or group),
+     *   { sourceText, translation } with the result of translationService.translateWithDetails
+     * @returns {string|null} - Reference for the relay, or null for untranslated text
+     */
+    rememberRelay({ platform, recipientId, sourceText, translation }) {
+        if (!translation?.provider || !recipientId) {
+            return null;
+        }
+
+        const ref = crypto.randomBytes(6).toString('hex');
+        this.relays.set(ref, {
+            ref,
+            platform,
+            recipientId,
+            sourceText,
+            translatedText: translation.text,
+            from: translation.from,
+            to: translation.to,
+            provider: translation.provider,
+            model: translation.model,
+            relayedAt: Date.now()
+        });
+        this.latestRelays.set(`${platform}:${recipientId}`, ref);
+        if (this.relays.size > this.maxRelays) {
+            this.relays.delete(this.relays.keys().next().value);
+        }
+        return ref;
+    }
+
+    /**
+     * LINE quick reply for flagging a relayed translation
+     * Tapping it sends a postback and opens the keyboard with "/feedback " filled in for a correction
+     * @param {string} ref - Reference from rememberRelay
+     * @returns {Object|null} - quickReply object, or null when quick replies are disabled
+     */
+    buildQuickReply(ref) {
+        if (!this.quickReplyEnabled || !ref) {
+            return null;
+        }
+        return {
+            items: [{
+                type: 'action',
+                action: {
+                    type: 'postback',
+                    label: QUICK_REPLY_LABEL,
+                    data: new URLSearchParams({ action: POSTBACK_ACTION, ref }).toString(),
+                    displayText: QUICK_REPLY_LABEL,
+                    inputOption: 'openKeyboard',
+                    fillInText: '/feedback '
+                }
+            }]
+        };
+    }
+
+    /**
+     * Add the feedback quick reply to a LINE message when enabled
+     * @param {string|Object} message - Text or LINE message object
+     * @param {string} ref - Reference from rememberRelay
+     * @returns {string|Object} - The message, with quickReply when one applies
+     */
+    withQuickReply(message, ref) {
+        const quickReply = this.buildQuickReply(ref);
+        if (!quickReply) {
+            return message;
+        }
+        const lineMessage = typeof message === 'string' ? { type: 'text', text: message } : message;
+        return { ...lineMessage, quickReply };
+    }
+
+    /**
+     * Parse a feedback command from message text
+     * @param {string} text - Message text
+     * @returns {{ correction: string|null }|null} - Parsed command or null
+     */
+    parseCommand(text) {
+        if (!text || typeof text !== 'string') {
+            return null;
+        }
+        const match = text.trim().match(/^[/／](?:feedback|反馈|フィードバック)(?:\s+([\s\S]+))?$/i);
+        return match ? { correction: match[1] ? match[1].trim() : null } : null;
+    }
+
+    /**
+     * Handle a LINE postback; only translation feedback postbacks are recognized
+     * @param {string} userId - LINE user who tapped
+     * @param {string} data - Postback data
+     * @returns {Promise<Object|null>} - { reply }, or null if the postback is not feedback
+     */
+    async handlePostback(userId, data) {
+        const params = new URLSearchParams(data || '');
+        if (params.get('action') !== POSTBACK_ACTION) {
+            return null;
+        }
+        return await this._report('line', userId, this.relays.get(params.get('ref')), null);
+    }
+
+    /**
+     * Handle a /feedback command from a LINE or WeCom user
+     * @param {string} platform - 'line' or 'wechat'
+     * @param {string} userId - Sender's user ID on that platform
+     * @param {string} text - Message text
+     * @param {Object} options - { chatId } of the group or room the command was sent in
+     * @returns {Promise<Object|null>} - { reply }, or null if the text is not a feedback command
+     */
+    async handleCommand(platform, userId, text, { chatId } = {}) {
+        const parsed = this.parseCommand(text);
+        if (!parsed || !REPLIES[platform] || !userId) {
+            return null;
+        }
+
+        // A correction following a quick-reply report belongs to that report
+        const recent = this.recentReports.get(`${platform}:${userId}`);
+        if (recent && Date.now() - recent.at < CORRECTION_WINDOW_MS) {
+            if (parsed.correction && await this._addCorrection(recent.id, parsed.correction)) {
+                this.recentReports.delete(`${platform}:${userId}`);
+                return { reply: REPLIES[platform].corrected };
+            }
+            if (!parsed.correction) {
+                return { reply: REPLIES[platform].recorded };
+            }
+        }
+
+        // Group relays are remembered under the group, not the members who read them
+        const ref = this.latestRelays.get(`${platform}:${chatId || userId}`);
+        return await this._report(platform, userId, this.relays.get(ref), parsed.correction);
+    }
+
+    /**
+     * @param {Object} options - { limit } stored reports to return, newest first
+     * @returns {Promise<Array<Object>>}
+     */
+    async listFeedback({ limit } = {}) {
+        const records = await this.store.list(RECORD_TYPE);
+        const feedback = records
+            .map(({ value }) => value)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        return limit ? feedback.slice(0, limit) : feedback;
+    }
+
+    /**
+     * Summarize reports: the most reported language pairs and phrases
+     * @param {Object} options - { since } ISO date to start from; { limit } entries per list (default 10)
+     * @returns {Promise<Object>} - { total, corrected, languagePairs, phrases }
+     */
+    async getReport({ since, limit = 10 } = {}) {
+        const feedback = (await this.listFeedback())
+            .filter(entry => !since || entry.createdAt >= since);
+
+        const pairs = new Map();
+        const phrases = new Map();
+        for (const entry of feedback) {
+            const pairKey = `${entry.from}>${entry.to}`;
+            const pair = pairs.get(pairKey) || { from: entry.from, to: entry.to, reports: 0, corrected: 0, providers: [] };
+            pair.reports++;
+            pair.corrected += entry.correction ? 1 : 0;
+            pair.providers.push(entry.model ? `${entry.provider}/${entry.model}` : entry.provider);
+            pairs.set(pairKey, pair);
+
+            const phraseKey = `${pairKey}:${normalizePhrase(entry.sourceText)}`;
+            const phrase = phrases.get(phraseKey)
+                || { sourceText: entry.sourceText, from: entry.from, to: entry.to, reports: 0, translations: [], corrections: [] };
+            phrase.reports++;
+            phrase.translations = [...new Set([...phrase.translations, entry.translatedText])];
+            if (entry.correction) {
+                phrase.corrections = [...new Set([...phrase.corrections, entry.correction])];
+            }
+            phrases.set(phraseKey, phrase);
+        }
+
+        const mostReported = (a, b) => b.reports - a.reports;
+        return {
+            total: feedback.length,
+            corrected: feedback.filter(entry => entry.correction).length,
+            languagePairs: [...pairs.values()]
+                .map(pair => ({ ...pair, providers: countBy(pair.providers) }))
+                .sort(mostReported)
+                .slice(0, limit),
+            phrases: [...phrases.values()].sort(mostReported).slice(0, limit)
+        };
+    }
+
+    /**
+     * Store a report for a relay
+     * @private
+     */
+    async _report(platform, userId, relay, correction) {
+        if (!relay || Date.now() - relay.relayedAt > this.relayTtlMs) {
+            return { reply: REPLIES[platform].missing };
+        }
+
+        // Tapping the quick reply twice shouldn't count twice
+        const key = `${platform}:${userId}`;
+        const recent = this.recentReports.get(key);
+        if (recent && recent.ref === relay.ref && !correction) {
+            return { reply: REPLIES[platform].recorded };
+        }
+
+        const entry = {
+            id: crypto.randomUUID(),
+            platform,
+            userId,
+            recipientId: relay.recipientId,
+            sourceText: relay.sourceText,
+            translatedText: relay.translatedText,
+            from: relay.from,
+            to: relay.to,
+            provider: relay.provider,
+            model: relay.model || null,
+            correction: correction || null,
+            relayedAt: new Date(relay.relayedAt).toISOString(),
+            createdAt: new Date().toISOString()
+        };
+        await this.store.set(RECORD_TYPE, entry.id, entry);
+        console.log(`Translation feedback ${entry.id} from ${platform} user ${userId} (${entry.from} -> ${entry.to}, ${entry.provider})`);
+
+        if (correction) {
+            this.recentReports.delete(key);
+            return { reply: REPLIES[platform].corrected };
+        }
+        this.recentReports.set(key, { id: entry.id, ref: relay.ref, at: Date.now() });
+        return { reply: REPLIES[platform].recorded };
+    }
+
+    /**
+     * @private
+     */
+    async _addCorrection(id, correction) {
+        const entry = await this.store.get(RECORD_TYPE, id);
+        if (!entry) {
+            return false;
+        }
+        await this.store.set(RECORD_TYPE, id, { ...entry, correction, correctedAt: new Date().toISOString() });
+        return true;
+    }
+}
+
+// Singleton instance
+const feedbackService = new FeedbackService();
+
+module.exports = {
+    FeedbackService,
+    feedbackService
+};
@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+const { createMappingStore } = require('../database/mappingStore');
+const { CODE_PATTERN } = require('../utils/translationSkip');
+
+/**
+ * Glossaries for translation
+ * A glossary holds term pairs across the relay's languages, do-not-translate terms and
+ * extra protected-token patterns. The 'default' glossary applies to every translation;
+ * a mapping's glossaryId adds a team glossary on top of it.
+ *
+ * Before translation, protected tokens (code, URLs, emails, @mentions, order numbers and custom
+ * patterns) and do-not-translate terms are replaced with {{n}} placeholders, restored
+ * verbatim afterwards. Glossary terms found in the text are passed to providers that
+ * support them (capabilities.glossary) to enforce in the prompt; for other providers the
+ * term itself is masked and restored as its target-language form.
+ */
+
+const RECORD_TYPE = 'glossary';
+const DEFAULT_GLOSSARY_ID = 'default';
+const GLOSSARY_LANGUAGES = ['ja', 'zh-CN', 'zh-TW', 'en'];
+const GLOSSARY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Stored glossaries are re-read after this long so edits made on other instances show up
+const GLOSSARY_REFRESH_MS = 60000;
+
+// Tokens that are never translated, in the order they are masked
+const DEFAULT_PROTECTED_PATTERNS = [
+    { name: 'code', pattern: CODE_PATTERN },
+    { name: 'url', pattern: /https?:\/\/[^\s<>"]+/g },
+    { name: 'email', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+    // Latin-script handles only: Japanese and Chinese text has no spaces to end a name, so
+    // CJK mentions are protected from the offsets LINE sends with the message instead
+    { name: 'mention', pattern: /@[\w.-]+/g },
+    { name: 'orderNumber', pattern: /\b[A-Z]{1,5}-?\d{3,}(?:-[A-Z0-9]+)*\b/g }
+];
+
+// Placeholders as providers may return them: {{0}}, {{ 0 }} or full-width ｛｛0｝｝
+const PLACEHOLDER_PATTERN = /[{｛]{2}\s*(\d+)\s*[}｝]{2}/g;
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// A term's Latin-script ends only match at word boundaries, so "AI" is not found inside
+// "said"; Japanese and Chinese have no spaces between words, so CJK ends match anywhere
+const LATIN_WORD_CHAR = /[\p{Script=Latin}\p{N}_]/u;
+
+function termPattern(term) {
+    const before = LATIN_WORD_CHAR.test(term[0]) ? '(?<![\\p{Script=Latin}\\p{N}_])' : '';
+    const after = LATIN_WORD_CHAR.test(term[term.length - 1]) ? '(?![\\p{Script=Latin}\\p{N}_])' : '';
+    return new RegExp(`${before}${escapeRegExp(term)}${after}`, 'giu');
+}
+
+// Short hash of what a glossary changes in translations (timestamps can collide between quick edits)
+function contentHash({ terms, doNotTranslate, protectedPatterns }) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([terms, doNotTranslate, protectedPatterns]))
+        .digest('hex')
+        .slice(0, 12);
+}
+
+/**
+ * Check an admin-supplied glossary, returning an error message if invalid
+ * @param {Object} body - { name?, terms?, doNotTranslate?, protectedPatterns? }
+ * @returns {string|null}
+ */
+function validateGlossary(body) {
+    const { name, terms = [], doNotTranslate = [], protectedPatterns = [] } = body || {};
+
+    if (name !== undefined && typeof name !== 'string') {
+        return 'name must be a string';
+    }
+    if (!Array.isArray(terms)) {
+        return 'terms must be an array';
+    }
+    for (const [index, term] of terms.entries()) {
+        if (!term || typeof term !== 'object') {
+            return `terms[${index}] must be an object`;
+        }
+        const languages = Object.keys(term);
+        const unknown = languages.find(language => !GLOSSARY_LANGUAGES.includes(language));
+        if (unknown) {
+            return `terms[${index}] has unsupported language ${unknown} (use ${GLOSSARY_LANGUAGES.join(', ')})`;
+        }
+        if (languages.length < 2 || languages.some(language => typeof term[language] !== 'string' || !term[language].trim())) {
+            return `terms[${index}] needs non-empty text in at least two languages`;
+        }
+    }
+    if (!Array.isArray(doNotTranslate) || doNotTranslate.some(term => typeof term !== 'string' || !term.trim())) {
+        return 'doNotTranslate must be an array of non-empty strings';
+    }
+    if (!Array.isArray(protectedPatterns)) {
+        return 'protectedPatterns must be an array';
+    }
+    for (const [index, entry] of protectedPatterns.entries()) {
+        if (!entry || typeof entry.pattern !== 'string' || !entry.pattern) {
+            return `protectedPatterns[${index}].pattern is required`;
+        }
+        try {
+            new RegExp(entry.pattern, entry.flags);
+        } catch (error) {
+            return `protectedPatterns[${index}] is not a valid regular expression: ${error.message}`;
+        }
+    }
+    return null;
+}
+
+class GlossaryService {
+    constructor(store = createMappingStore({
+        tableName: process.env.GLOSSARY_TABLE_NAME || 'Glossaries',
+        label: 'glossaries'
+    })) {
+        this.store = store;
+        this.cache = new Map(); // glossary ID -> { glossary, loadedAt }
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} - Every stored glossary
+     */
+    async listGlossaries() {
+        const records = await this.store.list(RECORD_TYPE);
+        return records.map(({ value }) => value);
+    }
+
+    /**
+     * @param {string} glossaryId - Glossary ID
+     * @returns {Promise<Object|null>}
+     */
+    async getGlossary(glossaryId) {
+        const cached = this.cache.get(glossaryId);
+        if (cached && Date.now() - cached.loadedAt < GLOSSARY_REFRESH_MS) {
+            return cached.glossary;
+        }
+
+        const glossary = await this.store.get(RECORD_TYPE, glossaryId);
+        this.cache.set(glossaryId, { glossary, loadedAt: Date.now() });
+        return glossary;
+    }
+
+    /**
+     * Create or replace a glossary (validate with validateGlossary first)
+     * @param {string} glossaryId - Glossary ID
+     * @param {Object} data - { name?, terms?, doNotTranslate?, protectedPatterns? }
+     * @returns {Promise<Object>} - The stored glossary
+     */
+    async saveGlossary(glossaryId, data) {
+        const glossary = {
+            id: glossaryId,
+            name: data.name || glossaryId,
+            terms: (data.terms || []).map(term => Object.fromEntries(
+                Object.entries(term).map(([language, value]) => [language, value.trim()])
+            )),
+            doNotTranslate: (data.doNotTranslate || []).map(term => term.trim()),
+            protectedPatterns: (data.protectedPatterns || []).map(({ name, pattern, flags }) => ({
+                name: name || pattern,
+                pattern,
+                ...(flags && { flags })
+            })),
+            updatedAt: new Date().toISOString()
+        };
+
+        await this.store.set(RECORD_TYPE, glossaryId, glossary);
+        this.cache.set(glossaryId, { glossary, loadedAt: Date.now() });
+        return glossary;
+    }
+
+    /**
+     * @param {string} glossaryId - Glossary ID
+     * @returns {Promise<boolean>} - Whether a glossary was removed
+     */
+    async deleteGlossary(glossaryId) {
+        const existing = await this.store.get(RECORD_TYPE, glossaryId);
+        if (!existing) {
+            return false;
+        }
+        await this.store.delete(RECORD_TYPE, glossaryId);
+        this.cache.delete(glossaryId);
+        return true;
+    }
+
+    /**
+     * Combine the default glossary with a team glossary
+     * Storage errors are logged and skipped so glossaries never block translation
+     * @param {string} glossaryId - Team glossary ID from the mapping (optional)
+     * @returns {Promise<Object>} - { terms, doNotTranslate, protectedPatterns, version }
+     */
+    async resolve(glossaryId) {
+        const ids = [...new Set([DEFAULT_GLOSSARY_ID, glossaryId].filter(Boolean))];
+        const glossaries = [];
+        for (const id of ids) {
+            try {
+                const glossary = await this.getGlossary(id);
+                if (glossary) {
+                    glossaries.push(glossary);
+                }
+            } catch (error) {
+                console.error(`Error loading glossary ${id}:`, error.message);
+            }
+        }
+
+        const customPatterns = [];
+        for (const glossary of glossaries) {
+            for (const entry of glossary.protectedPatterns || []) {
+                try {
+                    const flags = [...new Set(`g${entry.flags || ''}`)].join('');
+                    customPatterns.push({ name: entry.name, pattern: new RegExp(entry.pattern, flags) });
+                } catch (error) {
+                    console.warn(`Skipping invalid pattern ${entry.name} in glossary ${glossary.id}:`, error.message);
+                }
+            }
+        }
+
+        return {
+            terms: glossaries.flatMap(glossary => glossary.terms || []),
+            doNotTranslate: glossaries.flatMap(glossary => glossary.doNotTranslate || []),
+            protectedPatterns: [...DEFAULT_PROTECTED_PATTERNS, ...customPatterns],
+            // Identifies the glossary contents in translation cache keys
+            version: glossaries.map(glossary => `${glossary.id}@${contentHash(glossary)}`).join(',')
+        };
+    }
+
+    /**
+     * Replace protected tokens and do-not-translate terms with placeholders and collect glossary hits
+     * @param {string} text - Source text
+     * @param {Object} glossary - Result of resolve()
+     * @param {Object} options - { to } target language; { substituteTerms: true } masks glossary
+     *   terms too, restoring them as their target-language form; { mentions: [{ index, length }] }
+     *   spans of the text to protect (LINE mentionees)
+     * @returns {Object} - { text, tokens, terms: [{ source, target }] }
+     */
+    mask(text, glossary, { to, substituteTerms = false, mentions = [] } = {}) {
+        // Every pattern runs over the original text, so a later one can never match inside
+        // an earlier placeholder; the first claim on a span wins and numbers its token
+        const claimed = [];
+        const isFree = (start, end) => claimed.every(range => end <= range.start || start >= range.end);
+        const claim = (start, end, token) => {
+            if (!isFree(start, end)) {
+                return;
+            }
+            claimed.push({ start, end, token: token === undefined ? text.slice(start, end) : token, index: claimed.length });
+        };
+        const freeMatches = pattern => [...text.matchAll(pattern)]
+            .filter(match => match[0].length > 0 && isFree(match.index, match.index + match[0].length));
+
+        // Mentions come from LINE as offsets into the text, claimed last one first
+        const spans = mentions
+            .filter(({ index, length }) => Number.isInteger(index) && length > 0 && index + length <= text.length)
+            .sort((a, b) => b.index - a.index);
+        for (const { index, length } of spans) {
+            claim(index, index + length);
+        }
+
+        for (const { pattern } of glossary.protectedPatterns) {
+            for (const match of freeMatches(pattern)) {
+                claim(match.index, match.index + match[0].length);
+            }
+        }
+
+        // Longest first so a term never masks part of a longer one
+        const longestFirst = (a, b) => b.length - a.length;
+        for (const term of [...new Set(glossary.doNotTranslate)].sort(longestFirst)) {
+            for (const match of freeMatches(termPattern(term))) {
+                claim(match.index, match.index + match[0].length);
+            }
+        }
+
+        const candidates = [];
+        for (const entry of glossary.terms) {
+            const target = entry[to];
+            if (!target) {
+                continue;
+            }
+            for (const [language, source] of Object.entries(entry)) {
+                if (language !== to) {
+                    candidates.push({ source, target });
+                }
+            }
+        }
+        candidates.sort((a, b) => longestFirst(a.source, b.source));
+
+        const terms = [];
+        for (const { source, target } of candidates) {
+            const matches = freeMatches(termPattern(source));
+            if (matches.length === 0) {
+                continue;
+            }
+            if (substituteTerms) {
+                for (const match of matches) {
+                    claim(match.index, match.index + match[0].length, target);
+                }
+            } else if (!terms.some(term => term.source === source)) {
+                terms.push({ source, target });
+            }
+        }
+
+        let masked = '';
+        let position = 0;
+        for (const { start, end, index } of [...claimed].sort((a, b) => a.start - b.start)) {
+            masked += `${text.slice(position, start)}{{${index}}}`;
+            position = end;
+        }
+        masked += text.slice(position);
+
+        return { text: masked, tokens: claimed.map(range => range.token), terms };
+    }
+
+    /**
+     * Put masked tokens back into a translation
+     * Tokens the provider dropped are appended so no URL or order number is lost
+     * @param {string} translatedText - Provider output
+     * @param {Object} masked - Result of mask()
+     * @returns {string}
+     */
+    unmask(translatedText, masked) {
+        if (masked.tokens.length === 0) {
+            return translatedText;
+        }
+
+        const restored = new Set();
+        let text = translatedText.replace(PLACEHOLDER_PATTERN, (placeholder, index) => {
+            if (masked.tokens[index] === undefined) {
+                return placeholder;
+            }
+            restored.add(Number(index));
+            return masked.tokens[index];
+        });
+
+        const missing = masked.tokens.filter((token, index) => !restored.has(index));
+        if (missing.length > 0) {
+            console.warn(`Translation dropped ${missing.length} protected token(s), appending them`);
+            text = `${text} ${missing.join(' ')}`;
+        }
+        return text;
+    }
+}
+
+// Singleton instance
+const glossaryService = new GlossaryService();
+
+module.exports = {
+    GlossaryService,
+    glossaryService,
+    validateGlossary,
+    DEFAULT_GLOSSARY_ID,
+    GLOSSARY_ID_PATTERN,
+    GLOSSARY_LANGUAGES
+};
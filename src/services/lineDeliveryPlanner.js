@@ -0,0 +1,307 @@
+const lineRelay = require('../api/lineRelay');
+const { deliveryQueue } = require('./deliveryQueue');
+
+/**
+ * LINE delivery planner
+ * Decides how messages reach LINE so the monthly push quota goes as far as possible:
+ * - Reply tokens from incoming LINE messages are kept for their lifetime; a WeCom answer
+ *   that arrives in time is sent as a free reply instead of a push
+ * - Relay confirmations ("receipts") are 'full' text, an 'emoji' (✅) or 'off'
+ *   (LINE_RECEIPT_MODE). Receipts for messages sent in quick succession are batched into
+ *   one reply; a WeCom answer that takes the token first replaces them
+ * - Direct replies the user needs (pairing, feedback) that LINE doesn't accept are pushed
+ *   through the delivery queue instead, so they are retried like any other push; other
+ *   acknowledgements and greetings aren't worth a push and are dropped
+ * - Pushes are checked against the monthly quota (/v2/bot/message/quota and
+ *   /quota/consumption, refreshed periodically and counted locally in between) and are
+ *   not sent once it is used up. A push to a group or room uses one message per member,
+ *   so the figures are re-read from LINE after one instead
+ * Reply tokens are kept in memory, so only the instance that received one can use it.
+ */
+
+const RECEIPT_MODES = ['off', 'emoji', 'full'];
+
+// LINE user IDs start with U, group IDs with C and room IDs with R
+const GROUP_OR_ROOM_ID = /^[CR][0-9a-f]{32}$/;
+
+// Batched receipts for more than one message
+function describeReceipts(count) {
+    return `✅ ${count}件のメッセージをWeChatに転送しました (${count} messages forwarded to WeChat)`;
+}
+
+class LineDeliveryPlanner {
+    constructor(options = {}) {
+        this.receiptMode = options.receiptMode || process.env.LINE_RECEIPT_MODE || 'full';
+        if (!RECEIPT_MODES.includes(this.receiptMode)) {
+            console.warn(`⚠️  Unknown LINE_RECEIPT_MODE "${this.receiptMode}" - using "full"`);
+            this.receiptMode = 'full';
+        }
+
+        const batchMs = parseInt(options.receiptBatchMs ?? process.env.LINE_RECEIPT_BATCH_MS, 10);
+        this.receiptBatchMs = Number.isInteger(batchMs) && batchMs >= 0 ? batchMs : 3000;
+        // LINE only guarantees a reply token for about a minute
+        this.replyTokenTtlMs = (options.replyTokenTtlSeconds || parseInt(process.env.LINE_REPLY_TOKEN_TTL_SECONDS) || 50) * 1000;
+        this.quotaRefreshMs = (options.quotaRefreshMinutes || parseInt(process.env.LINE_QUOTA_REFRESH_MINUTES) || 10) * 60000;
+        this.quotaWarnPercent = options.quotaWarnPercent || parseInt(process.env.LINE_QUOTA_WARN_PERCENT) || 90;
+
+        this.replyTokens = new Map(); // LINE user/group/room ID -> { token, expiresAt, receipts, timer }
+        this.reset();
+    }
+
+    /**
+     * Forget reply tokens, pending receipts, the cached quota and statistics
+     */
+    reset() {
+        for (const entry of this.replyTokens.values()) {
+            clearTimeout(entry.timer);
+        }
+        this.replyTokens.clear();
+        this.quota = null; // { limit, used, checkedAt }
+        this.quotaStale = false;
+        this.quotaWarned = false;
+        this.stats = { replies: 0, pushes: 0, receipts: 0, quotaBlocked: 0 };
+    }
+
+    /**
+     * Keep a reply token for an answer from WeCom
+     * @param {string} to - LINE user, group or room ID the token replies to
+     * @param {string} replyToken - Reply token from the webhook event
+     */
+    rememberReplyToken(to, replyToken) {
+        if (!to || !replyToken) {
+            return;
+        }
+
+        this._pruneExpired();
+        const entry = this.replyTokens.get(to) || { receipts: [], timer: null };
+        entry.token = replyToken;
+        entry.expiresAt = Date.now() + this.replyTokenTtlMs;
+        this.replyTokens.set(to, entry);
+    }
+
+    /**
+     * Confirm to a LINE user that their message was relayed, as LINE_RECEIPT_MODE says
+     * @param {string} to - LINE user ID
+     * @param {string} replyToken - Reply token of the relayed message
+     * @param {string} receipt - Full text confirmation for this message
+     */
+    async confirmRelay(to, replyToken, receipt) {
+        this.rememberReplyToken(to, replyToken);
+        if (this.receiptMode === 'off') {
+            return;
+        }
+
+        const entry = this.replyTokens.get(to);
+        entry.receipts.push(receipt);
+        if (this.receiptBatchMs === 0) {
+            return await this._sendReceipts(to);
+        }
+
+        if (!entry.timer) {
+            entry.timer = setTimeout(() => {
+                this._sendReceipts(to).catch(error => console.error(`Error sending LINE receipts to ${to}:`, error.message));
+            }, this.receiptBatchMs);
+            entry.timer.unref?.();
+        }
+    }
+
+    /**
+     * Take the reply token kept for a LINE user or group; pending receipts are dropped
+     * @param {string} to - LINE user, group or room ID
+     * @returns {string|null} - Reply token, or null if there is none or it has expired
+     */
+    takeReplyToken(to) {
+        const entry = this.replyTokens.get(to);
+        if (!entry) {
+            return null;
+        }
+
+        clearTimeout(entry.timer);
+        this.replyTokens.delete(to);
+        if (entry.expiresAt <= Date.now()) {
+            return null;
+        }
+        if (entry.receipts.length > 0) {
+            console.log(`Answer to ${to} replaces ${entry.receipts.length} pending receipt(s)`);
+        }
+        return entry.token;
+    }
+
+    /**
+     * Send a message to LINE: as a reply if a token is kept for the recipient, otherwise
+     * as a push through the delivery queue if the monthly quota allows
+     * @param {string} to - LINE user, group or room ID
+     * @param {string|Object|Array} message - Text, message object or messages
+     * @returns {Promise<Object>} - deliver() result with via: 'reply' | 'push'
+     */
+    async deliver(to, message) {
+        const replyToken = this.takeReplyToken(to);
+        if (replyToken) {
+            const result = await lineRelay.sendLineReply(replyToken, message);
+            if (result) {
+                this.stats.replies++;
+                return { status: 'delivered', via: 'reply', result };
+            }
+            console.log(`Reply token for ${to} was not accepted, pushing instead`);
+        }
+
+        return await this._push(to, message);
+    }
+
+    /**
+     * Answer a LINE event with its own reply token
+     * @param {string} to - LINE user, group or room ID the event came from
+     * @param {string} replyToken - Reply token of the event
+     * @param {string|Object|Array} message - Text, message object or messages
+     * @param {Object} options - { fallbackToPush: true } pushes through the delivery queue if
+     *   the reply isn't accepted (expired token, LINE unreachable); otherwise it is dropped
+     * @returns {Promise<Object>} - deliver() result with via: 'reply' | 'push'
+     */
+    async reply(to, replyToken, message, { fallbackToPush = false } = {}) {
+        const result = await lineRelay.sendLineReply(replyToken, message);
+        if (result) {
+            this.stats.replies++;
+            return { status: 'delivered', via: 'reply', result };
+        }
+        if (!fallbackToPush) {
+            console.log(`Reply to ${to} was not accepted - dropping it`);
+            return { status: 'failed', via: 'reply', error: 'Reply not accepted' };
+        }
+        if (!to) {
+            return { status: 'failed', via: 'reply', error: 'Reply not accepted and no recipient to push to' };
+        }
+
+        console.log(`Reply to ${to} was not accepted, pushing instead`);
+        return await this._push(to, message);
+    }
+
+    /**
+     * @returns {Promise<boolean>} - False once the monthly push quota is used up (unknown quotas allow pushes)
+     */
+    async canPush() {
+        const quota = await this.getQuota();
+        return !quota || quota.remaining === null || quota.remaining > 0;
+    }
+
+    /**
+     * @param {Object} options - { refresh: true } to ask LINE rather than use the cached figures
+     * @returns {Promise<Object|null>} - { limit, used, remaining, checkedAt } (limit and remaining
+     *   are null without a limit), or null if LINE hasn't been reached yet
+     */
+    async getQuota({ refresh = false } = {}) {
+        if (refresh || this.quotaStale || !this.quota || Date.now() - this.quota.checkedAt >= this.quotaRefreshMs) {
+            const fetched = await lineRelay.getLineMessageQuota();
+            if (fetched) {
+                this.quota = { limit: fetched.limit, used: fetched.used, checkedAt: Date.now() };
+                this.quotaStale = false;
+                this._checkQuotaWarning();
+            }
+        }
+
+        if (!this.quota) {
+            return null;
+        }
+        const { limit, used, checkedAt } = this.quota;
+        return {
+            limit,
+            used,
+            remaining: limit === null ? null : Math.max(0, limit - used),
+            checkedAt: new Date(checkedAt).toISOString()
+        };
+    }
+
+    /**
+     * @returns {Object} - { receiptMode, replies, pushes, receipts, quotaBlocked, replyTokens }
+     */
+    getStats() {
+        return {
+            receiptMode: this.receiptMode,
+            ...this.stats,
+            replyTokens: this.replyTokens.size
+        };
+    }
+
+    /**
+     * Push through the delivery queue if the monthly quota allows
+     * @private
+     */
+    async _push(to, message) {
+        if (!await this.canPush()) {
+            this.stats.quotaBlocked++;
+            console.error(`LINE monthly push quota used up - not pushing to ${to}`);
+            return { status: 'failed', via: 'push', error: 'LINE monthly push quota used up' };
+        }
+
+        // A queued push is only sent later, if at all; the next quota refresh picks it up
+        const delivery = await deliveryQueue.deliver('line.push', { to, message });
+        if (delivery.status === 'delivered') {
+            this._countPush(to);
+        }
+        return { ...delivery, via: 'push' };
+    }
+
+    /**
+     * @private
+     */
+    async _sendReceipts(to) {
+        const entry = this.replyTokens.get(to);
+        if (!entry || entry.receipts.length === 0) {
+            return;
+        }
+
+        // The token is spent on the receipts either way
+        clearTimeout(entry.timer);
+        this.replyTokens.delete(to);
+        if (entry.expiresAt <= Date.now()) {
+            console.log(`Reply token for ${to} expired - dropping ${entry.receipts.length} receipt(s)`);
+            return;
+        }
+
+        const receipt = this.receiptMode === 'emoji'
+            ? '✅'
+            : (entry.receipts.length === 1 ? entry.receipts[0] : describeReceipts(entry.receipts.length));
+        if (await lineRelay.sendLineReply(entry.token, receipt)) {
+            this.stats.receipts++;
+        }
+    }
+
+    _pruneExpired() {
+        for (const [to, entry] of this.replyTokens) {
+            if (entry.expiresAt <= Date.now() && !entry.timer) {
+                this.replyTokens.delete(to);
+            }
+        }
+    }
+
+    _countPush(to) {
+        this.stats.pushes++;
+        if (!this.quota) {
+            return;
+        }
+        // How many members a group push reached is only known to LINE
+        if (GROUP_OR_ROOM_ID.test(to)) {
+            this.quotaStale = true;
+            return;
+        }
+        this.quota.used++;
+        this._checkQuotaWarning();
+    }
+
+    _checkQuotaWarning() {
+        const { limit, used } = this.quota;
+        // Warn once per month: usage drops below the threshold again when the quota resets
+        const nearLimit = limit !== null && used >= limit * this.quotaWarnPercent / 100;
+        if (nearLimit && !this.quotaWarned) {
+            console.warn(`⚠️  LINE push quota at ${used}/${limit} messages this month`);
+        }
+        this.quotaWarned = nearLimit;
+    }
+}
+
+// Singleton instance
+const lineDeliveryPlanner = new LineDeliveryPlanner();
+
+module.exports = {
+    LineDeliveryPlanner,
+    lineDeliveryPlanner
+};
@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const {
+    getLineMessageContent,
+    createTextMessage,
+    createImageMessage,
+    createVideoMessage,
+    createAudioMessage,
+    createLocationMessage
+} = require('../api/lineRelay');
+const { uploadWeComMedia, getWeComMedia } = require('../api/wechatRelay');
+const { createMediaStore } = require('../database/mediaStore');
+const { createAudioTranscoder } = require('../utils/audioTranscoder');
+const {
+    WECOM_MEDIA_LIMITS,
+    WECOM_MIN_MEDIA_BYTES,
+    LINE_IMAGE_TYPES,
+    LINE_AUDIO_TYPES,
+    LINE_VIDEO_TYPES,
+    sniffContentType,
+    selectWeComMediaType,
+    getAmrDurationMs
+} = require('../utils/mediaType');
+
+/**
+ * Media relay service
+ * Downloads media sent on one platform and re-uploads it in the form the other
+ * platform accepts. Methods throw on any failure so callers can fall back to a
+ * text notice.
+ *
+ * LINE fetches media from public HTTPS URLs, so WeCom media is kept in a media
+ * store and served by this app (see api/media.js) under signed, expiring URLs.
+ */
+
+class MediaRelayService {
+    constructor(options = {}) {
+        // Nothing larger than WeCom's biggest media type can be relayed anyway
+        this.maxDownloadBytes = options.maxDownloadBytes
+            || parseInt(process.env.MEDIA_MAX_DOWNLOAD_BYTES)
+            || WECOM_MEDIA_LIMITS.file.maxBytes;
+        this.store = options.store || createMediaStore();
+        this.publicBaseUrl = (options.publicBaseUrl || process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+        this.urlTtlMs = (options.urlTtlMinutes || parseInt(process.env.MEDIA_URL_TTL_MINUTES) || 24 * 60) * 60000;
+        // Optional async (content, contentType) => ({ content, contentType, durationMs }) converting
+        // WeCom's AMR voice to m4a/mp3 (AUDIO_TRANSCODER=ffmpeg); without one, voice messages
+        // are sent to LINE as a link
+        this.audioTranscoder = options.audioTranscoder !== undefined
+            ? options.audioTranscoder
+            : createAudioTranscoder();
+
+        this.urlSecret = options.urlSecret || process.env.MEDIA_URL_SECRET;
+        if (!this.urlSecret) {
+            console.warn('⚠️  MEDIA_URL_SECRET not configured - media URLs will stop working after a restart');
+            this.urlSecret = crypto.randomBytes(32).toString('hex');
+        }
+    }
+
+    /**
+     * Download a LINE image/video/audio/file message and upload it to WeCom
+     * @param {Object} lineMessage - LINE webhook message object
+     * @returns {Promise<Object>} - { type, mediaId, filename, contentType, size } where
+     *   type is the WeCom msgtype to send ('image', 'voice', 'video' or 'file')
+     */
+    async uploadLineMediaToWeCom(lineMessage) {
+        const content = await this.downloadLineMedia(lineMessage);
+        return await this.uploadMediaToWeCom(content, lineMessage);
+    }
+
+    /**
+     * Upload already-downloaded LINE media content to WeCom
+     * @param {Buffer} content - Media content
+     * @param {Object} lineMessage - LINE webhook message object the content belongs to
+     * @returns {Promise<Object>} - { type, mediaId, filename, contentType, size }
+     */
+    async uploadMediaToWeCom(content, lineMessage) {
+        if (content.length < WECOM_MIN_MEDIA_BYTES) {
+            throw new Error(`LINE ${lineMessage.type} ${lineMessage.id} is too small to upload (${content.length} bytes)`);
+        }
+
+        const { contentType, extension } = sniffContentType(content);
+        const type = selectWeComMediaType(contentType, content.length);
+        if (!type) {
+            throw new Error(`LINE ${lineMessage.type} ${lineMessage.id} exceeds WeCom media limits (${content.length} bytes)`);
+        }
+
+        const filename = lineMessage.fileName || `${lineMessage.type}_${lineMessage.id}.${extension}`;
+        const mediaId = await uploadWeComMedia(content, { type, filename, contentType });
+
+        return { type, mediaId, filename, contentType, size: content.length };
+    }
+
+    /**
+     * Download the content of a LINE media message
+     * @param {Object} lineMessage - LINE webhook message object
+     * @returns {Promise<Buffer>}
+     */
+    async downloadLineMedia(lineMessage) {
+        if (lineMessage.fileSize > this.maxDownloadBytes) {
+            throw new Error(`LINE file ${lineMessage.id} is too large (${lineMessage.fileSize} bytes)`);
+        }
+
+        // Media sent through LINE's API by other bots can live on an external server
+        if (lineMessage.contentProvider?.type === 'external') {
+            const response = await axios.get(lineMessage.contentProvider.originalContentUrl, {
+                responseType: 'arraybuffer',
+                maxContentLength: this.maxDownloadBytes,
+                timeout: 30000
+            });
+            return Buffer.from(response.data);
+        }
+
+        const stream = await getLineMessageContent(lineMessage.id);
+        if (!stream) {
+            throw new Error(`Could not download LINE ${lineMessage.type} ${lineMessage.id}`);
+        }
+        return await this._readStream(stream, this.maxDownloadBytes);
+    }
+
+    /**
+     * Convert a WeCom media-type message into LINE message objects
+     * @param {Object} messageData - Decrypted WeCom message (MsgType image/voice/video/file/location)
+     * @returns {Promise<Array<Object>>} - LINE message objects to push
+     */
+    async createLineMessagesFromWeCom(messageData) {
+        switch (messageData.MsgType) {
+            case 'image': {
+                const image = await this.storeWeComMedia(messageData.MediaId);
+                if (!LINE_IMAGE_TYPES.includes(image.contentType)) {
+                    throw new Error(`LINE does not support ${image.contentType} images`);
+                }
+                return [createImageMessage(image.url, image.url)];
+            }
+
+            case 'video': {
+                const [video, thumbnail] = await Promise.all([
+                    this.storeWeComMedia(messageData.MediaId),
+                    this.storeWeComMedia(messageData.ThumbMediaId)
+                ]);
+                if (!LINE_VIDEO_TYPES.includes(video.contentType)) {
+                    throw new Error(`LINE does not support ${video.contentType} videos`);
+                }
+                if (!LINE_IMAGE_TYPES.includes(thumbnail.contentType)) {
+                    throw new Error(`LINE does not support ${thumbnail.contentType} video previews`);
+                }
+                return [createVideoMessage(video.url, thumbnail.url)];
+            }
+
+            case 'voice': {
+                const { content, contentType } = await getWeComMedia(messageData.MediaId);
+                const playable = await this._toLineAudio(content, contentType);
+                if (playable) {
+                    const audio = await this.storeMedia(playable.content, { contentType: playable.contentType });
+                    return [createAudioMessage(audio.url, playable.durationMs)];
+                }
+
+                const voice = await this.storeMedia(content, { contentType, filename: `voice_${messageData.MsgId || 'wecom'}.amr` });
+                const seconds = Math.round(getAmrDurationMs(content) / 1000);
+                return [createTextMessage(`🎤 音声メッセージ (${seconds}秒) - Voice message from WeChat:\n${voice.url}`)];
+            }
+
+            case 'file': {
+                const file = await this.storeWeComMedia(messageData.MediaId);
+                const name = messageData.FileName || file.filename || 'file';
+                return [createTextMessage(`📁 ファイル: ${name} (File from WeChat)\n${file.url}`)];
+            }
+
+            case 'location': {
+                const latitude = parseFloat(messageData.Location_X);
+                const longitude = parseFloat(messageData.Location_Y);
+                if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+                    throw new Error('WeCom location message is missing coordinates');
+                }
+                const label = messageData.Label || '位置情報 (Location)';
+                return [createLocationMessage(label.substring(0, 100), label, latitude, longitude)];
+            }
+
+            default:
+                throw new Error(`Unsupported WeCom media message type: ${messageData.MsgType}`);
+        }
+    }
+
+    /**
+     * Download WeCom media and keep it in the media store
+     * @param {string} mediaId - WeCom MediaId
+     * @returns {Promise<Object>} - { id, url, contentType, filename, size }
+     */
+    async storeWeComMedia(mediaId) {
+        const { content, contentType, filename } = await getWeComMedia(mediaId);
+        return await this.storeMedia(content, { contentType, filename });
+    }
+
+    /**
+     * Store media content and issue a signed URL for it
+     * @param {Buffer} content - Media content
+     * @param {Object} metadata - { contentType, filename }; the sniffed type wins over contentType
+     * @returns {Promise<Object>} - { id, url, contentType, filename, size }
+     */
+    async storeMedia(content, metadata = {}) {
+        if (content.length > this.maxDownloadBytes) {
+            throw new Error(`Media exceeds ${this.maxDownloadBytes} bytes`);
+        }
+
+        const sniffed = sniffContentType(content);
+        const contentType = sniffed.contentType !== 'application/octet-stream'
+            ? sniffed.contentType
+            : metadata.contentType || sniffed.contentType;
+        const id = crypto.randomBytes(18).toString('base64url');
+
+        await this.store.put(id, content, { contentType, filename: metadata.filename });
+        return {
+            id,
+            url: this.createSignedUrl(id),
+            contentType,
+            filename: metadata.filename || null,
+            size: content.length
+        };
+    }
+
+    /**
+     * Get stored media by ID
+     * @param {string} id - Media ID
+     * @returns {Promise<Object|null>} - { content, contentType, filename, size } or null
+     */
+    async getStoredMedia(id) {
+        return await this.store.get(id);
+    }
+
+    /**
+     * Build a signed, expiring public URL for stored media
+     * @param {string} id - Media ID
+     * @returns {string}
+     */
+    createSignedUrl(id) {
+        if (!this.publicBaseUrl) {
+            throw new Error('PUBLIC_BASE_URL not configured - cannot serve media to LINE');
+        }
+
+        const expires = Math.floor((Date.now() + this.urlTtlMs) / 1000);
+        return `${this.publicBaseUrl}/media/${id}?expires=${expires}&signature=${this._sign(id, expires)}`;
+    }
+
+    /**
+     * Check a signed media URL's signature and expiry
+     * @param {string} id - Media ID
+     * @param {string} expires - Expiry (Unix seconds) from the URL
+     * @param {string} signature - Signature from the URL
+     * @returns {boolean}
+     */
+    verifySignedUrl(id, expires, signature) {
+        const expiresAt = parseInt(expires, 10);
+        if (!id || !signature || !Number.isInteger(expiresAt) || expiresAt * 1000 <= Date.now()) {
+            return false;
+        }
+
+        const expected = Buffer.from(this._sign(id, expiresAt));
+        const provided = Buffer.from(String(signature));
+        return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    }
+
+    /**
+     * @private
+     */
+    _sign(id, expires) {
+        return crypto.createHmac('sha256', this.urlSecret).update(`${id}.${expires}`).digest('base64url');
+    }
+
+    /**
+     * Transcode WeCom voice into audio LINE can play (m4a/mp3)
+     * Transcoder failures are logged and fall back to sending the voice as a link
+     * @private
+     * @returns {Promise<Object|null>} - { content, contentType, durationMs }, or null without a
+     *   transcoder or when transcoding fails
+     */
+    async _toLineAudio(content, contentType) {
+        if (!this.audioTranscoder) {
+            return null;
+        }
+
+        try {
+            const audio = await this.audioTranscoder(content, contentType);
+            if (!LINE_AUDIO_TYPES.includes(audio?.contentType)) {
+                throw new Error(`Audio transcoder returned unsupported type: ${audio?.contentType}`);
+            }
+            return audio;
+        } catch (error) {
+            console.error('Error transcoding voice message, sending it as a link:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Buffer a readable stream, aborting once it exceeds maxBytes
+     * @private
+     */
+    _readStream(stream, maxBytes) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            stream.on('data', chunk => {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    stream.destroy();
+                    reject(new Error(`Media exceeds ${maxBytes} bytes`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            stream.on('end', () => resolve(Buffer.concat(chunks)));
+            stream.on('error', reject);
+        });
+    }
+}
+
+// Singleton instance
+const mediaRelayService = new MediaRelayService();
+
+module.exports = {
+    MediaRelayService,
+    mediaRelayService
+};
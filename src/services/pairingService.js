@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const { userMappingService } = require('./userMappingService');
+
+/**
+ * Pairing service for self-service account linking
+ * A user sends /link on one platform to get a short-lived, single-use code,
+ * then sends /link <code> on the other platform to create the mapping.
+ * /unlink removes the caller's mapping.
+ * Codes and audit records live in the mapping service's store; expired codes
+ * are purged at most once per code lifetime, when a new code is issued.
+ */
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const CODE_LENGTH = 6;
+const RECORD_TYPES = {
+    CODE: 'pairingCode',
+    AUDIT: 'pairingAudit'
+};
+const PLATFORM_NAMES = {
+    line: 'LINE',
+    wechat: 'WeCom'
+};
+
+class PairingService {
+    constructor(mappingService = userMappingService, options = {}) {
+        this.mappingService = mappingService;
+        this.store = options.store || mappingService.store;
+        this.codeTtlMs = (options.codeTtlMinutes || parseInt(process.env.PAIRING_CODE_TTL_MINUTES) || 10) * 60000;
+        this.maxCodesPerHour = options.maxCodesPerHour || parseInt(process.env.PAIRING_MAX_CODES_PER_HOUR) || 5;
+        this.maxFailedAttempts = options.maxFailedAttempts || parseInt(process.env.PAIRING_MAX_FAILED_ATTEMPTS) || 5;
+        this.failedAttemptWindowMs = 15 * 60000;
+        this.lastPurgeAt = 0;
+
+        // Per-user sliding windows for rate limiting (platform:userId -> timestamps)
+        this.issuedCodes = new Map();
+        this.failedAttempts = new Map();
+    }
+
+    /**
+     * Parse a pairing command from message text
+     * @param {string} text - Message text
+     * @returns {{ command: string, code?: string }|null} - Parsed command or null
+     */
+    parseCommand(text) {
+        if (!text || typeof text !== 'string') {
+            return null;
+        }
+
+        const match = text.trim().match(/^[/／](link|unlink)(?:\s+(\S+))?$/i);
+        if (!match) {
+            return null;
+        }
+
+        const command = match[1].toLowerCase();
+        if (command === 'link' && match[2]) {
+            return { command, code: match[2].toUpperCase() };
+        }
+        return { command };
+    }
+
+    /**
+     * Handle a pairing command from a LINE or WeCom user
+     * @param {string} platform - 'line' or 'wechat'
+     * @param {string} userId - Sender's user ID on that platform
+     * @param {string} text - Message text
+     * @returns {Promise<Object|null>} - { reply, notify: { platform, userId, message } | null },
+     *   or null if the text is not a pairing command
+     */
+    async handleCommand(platform, userId, text) {
+        const parsed = this.parseCommand(text);
+        if (!parsed || !PLATFORM_NAMES[platform] || !userId) {
+            return null;
+        }
+
+        try {
+            if (parsed.command === 'unlink') {
+                return await this.unlink(platform, userId);
+            }
+            if (parsed.code) {
+                return await this.redeemCode(platform, userId, parsed.code);
+            }
+            return await this.issueCode(platform, userId);
+        } catch (error) {
+            console.error(`Error handling pairing command from ${platform} user ${userId}:`, error);
+            return { reply: this._message(platform, 'error'), notify: null };
+        }
+    }
+
+    /**
+     * Issue a pairing code to a user
+     * @param {string} platform - 'line' or 'wechat'
+     * @param {string} userId - User ID on that platform
+     */
+    async issueCode(platform, userId) {
+        if (await this._getLinkedUser(platform, userId)) {
+            return { reply: this._message(platform, 'alreadyLinked'), notify: null };
+        }
+
+        const key = `${platform}:${userId}`;
+        if (this._countRecent(this.issuedCodes, key, 3600000) >= this.maxCodesPerHour) {
+            await this._audit('rate_limited', platform, userId, { reason: 'too_many_codes' });
+            return { reply: this._message(platform, 'rateLimited'), notify: null };
+        }
+
+        let code = this._generateCode();
+        while (await this.store.get(RECORD_TYPES.CODE, code)) {
+            code = this._generateCode();
+        }
+
+        const now = Date.now();
+        await this.store.set(RECORD_TYPES.CODE, code, {
+            platform,
+            userId,
+            issuedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.codeTtlMs).toISOString()
+        });
+        this._record(this.issuedCodes, key);
+        await this._audit('code_issued', platform, userId, { code });
+
+        if (now - this.lastPurgeAt > this.codeTtlMs) {
+            this.lastPurgeAt = now;
+            this.purgeExpiredCodes().catch(error => console.error('Error purging expired pairing codes:', error));
+        }
+
+        console.log(`Pairing code issued to ${platform} user ${userId}`);
+        return { reply: this._message(platform, 'codeIssued', code), notify: null, code };
+    }
+
+    /**
+     * Redeem a pairing code issued on the other platform
+     * @param {string} platform - Platform of the redeeming user
+     * @param {string} userId - Redeeming user's ID
+     * @param {string} code - Pairing code
+     */
+    async redeemCode(platform, userId, code) {
+        const key = `${platform}:${userId}`;
+        if (this._countRecent(this.failedAttempts, key, this.failedAttemptWindowMs) >= this.maxFailedAttempts) {
+            await this._audit('rate_limited', platform, userId, { reason: 'too_many_failed_attempts' });
+            return { reply: this._message(platform, 'rateLimited'), notify: null };
+        }
+
+        if (await this._getLinkedUser(platform, userId)) {
+            return { reply: this._message(platform, 'alreadyLinked'), notify: null };
+        }
+
+        const record = await this.store.get(RECORD_TYPES.CODE, code);
+        let reason = !record ? 'unknown_code'
+            : Date.parse(record.expiresAt) <= Date.now() ? 'expired'
+            : record.platform === platform ? 'same_platform'
+            : null;
+
+        // Single use: consume the code before creating the mapping; losing the
+        // delete means a concurrent redemption already took it
+        if (!reason && !(await this.store.delete(RECORD_TYPES.CODE, code))) {
+            reason = 'already_redeemed';
+        }
+
+        if (reason) {
+            if (reason === 'expired') {
+                await this.store.delete(RECORD_TYPES.CODE, code);
+            }
+            this._record(this.failedAttempts, key);
+            await this._audit('code_rejected', platform, userId, { code, reason });
+            return { reply: this._message(platform, 'invalidCode'), notify: null };
+        }
+
+        // The issuer may have linked another account since the code was issued,
+        // and mapping anyway would silently drop that link
+        if (await this._getLinkedUser(record.platform, record.userId)) {
+            await this._audit('code_rejected', platform, userId, { code, reason: 'issuer_linked' });
+            return { reply: this._message(platform, 'issuerLinked'), notify: null };
+        }
+
+        const lineUserId = platform === 'line' ? userId : record.userId;
+        const wechatUserId = platform === 'wechat' ? userId : record.userId;
+        const success = await this.mappingService.mapLineToWeChat(lineUserId, wechatUserId, { source: 'pairing' });
+        if (!success) {
+            return { reply: this._message(platform, 'error'), notify: null };
+        }
+
+        this.failedAttempts.delete(key);
+        await this._audit('code_redeemed', platform, userId, { code, lineUserId, wechatUserId });
+
+        console.log(`Accounts linked via pairing code: LINE ${lineUserId} <-> WeChat ${wechatUserId}`);
+        return {
+            reply: this._message(platform, 'linked'),
+            notify: {
+                platform: record.platform,
+                userId: record.userId,
+                message: this._message(record.platform, 'linked')
+            }
+        };
+    }
+
+    /**
+     * Remove the caller's mapping
+     * @param {string} platform - 'line' or 'wechat'
+     * @param {string} userId - User ID on that platform
+     */
+    async unlink(platform, userId) {
+        const linkedUserId = await this._getLinkedUser(platform, userId);
+        if (!linkedUserId) {
+            return { reply: this._message(platform, 'notLinked'), notify: null };
+        }
+
+        const lineUserId = platform === 'line' ? userId : linkedUserId;
+        const otherPlatform = platform === 'line' ? 'wechat' : 'line';
+        await this.mappingService.removeMapping(lineUserId);
+        await this._audit('unlinked', platform, userId, { linkedUserId });
+
+        return {
+            reply: this._message(platform, 'unlinked'),
+            notify: {
+                platform: otherPlatform,
+                userId: linkedUserId,
+                message: this._message(otherPlatform, 'unlinked')
+            }
+        };
+    }
+
+    /**
+     * Delete pairing codes past their expiry
+     * @returns {Promise<number>} - Number of codes deleted
+     */
+    async purgeExpiredCodes() {
+        const now = Date.now();
+        const records = await this.store.list(RECORD_TYPES.CODE);
+        const expired = records.filter(({ value }) => Date.parse(value.expiresAt) <= now);
+        for (const { id } of expired) {
+            await this.store.delete(RECORD_TYPES.CODE, id);
+        }
+        if (expired.length > 0) {
+            console.log(`Purged ${expired.length} expired pairing codes`);
+        }
+        return expired.length;
+    }
+
+    /**
+     * List pairing audit records (oldest first)
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAuditLog() {
+        const records = await this.store.list(RECORD_TYPES.AUDIT);
+        return records.map(({ value }) => value).sort((a, b) => a.at.localeCompare(b.at));
+    }
+
+    /**
+     * Look up the user linked to the given account
+     * @private
+     */
+    async _getLinkedUser(platform, userId) {
+        return platform === 'line'
+            ? await this.mappingService.getWeChatUserFromLine(userId)
+            : await this.mappingService.getLineUserFromWeChat(userId);
+    }
+
+    /**
+     * Generate a random pairing code
+     * @private
+     */
+    _generateCode() {
+        let code = '';
+        for (let i = 0; i < CODE_LENGTH; i++) {
+            code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+        }
+        return code;
+    }
+
+    /**
+     * Count events within the window, pruning older ones
+     * @private
+     */
+    _countRecent(windows, key, windowMs) {
+        const cutoff = Date.now() - windowMs;
+        const recent = (windows.get(key) || []).filter(timestamp => timestamp > cutoff);
+        windows.set(key, recent);
+        return recent.length;
+    }
+
+    /**
+     * @private
+     */
+    _record(windows, key) {
+        windows.set(key, [...(windows.get(key) || []), Date.now()]);
+    }
+
+    /**
+     * Persist an audit record; failures are logged, not thrown
+     * @private
+     */
+    async _audit(event, platform, userId, details = {}) {
+        const at = new Date().toISOString();
+        const record = { event, platform, userId, at, ...details };
+        try {
+            await this.store.set(RECORD_TYPES.AUDIT, `${at}_${crypto.randomBytes(4).toString('hex')}`, record);
+        } catch (error) {
+            console.error('Error writing pairing audit record:', error);
+        }
+    }
+
+    /**
+     * Localized reply text (Japanese for LINE users, Chinese for WeCom users)
+     * @private
+     */
+    _message(platform, key, code) {
+        const other = PLATFORM_NAMES[platform === 'line' ? 'wechat' : 'line'];
+        const minutes = Math.round(this.codeTtlMs / 60000);
+        const messages = {
+            line: {
+                codeIssued: `🔗 連携コード: ${code}\n${minutes}分以内に${other}で「/link ${code}」と送信してください。(Send "/link ${code}" in ${other} within ${minutes} minutes)`,
+                linked: '✅ アカウントを連携しました (Accounts linked)',
+                unlinked: '🔓 アカウント連携を解除しました (Accounts unlinked)',
+                alreadyLinked: 'ℹ️ すでに連携済みです。解除するには「/unlink」と送信してください (Already linked - send /unlink first)',
+                issuerLinked: `ℹ️ コードの発行者はすでに別の${other}アカウントと連携しています (The code's issuer is already linked to another account)`,
+                notLinked: 'ℹ️ 連携されているアカウントはありません (No linked account)',
+                invalidCode: '❌ 連携コードが無効または期限切れです (Invalid or expired code)',
+                rateLimited: '⏳ 試行回数が多すぎます。しばらくしてからお試しください (Too many attempts, try again later)',
+                error: '⚠️ 連携処理に失敗しました (Linking failed)'
+            },
+            wechat: {
+                codeIssued: `🔗 绑定码: ${code}\n请在${minutes}分钟内在${other}发送「/link ${code}」。(Send "/link ${code}" in ${other} within ${minutes} minutes)`,
+                linked: '✅ 账号绑定成功 (Accounts linked)',
+                unlinked: '🔓 已解除账号绑定 (Accounts unlinked)',
+                alreadyLinked: 'ℹ️ 账号已绑定，如需解除请发送「/unlink」(Already linked - send /unlink first)',
+                issuerLinked: `ℹ️ 该绑定码的发放者已绑定其他${other}账号 (The code's issuer is already linked to another account)`,
+                notLinked: 'ℹ️ 没有已绑定的账号 (No linked account)',
+                invalidCode: '❌ 绑定码无效或已过期 (Invalid or expired code)',
+                rateLimited: '⏳ 尝试次数过多，请稍后再试 (Too many attempts, try again later)',
+                error: '⚠️ 绑定失败 (Linking failed)'
+            }
+        };
+        return messages[platform][key];
+    }
+}
+
+// Singleton instance
+const pairingService = new PairingService();
+
+module.exports = {
+    PairingService,
+    pairingService
+};
@@ -0,0 +1,148 @@
+const axios = require('axios');
+
+/**
+ * Speech-to-text service for voice message transcription
+ * Providers are pluggable: each exposes `supportedContentTypes` and
+ * `transcribe(content, { contentType, filename, language })` resolving to { text, language }.
+ * Select one with STT_PROVIDER ('openai', 'mock' or 'none').
+ */
+
+/**
+ * OpenAI audio transcription (Whisper)
+ * Accepts m4a/mp3/mp4/wav/webm - not AMR, so WeCom voice relies on its Recognition field
+ */
+class OpenAISpeechProvider {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+        this.model = options.model || process.env.OPENAI_STT_MODEL || 'whisper-1';
+        this.timeout = options.timeout || 30000;
+        this.supportedContentTypes = ['audio/x-m4a', 'audio/mpeg', 'video/mp4', 'audio/wav', 'audio/webm'];
+    }
+
+    async transcribe(content, { contentType, filename, language } = {}) {
+        if (!this.apiKey) {
+            throw new Error('OpenAI API key not configured');
+        }
+
+        const form = new FormData();
+        form.append('file', new Blob([content], { type: contentType }), filename || 'audio.m4a');
+        form.append('model', this.model);
+        form.append('response_format', 'json');
+        if (language) {
+            form.append('language', language);
+        }
+
+        const response = await axios.post('https://api.openai.com/v1/audio/transcriptions', form, {
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`
+            },
+            maxBodyLength: Infinity,
+            timeout: this.timeout
+        });
+
+        return { text: (response.data.text || '').trim(), language: response.data.language || language };
+    }
+}
+
+/**
+ * Mock provider for tests and offline development
+ */
+class MockSpeechProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.transcript = options.transcript || 'This is a mock transcription.';
+        this.supportedContentTypes = null; // Any type
+    }
+
+    async transcribe(content, { language } = {}) {
+        console.log(`Mock transcription of ${content.length} bytes of audio`);
+        return { text: this.transcript, language: language || 'en' };
+    }
+}
+
+class SpeechToTextService {
+    constructor(options = {}) {
+        this.providers = new Map();
+        this.registerProvider(new OpenAISpeechProvider());
+        this.registerProvider(new MockSpeechProvider());
+
+        this.providerName = options.provider || process.env.STT_PROVIDER || this._defaultProvider();
+        console.log(`Speech-to-text provider: ${this.providerName}`);
+    }
+
+    /**
+     * Register (or replace) a transcription provider
+     * @param {Object} provider - { name, supportedContentTypes, transcribe() }
+     */
+    registerProvider(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    /**
+     * Active provider, or null when transcription is disabled
+     * @returns {Object|null}
+     */
+    getProvider() {
+        return this.providers.get(this.providerName) || null;
+    }
+
+    /**
+     * Whether the active provider can transcribe this audio format
+     * @param {string} contentType - Audio MIME type
+     * @returns {boolean}
+     */
+    supports(contentType) {
+        const provider = this.getProvider();
+        if (!provider) {
+            return false;
+        }
+        return !provider.supportedContentTypes || provider.supportedContentTypes.includes(contentType);
+    }
+
+    /**
+     * Transcribe audio; failures are logged, not thrown
+     * @param {Buffer} content - Audio content
+     * @param {Object} options - { contentType, filename, language }
+     * @returns {Promise<Object|null>} - { text, language, provider } or null if unavailable
+     */
+    async transcribe(content, options = {}) {
+        if (!this.supports(options.contentType)) {
+            console.log(`No speech-to-text support for ${options.contentType} (provider: ${this.providerName})`);
+            return null;
+        }
+
+        const provider = this.getProvider();
+        try {
+            const result = await provider.transcribe(content, options);
+            if (!result || !result.text) {
+                return null;
+            }
+            console.log(`Transcribed ${content.length} bytes of audio with ${provider.name}`);
+            return { ...result, provider: provider.name };
+        } catch (error) {
+            console.error(`Speech-to-text error (${provider.name}):`, error.response?.data || error.message);
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _defaultProvider() {
+        if (process.env.NODE_ENV === 'test') {
+            return 'mock';
+        }
+        return process.env.OPENAI_API_KEY ? 'openai' : 'none';
+    }
+}
+
+// Singleton instance
+const speechToTextService = new SpeechToTextService();
+
+module.exports = {
+    SpeechToTextService,
+    OpenAISpeechProvider,
+    MockSpeechProvider,
+    speechToTextService
+};
@@ -0,0 +1,332 @@
+const axios = require('axios');
+const OpenAI = require('openai');
+
+/**
+ * Translation providers
+ * Every provider exposes the same interface so TranslationService can swap them
+ * per deployment or per conversation:
+ *   name                      - registry key ('openai', 'azure-openai', 'deepl', 'mock')
+ *   capabilities              - { languages: string[]|null (null = any), detection: boolean, context: boolean,
+ *                                 glossary: boolean }
+ *   isConfigured()            - whether credentials are present
+ *   translate(text, { from, to, context, glossary })  - resolves to the translated text; throws on failure.
+ *                               context is [{ speaker, text }] of earlier messages, oldest first
+ *                               (only passed to providers with capabilities.context);
+ *                               glossary is [{ source, target }] term translations to enforce
+ *                               (only passed to providers with capabilities.glossary).
+ *                               text may contain {{n}} placeholders that must come back unchanged
+ *   detect(text)              - resolves to a language code (only when capabilities.detection)
+ *   estimateCost(text)        - { inputTokens, outputTokens, characters, costUSD }
+ * Language codes are normalized BCP-47 tags (see utils/language.js): 'ja', 'zh-CN', 'zh-TW', 'en',
+ * 'pt-BR', ... ('auto' = unknown source)
+ */
+
+// Language names used in LLM prompts
+const LANGUAGE_NAMES = {
+    'zh': 'Chinese (Simplified)',
+    'zh-CN': 'Chinese (Simplified)',
+    'zh-TW': 'Chinese (Traditional)',
+    'ja': 'Japanese',
+    'ko': 'Korean',
+    'en': 'English',
+    'es': 'Spanish',
+    'fr': 'French',
+    'de': 'German',
+    'vi': 'Vietnamese',
+    'th': 'Thai'
+};
+
+const displayNames = new Intl.DisplayNames('en', { type: 'language' });
+
+function languageName(code) {
+    if (LANGUAGE_NAMES[code]) {
+        return LANGUAGE_NAMES[code];
+    }
+    try {
+        return displayNames.of(code) || code;
+    } catch {
+        return code;
+    }
+}
+
+// Rough token estimate for budgets and cost reporting:
+// about 1 token per CJK character and 4 characters per token otherwise
+function estimateTokens(text) {
+    const value = text || '';
+    const cjk = (value.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uff66-\uff9f]/g) || []).length;
+    return cjk + Math.ceil((value.length - cjk) / 4);
+}
+
+// Earlier messages as "speaker: text" lines
+function formatContext(context) {
+    return context.map(message => `${message.speaker}: ${message.text}`).join('\n');
+}
+
+// Extra system prompt rules for glossary terms and masked tokens
+function glossaryInstructions(text, glossary) {
+    const rules = [];
+    if (glossary && glossary.length > 0) {
+        const pairs = glossary.map(term => `"${term.source}" -> "${term.target}"`).join(', ');
+        rules.push(`Always translate these terms exactly as given: ${pairs}.`);
+    }
+    if (/\{\{\d+\}\}/.test(text)) {
+        rules.push('Keep placeholders such as {{0}} exactly as they appear.');
+    }
+    return rules.length > 0 ? ` ${rules.join(' ')}` : '';
+}
+
+/**
+ * OpenAI chat completions
+ */
+class OpenAITranslationProvider {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+        this.model = options.model || process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
+        this.timeout = options.timeout || parseInt(process.env.REQUEST_TIMEOUT) || 10000;
+        // USD per 1K tokens (gpt-3.5-turbo pricing); override for other models
+        this.pricing = options.pricing || { inputPer1K: 0.0005, outputPer1K: 0.0015 };
+        this.capabilities = { languages: null, detection: true, context: true, glossary: true };
+        this.client = options.client || null;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    async translate(text, { from = 'auto', to, context, glossary } = {}) {
+        const source = from && from !== 'auto' ? `from ${languageName(from)} ` : '';
+        const rules = glossaryInstructions(text, glossary);
+        const messages = context && context.length > 0
+            ? [
+                {
+                    role: 'system',
+                    content: `You are a professional translator for a chat conversation. Translate only the final message ${source}to ${languageName(to)}, using the earlier messages to resolve pronouns, omitted words and short replies. Only return the translation of the final message, no explanations or additional content.${rules}`
+                },
+                {
+                    role: 'user',
+                    content: `Earlier messages (context only, do not translate):\n${formatContext(context)}\n\nMessage to translate:\n${text}`
+                }
+            ]
+            : [
+                {
+                    role: 'system',
+                    content: `You are a professional translator. Translate the following text ${source}to ${languageName(to)}. Only return the translated text, no explanations or additional content.${rules}`
+                },
+                {
+                    role: 'user',
+                    content: text
+                }
+            ];
+
+        const translatedText = await this.complete(messages, { max_tokens: 1000, temperature: 0.3 });
+
+        if (!translatedText) {
+            throw new Error(`No translation received from ${this.name}`);
+        }
+        return translatedText;
+    }
+
+    async detect(text) {
+        const code = await this.complete([
+            {
+                role: 'system',
+                content: 'Identify the language of the text. Reply with its ISO 639-1 code only.'
+            },
+            {
+                role: 'user',
+                content: text
+            }
+        ], { max_tokens: 10, temperature: 0 });
+
+        return (code || 'unknown').toLowerCase();
+    }
+
+    estimateCost(text) {
+        const inputTokens = estimateTokens(text);
+        const outputTokens = Math.ceil(inputTokens * 1.2); // Translations usually slightly longer
+        const costUSD = (inputTokens / 1000) * this.pricing.inputPer1K + (outputTokens / 1000) * this.pricing.outputPer1K;
+        return {
+            inputTokens,
+            outputTokens,
+            characters: (text || '').length,
+            costUSD: parseFloat(costUSD.toFixed(6))
+        };
+    }
+
+    /**
+     * Run a chat completion with this provider's client
+     * @param {Array} messages - Chat messages
+     * @param {Object} options - Request settings ({ max_tokens, temperature }, or a different model)
+     * @returns {Promise<string|undefined>} - Trimmed reply text
+     */
+    async complete(messages, options) {
+        const response = await this._getClient().chat.completions.create({
+            model: this.model,
+            messages,
+            ...options
+        });
+        return response.choices[0]?.message?.content?.trim();
+    }
+
+    /**
+     * @private
+     */
+    _getClient() {
+        if (!this.client) {
+            this.client = new OpenAI({ apiKey: this.apiKey, timeout: this.timeout });
+        }
+        return this.client;
+    }
+}
+
+/**
+ * Azure OpenAI deployment - same prompts as OpenAI, different endpoint and auth
+ */
+class AzureOpenAITranslationProvider extends OpenAITranslationProvider {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'azure-openai';
+        this.apiKey = options.apiKey || process.env.AZURE_OPENAI_API_KEY;
+        // Azure routes by deployment name rather than model
+        this.model = options.deployment || process.env.AZURE_OPENAI_DEPLOYMENT;
+        this.endpoint = options.endpoint || process.env.AZURE_OPENAI_ENDPOINT;
+        this.apiVersion = options.apiVersion || process.env.AZURE_OPENAI_API_VERSION || '2024-10-21';
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey && this.endpoint && this.model);
+    }
+
+    /**
+     * @private
+     */
+    _getClient() {
+        if (!this.client) {
+            this.client = new OpenAI.AzureOpenAI({
+                apiKey: this.apiKey,
+                endpoint: this.endpoint,
+                deployment: this.model,
+                apiVersion: this.apiVersion,
+                timeout: this.timeout
+            });
+        }
+        return this.client;
+    }
+}
+
+/**
+ * DeepL REST API (/v2/translate), or any service exposing the same API via DEEPL_API_URL
+ */
+class DeepLTranslationProvider {
+    constructor(options = {}) {
+        this.name = 'deepl';
+        this.apiKey = options.apiKey || process.env.DEEPL_API_KEY;
+        // Free-plan keys end in ':fx' and use a separate host
+        const defaultUrl = (this.apiKey || '').endsWith(':fx') ? 'https://api-free.deepl.com' : 'https://api.deepl.com';
+        this.apiUrl = (options.apiUrl || process.env.DEEPL_API_URL || defaultUrl).replace(/\/$/, '');
+        this.timeout = options.timeout || parseInt(process.env.REQUEST_TIMEOUT) || 10000;
+        // USD per character (DeepL API Pro usage price)
+        this.pricing = options.pricing || { perCharacter: 0.000025 };
+        this.capabilities = {
+            languages: ['ar', 'bg', 'cs', 'da', 'de', 'el', 'en', 'es', 'et', 'fi', 'fr', 'hu', 'id', 'it', 'ja', 'ko',
+                'lt', 'lv', 'nb', 'nl', 'pl', 'pt', 'ro', 'ru', 'sk', 'sl', 'sv', 'tr', 'uk', 'zh'],
+            detection: false,
+            context: true,
+            // DeepL glossaries are server-side resources; terms are substituted instead
+            glossary: false
+        };
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    async translate(text, { from = 'auto', to, context } = {}) {
+        const body = {
+            text: [text],
+            target_lang: this._targetLang(to)
+        };
+        if (from && from !== 'auto') {
+            body.source_lang = from.split('-')[0].toUpperCase();
+        }
+        // DeepL uses context to disambiguate but doesn't translate or bill it
+        if (context && context.length > 0) {
+            body.context = formatContext(context);
+        }
+
+        const response = await axios.post(`${this.apiUrl}/v2/translate`, body, {
+            headers: {
+                'Authorization': `DeepL-Auth-Key ${this.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            timeout: this.timeout
+        });
+
+        const translatedText = response.data.translations?.[0]?.text;
+        if (!translatedText) {
+            throw new Error(`No translation received from ${this.name}`);
+        }
+        return translatedText;
+    }
+
+    estimateCost(text) {
+        const characters = (text || '').length;
+        return {
+            inputTokens: 0,
+            outputTokens: 0,
+            characters,
+            costUSD: parseFloat((characters * this.pricing.perCharacter).toFixed(6))
+        };
+    }
+
+    /**
+     * DeepL target codes: script/region variants for Chinese, English and Portuguese
+     * @private
+     */
+    _targetLang(code) {
+        const variants = { 'zh': 'ZH-HANS', 'zh-CN': 'ZH-HANS', 'zh-TW': 'ZH-HANT', 'en': 'EN-US', 'pt': 'PT-BR' };
+        return variants[code] || code.toUpperCase();
+    }
+}
+
+/**
+ * Mock provider for tests and offline development
+ */
+class MockTranslationProvider {
+    constructor() {
+        this.name = 'mock';
+        this.capabilities = { languages: null, detection: false, context: false, glossary: false };
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async translate(text, { from = 'auto', to } = {}) {
+        console.log(`Mock translation: ${from} -> ${to}: ${text}`);
+
+        // Simple mock responses for testing
+        if (to === 'zh-CN' || to === 'zh') {
+            return `[中文] ${text}`;
+        } else if (to === 'ja') {
+            return `[日本語] ${text}`;
+        }
+
+        return `[${to}] ${text}`;
+    }
+
+    estimateCost(text) {
+        return { inputTokens: 0, outputTokens: 0, characters: (text || '').length, costUSD: 0 };
+    }
+}
+
+module.exports = {
+    OpenAITranslationProvider,
+    AzureOpenAITranslationProvider,
+    DeepLTranslationProvider,
+    MockTranslationProvider,
+    LANGUAGE_NAMES,
+    languageName,
+    estimateTokens
+};
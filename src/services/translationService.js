@@ -1,89 +1,308 @@
-const axios = require('axios');
+const {
+    OpenAITranslationProvider,
+    AzureOpenAITranslationProvider,
+    DeepLTranslationProvider,
+    MockTranslationProvider,
+    estimateTokens
+} = require('./translationProviders');
+const { CircuitBreaker } = require('../utils/circuitBreaker');
+const { createTranslationCache, buildCacheKey } = require('../database/translationCache');
+const { glossaryService } = require('./glossaryService');
+const { normalizeLanguageTag, primaryLanguage } = require('../utils/language');
+const { detectLanguage: detectLocalLanguage } = require('../utils/languageDetector');
+const { getSkipReason } = require('../utils/translationSkip');
 
 /**
- * Translation service for handling language translation between Japanese and Chinese
- * Supports multiple translation providers
+ * Translation service for relaying messages between any two languages
+ * (Japanese <-> Chinese by default; see translate() and the mapping language settings)
+ * Providers are pluggable (see translationProviders.js): TRANSLATION_PROVIDER picks the
+ * deployment default and a mapping's translationProvider overrides it per conversation.
+ * Failed providers fall through to the default and then TRANSLATION_FALLBACK_PROVIDERS,
+ * each behind its own circuit breaker. Short messages are cached per provider/model
+ * (see database/translationCache.js) unless they are translated with conversation context.
+ * Glossaries (see glossaryService.js) protect tokens and enforce term translations.
+ * Text already in the target language (see detect() and utils/languageDetector.js), and
+ * emoji, links, numbers or code with no words around them, are relayed as is.
  */
 
+// Confidence given to a provider's answer when local detection was unsure
+const PROVIDER_DETECTION_CONFIDENCE = 0.85;
+
+// Answers from provider detectors that name no language
+const UNDETERMINED_LANGUAGES = ['und', 'unknown'];
+
+// Prefixes for text relayed untranslated because every provider failed, by target language
+const UNTRANSLATED_MARKERS = {
+    'zh-CN': '⚠️ [未翻译 / Untranslated]',
+    'zh-TW': '⚠️ [未翻譯 / Untranslated]',
+    'ja': '⚠️ [未翻訳 / Untranslated]',
+    'ko': '⚠️ [번역되지 않음 / Untranslated]'
+};
+
 class TranslationService {
-    constructor() {
-        this.openaiApiKey = process.env.OPENAI_API_KEY;
-        this.openaiModel = process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
-        this.timeout = parseInt(process.env.REQUEST_TIMEOUT) || 10000;
+    constructor(options = {}) {
+        this.providers = new Map();
+        this.registerProvider(new OpenAITranslationProvider());
+        this.registerProvider(new AzureOpenAITranslationProvider());
+        this.registerProvider(new DeepLTranslationProvider());
+        this.registerProvider(new MockTranslationProvider());
+
+        this.providerName = options.provider || this._defaultProvider();
+        this.fallbackProviders = options.fallbackProviders
+            || (process.env.TRANSLATION_FALLBACK_PROVIDERS || '').split(',').map(name => name.trim()).filter(Boolean);
+
+        // One circuit breaker per provider, created on first use
+        this.breakers = new Map();
+        this.breakerOptions = {
+            failureThreshold: options.breakerFailureThreshold || parseInt(process.env.TRANSLATION_BREAKER_THRESHOLD) || 5,
+            resetTimeoutMs: options.breakerResetMs || parseInt(process.env.TRANSLATION_BREAKER_RESET_MS) || 60000
+        };
+
+        // Earlier messages sent as context are trimmed, oldest first, to fit this budget
+        this.contextTokenBudget = options.contextTokenBudget || parseInt(process.env.TRANSLATION_CONTEXT_TOKEN_BUDGET) || 500;
+
+        // null disables caching
+        this.cache = options.translationCache !== undefined ? options.translationCache : createTranslationCache();
+
+        this.glossaryService = options.glossaryService || glossaryService;
+
+        // Provider-based detection is only consulted below detectionMinConfidence;
+        // text detected as the target language at skipConfidence or above isn't translated
+        this.providerDetection = options.providerDetection ?? process.env.LANGUAGE_DETECTION_PROVIDER === 'true';
+        this.detectionMinConfidence = options.detectionMinConfidence
+            || parseFloat(process.env.LANGUAGE_DETECTION_MIN_CONFIDENCE) || 0.6;
+        this.skipConfidence = options.skipConfidence || parseFloat(process.env.TRANSLATION_SKIP_CONFIDENCE) || 0.8;
         
         // Environment validation
         this.validateEnvironment();
     }
 
     /**
-     * Validate required environment variables
+     * Validate that the default provider exists and has credentials
      */
     validateEnvironment() {
-        const requiredVars = ['OPENAI_API_KEY'];
-        const missingVars = requiredVars.filter(varName => !process.env[varName]);
-        
-        if (missingVars.length > 0) {
-            console.warn(`⚠️  Missing environment variables: ${missingVars.join(', ')}`);
+        const provider = this.getProvider();
+        if (!provider) {
+            console.warn(`⚠️  Unknown translation provider: ${this.providerName}`);
+            console.warn('🔄 Translation will fall back to original text.');
+        } else if (!provider.isConfigured()) {
+            console.warn(`⚠️  Translation provider ${provider.name} is not configured`);
             console.warn('🔄 Translation will fall back to original text.');
         } else {
-            console.log('✅ Translation service initialized successfully');
+            console.log(`✅ Translation service initialized successfully (${provider.name})`);
         }
     }
 
     /**
-     * Translate text from any language to Chinese (Simplified)
+     * Register (or replace) a translation provider
+     * @param {Object} provider - { name, capabilities, isConfigured(), translate(), detect(), estimateCost() }
+     */
+    registerProvider(provider) {
+        this.providers.set(provider.name, provider);
+    }
+
+    /**
+     * Get a provider by name
+     * @param {string} name - Provider name (defaults to the deployment's provider)
+     * @returns {Object|null}
+     */
+    getProvider(name = this.providerName) {
+        return this.providers.get(name) || null;
+    }
+
+    /**
+     * Describe the registered providers
+     * @returns {Array<Object>} - [{ name, configured, default, fallback, capabilities, circuit }]
+     */
+    listProviders() {
+        return [...this.providers.values()].map(provider => ({
+            name: provider.name,
+            configured: provider.isConfigured(),
+            default: provider.name === this.providerName,
+            fallback: this.fallbackProviders.includes(provider.name),
+            capabilities: provider.capabilities,
+            circuit: this._getBreaker(provider.name).getStatus()
+        }));
+    }
+
+    /**
+     * Estimate what translating text would cost
      * @param {string} text - Text to translate
-     * @param {string} sourceLang - Source language (optional, auto-detect if not provided)
-     * @returns {Promise<string>} - Translated text in Chinese
+     * @param {Object} options - { provider }
+     * @returns {Object|null} - { provider, inputTokens, outputTokens, characters, costUSD }
      */
-    async translateToChinese(text, sourceLang = 'auto') {
+    estimateCost(text, options = {}) {
+        const provider = this._resolveProvider(options.provider);
+        return provider ? { provider: provider.name, ...provider.estimateCost(text || '') } : null;
+    }
+
+    /**
+     * Translation cache hit/miss metrics
+     * @returns {Object|null} - Cache stats, or null when caching is disabled
+     */
+    getCacheStats() {
+        return this.cache ? this.cache.getStats() : null;
+    }
+
+    /**
+     * Drop cached translations held in memory
+     */
+    async clearCache() {
+        if (this.cache) {
+            await this.cache.clear();
+        }
+    }
+
+    /**
+     * Translate text between any two languages
+     * @param {string} text - Text to translate
+     * @param {Object} options - { from, to } BCP-47 language tags (from defaults to 'auto');
+     *   { provider } to override the default provider;
+     *   { context: [{ speaker, text }] } earlier messages of the conversation, oldest first;
+     *   { glossaryId } team glossary applied on top of the default glossary;
+     *   { cache: false } for context-dependent text that must not be served from the cache;
+     *   { markUntranslated: false } returns the bare original text when every provider fails;
+     *   { detection } result of detect() for the text, so callers that already detected don't detect twice;
+     *   { mentions: [{ index, length }] } spans of the text that are mentions, kept verbatim
+     * @returns {Promise<string>} - Translated text, the original text when it is already in the
+     *   target language or has nothing to translate (see utils/translationSkip.js), or the marked original text
+     */
+    async translate(text, options = {}) {
+        return (await this.translateWithDetails(text, options)).text;
+    }
+
+    /**
+     * Translate text and report how it was translated (for feedback and auditing)
+     * @param {string} text - Text to translate
+     * @param {Object} options - Same options as translate()
+     * @returns {Promise<Object>} - { text, from, to, provider, model }: from is the detected language
+     *   for 'auto'; provider and model are null when the text was relayed untranslated
+     */
+    async translateWithDetails(text, options = {}) {
+        const { from = 'auto', to, detection, ...translateOptions } = options;
+        const targetLang = normalizeLanguageTag(to);
+        const sourceLang = normalizeLanguageTag(from) || 'auto';
+        // Reported source language: the given one, or what detection found
+        let reportedLang = sourceLang;
+        const untranslated = result => ({ text: result, from: reportedLang, to: targetLang, provider: null, model: null });
+
         if (!text || typeof text !== 'string') {
-            console.warn('Invalid text provided for translation to Chinese');
-            return text || '';
+            console.warn(`Invalid text provided for translation to ${to}`);
+            return untranslated(text || '');
+        }
+
+        if (!targetLang || targetLang === 'auto') {
+            console.warn(`Invalid target language ${to}, relaying original text`);
+            return untranslated(this._markUntranslated(text, to, translateOptions));
+        }
+
+        const skipReason = getSkipReason(text);
+        if (skipReason) {
+            console.log(`Nothing to translate (${skipReason}), relaying original text`);
+            return untranslated(text);
         }
 
         try {
-            console.log(`Translating to Chinese: "${text.substring(0, 100)}${text.length > 100 ? '...' : ''}"`);
-            
-            const translatedText = await this._performTranslation(text, sourceLang, 'zh-CN');
-            console.log(`Chinese translation: "${translatedText.substring(0, 100)}${translatedText.length > 100 ? '...' : ''}"`);
-            
-            return translatedText;
+            if (sourceLang === 'auto') {
+                const detected = detection || await this.detect(text);
+                if (this._isSameLanguage(detected.lang, targetLang) && detected.confidence >= this.skipConfidence) {
+                    console.log(`Text is already in ${targetLang} (confidence ${detected.confidence}), skipping translation`);
+                    return untranslated(text);
+                }
+                reportedLang = detected.lang === 'und' ? 'auto' : detected.lang;
+            }
+
+            console.log(`Translating to ${targetLang}: "${text.substring(0, 100)}${text.length > 100 ? '...' : ''}"`);
+
+            const { text: translatedText, provider } = await this._performTranslation(text, sourceLang, targetLang, translateOptions);
+            console.log(`${targetLang} translation: "${translatedText.substring(0, 100)}${translatedText.length > 100 ? '...' : ''}"`);
+
+            return {
+                text: translatedText,
+                from: reportedLang,
+                to: targetLang,
+                provider: provider ? provider.name : null,
+                model: provider?.model || null
+            };
         } catch (error) {
-            console.error('Error translating to Chinese:', error.message);
-            return text; // Return original text if translation fails
+            console.error(`Error translating to ${targetLang}:`, error.message);
+            return untranslated(this._markUntranslated(text, targetLang, translateOptions));
         }
     }
 
+    /**
+     * Translate text from any language to Chinese (Simplified)
+     * @param {string} text - Text to translate
+     * @param {string} sourceLang - Source language (optional, auto-detect if not provided)
+     * @param {Object} options - Same options as translate()
+     * @returns {Promise<string>} - Translated text in Chinese, or the marked original text
+     */
+    async translateToChinese(text, sourceLang = 'auto', options = {}) {
+        return this.translate(text, { ...options, from: sourceLang, to: 'zh-CN' });
+    }
+
     /**
      * Translate text from any language to Japanese
      * @param {string} text - Text to translate
      * @param {string} sourceLang - Source language (optional, auto-detect if not provided)
-     * @returns {Promise<string>} - Translated text in Japanese
+     * @param {Object} options - Same options as translate()
+     * @returns {Promise<string>} - Translated text in Japanese, or the marked original text
      */
-    async translateToJapanese(text, sourceLang = 'auto') {
-        if (!text || typeof text !== 'string') {
-            console.warn('Invalid text provided for translation to Japanese');
-            return text || '';
+    async translateToJapanese(text, sourceLang = 'auto', options = {}) {
+        return this.translate(text, { ...options, from: sourceLang, to: 'ja' });
+    }
+
+    /**
+     * Detect the language of the given text
+     * Local script and character statistics first; when they are unsure and
+     * LANGUAGE_DETECTION_PROVIDER=true, the provider's detector (if it has one) decides
+     * @param {string} text - Text to analyze
+     * @param {Object} options - { provider } to detect with a specific provider
+     * @returns {Promise<Object>} - { lang, confidence, alternatives: [{ lang, confidence }] }
+     */
+    async detect(text, options = {}) {
+        const local = detectLocalLanguage(text);
+        if (!this.providerDetection || local.confidence >= this.detectionMinConfidence || local.lang === 'und') {
+            return local;
+        }
+
+        const provider = this._resolveProvider(options.provider);
+        if (!provider || !provider.capabilities.detection || !provider.isConfigured()) {
+            return local;
+        }
+        const breaker = this._getBreaker(provider.name);
+        if (!breaker.canRequest()) {
+            return local;
         }
 
         try {
-            console.log(`Translating to Japanese: "${text.substring(0, 100)}${text.length > 100 ? '...' : ''}"`);
-            
-            const translatedText = await this._performTranslation(text, sourceLang, 'ja');
-            console.log(`Japanese translation: "${translatedText.substring(0, 100)}${translatedText.length > 100 ? '...' : ''}"`);
-            
-            return translatedText;
+            let lang = normalizeLanguageTag(await provider.detect(text));
+            breaker.recordSuccess();
+            if (!lang || lang === 'auto' || UNDETERMINED_LANGUAGES.includes(lang)) {
+                return local;
+            }
+            // Providers often answer plain 'zh'; keep the local script variant
+            if (primaryLanguage(lang) === 'zh' && primaryLanguage(local.lang) === 'zh') {
+                lang = local.lang;
+            }
+
+            const candidates = [local, ...local.alternatives].filter(candidate => candidate.lang !== lang);
+            return {
+                lang,
+                confidence: Math.max(PROVIDER_DETECTION_CONFIDENCE, lang === local.lang ? local.confidence : 0),
+                alternatives: candidates.map(({ lang: candidate, confidence }) => ({ lang: candidate, confidence })).slice(0, 3)
+            };
         } catch (error) {
-            console.error('Error translating to Japanese:', error.message);
-            return text; // Return original text if translation fails
+            breaker.recordFailure();
+            console.error(`Language detection with ${provider.name} failed:`, error.message);
+            return local;
         }
     }
 
     /**
      * Detect the language of the given text
      * @param {string} text - Text to analyze
-     * @returns {Promise<string>} - Language code
+     * @returns {Promise<string>} - Language tag ('und' when there is nothing to detect)
      */
     async detectLanguage(text) {
         if (!text || typeof text !== 'string') {
@@ -91,16 +310,7 @@ class TranslationService {
         }
 
         try {
-            // Simple heuristic detection - check Japanese first for mixed CJK
-            if (this._containsJapanese(text)) {
-                return 'ja';
-            } else if (this._containsChinese(text)) {
-                return 'zh';
-            } else if (this._containsKorean(text)) {
-                return 'ko';
-            } else {
-                return 'en'; // Default to English for other languages
-            }
+            return (await this.detect(text)).lang;
         } catch (error) {
             console.error('Error detecting language:', error.message);
             return 'unknown';
@@ -108,112 +318,184 @@ class TranslationService {
     }
 
     /**
-     * Perform the actual translation using OpenAI or mock for testing
+     * Perform the actual translation, trying each provider in the chain in turn
+     * @returns {Promise<Object>} - { text, provider } with the provider that translated (null if none was needed)
      * @private
      */
-    async _performTranslation(text, sourceLang, targetLang) {
+    async _performTranslation(text, sourceLang, targetLang, options = {}) {
         // If source and target are the same, return original text
         if (sourceLang === targetLang) {
             console.log('Source and target languages are the same, skipping translation');
-            return text;
+            return { text, provider: null };
         }
 
-        // Use mock for testing, OpenAI for production
-        if (process.env.NODE_ENV === 'test' || process.env.TRANSLATION_PROVIDER === 'mock') {
-            return await this._translateWithMock(text, sourceLang, targetLang);
+        const chain = this._getProviderChain(options.provider, targetLang);
+        if (chain.length === 0) {
+            throw new Error(`No translation provider configured for ${targetLang}`);
         }
-        
-        return await this._translateWithOpenAI(text, targetLang);
+
+        const context = this._trimContext(options.context);
+        const glossary = await this.glossaryService.resolve(options.glossaryId);
+        // Mention offsets change what is sent to the provider, so such text isn't cached
+        const cacheable = Boolean(this.cache) && !options.mentions?.length && this.cache.isCacheable(text, options);
+        if (this.cache && (!cacheable || (context.length > 0 && chain[0].capabilities.context))) {
+            this.cache.recordBypass();
+        }
+
+        const failures = [];
+        for (const provider of chain) {
+            // A translation made with context depends on it, so it is neither read from nor written to the cache
+            const providerContext = context.length > 0 && provider.capabilities.context ? context : null;
+            const cacheKey = cacheable && !providerContext
+                ? buildCacheKey(text, { from: sourceLang, to: targetLang, model: this._cacheModel(provider, glossary) })
+                : null;
+
+            // Checked before the breaker so cached phrases survive a provider outage
+            if (cacheKey) {
+                const cached = await this.cache.get(cacheKey);
+                if (cached !== null) {
+                    console.log(`Translation cache hit (${provider.name})`);
+                    return { text: cached, provider };
+                }
+            }
+
+            const breaker = this._getBreaker(provider.name);
+            if (!breaker.canRequest()) {
+                failures.push(`${provider.name}: circuit open`);
+                continue;
+            }
+
+            try {
+                // Providers that can't take glossary instructions get the terms masked and substituted instead
+                const masked = this.glossaryService.mask(text, glossary, {
+                    to: targetLang,
+                    substituteTerms: !provider.capabilities.glossary,
+                    mentions: options.mentions
+                });
+                const providerText = await provider.translate(masked.text, {
+                    from: sourceLang,
+                    to: targetLang,
+                    ...(providerContext && { context: providerContext }),
+                    ...(masked.terms.length > 0 && { glossary: masked.terms })
+                });
+                const translatedText = this.glossaryService.unmask(providerText, masked);
+                breaker.recordSuccess();
+                if (cacheKey) {
+                    await this.cache.set(cacheKey, translatedText);
+                }
+                if (provider !== chain[0]) {
+                    console.log(`Translated with fallback provider ${provider.name}`);
+                }
+                return { text: translatedText, provider };
+            } catch (error) {
+                breaker.recordFailure();
+                console.error(`Translation provider ${provider.name} failed:`, error.response?.data || error.message);
+                failures.push(`${provider.name}: ${error.message}`);
+            }
+        }
+
+        throw new Error(`All translation providers failed (${failures.join('; ')})`);
     }
 
     /**
-     * OpenAI translation implementation
+     * Configured providers to try, in order: requested, default, then fallbacks,
+     * skipping providers that don't support the target language
      * @private
      */
-    async _translateWithOpenAI(text, targetLang) {
-        if (!this.openaiApiKey) {
-            console.warn('OpenAI API key not configured, returning original text');
-            return text;
+    _getProviderChain(name, targetLang) {
+        const names = [this._resolveProvider(name)?.name, this.providerName, ...this.fallbackProviders];
+        return [...new Set(names)]
+            .map(providerName => this.providers.get(providerName))
+            .filter(provider => provider && provider.isConfigured())
+            .filter(provider => !targetLang || !provider.capabilities.languages
+                || provider.capabilities.languages.includes(primaryLanguage(targetLang)));
+    }
+
+    /**
+     * Keep the most recent context messages that fit the token budget
+     * @private
+     */
+    _trimContext(context) {
+        if (!Array.isArray(context)) {
+            return [];
         }
 
-        try {
-            const targetLanguage = targetLang === 'zh-CN' || targetLang === 'zh' ? 'Chinese (Simplified)' : 'Japanese';
-            
-            const response = await axios.post(
-                'https://api.openai.com/v1/chat/completions',
-                {
-                    model: 'gpt-3.5-turbo',
-                    messages: [
-                        {
-                            role: 'system',
-                            content: `You are a professional translator. Translate the following text to ${targetLanguage}. Only return the translated text, no explanations or additional content.`
-                        },
-                        {
-                            role: 'user',
-                            content: text
-                        }
-                    ],
-                    max_tokens: 1000,
-                    temperature: 0.3
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.openaiApiKey}`,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: this.timeout
-                }
-            );
+        const trimmed = [];
+        let tokens = 0;
+        for (let i = context.length - 1; i >= 0; i--) {
+            tokens += estimateTokens(`${context[i].speaker}: ${context[i].text}`);
+            if (tokens > this.contextTokenBudget) {
+                break;
+            }
+            trimmed.unshift(context[i]);
+        }
+        return trimmed;
+    }
 
-            return response.data.choices[0].message.content.trim();
-        } catch (error) {
-            console.error('OpenAI translation error:', error.response?.data || error.message);
-            return text; // Fallback to original text
+    /**
+     * Cache namespace for a provider: its name plus model/deployment when it has one,
+     * and the glossary version so edited glossaries don't serve stale translations
+     * @private
+     */
+    _cacheModel(provider, glossary) {
+        const model = provider.model ? `${provider.name}/${provider.model}` : provider.name;
+        return glossary && glossary.version ? `${model}#${glossary.version}` : model;
+    }
+
+    /**
+     * @private
+     */
+    _getBreaker(name) {
+        if (!this.breakers.has(name)) {
+            this.breakers.set(name, new CircuitBreaker({ name: `translation:${name}`, ...this.breakerOptions }));
         }
+        return this.breakers.get(name);
     }
 
     /**
-     * Mock translation for testing
+     * Flag text that is being relayed without a translation
      * @private
      */
-    async _translateWithMock(text, sourceLang, targetLang) {
-        console.log(`Mock translation: ${sourceLang} -> ${targetLang}: ${text}`);
-        
-        // Simple mock responses for testing
-        if (targetLang === 'zh-CN' || targetLang === 'zh') {
-            return `[中文] ${text}`;
-        } else if (targetLang === 'ja') {
-            return `[日本語] ${text}`;
+    _markUntranslated(text, targetLang, options = {}) {
+        if (options.markUntranslated === false) {
+            return text;
         }
-        
-        return `[${targetLang}] ${text}`;
+        return `${UNTRANSLATED_MARKERS[targetLang] || '⚠️ [Untranslated]'} ${text}`;
     }
 
     /**
-     * Check if text contains Chinese characters
+     * Whether a detected language already is the target language
+     * Chinese variants must match exactly (zh-TW readers still need zh-CN text converted);
+     * other languages compare by primary subtag so 'en' covers 'en-US'
      * @private
      */
-    _containsChinese(text) {
-        // Chinese characters but exclude Japanese kanji context
-        const hasChinese = /[\u4e00-\u9fff]/.test(text);
-        const hasJapaneseContext = /[\u3040-\u309f\u30a0-\u30ff]/.test(text);
-        return hasChinese && !hasJapaneseContext;
+    _isSameLanguage(detectedLang, targetLang) {
+        if (primaryLanguage(targetLang) === 'zh') {
+            return detectedLang === targetLang;
+        }
+        return primaryLanguage(detectedLang) === primaryLanguage(targetLang);
     }
 
     /**
-     * Check if text contains Japanese characters
+     * Pick the requested provider, falling back to the default for unknown names
      * @private
      */
-    _containsJapanese(text) {
-        return /[\u3040-\u309f\u30a0-\u30ff\u31f0-\u31ff]/.test(text);
+    _resolveProvider(name) {
+        if (name && !this.providers.has(name)) {
+            console.warn(`Unknown translation provider ${name}, using ${this.providerName}`);
+        }
+        return this.getProvider(name && this.providers.has(name) ? name : this.providerName);
     }
 
     /**
-     * Check if text contains Korean characters
+     * Tests never call real APIs; otherwise TRANSLATION_PROVIDER or OpenAI
      * @private
      */
-    _containsKorean(text) {
-        return /[\uac00-\ud7af]/.test(text);
+    _defaultProvider() {
+        if (process.env.NODE_ENV === 'test') {
+            return 'mock';
+        }
+        return process.env.TRANSLATION_PROVIDER || 'openai';
     }
 }
 
@@ -222,5 +504,6 @@ const translationService = new TranslationService();
 
 module.exports = {
     TranslationService,
-    translationService
+    translationService,
+    UNTRANSLATED_MARKERS
 };
\ No newline at end of file
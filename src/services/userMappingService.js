@@ -1,15 +1,76 @@
+const { createMappingStore } = require('../database/mappingStore');
+const { DEFAULT_LANGUAGES, normalizeLanguageTag } = require('../utils/language');
+
 /**
  * User mapping service for managing relationships between LINE and WeChat users
  * This service handles the mapping of users across different messaging platforms
+ *
+ * Mappings are persisted through a pluggable store (Azure Table Storage or in-memory)
+ * and cached in-process: writes go to the store first, then the cache; reads hit the
+ * cache and fall back to the store on a miss or once the cached record is older than
+ * MAPPING_REFRESH_MS (e.g. mappings changed by the admin API on another instance)
  */
 
+// Cached records are re-read after this long so changes made on other instances show up
+const MAPPING_REFRESH_MS = 60000;
+
+// Record types in the mapping store
+const RECORD_TYPES = {
+    LINE_TO_WECHAT: 'lineToWeChat',
+    WECHAT_TO_LINE: 'wechatToLine',
+    GROUP: 'group',
+    WECHAT_GROUP_TO_LINE: 'wechatGroupToLine',
+    PROFILE: 'profile'
+};
+
+// Per-side reading languages from a config mapping entry
+function pickLanguages(mapping) {
+    const languages = {};
+    for (const field of ['lineLanguage', 'wechatLanguage']) {
+        const language = normalizeLanguageTag(mapping[field]);
+        if (language && language !== 'auto') {
+            languages[field] = language;
+        }
+    }
+    return languages;
+}
+
 class UserMappingService {
-    constructor() {
-        // In-memory storage for now - in production, use a database
+    constructor(store = createMappingStore()) {
+        this.store = store;
+
+        // Write-through cache of the store
         this.lineToChatMappings = new Map(); // LINE user ID -> WeChat user ID(s)
         this.wechatToLineMappings = new Map(); // WeChat user ID -> LINE user ID(s)
-        this.groupMappings = new Map(); // LINE group ID -> WeChat group ID
+        this.groupMappings = new Map(); // LINE group ID -> group mapping record
+        this.wechatGroupMappings = new Map(); // WeChat group ID -> LINE group ID
         this.userProfiles = new Map(); // Store user profiles for better mapping
+        this.loadedAt = new Map(); // `${type}:${id}` -> when the cached record was read or written
+    }
+
+    /**
+     * Load all persisted mappings into the cache
+     */
+    async loadMappingsFromStorage() {
+        try {
+            const [lineToWeChat, wechatToLine, groups, wechatGroups, profiles] = await Promise.all([
+                this.store.list(RECORD_TYPES.LINE_TO_WECHAT),
+                this.store.list(RECORD_TYPES.WECHAT_TO_LINE),
+                this.store.list(RECORD_TYPES.GROUP),
+                this.store.list(RECORD_TYPES.WECHAT_GROUP_TO_LINE),
+                this.store.list(RECORD_TYPES.PROFILE)
+            ]);
+
+            lineToWeChat.forEach(({ id, value }) => this._cache(this.lineToChatMappings, RECORD_TYPES.LINE_TO_WECHAT, id, value));
+            wechatToLine.forEach(({ id, value }) => this._cache(this.wechatToLineMappings, RECORD_TYPES.WECHAT_TO_LINE, id, value));
+            groups.forEach(({ id, value }) => this._cache(this.groupMappings, RECORD_TYPES.GROUP, id, value));
+            wechatGroups.forEach(({ id, value }) => this._cache(this.wechatGroupMappings, RECORD_TYPES.WECHAT_GROUP_TO_LINE, id, value.lineGroupId));
+            profiles.forEach(({ id, value }) => this._cache(this.userProfiles, RECORD_TYPES.PROFILE, id, value));
+
+            console.log(`Loaded ${lineToWeChat.length} user mappings and ${groups.length} group mappings from storage`);
+        } catch (error) {
+            console.error('Error loading mappings from storage:', error);
+        }
     }
 
     /**
@@ -18,25 +79,37 @@ class UserMappingService {
      * @param {string} wechatUserId - WeChat user ID
      * @param {Object} options - Additional mapping options
      */
-    mapLineToWeChat(lineUserId, wechatUserId, options = {}) {
+    async mapLineToWeChat(lineUserId, wechatUserId, options = {}) {
         if (!lineUserId || !wechatUserId) {
             console.error('Both LINE and WeChat user IDs are required for mapping');
             return false;
         }
 
         try {
+            const mappedAt = new Date().toISOString();
+            const lineMapping = { wechatUserId, mappedAt, ...options };
+            const wechatMapping = { lineUserId, mappedAt, ...options };
+
+            // Mappings are 1:1 - drop stale reverse entries when either side is re-mapped
+            const previousWeChatUserId = await this.getWeChatUserFromLine(lineUserId);
+            if (previousWeChatUserId && previousWeChatUserId !== wechatUserId) {
+                await this.store.delete(RECORD_TYPES.WECHAT_TO_LINE, previousWeChatUserId);
+                this.wechatToLineMappings.delete(previousWeChatUserId);
+            }
+            const previousLineUserId = await this.getLineUserFromWeChat(wechatUserId);
+            if (previousLineUserId && previousLineUserId !== lineUserId) {
+                await this.store.delete(RECORD_TYPES.LINE_TO_WECHAT, previousLineUserId);
+                this.lineToChatMappings.delete(previousLineUserId);
+            }
+
             // Store bidirectional mapping
-            this.lineToChatMappings.set(lineUserId, {
-                wechatUserId,
-                mappedAt: new Date(),
-                ...options
-            });
-
-            this.wechatToLineMappings.set(wechatUserId, {
-                lineUserId,
-                mappedAt: new Date(),
-                ...options
-            });
+            await Promise.all([
+                this.store.set(RECORD_TYPES.LINE_TO_WECHAT, lineUserId, lineMapping),
+                this.store.set(RECORD_TYPES.WECHAT_TO_LINE, wechatUserId, wechatMapping)
+            ]);
+
+            this._cache(this.lineToChatMappings, RECORD_TYPES.LINE_TO_WECHAT, lineUserId, lineMapping);
+            this._cache(this.wechatToLineMappings, RECORD_TYPES.WECHAT_TO_LINE, wechatUserId, wechatMapping);
 
             console.log(`User mapping created: LINE ${lineUserId} <-> WeChat ${wechatUserId}`);
             return true;
@@ -49,20 +122,20 @@ class UserMappingService {
     /**
      * Get WeChat user ID from LINE user ID
      * @param {string} lineUserId - LINE user ID
-     * @returns {string|null} - WeChat user ID or null if not found
+     * @returns {Promise<string|null>} - WeChat user ID or null if not found
      */
-    getWeChatUserFromLine(lineUserId) {
-        const mapping = this.lineToChatMappings.get(lineUserId);
+    async getWeChatUserFromLine(lineUserId) {
+        const mapping = await this._getCached(this.lineToChatMappings, RECORD_TYPES.LINE_TO_WECHAT, lineUserId);
         return mapping ? mapping.wechatUserId : null;
     }
 
     /**
      * Get LINE user ID from WeChat user ID
      * @param {string} wechatUserId - WeChat user ID
-     * @returns {string|null} - LINE user ID or null if not found
+     * @returns {Promise<string|null>} - LINE user ID or null if not found
      */
-    getLineUserFromWeChat(wechatUserId) {
-        const mapping = this.wechatToLineMappings.get(wechatUserId);
+    async getLineUserFromWeChat(wechatUserId) {
+        const mapping = await this._getCached(this.wechatToLineMappings, RECORD_TYPES.WECHAT_TO_LINE, wechatUserId);
         return mapping ? mapping.lineUserId : null;
     }
 
@@ -70,25 +143,61 @@ class UserMappingService {
      * Map LINE group to WeChat group
      * @param {string} lineGroupId - LINE group ID
      * @param {string} wechatGroupId - WeChat group ID
+     * @param {Object} options - Additional mapping options
      */
-    mapGroups(lineGroupId, wechatGroupId) {
+    async mapGroups(lineGroupId, wechatGroupId, options = {}) {
         if (!lineGroupId || !wechatGroupId) {
             console.error('Both LINE and WeChat group IDs are required for mapping');
             return false;
         }
 
-        this.groupMappings.set(lineGroupId, wechatGroupId);
-        console.log(`Group mapping created: LINE ${lineGroupId} <-> WeChat ${wechatGroupId}`);
-        return true;
+        try {
+            const mappedAt = new Date().toISOString();
+
+            // Group mappings are 1:1 as well - drop stale reverse entries
+            const previousWeChatGroupId = await this.getWeChatGroupFromLine(lineGroupId);
+            if (previousWeChatGroupId && previousWeChatGroupId !== wechatGroupId) {
+                await this.store.delete(RECORD_TYPES.WECHAT_GROUP_TO_LINE, previousWeChatGroupId);
+                this.wechatGroupMappings.delete(previousWeChatGroupId);
+            }
+            const previousLineGroupId = await this.getLineGroupFromWeChat(wechatGroupId);
+            if (previousLineGroupId && previousLineGroupId !== lineGroupId) {
+                await this.store.delete(RECORD_TYPES.GROUP, previousLineGroupId);
+                this.groupMappings.delete(previousLineGroupId);
+            }
+
+            const groupMapping = { wechatGroupId, mappedAt, ...options };
+            await Promise.all([
+                this.store.set(RECORD_TYPES.GROUP, lineGroupId, groupMapping),
+                this.store.set(RECORD_TYPES.WECHAT_GROUP_TO_LINE, wechatGroupId, { lineGroupId, mappedAt, ...options })
+            ]);
+            this._cache(this.groupMappings, RECORD_TYPES.GROUP, lineGroupId, groupMapping);
+            this._cache(this.wechatGroupMappings, RECORD_TYPES.WECHAT_GROUP_TO_LINE, wechatGroupId, lineGroupId);
+            console.log(`Group mapping created: LINE ${lineGroupId} <-> WeChat ${wechatGroupId}`);
+            return true;
+        } catch (error) {
+            console.error('Error creating group mapping:', error);
+            return false;
+        }
     }
 
     /**
      * Get WeChat group ID from LINE group ID
      * @param {string} lineGroupId - LINE group ID
-     * @returns {string|null} - WeChat group ID or null if not found
+     * @returns {Promise<string|null>} - WeChat group ID or null if not found
+     */
+    async getWeChatGroupFromLine(lineGroupId) {
+        const mapping = await this._getCached(this.groupMappings, RECORD_TYPES.GROUP, lineGroupId);
+        return mapping ? mapping.wechatGroupId : null;
+    }
+
+    /**
+     * Get LINE group ID from WeChat group ID
+     * @param {string} wechatGroupId - WeChat group (app chat) ID
+     * @returns {Promise<string|null>} - LINE group ID or null if not found
      */
-    getWeChatGroupFromLine(lineGroupId) {
-        return this.groupMappings.get(lineGroupId) || null;
+    async getLineGroupFromWeChat(wechatGroupId) {
+        return await this._getCached(this.wechatGroupMappings, RECORD_TYPES.WECHAT_GROUP_TO_LINE, wechatGroupId, record => record.lineGroupId);
     }
 
     /**
@@ -97,38 +206,50 @@ class UserMappingService {
      * @param {string} userId - User ID
      * @param {Object} profile - User profile data
      */
-    storeUserProfile(platform, userId, profile) {
+    async storeUserProfile(platform, userId, profile) {
         const key = `${platform}:${userId}`;
-        this.userProfiles.set(key, {
+        const record = {
             ...profile,
             platform,
             userId,
-            updatedAt: new Date()
-        });
-        
-        console.log(`Stored ${platform} profile for user ${userId}`);
+            updatedAt: new Date().toISOString()
+        };
+
+        try {
+            await this.store.set(RECORD_TYPES.PROFILE, key, record);
+            this._cache(this.userProfiles, RECORD_TYPES.PROFILE, key, record);
+            console.log(`Stored ${platform} profile for user ${userId}`);
+        } catch (error) {
+            console.error(`Error storing ${platform} profile for user ${userId}:`, error);
+        }
     }
 
     /**
      * Get user profile
      * @param {string} platform - 'line' or 'wechat'
      * @param {string} userId - User ID
-     * @returns {Object|null} - User profile or null if not found
+     * @returns {Promise<Object|null>} - User profile or null if not found
      */
-    getUserProfile(platform, userId) {
-        const key = `${platform}:${userId}`;
-        return this.userProfiles.get(key) || null;
+    async getUserProfile(platform, userId) {
+        return await this._getCached(this.userProfiles, RECORD_TYPES.PROFILE, `${platform}:${userId}`);
     }
 
     /**
      * Auto-map users based on similar profiles (name, email, etc.)
+     * Name similarity is easy to spoof, so this is disabled unless ENABLE_AUTO_USER_MAPPING=true;
+     * prefer pairing codes (see pairingService) for linking accounts
      * @param {string} lineUserId - LINE user ID
      * @param {string} wechatUserId - WeChat user ID
-     * @returns {boolean} - True if auto-mapping was successful
+     * @returns {Promise<boolean>} - True if auto-mapping was successful
      */
-    attemptAutoMapping(lineUserId, wechatUserId) {
-        const lineProfile = this.getUserProfile('line', lineUserId);
-        const wechatProfile = this.getUserProfile('wechat', wechatUserId);
+    async attemptAutoMapping(lineUserId, wechatUserId) {
+        if (process.env.ENABLE_AUTO_USER_MAPPING !== 'true') {
+            console.log('Auto-mapping disabled (ENABLE_AUTO_USER_MAPPING is not true)');
+            return false;
+        }
+
+        const lineProfile = await this.getUserProfile('line', lineUserId);
+        const wechatProfile = await this.getUserProfile('wechat', wechatUserId);
 
         if (!lineProfile || !wechatProfile) {
             console.log('Insufficient profile data for auto-mapping');
@@ -141,7 +262,7 @@ class UserMappingService {
 
         if (lineName && wechatName && this._calculateSimilarity(lineName, wechatName) > 0.8) {
             console.log(`Auto-mapping users based on name similarity: ${lineName} ~ ${wechatName}`);
-            return this.mapLineToWeChat(lineUserId, wechatUserId, { autoMapped: true });
+            return await this.mapLineToWeChat(lineUserId, wechatUserId, { autoMapped: true });
         }
 
         return false;
@@ -151,9 +272,13 @@ class UserMappingService {
      * Remove user mapping
      * @param {string} lineUserId - LINE user ID
      */
-    removeMapping(lineUserId) {
-        const mapping = this.lineToChatMappings.get(lineUserId);
+    async removeMapping(lineUserId) {
+        const mapping = await this._getCached(this.lineToChatMappings, RECORD_TYPES.LINE_TO_WECHAT, lineUserId);
         if (mapping) {
+            await Promise.all([
+                this.store.delete(RECORD_TYPES.LINE_TO_WECHAT, lineUserId),
+                this.store.delete(RECORD_TYPES.WECHAT_TO_LINE, mapping.wechatUserId)
+            ]);
             this.lineToChatMappings.delete(lineUserId);
             this.wechatToLineMappings.delete(mapping.wechatUserId);
             console.log(`Removed mapping for LINE user ${lineUserId}`);
@@ -162,6 +287,97 @@ class UserMappingService {
         return false;
     }
 
+    /**
+     * Remove group mapping
+     * @param {string} lineGroupId - LINE group ID
+     */
+    async removeGroupMapping(lineGroupId) {
+        const wechatGroupId = await this.getWeChatGroupFromLine(lineGroupId);
+        if (wechatGroupId) {
+            await this.store.delete(RECORD_TYPES.WECHAT_GROUP_TO_LINE, wechatGroupId);
+            this.wechatGroupMappings.delete(wechatGroupId);
+        }
+
+        const removed = await this.store.delete(RECORD_TYPES.GROUP, lineGroupId);
+        const cached = this.groupMappings.delete(lineGroupId);
+        if (removed || cached) {
+            console.log(`Removed group mapping for LINE group ${lineGroupId}`);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Get the full mapping record for a LINE user
+     * @param {string} lineUserId - LINE user ID
+     * @returns {Promise<Object|null>} - Mapping record (with lineUserId) or null if not found
+     */
+    async getUserMapping(lineUserId) {
+        const mapping = await this._getCached(this.lineToChatMappings, RECORD_TYPES.LINE_TO_WECHAT, lineUserId);
+        return mapping ? { lineUserId, ...mapping } : null;
+    }
+
+    /**
+     * Get the full mapping record for a LINE group
+     * @param {string} lineGroupId - LINE group ID
+     * @returns {Promise<Object|null>} - Mapping record (with lineGroupId) or null if not found
+     */
+    async getGroupMapping(lineGroupId) {
+        const mapping = await this._getCached(this.groupMappings, RECORD_TYPES.GROUP, lineGroupId);
+        return mapping ? { lineGroupId, ...mapping } : null;
+    }
+
+    /**
+     * Language a recipient reads relayed messages in
+     * The mapping's setting for that side (lineLanguage / wechatLanguage) wins, then the
+     * language on the recipient's stored profile, then the platform default (ja / zh-CN)
+     * @param {string} platform - Recipient platform, 'line' or 'wechat'
+     * @param {Object|null} mapping - User or group mapping record
+     * @param {string} userId - Recipient user ID for the profile lookup (omit for groups)
+     * @returns {Promise<string>} - Normalized language tag
+     */
+    async getPreferredLanguage(platform, mapping, userId) {
+        const configured = normalizeLanguageTag(mapping?.[`${platform}Language`]);
+        if (configured && configured !== 'auto') {
+            return configured;
+        }
+
+        if (userId) {
+            const profile = await this.getUserProfile(platform, userId);
+            const language = normalizeLanguageTag(profile?.language);
+            if (language && language !== 'auto') {
+                return language;
+            }
+        }
+        return DEFAULT_LANGUAGES[platform];
+    }
+
+    /**
+     * List user mappings from storage (the source of truth across instances)
+     * @param {Object} filters - { source: 'config' | 'test' | 'autoMapped' | ... }
+     * @returns {Promise<Array<Object>>} - Mapping records sorted by LINE user ID
+     */
+    async listUserMappings(filters = {}) {
+        const records = await this.store.list(RECORD_TYPES.LINE_TO_WECHAT);
+        return records
+            .map(({ id, value }) => ({ lineUserId: id, ...value }))
+            .filter(mapping => this._matchesSource(mapping, filters.source))
+            .sort((a, b) => a.lineUserId.localeCompare(b.lineUserId));
+    }
+
+    /**
+     * List group mappings from storage
+     * @param {Object} filters - { source }
+     * @returns {Promise<Array<Object>>} - Mapping records sorted by LINE group ID
+     */
+    async listGroupMappings(filters = {}) {
+        const records = await this.store.list(RECORD_TYPES.GROUP);
+        return records
+            .map(({ id, value }) => ({ lineGroupId: id, ...value }))
+            .filter(mapping => this._matchesSource(mapping, filters.source))
+            .sort((a, b) => a.lineGroupId.localeCompare(b.lineGroupId));
+    }
+
     /**
      * Get all mappings for debugging/admin purposes
      * @returns {Object} - All current mappings
@@ -170,36 +386,50 @@ class UserMappingService {
         return {
             lineToWeChat: Object.fromEntries(this.lineToChatMappings),
             wechatToLine: Object.fromEntries(this.wechatToLineMappings),
-            groups: Object.fromEntries(this.groupMappings),
+            groups: Object.fromEntries([...this.groupMappings].map(([lineGroupId, mapping]) => [lineGroupId, mapping.wechatGroupId])),
             totalMappings: this.lineToChatMappings.size
         };
     }
 
     /**
-     * Load mappings from configuration/database
-     * This would typically load from persistent storage in production
+     * Load mappings from the USER_MAPPINGS environment variable
+     * Config mappings seed storage: entries whose LINE user or group is already stored are
+     * skipped, so settings changed through the admin API or pairing survive restarts
      */
-    loadMappingsFromConfig() {
+    async loadMappingsFromConfig() {
         try {
             const mappingConfig = process.env.USER_MAPPINGS;
             if (mappingConfig) {
                 const mappings = JSON.parse(mappingConfig);
+                let skipped = 0;
                 
                 if (mappings.users && Array.isArray(mappings.users)) {
-                    mappings.users.forEach(mapping => {
-                        this.mapLineToWeChat(mapping.lineUserId, mapping.wechatUserId, {
-                            source: 'config'
+                    for (const mapping of mappings.users) {
+                        if (await this._readStore(RECORD_TYPES.LINE_TO_WECHAT, mapping.lineUserId)) {
+                            skipped++;
+                            continue;
+                        }
+                        await this.mapLineToWeChat(mapping.lineUserId, mapping.wechatUserId, {
+                            source: 'config',
+                            ...pickLanguages(mapping)
                         });
-                    });
+                    }
                 }
 
                 if (mappings.groups && Array.isArray(mappings.groups)) {
-                    mappings.groups.forEach(mapping => {
-                        this.mapGroups(mapping.lineGroupId, mapping.wechatGroupId);
-                    });
+                    for (const mapping of mappings.groups) {
+                        if (await this._readStore(RECORD_TYPES.GROUP, mapping.lineGroupId)) {
+                            skipped++;
+                            continue;
+                        }
+                        await this.mapGroups(mapping.lineGroupId, mapping.wechatGroupId, {
+                            source: 'config',
+                            ...pickLanguages(mapping)
+                        });
+                    }
                 }
 
-                console.log(`Loaded ${mappings.users?.length || 0} user mappings and ${mappings.groups?.length || 0} group mappings from config`);
+                console.log(`Loaded ${mappings.users?.length || 0} user mappings and ${mappings.groups?.length || 0} group mappings from config (${skipped} already stored)`);
             }
         } catch (error) {
             console.error('Error loading mappings from config:', error);
@@ -209,14 +439,95 @@ class UserMappingService {
     /**
      * Create a default mapping for testing
      */
-    createTestMappings() {
+    async createTestMappings() {
         console.log('Creating test user mappings...');
         
         // Example test mappings - replace with real user IDs
-        this.mapLineToWeChat('line_test_user_1', 'wechat_test_user_1', { source: 'test' });
-        this.mapLineToWeChat('line_test_user_2', 'wechat_test_user_2', { source: 'test' });
+        await this.mapLineToWeChat('line_test_user_1', 'wechat_test_user_1', { source: 'test' });
+        await this.mapLineToWeChat('line_test_user_2', 'wechat_test_user_2', { source: 'test' });
         
-        this.mapGroups('line_test_group_1', 'wechat_test_group_1');
+        await this.mapGroups('line_test_group_1', 'wechat_test_group_1', { source: 'test' });
+    }
+
+    /**
+     * Load persisted mappings, then apply config and (optionally) test mappings
+     */
+    async initialize() {
+        await this.loadMappingsFromStorage();
+        await this.loadMappingsFromConfig();
+
+        // Create test mappings if in development mode
+        if (process.env.NODE_ENV === 'development' || process.env.CREATE_TEST_MAPPINGS === 'true') {
+            await this.createTestMappings();
+        }
+    }
+
+    /**
+     * Check a mapping against a source filter ('autoMapped' matches auto-mapped records)
+     * @private
+     */
+    _matchesSource(mapping, source) {
+        if (!source) {
+            return true;
+        }
+        if (source === 'autoMapped') {
+            return mapping.autoMapped === true;
+        }
+        return mapping.source === source;
+    }
+
+    /**
+     * Read a value through the cache, falling back to the store on a miss or once the
+     * cached value is older than MAPPING_REFRESH_MS
+     * @param {Function} pick - Maps the stored record to the cached value
+     * @private
+     */
+    async _getCached(cache, type, id, pick = record => record) {
+        const loadedAt = this.loadedAt.get(`${type}:${id}`);
+        if (cache.has(id) && loadedAt !== undefined && Date.now() - loadedAt < MAPPING_REFRESH_MS) {
+            return cache.get(id);
+        }
+
+        // Keep serving a cached value while storage is unavailable
+        const cached = cache.has(id) ? { value: cache.get(id) } : null;
+        const record = await this._readStore(type, id, cached);
+        if (record === cached) {
+            return cached ? cached.value : null;
+        }
+
+        if (record) {
+            this._cache(cache, type, id, pick(record));
+            return cache.get(id);
+        }
+        cache.delete(id);
+        this.loadedAt.delete(`${type}:${id}`);
+        return null;
+    }
+
+    /**
+     * Cache a value read from or written to the store
+     * @private
+     */
+    _cache(cache, type, id, value) {
+        cache.set(id, value);
+        this.loadedAt.set(`${type}:${id}`, Date.now());
+    }
+
+    /**
+     * Read a record from the store, returning onError (a miss by default) on storage errors
+     * @private
+     */
+    async _readStore(type, id, onError = null) {
+        if (!id) {
+            return null;
+        }
+
+        try {
+            return await this.store.get(type, id);
+        } catch (error) {
+            console.error(`Error reading ${type} mapping for ${id} from storage:`, error);
+            return onError;
+        }
     }
 
     /**
@@ -268,14 +579,10 @@ class UserMappingService {
 const userMappingService = new UserMappingService();
 
 // Load mappings on startup
-userMappingService.loadMappingsFromConfig();
-
-// Create test mappings if in development mode
-if (process.env.NODE_ENV === 'development' || process.env.CREATE_TEST_MAPPINGS === 'true') {
-    userMappingService.createTestMappings();
-}
+userMappingService.ready = userMappingService.initialize();
 
 module.exports = {
     UserMappingService,
-    userMappingService
+    userMappingService,
+    RECORD_TYPES
 };
\ No newline at end of file
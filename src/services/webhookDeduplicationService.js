@@ -0,0 +1,97 @@
+const { createWebhookEventStore } = require('../database/webhookEventStore');
+
+/**
+ * Webhook deduplication
+ * LINE redelivers webhook events it considers undelivered (deliveryContext.isRedelivery,
+ * same webhookEventId) and WeCom retries a callback up to three times (same MsgId).
+ * Each event ID is claimed before the event is processed; events whose ID was already
+ * claimed within the TTL are skipped. With Azure Table Storage configured the claims are
+ * shared, so a redelivery that reaches another instance is skipped too.
+ */
+
+const DEFAULT_TTL_MINUTES = 24 * 60;
+const PURGE_INTERVAL_MS = 60 * 60000;
+
+class WebhookDeduplicationService {
+    constructor(store = createWebhookEventStore(), options = {}) {
+        this.store = store;
+        this.ttlMs = (options.ttlMinutes || parseInt(process.env.WEBHOOK_DEDUP_TTL_MINUTES) || DEFAULT_TTL_MINUTES) * 60000;
+        this.timer = null;
+        this.resetStats();
+    }
+
+    /**
+     * Claim an event for processing
+     * Events without an ID, and events whose claim can't be stored, are processed anyway:
+     * a duplicate relay is better than a lost message
+     * @param {string} platform - 'line' or 'wechat'
+     * @param {string} eventId - LINE webhookEventId or WeCom MsgId
+     * @returns {Promise<boolean>} - True to process the event, false if it is a duplicate
+     */
+    async claim(platform, eventId) {
+        if (!eventId) {
+            this.stats.unchecked++;
+            return true;
+        }
+
+        try {
+            const claimed = await this.store.claim({ platform, eventId: String(eventId) }, Date.now() + this.ttlMs);
+            if (!claimed) {
+                this.stats.duplicates++;
+                console.log(`Skipping duplicate ${platform} webhook event ${eventId}`);
+                return false;
+            }
+            this.stats.claimed++;
+            return true;
+        } catch (error) {
+            this.stats.unchecked++;
+            console.error(`Error checking ${platform} webhook event ${eventId} for duplicates:`, error.message);
+            return true;
+        }
+    }
+
+    /**
+     * Periodically drop expired claims
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => {
+            this.purgeExpired().catch(error => console.error('Error purging processed webhook events:', error.message));
+        }, PURGE_INTERVAL_MS);
+        this.timer.unref?.();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async purgeExpired() {
+        const removed = await this.store.purgeExpired();
+        if (removed > 0) {
+            console.log(`Purged ${removed} expired webhook event claim(s)`);
+        }
+        return removed;
+    }
+
+    /**
+     * @returns {Object} - { claimed, duplicates, unchecked }
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    resetStats() {
+        this.stats = { claimed: 0, duplicates: 0, unchecked: 0 };
+    }
+}
+
+// Singleton instance shared by the LINE and WeCom routers
+const webhookDeduplicationService = new WebhookDeduplicationService();
+
+module.exports = {
+    WebhookDeduplicationService,
+    webhookDeduplicationService
+};
@@ -0,0 +1,114 @@
+/**
+ * Webhook event queue
+ * The LINE and WeCom routers validate a request, push its events here and acknowledge it
+ * right away, so slow translation or delivery can't time out the webhook and trigger
+ * redelivery. Events are processed by a pool of workers: events for different
+ * conversations run concurrently, events for the same conversation run one at a time
+ * in the order they arrived.
+ */
+
+class WebhookEventQueue {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || parseInt(process.env.WEBHOOK_WORKER_CONCURRENCY) || 4;
+
+        this.conversations = new Map(); // conversation key -> tasks waiting, oldest first
+        this.ready = []; // conversation keys with a task waiting and none running
+        this.running = 0;
+        this.processed = 0;
+        this.failed = 0;
+        this.idleWaiters = [];
+    }
+
+    /**
+     * Queue an event for processing after the conversation's earlier events
+     * Errors are logged, not thrown - the webhook has already been acknowledged
+     * @param {string} key - Conversation key, e.g. 'line:<groupId or userId>'
+     * @param {Function} task - async () => void
+     */
+    enqueue(key, task) {
+        if (this.conversations.has(key)) {
+            this.conversations.get(key).push(task);
+            return;
+        }
+
+        this.conversations.set(key, [task]);
+        this.ready.push(key);
+        this._drain();
+    }
+
+    /**
+     * @returns {Promise<void>} - Resolves once every queued event has been processed
+     */
+    onIdle() {
+        if (this.isIdle()) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    isIdle() {
+        return this.running === 0 && this.conversations.size === 0;
+    }
+
+    /**
+     * @returns {Object} - { running, waiting, conversations, processed, failed }
+     */
+    getStats() {
+        let waiting = 0;
+        for (const tasks of this.conversations.values()) {
+            waiting += tasks.length;
+        }
+        return {
+            running: this.running,
+            waiting: waiting - this.running,
+            conversations: this.conversations.size,
+            processed: this.processed,
+            failed: this.failed
+        };
+    }
+
+    /**
+     * @private
+     */
+    _drain() {
+        while (this.running < this.concurrency && this.ready.length > 0) {
+            this._run(this.ready.shift());
+        }
+    }
+
+    // A conversation's next task stays at the head of its list while it runs
+    async _run(key) {
+        this.running++;
+        const tasks = this.conversations.get(key);
+
+        try {
+            await tasks[0]();
+            this.processed++;
+        } catch (error) {
+            this.failed++;
+            console.error(`Error processing webhook event for ${key}:`, error);
+        }
+
+        tasks.shift();
+        if (tasks.length > 0) {
+            // Behind other waiting conversations, so one busy chat can't hold every worker
+            this.ready.push(key);
+        } else {
+            this.conversations.delete(key);
+        }
+        this.running--;
+        this._drain();
+
+        if (this.isIdle()) {
+            this.idleWaiters.splice(0).forEach(resolve => resolve());
+        }
+    }
+}
+
+// Singleton instance shared by the LINE and WeCom routers
+const webhookEventQueue = new WebhookEventQueue();
+
+module.exports = {
+    WebhookEventQueue,
+    webhookEventQueue
+};
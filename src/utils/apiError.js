@@ -0,0 +1,18 @@
+// JSON error responses for the admin REST APIs
+
+/**
+ * Send `{ error, message, timestamp }` with the given HTTP status
+ * @param {import('express').Response} res
+ * @param {number} status - HTTP status code
+ * @param {string} error - Short error name, e.g. 'Bad Request'
+ * @param {string} message - What was wrong with the request
+ */
+function sendError(res, status, error, message) {
+    return res.status(status).json({
+        error,
+        message,
+        timestamp: new Date().toISOString()
+    });
+}
+
+module.exports = { sendError };
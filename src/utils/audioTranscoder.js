@@ -0,0 +1,80 @@
+// Voice transcoding for WeCom → LINE
+// WeCom sends voice as AMR, which LINE can't play; an audio transcoder turns it into
+// m4a so it arrives as an audio message instead of a download link.
+// Select one with AUDIO_TRANSCODER ('ffmpeg' or 'none', the default).
+
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { getAmrDurationMs } = require('./mediaType');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+function runFfmpeg(ffmpegPath, args, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        execFile(ffmpegPath, args, { timeout: timeoutMs }, (error, stdout, stderr) => {
+            if (error) {
+                error.message = `ffmpeg failed: ${(stderr || '').trim() || error.message}`;
+                return reject(error);
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Create a transcoder that converts AMR voice to AAC in an m4a container with ffmpeg
+ * (ffmpeg must be installed; FFMPEG_PATH points at it when it isn't on PATH)
+ * @param {Object} options - { ffmpegPath, timeoutMs }
+ * @returns {Function} - async (content, contentType) => ({ content, contentType, durationMs })
+ */
+function createFfmpegTranscoder(options = {}) {
+    const ffmpegPath = options.ffmpegPath || process.env.FFMPEG_PATH || 'ffmpeg';
+    const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+    return async function transcodeWithFfmpeg(content) {
+        // The mp4 muxer needs a seekable output, so go through temporary files rather than pipes
+        const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'voice-'));
+        try {
+            const input = path.join(directory, 'input.amr');
+            const output = path.join(directory, 'output.m4a');
+            await fs.writeFile(input, content);
+            await runFfmpeg(ffmpegPath, [
+                '-hide_banner', '-loglevel', 'error',
+                '-i', input,
+                '-vn', '-c:a', 'aac', '-b:a', '64k',
+                output
+            ], timeoutMs);
+
+            return {
+                content: await fs.readFile(output),
+                contentType: 'audio/x-m4a',
+                durationMs: getAmrDurationMs(content)
+            };
+        } finally {
+            await fs.rm(directory, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Create the audio transcoder selected by AUDIO_TRANSCODER
+ * @param {string} name - 'ffmpeg' or 'none'
+ * @returns {Function|null} - Transcoder, or null to relay voice as a link
+ */
+function createAudioTranscoder(name = process.env.AUDIO_TRANSCODER) {
+    if (name === 'ffmpeg') {
+        console.log('Audio transcoder: ffmpeg');
+        return createFfmpegTranscoder();
+    }
+    if (name && name !== 'none') {
+        console.warn(`⚠️  Unknown AUDIO_TRANSCODER "${name}" - WeCom voice messages will be sent to LINE as links`);
+    }
+    return null;
+}
+
+module.exports = {
+    createFfmpegTranscoder,
+    createAudioTranscoder
+};
@@ -0,0 +1,81 @@
+// Circuit breaker for calls to external APIs
+// closed: calls go through; opens after failureThreshold consecutive failures
+// open: calls are skipped until resetTimeoutMs has passed
+// half-open: one probe call is let through; success closes the circuit, failure re-opens it
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker {
+    constructor(options = {}) {
+        this.name = options.name || 'circuit';
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeoutMs = options.resetTimeoutMs || 60000;
+        this.state = STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.probeInFlight = false;
+    }
+
+    /**
+     * Whether a call may be attempted now; moves an expired open circuit to half-open
+     * @returns {boolean}
+     */
+    canRequest() {
+        if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+            console.log(`Circuit ${this.name} half-open, probing`);
+            this.state = STATES.HALF_OPEN;
+            this.probeInFlight = false;
+        }
+
+        if (this.state === STATES.CLOSED) {
+            return true;
+        }
+        if (this.state === STATES.HALF_OPEN && !this.probeInFlight) {
+            this.probeInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    recordSuccess() {
+        if (this.state !== STATES.CLOSED) {
+            console.log(`Circuit ${this.name} closed`);
+        }
+        this.state = STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.probeInFlight = false;
+    }
+
+    recordFailure() {
+        this.failures++;
+        if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+            if (this.state !== STATES.OPEN) {
+                console.warn(`Circuit ${this.name} open after ${this.failures} failure(s)`);
+            }
+            this.state = STATES.OPEN;
+            this.openedAt = Date.now();
+            this.probeInFlight = false;
+        }
+    }
+
+    /**
+     * @returns {Object} - { state, failures, openedAt }
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null
+        };
+    }
+}
+
+module.exports = {
+    CircuitBreaker,
+    CIRCUIT_STATES: STATES
+};
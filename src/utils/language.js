@@ -0,0 +1,55 @@
+// Language tags for translation
+// The relay accepts any BCP-47 tag and normalizes it to the codes providers and
+// glossaries use: Chinese collapses to zh-CN (Simplified) or zh-TW (Traditional),
+// everything else keeps its canonical form ('en', 'ko', 'pt-BR', ...)
+
+// Languages each side reads when nothing else is configured
+const DEFAULT_LANGUAGES = {
+    line: 'ja',
+    wechat: 'zh-CN'
+};
+
+const TRADITIONAL_CHINESE_REGIONS = ['TW', 'HK', 'MO'];
+
+/**
+ * Normalize a BCP-47 language tag
+ * @param {string} tag - e.g. 'ja', 'zh-hant', 'EN-us'
+ * @returns {string|null} - Normalized tag, 'auto' for 'auto', or null when the tag is invalid
+ */
+function normalizeLanguageTag(tag) {
+    if (typeof tag !== 'string' || !tag.trim()) {
+        return null;
+    }
+    if (tag.trim().toLowerCase() === 'auto') {
+        return 'auto';
+    }
+
+    let locale;
+    try {
+        locale = new Intl.Locale(tag.trim());
+    } catch {
+        return null;
+    }
+
+    if (locale.language === 'zh') {
+        return locale.script === 'Hant' || (!locale.script && TRADITIONAL_CHINESE_REGIONS.includes(locale.region))
+            ? 'zh-TW'
+            : 'zh-CN';
+    }
+    return locale.baseName;
+}
+
+/**
+ * Primary language subtag ('pt' for 'pt-BR', 'zh' for 'zh-TW')
+ * @param {string} tag - Normalized tag
+ * @returns {string}
+ */
+function primaryLanguage(tag) {
+    return (tag || '').split('-')[0].toLowerCase();
+}
+
+module.exports = {
+    DEFAULT_LANGUAGES,
+    normalizeLanguageTag,
+    primaryLanguage
+};
@@ -0,0 +1,199 @@
+// Local language detection
+// Script analysis decides most messages outright (kana -> Japanese, Hangul -> Korean, ...).
+// Text written only in Han characters or Latin letters is ambiguous, so it is scored with
+// character statistics: simplified/traditional/Japanese-only Han forms, and Latin
+// trigram profiles plus language-specific diacritics. Short or marker-free text gets a
+// low confidence so callers can ask a provider (see TranslationService.detect).
+
+// Scripts that identify a single language
+const SCRIPT_LANGUAGES = [
+    { lang: 'ko', pattern: /[\uac00-\ud7af\u1100-\u11ff\u3130-\u318f]/g },
+    { lang: 'th', pattern: /[\u0e00-\u0e7f]/g },
+    { lang: 'ru', pattern: /[\u0400-\u04ff]/g },
+    { lang: 'ar', pattern: /[\u0600-\u06ff]/g },
+    { lang: 'hi', pattern: /[\u0900-\u097f]/g },
+    { lang: 'el', pattern: /[\u0370-\u03ff]/g },
+    { lang: 'he', pattern: /[\u0590-\u05ff]/g }
+];
+
+const KANA_PATTERN = /[\u3040-\u30ff\u31f0-\u31ff\uff66-\uff9f]/g;
+const HAN_PATTERN = /[\u3400-\u4dbf\u4e00-\u9fff]/g;
+const LATIN_LETTER_PATTERN = /[a-z\u00c0-\u024f\u1e00-\u1eff]/g;
+const LATIN_WORD_PATTERN = /[a-z\u00c0-\u024f\u1e00-\u1eff]+/g;
+
+// Han forms used by only one of Simplified Chinese, Traditional Chinese and Japanese
+const HAN_MARKERS = {
+    'zh-CN': new Set('们这说个么为时对还过问谢东车书见长门马鸟鱼贝开关发样让没给吗呢吧啊哪现认识话语请该几应观买卖电钱银论议记讲读写动头实并专业务办边产华单报图团园亲热级经线结统网难题须顾飞饭馆龙简'),
+    'zh-TW': new Set('們這說麼對會來國學體氣裡嗎於與區歡處號覺當灣臺驗發樣讓沒應觀賣錢讀寫實專辦邊產單圖團經點關為'),
+    'ja': new Set('気対図団様売読実発関駅円込払働畑峠辻枠応観銭写専辺産単経険験歓処覚乗済変広県鉄転伝続値営総')
+};
+
+const LATIN_LETTERS_PER_CHARACTER = 2.5;
+
+// Share of ambiguous Han text attributed to each language before any marker is seen
+const HAN_PRIORS = { 'zh-CN': 0.5, 'zh-TW': 0.3, 'ja': 0.2 };
+
+// Frequent trigrams per Latin-script language (word boundaries as spaces)
+const LATIN_PROFILES = {
+    en: [' th', 'the', 'he ', 'ing', 'ng ', ' an', 'and', 'nd ', ' to', 'to ', ' of', 'of ', 'ed ', ' in', 'is ',
+        ' is', 'er ', 'you', ' yo', 'ou ', 'at ', 'for', ' fo', 'hat', 'tha', 'thi', 'his', ' wi', 'wit', 'ith',
+        ' be', 're ', 'are', ' ha', 'ave', 'll ', 'ks ', 'ank', 'hel', 'ell', 'llo', ' we', 'we '],
+    es: [' de', 'de ', ' la', 'la ', 'os ', ' el', 'el ', ' qu', 'que', 'ue ', ' en', 'as ', 'ión', 'ón ', ' co',
+        ' lo', 'los', ' pa', 'ara', 'ado', ' un', 'una', 'con', ' es', 'est', 'mos', ' po', 'por', 'ía ', 'sta',
+        'ola', 'hol', 'ias', 'cia', 'gra', 'ien', 'ñan', 'año', 'ños'],
+    fr: [' de', 'de ', ' le', 'le ', ' la', ' et', 'et ', 'ent', ' qu', 'que', 'les', ' un', 'ion', ' pa', ' po',
+        'our', 'ous', ' vo', 'vou', 'nt ', 're ', ' je', 'je ', ' ne', 'ne ', 'ait', 'est', ' es', 'eme', 'men',
+        'ux ', 'ée ', 'ça ', 'onj', 'jou', 'bon', 'erc', 'rci', 'ci ', 'oui', 'ui '],
+    de: ['en ', 'er ', ' di', 'die', 'ie ', 'der', ' de', 'ich', 'ch ', ' un', 'und', 'nd ', ' ei', 'ein', 'sch',
+        ' ge', 'cht', 'ht ', 'den', ' da', 'das', 'ist', ' is', ' zu', 'zu ', 'nic', 'ung', ' mi', 'mit', 'sie',
+        'auf', ' au', 'ber', 'ank', 'dan', 'gut', 'ute', 'hen', 'ten', 'ige'],
+    pt: [' de', 'de ', ' qu', 'que', 'ue ', 'os ', 'as ', ' o ', 'ão ', 'ção', ' co', 'com', 'om ', ' nã', 'não',
+        ' um', 'um ', ' pa', 'ara', 'ent', ' se', 'do ', ' do', 'da ', ' da', ' es', 'est', 'obr', 'rig', 'iga',
+        'gad', 'ado', 'ém ', 'voc', 'ocê', 'olá', 'bom', 'nha', 'lho'],
+    it: [' di', 'di ', ' il', 'il ', 'che', ' ch', 'he ', ' la', 're ', 'to ', ' e ', 'ent', 'nte', ' co', 'con',
+        'one', 'ne ', ' pe', 'per', 'zio', ' no', 'non', ' un', 'una', 'no ', 'ato', 'gli', ' gl', 'ono', ' so',
+        'are', 'ere', 'ame', 'ria', 'azi', 'ie ', 'cia', 'ao ', 'iao', 'raz'],
+    id: ['an ', ' me', 'men', 'ang', 'ng ', ' ya', 'yan', 'kan', 'nya', 'ya ', ' di', ' da', 'dan', ' ke', 'ber',
+        ' be', 'ter', ' te', 'ini', ' in', 'ada', ' ad', 'aka', ' sa', 'say', 'aya', 'ga ', ' ti', 'tid', 'ida',
+        'dak', 'ak ', 'kam', 'ami', 'mak', 'asi', 'ima', 'rim', 'eri', 'ama'],
+    vi: [' kh', 'khô', 'hôn', 'ông', ' tô', 'tôi', 'ôi ', ' củ', 'của', ' và', 'và ', ' cá', 'các', 'ác ', ' là',
+        'là ', ' có', 'có ', ' ng', 'ngư', ' đư', 'ược', 'ợc ', ' nh', 'nhữ', 'ững', ' tr', 'ron', 'ong', ' ch',
+        'cho', 'ho ', 'ạn ', ' bạ', 'bạn', 'ảm ', 'cảm', ' cả', 'ơn ', ' ơn']
+};
+
+// Letters that only (or mostly) occur in one Latin-script language
+const LATIN_MARKERS = {
+    vi: /[ăđơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/g,
+    de: /[äöüß]/g,
+    es: /[ñ¿¡]/g,
+    pt: /[ãõ]/g,
+    fr: /[èêëœçîï]/g
+};
+
+const LATIN_TRIGRAMS = Object.fromEntries(
+    Object.entries(LATIN_PROFILES).map(([lang, trigrams]) => [lang, new Set(trigrams)])
+);
+
+function countMatches(text, pattern) {
+    return (text.match(pattern) || []).length;
+}
+
+// Remove things that carry no language signal: URLs, emails, mentions, digits, emoji and punctuation
+function stripNeutral(text) {
+    return text
+        .replace(/https?:\/\/\S+/g, ' ')
+        .replace(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, ' ')
+        .replace(/@\S+/g, ' ')
+        .replace(/[\p{N}\p{P}\p{S}\p{Extended_Pictographic}]/gu, ' ');
+}
+
+// Distribution over ja/zh-CN/zh-TW for Han-only text, with how sure the markers make it
+function scoreHan(text) {
+    const hits = { 'zh-CN': 0, 'zh-TW': 0, 'ja': 0 };
+    for (const char of text.match(HAN_PATTERN) || []) {
+        for (const lang of Object.keys(hits)) {
+            if (HAN_MARKERS[lang].has(char)) {
+                hits[lang]++;
+            }
+        }
+    }
+
+    const markers = hits['zh-CN'] + hits['zh-TW'] + hits.ja;
+    const weights = Object.fromEntries(
+        Object.keys(hits).map(lang => [lang, HAN_PRIORS[lang] + 2 * hits[lang]])
+    );
+    return { weights, certainty: Math.min(1, 0.4 + 0.2 * markers) };
+}
+
+// Distribution over Latin-script languages from trigram and marker-letter hits
+function scoreLatin(text) {
+    const words = text.toLowerCase().match(LATIN_WORD_PATTERN) || [];
+    const hits = Object.fromEntries(Object.keys(LATIN_PROFILES).map(lang => [lang, 0]));
+
+    for (const word of words) {
+        const padded = ` ${word} `;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            const trigram = padded.slice(i, i + 3);
+            for (const lang of Object.keys(hits)) {
+                if (LATIN_TRIGRAMS[lang].has(trigram)) {
+                    hits[lang]++;
+                }
+            }
+        }
+    }
+    const lowered = words.join(' ');
+    for (const [lang, pattern] of Object.entries(LATIN_MARKERS)) {
+        hits[lang] += 3 * countMatches(lowered, pattern);
+    }
+
+    // English is the most common Latin-script language in these chats
+    const weights = Object.fromEntries(
+        Object.entries(hits).map(([lang, count]) => [lang, count + (lang === 'en' ? 0.5 : 0.1)])
+    );
+    const best = Math.max(...Object.values(hits));
+    return { weights, certainty: Math.min(1, 0.3 + best / 12) };
+}
+
+/**
+ * Detect the language of a message
+ * @param {string} text - Text to analyze
+ * @returns {Object} - { lang, confidence, alternatives: [{ lang, confidence }] }; lang is 'und'
+ *   (undetermined) with confidence 0 when the text has no letters
+ */
+function detectLanguage(text) {
+    const content = stripNeutral(typeof text === 'string' ? text : '');
+
+    // Each script contributes a distribution weighted by its character count
+    const groups = [];
+    for (const { lang, pattern } of SCRIPT_LANGUAGES) {
+        const count = countMatches(content, pattern);
+        if (count > 0) {
+            groups.push({ count, weights: { [lang]: 1 }, certainty: 1 });
+        }
+    }
+
+    const kana = countMatches(content, KANA_PATTERN);
+    const han = countMatches(content, HAN_PATTERN);
+    if (kana > 0) {
+        // Kanji alongside kana is Japanese
+        groups.push({ count: kana + han, weights: { ja: 1 }, certainty: 1 });
+    } else if (han > 0) {
+        groups.push({ count: han, ...scoreHan(content) });
+    }
+
+    // A Han character carries about as much as a short syllable of Latin letters
+    const latin = countMatches(content.toLowerCase(), LATIN_LETTER_PATTERN) / LATIN_LETTERS_PER_CHARACTER;
+    if (latin > 0) {
+        groups.push({ count: latin, ...scoreLatin(content) });
+    }
+
+    const total = groups.reduce((sum, group) => sum + group.count, 0);
+    if (total === 0) {
+        return { lang: 'und', confidence: 0, alternatives: [] };
+    }
+
+    const scores = {};
+    let certainty = 0;
+    for (const group of groups) {
+        const share = group.count / total;
+        const sum = Object.values(group.weights).reduce((a, b) => a + b, 0);
+        for (const [lang, weight] of Object.entries(group.weights)) {
+            scores[lang] = (scores[lang] || 0) + share * (weight / sum);
+        }
+        certainty += share * group.certainty;
+    }
+
+    const ranked = Object.entries(scores)
+        .map(([lang, score]) => ({ lang, confidence: parseFloat((score * certainty).toFixed(2)) }))
+        .sort((a, b) => b.confidence - a.confidence);
+
+    return {
+        lang: ranked[0].lang,
+        confidence: ranked[0].confidence,
+        alternatives: ranked.slice(1).filter(candidate => candidate.confidence >= 0.05).slice(0, 3)
+    };
+}
+
+module.exports = {
+    detectLanguage
+};
@@ -0,0 +1,115 @@
+// Media type detection and WeChat Work media limits
+// Content types are sniffed from magic bytes because LINE and WeCom
+// don't always send a reliable Content-Type header
+
+// Magic byte signatures, checked in order
+const SIGNATURES = [
+    { contentType: 'image/jpeg', extension: 'jpg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+    { contentType: 'image/png', extension: 'png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { contentType: 'image/gif', extension: 'gif', offset: 0, ascii: 'GIF8' },
+    { contentType: 'image/webp', extension: 'webp', offset: 8, ascii: 'WEBP' },
+    { contentType: 'audio/amr', extension: 'amr', offset: 0, ascii: '#!AMR' },
+    { contentType: 'audio/x-m4a', extension: 'm4a', offset: 4, ascii: 'ftypM4A' },
+    { contentType: 'video/mp4', extension: 'mp4', offset: 4, ascii: 'ftyp' },
+    { contentType: 'audio/mpeg', extension: 'mp3', offset: 0, ascii: 'ID3' },
+    { contentType: 'application/pdf', extension: 'pdf', offset: 0, ascii: '%PDF' },
+    { contentType: 'application/zip', extension: 'zip', offset: 0, bytes: [0x50, 0x4b, 0x03, 0x04] }
+];
+
+const DEFAULT_TYPE = { contentType: 'application/octet-stream', extension: 'bin' };
+
+// WeChat Work temporary media limits (media/upload)
+const WECOM_MEDIA_LIMITS = {
+    image: { maxBytes: 10 * 1024 * 1024, contentTypes: ['image/jpeg', 'image/png'] },
+    voice: { maxBytes: 2 * 1024 * 1024, contentTypes: ['audio/amr'] },
+    video: { maxBytes: 10 * 1024 * 1024, contentTypes: ['video/mp4'] },
+    file: { maxBytes: 20 * 1024 * 1024, contentTypes: null } // Any type
+};
+
+// WeCom rejects media smaller than this
+const WECOM_MIN_MEDIA_BYTES = 5;
+
+// Formats LINE can play/display from a URL
+const LINE_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+const LINE_AUDIO_TYPES = ['audio/x-m4a', 'audio/mpeg'];
+const LINE_VIDEO_TYPES = ['video/mp4'];
+
+// AMR-NB speech frame sizes (excluding the 1-byte frame header) by frame type; each frame is 20ms
+const AMR_FRAME_SIZES = [12, 13, 15, 17, 19, 20, 26, 31, 5, 0, 0, 0, 0, 0, 0, 0];
+const AMR_HEADER = '#!AMR\n';
+
+function matches(buffer, signature) {
+    const expected = signature.bytes || Buffer.from(signature.ascii, 'ascii');
+    if (buffer.length < signature.offset + expected.length) {
+        return false;
+    }
+    for (let i = 0; i < expected.length; i++) {
+        if (buffer[signature.offset + i] !== expected[i]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Detect a buffer's content type from its magic bytes
+ * @param {Buffer} buffer - Media content
+ * @returns {{ contentType: string, extension: string }}
+ */
+function sniffContentType(buffer) {
+    if (!Buffer.isBuffer(buffer)) {
+        return DEFAULT_TYPE;
+    }
+
+    const signature = SIGNATURES.find(candidate => matches(buffer, candidate));
+    return signature
+        ? { contentType: signature.contentType, extension: signature.extension }
+        : DEFAULT_TYPE;
+}
+
+/**
+ * Pick the WeChat Work media type for content, falling back to 'file'
+ * when the preferred type doesn't accept the format or size
+ * @param {string} contentType - Sniffed content type
+ * @param {number} size - Content size in bytes
+ * @returns {string|null} - 'image', 'voice', 'video', 'file', or null if too large for any type
+ */
+function selectWeComMediaType(contentType, size) {
+    const preferred = ['image', 'voice', 'video'].find(type =>
+        WECOM_MEDIA_LIMITS[type].contentTypes.includes(contentType));
+
+    for (const type of [preferred, 'file'].filter(Boolean)) {
+        if (size <= WECOM_MEDIA_LIMITS[type].maxBytes) {
+            return type;
+        }
+    }
+    return null;
+}
+
+/**
+ * Calculate the duration of an AMR-NB recording (WeCom's voice format)
+ * @param {Buffer} buffer - AMR file content
+ * @returns {number} - Duration in milliseconds (0 if not AMR)
+ */
+function getAmrDurationMs(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.toString('ascii', 0, AMR_HEADER.length) !== AMR_HEADER) {
+        return 0;
+    }
+
+    let frames = 0;
+    for (let offset = AMR_HEADER.length; offset < buffer.length; frames++) {
+        offset += 1 + AMR_FRAME_SIZES[(buffer[offset] >> 3) & 0x0f];
+    }
+    return frames * 20;
+}
+
+module.exports = {
+    WECOM_MEDIA_LIMITS,
+    WECOM_MIN_MEDIA_BYTES,
+    LINE_IMAGE_TYPES,
+    LINE_AUDIO_TYPES,
+    LINE_VIDEO_TYPES,
+    sniffContentType,
+    selectWeComMediaType,
+    getAmrDurationMs
+};
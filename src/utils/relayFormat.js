@@ -0,0 +1,147 @@
+const { languageName } = require('../services/translationProviders');
+
+// How relayed text messages are rendered for recipients
+// - translation: the translation only, as plain text (the default)
+// - bilingual:   the translation with the original below it
+// - collapsed:   the translation with the original cut to a short preview
+// Bilingual formats name the sender and the source language, using a LINE Flex bubble
+// on the LINE side and a markdown message on the WeCom side.
+
+const RELAY_FORMATS = ['translation', 'bilingual', 'collapsed'];
+const DEFAULT_RELAY_FORMAT = 'translation';
+
+// Platform limits: LINE Flex altText, WeCom markdown content
+const FLEX_ALT_TEXT_MAX = 400;
+const WECOM_MARKDOWN_MAX_BYTES = 4096;
+// Longest text put in a single Flex text component
+const FLEX_TEXT_MAX = 2000;
+
+// Preview of the original in the collapsed format
+const COLLAPSED_MAX_LINES = 2;
+const COLLAPSED_MAX_CHARS = 60;
+
+const MUTED_COLOR = '#888888';
+
+/**
+ * The relay format for a mapping: its relayFormat, else RELAY_FORMAT, else translation only
+ * @param {Object} mapping - User or group mapping (optional)
+ * @returns {string}
+ */
+function resolveRelayFormat(mapping) {
+    const format = mapping?.relayFormat || process.env.RELAY_FORMAT;
+    return RELAY_FORMATS.includes(format) ? format : DEFAULT_RELAY_FORMAT;
+}
+
+function truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function truncateBytes(text, maxBytes) {
+    if (Buffer.byteLength(text) <= maxBytes) {
+        return text;
+    }
+    let end = text.length;
+    while (end > 0 && Buffer.byteLength(text.slice(0, end)) > maxBytes - 3) {
+        end--;
+    }
+    return `${text.slice(0, end)}…`;
+}
+
+function sourceLabel(sourceLanguage) {
+    return sourceLanguage && !['und', 'auto', 'unknown'].includes(sourceLanguage)
+        ? languageName(sourceLanguage)
+        : null;
+}
+
+function plainText({ translatedText, senderName }) {
+    return senderName ? `${senderName}: ${translatedText}` : translatedText;
+}
+
+// Untranslated text (already in the recipient's language, or skipped) has no second version to show
+function showsOriginal(format, { translatedText, originalText }) {
+    return format !== 'translation' && Boolean(originalText) && originalText !== translatedText;
+}
+
+/**
+ * Render a relayed message for LINE
+ * @param {Object} relay - { translatedText, originalText, senderName, sourceLanguage }
+ * @param {string} format - One of RELAY_FORMATS
+ * @returns {string|Object} - Plain text, or a Flex message for the bilingual formats
+ */
+function buildLineRelayMessage(relay, format = DEFAULT_RELAY_FORMAT) {
+    if (!showsOriginal(format, relay)) {
+        return plainText(relay);
+    }
+
+    const header = [
+        relay.senderName && { type: 'text', text: relay.senderName, weight: 'bold', size: 'sm', flex: 0 },
+        sourceLabel(relay.sourceLanguage) && {
+            type: 'text', text: sourceLabel(relay.sourceLanguage), size: 'xs', color: MUTED_COLOR, align: 'end'
+        }
+    ].filter(Boolean);
+
+    return {
+        type: 'flex',
+        altText: truncate(plainText(relay), FLEX_ALT_TEXT_MAX),
+        contents: {
+            type: 'bubble',
+            body: {
+                type: 'box',
+                layout: 'vertical',
+                spacing: 'md',
+                contents: [
+                    ...(header.length > 0 ? [{ type: 'box', layout: 'baseline', spacing: 'sm', contents: header }] : []),
+                    { type: 'text', text: truncate(relay.translatedText, FLEX_TEXT_MAX), wrap: true },
+                    { type: 'separator' },
+                    {
+                        type: 'text',
+                        text: truncate(relay.originalText, FLEX_TEXT_MAX),
+                        wrap: true,
+                        size: 'sm',
+                        color: MUTED_COLOR,
+                        ...(format === 'collapsed' && { maxLines: COLLAPSED_MAX_LINES })
+                    }
+                ]
+            }
+        }
+    };
+}
+
+/**
+ * Render a relayed message for WeCom
+ * @param {Object} relay - { translatedText, originalText, senderName, sourceLanguage }
+ * @param {string} format - One of RELAY_FORMATS
+ * @returns {Object} - A text message, or a markdown message for the bilingual formats
+ */
+function buildWeComRelayMessage(relay, format = DEFAULT_RELAY_FORMAT) {
+    if (!showsOriginal(format, relay)) {
+        return { type: 'text', content: plainText(relay) };
+    }
+
+    const label = sourceLabel(relay.sourceLanguage);
+    const heading = [
+        relay.senderName && `**${relay.senderName}**`,
+        label && `<font color="comment">${label}</font>`
+    ].filter(Boolean).join(' ');
+    const original = format === 'collapsed'
+        ? [truncate(relay.originalText.replace(/\s+/g, ' '), COLLAPSED_MAX_CHARS)]
+        : relay.originalText.split('\n');
+    const quoted = original.map(line => `> <font color="comment">${line}</font>`).join('\n');
+
+    // The original is cut first; the translation only when it alone is too long
+    const body = [heading, relay.translatedText].filter(Boolean).join('\n');
+    const room = WECOM_MARKDOWN_MAX_BYTES - Buffer.byteLength(body) - 1;
+    const content = room > 64
+        ? `${body}\n${truncateBytes(quoted, room)}`
+        : truncateBytes(body, WECOM_MARKDOWN_MAX_BYTES);
+
+    return { type: 'markdown', content };
+}
+
+module.exports = {
+    RELAY_FORMATS,
+    DEFAULT_RELAY_FORMAT,
+    resolveRelayFormat,
+    buildLineRelayMessage,
+    buildWeComRelayMessage
+};
@@ -0,0 +1,52 @@
+// Content that is relayed without translation
+// Messages made only of emoji, links, numbers and code (plus punctuation and spacing)
+// read the same in every language, so they skip the providers entirely. In mixed
+// content, code is masked like URLs (see glossaryService) so it comes back verbatim.
+
+// Fenced ```code blocks``` and `inline code`
+const CODE_PATTERN = /```[\s\S]*?```|`[^`\n]+`/g;
+const URL_PATTERN = /(?:https?:\/\/|www\.)\S+/gi;
+// Pictographs plus the modifiers, joiners and keycaps that combine them
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\p{Emoji_Modifier}\p{Regional_Indicator}\u200d\ufe0f\u20e3]/gu;
+const NUMBER_PATTERN = /\p{N}/gu;
+const LETTER_PATTERN = /\p{L}/u;
+
+// Checked in this order; the first kind found names the skip
+const SKIP_RULES = [
+    { reason: 'code', pattern: CODE_PATTERN },
+    { reason: 'url', pattern: URL_PATTERN },
+    { reason: 'emoji', pattern: EMOJI_PATTERN },
+    { reason: 'number', pattern: NUMBER_PATTERN }
+];
+
+/**
+ * Why a message needs no translation, if it doesn't
+ * @param {string} text - Message text
+ * @returns {string|null} - 'code', 'url', 'emoji', 'number' or 'symbols' (punctuation only);
+ *   null when the text has words to translate
+ */
+function getSkipReason(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return null;
+    }
+
+    let remaining = text;
+    const found = [];
+    for (const { reason, pattern } of SKIP_RULES) {
+        const stripped = remaining.replace(pattern, ' ');
+        if (stripped !== remaining) {
+            found.push(reason);
+            remaining = stripped;
+        }
+    }
+
+    if (LETTER_PATTERN.test(remaining)) {
+        return null;
+    }
+    return found[0] || 'symbols';
+}
+
+module.exports = {
+    CODE_PATTERN,
+    getSkipReason
+};
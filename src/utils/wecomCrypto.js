@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+
+/**
+ * WeChat Work (WeCom) callback message crypto
+ * WXBizMsgCrypt-compatible AES-256-CBC encryption/decryption for callback payloads
+ *
+ * Plaintext layout: random(16 bytes) + msg_len(4 bytes, network order) + msg + receiveid
+ * Padding: PKCS#7 with a 32-byte block size (not the 16-byte AES block size)
+ */
+
+const PKCS7_BLOCK_SIZE = 32;
+const RANDOM_PREFIX_LENGTH = 16;
+const LENGTH_FIELD_SIZE = 4;
+
+/**
+ * Decode the 43-character EncodingAESKey into the 32-byte AES key
+ * @param {string} encodingAESKey - EncodingAESKey from the WeCom admin console
+ * @returns {Buffer} - 32-byte AES key
+ */
+function decodeAESKey(encodingAESKey) {
+    if (!encodingAESKey || encodingAESKey.length !== 43) {
+        throw new Error('Invalid EncodingAESKey: must be 43 characters');
+    }
+
+    const key = Buffer.from(encodingAESKey + '=', 'base64');
+    if (key.length !== 32) {
+        throw new Error('Invalid EncodingAESKey: does not decode to a 32-byte key');
+    }
+
+    return key;
+}
+
+/**
+ * Apply PKCS#7 padding using WeCom's 32-byte block size
+ * @param {Buffer} buffer - Data to pad
+ * @returns {Buffer} - Padded data
+ */
+function pkcs7Pad(buffer) {
+    const amountToPad = PKCS7_BLOCK_SIZE - (buffer.length % PKCS7_BLOCK_SIZE);
+    return Buffer.concat([buffer, Buffer.alloc(amountToPad, amountToPad)]);
+}
+
+/**
+ * Remove PKCS#7 padding using WeCom's 32-byte block size
+ * @param {Buffer} buffer - Padded data
+ * @returns {Buffer} - Unpadded data
+ */
+function pkcs7Unpad(buffer) {
+    const pad = buffer[buffer.length - 1];
+    if (pad < 1 || pad > PKCS7_BLOCK_SIZE || pad > buffer.length) {
+        throw new Error('Invalid PKCS#7 padding');
+    }
+    return buffer.subarray(0, buffer.length - pad);
+}
+
+/**
+ * Compute the msg_signature for a callback payload
+ * @param {string} token - Callback token
+ * @param {string} timestamp - Request timestamp
+ * @param {string} nonce - Request nonce
+ * @param {string} encrypted - Encrypted message (or echostr)
+ * @returns {string} - Hex SHA1 signature
+ */
+function computeSignature(token, timestamp, nonce, encrypted = '') {
+    const tmpStr = [token, timestamp, nonce, encrypted].sort().join('');
+    return crypto.createHash('sha1').update(tmpStr).digest('hex');
+}
+
+/**
+ * Decrypt a WeCom callback payload (Encrypt element or echostr)
+ * @param {string} encrypted - Base64 ciphertext
+ * @param {string} encodingAESKey - EncodingAESKey from the WeCom admin console
+ * @param {string} receiveId - Expected CorpID (optional, skips receiver check when empty)
+ * @returns {{ message: string, receiveId: string }} - Decrypted message and its receiver ID
+ */
+function decryptMessage(encrypted, encodingAESKey, receiveId = '') {
+    if (!encrypted) {
+        throw new Error('Encrypted message is required');
+    }
+
+    const key = decodeAESKey(encodingAESKey);
+    const ciphertext = Buffer.from(encrypted, 'base64');
+    if (ciphertext.length === 0 || ciphertext.length % 16 !== 0) {
+        throw new Error('Invalid ciphertext length');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, key.subarray(0, 16));
+    decipher.setAutoPadding(false);
+    const decrypted = pkcs7Unpad(Buffer.concat([decipher.update(ciphertext), decipher.final()]));
+
+    const headerLength = RANDOM_PREFIX_LENGTH + LENGTH_FIELD_SIZE;
+    if (decrypted.length < headerLength) {
+        throw new Error('Decrypted payload too short');
+    }
+
+    const msgLength = decrypted.readUInt32BE(RANDOM_PREFIX_LENGTH);
+    if (headerLength + msgLength > decrypted.length) {
+        throw new Error('Decrypted message length exceeds payload');
+    }
+
+    const message = decrypted.subarray(headerLength, headerLength + msgLength).toString('utf8');
+    const actualReceiveId = decrypted.subarray(headerLength + msgLength).toString('utf8');
+
+    if (receiveId && actualReceiveId !== receiveId) {
+        throw new Error(`Receiver ID mismatch: expected ${receiveId}, got ${actualReceiveId}`);
+    }
+
+    return { message, receiveId: actualReceiveId };
+}
+
+/**
+ * Encrypt a message for WeCom (e.g. passive reply XML)
+ * @param {string} message - Plaintext message
+ * @param {string} encodingAESKey - EncodingAESKey from the WeCom admin console
+ * @param {string} receiveId - CorpID appended to the plaintext
+ * @returns {string} - Base64 ciphertext
+ */
+function encryptMessage(message, encodingAESKey, receiveId = '') {
+    const key = decodeAESKey(encodingAESKey);
+    const msgBuffer = Buffer.from(message, 'utf8');
+    const lengthBuffer = Buffer.alloc(LENGTH_FIELD_SIZE);
+    lengthBuffer.writeUInt32BE(msgBuffer.length, 0);
+
+    const plaintext = pkcs7Pad(Buffer.concat([
+        crypto.randomBytes(RANDOM_PREFIX_LENGTH),
+        lengthBuffer,
+        msgBuffer,
+        Buffer.from(receiveId, 'utf8')
+    ]));
+
+    const cipher = crypto.createCipheriv('aes-256-cbc', key, key.subarray(0, 16));
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(plaintext), cipher.final()]).toString('base64');
+}
+
+/**
+ * Build an encrypted passive reply envelope
+ * @param {string} replyXml - Plaintext reply XML
+ * @param {Object} options - { token, encodingAESKey, receiveId, timestamp, nonce }
+ * @returns {string} - Encrypted reply XML ready to send to WeCom
+ */
+function buildEncryptedReply(replyXml, options = {}) {
+    const { token, encodingAESKey, receiveId = '' } = options;
+    const timestamp = options.timestamp || Math.floor(Date.now() / 1000).toString();
+    const nonce = options.nonce || crypto.randomBytes(8).toString('hex');
+
+    const encrypted = encryptMessage(replyXml, encodingAESKey, receiveId);
+    const signature = computeSignature(token, timestamp, nonce, encrypted);
+
+    return '<xml>' +
+        `<Encrypt><![CDATA[${encrypted}]]></Encrypt>` +
+        `<MsgSignature><![CDATA[${signature}]]></MsgSignature>` +
+        `<TimeStamp>${timestamp}</TimeStamp>` +
+        `<Nonce><![CDATA[${nonce}]]></Nonce>` +
+        '</xml>';
+}
+
+module.exports = {
+    decodeAESKey,
+    computeSignature,
+    decryptMessage,
+    encryptMessage,
+    buildEncryptedReply
+};
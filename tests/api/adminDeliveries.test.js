@@ -0,0 +1,104 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/api/wechatRelay');
+jest.mock('../../src/api/lineRelay');
+
+const { sendWeComMessage } = require('../../src/api/wechatRelay');
+const { getLineMessageQuota } = require('../../src/api/lineRelay');
+const { lineDeliveryPlanner } = require('../../src/services/lineDeliveryPlanner');
+const { deliveryQueue } = require('../../src/services/deliveryQueue');
+const { InMemoryMappingStore } = require('../../src/database/mappingStore');
+const adminDeliveries = require('../../src/api/adminDeliveries');
+
+describe('Admin Deliveries API', () => {
+    let app;
+    const apiKey = 'test-admin-key';
+    const auth = { Authorization: `Bearer ${apiKey}` };
+
+    const deadLetter = async () => {
+        sendWeComMessage.mockRejectedValueOnce(Object.assign(new Error('WeChat Work send message error: 81013 - user not found'), {
+            errcode: 81013
+        }));
+        return await deliveryQueue.deliver('wechat.message', { to: { users: ['wechat_user_1'] }, message: '你好' });
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        process.env.ADMIN_API_KEY = apiKey;
+        deliveryQueue.store = new InMemoryMappingStore();
+
+        app = express();
+        app.use('/admin/deliveries', adminDeliveries);
+    });
+
+    afterEach(() => {
+        delete process.env.ADMIN_API_KEY;
+    });
+
+    test('should require the admin key', async () => {
+        const response = await request(app).get('/admin/deliveries/dead-letters');
+
+        expect(response.status).toBe(401);
+    });
+
+    test('should list and show dead letters with their last error', async () => {
+        const { id } = await deadLetter();
+
+        const stats = await request(app).get('/admin/deliveries').set(auth);
+        expect(stats.body).toEqual({ pending: 0, deadLetters: 1, nextAttemptAt: null });
+
+        const listed = await request(app).get('/admin/deliveries/dead-letters').set(auth);
+        expect(listed.status).toBe(200);
+        expect(listed.body.deadLetters).toEqual([expect.objectContaining({
+            id,
+            kind: 'wechat.message',
+            attempts: 1,
+            lastError: expect.objectContaining({ reason: 'errcode_81013' })
+        })]);
+
+        const shown = await request(app).get(`/admin/deliveries/dead-letters/${id}`).set(auth);
+        expect(shown.body.payload).toEqual({ to: { users: ['wechat_user_1'] }, message: '你好' });
+    });
+
+    test('should replay a dead letter', async () => {
+        const { id } = await deadLetter();
+        sendWeComMessage.mockResolvedValueOnce({ errcode: 0, msgid: 'msg_1' });
+
+        const replayed = await request(app).post(`/admin/deliveries/dead-letters/${id}/replay`).set(auth);
+
+        expect(replayed.status).toBe(200);
+        expect(replayed.body).toEqual({ id, status: 'delivered' });
+        expect(sendWeComMessage).toHaveBeenLastCalledWith({ to: { users: ['wechat_user_1'] }, message: '你好' });
+        expect((await request(app).get('/admin/deliveries/dead-letters').set(auth)).body.deadLetters).toEqual([]);
+    });
+
+    test('should discard dead letters and 404 on unknown ones', async () => {
+        const { id } = await deadLetter();
+
+        expect((await request(app).delete(`/admin/deliveries/dead-letters/${id}`).set(auth)).status).toBe(204);
+        expect((await request(app).delete(`/admin/deliveries/dead-letters/${id}`).set(auth)).status).toBe(404);
+        expect((await request(app).post('/admin/deliveries/dead-letters/missing/replay').set(auth)).status).toBe(404);
+    });
+
+    test('should report LINE replies, pushes and the push quota', async () => {
+        lineDeliveryPlanner.reset();
+        getLineMessageQuota.mockResolvedValue({ limit: 500, used: 120 });
+
+        const response = await request(app).get('/admin/deliveries/line?refresh=true').set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual(expect.objectContaining({
+            replies: 0,
+            pushes: 0,
+            quota: expect.objectContaining({ limit: 500, used: 120, remaining: 380 })
+        }));
+    });
+
+    test('should reject invalid limits', async () => {
+        const response = await request(app).get('/admin/deliveries/dead-letters?limit=0').set(auth);
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('limit must be between 1 and 200');
+    });
+});
@@ -0,0 +1,382 @@
+const request = require('supertest');
+const express = require('express');
+
+// Use a fresh in-memory mapping service instead of the module singleton
+jest.mock('../../src/services/userMappingService', () => {
+    const actual = jest.requireActual('../../src/services/userMappingService');
+    const { InMemoryMappingStore } = jest.requireActual('../../src/database/mappingStore');
+    return {
+        ...actual,
+        userMappingService: new actual.UserMappingService(new InMemoryMappingStore())
+    };
+});
+
+const { userMappingService } = require('../../src/services/userMappingService');
+const { InMemoryMappingStore } = require('../../src/database/mappingStore');
+const adminMappings = require('../../src/api/adminMappings');
+
+describe('Admin Mappings API', () => {
+    let app;
+    const apiKey = 'test-admin-key';
+    const auth = { Authorization: `Bearer ${apiKey}` };
+
+    beforeEach(async () => {
+        process.env.ADMIN_API_KEY = apiKey;
+
+        // Reset the service to an empty store
+        userMappingService.store = new InMemoryMappingStore();
+        userMappingService.lineToChatMappings.clear();
+        userMappingService.wechatToLineMappings.clear();
+        userMappingService.groupMappings.clear();
+        userMappingService.wechatGroupMappings.clear();
+
+        await userMappingService.mapLineToWeChat('line_cfg_1', 'wechat_cfg_1', { source: 'config' });
+        await userMappingService.mapLineToWeChat('line_test_1', 'wechat_test_1', { source: 'test' });
+        await userMappingService.mapLineToWeChat('line_auto_1', 'wechat_auto_1', { autoMapped: true });
+        await userMappingService.mapGroups('line_group_1', 'wechat_group_1', { source: 'config' });
+
+        app = express();
+        app.use('/admin/mappings', adminMappings);
+    });
+
+    afterEach(() => {
+        delete process.env.ADMIN_API_KEY;
+    });
+
+    describe('Authentication', () => {
+        test('should reject requests without credentials', async () => {
+            const response = await request(app).get('/admin/mappings/users');
+
+            expect(response.status).toBe(401);
+            expect(response.body.error).toBe('Unauthorized');
+        });
+
+        test('should reject requests with a wrong key', async () => {
+            const response = await request(app)
+                .get('/admin/mappings/users')
+                .set('Authorization', 'Bearer wrong-key');
+
+            expect(response.status).toBe(401);
+        });
+
+        test('should accept the key via X-API-Key header', async () => {
+            const response = await request(app)
+                .get('/admin/mappings/users')
+                .set('X-API-Key', apiKey);
+
+            expect(response.status).toBe(200);
+        });
+
+        test('should return 503 when no admin key is configured', async () => {
+            delete process.env.ADMIN_API_KEY;
+
+            const response = await request(app)
+                .get('/admin/mappings/users')
+                .set(auth);
+
+            expect(response.status).toBe(503);
+            expect(response.body.error).toBe('Admin API not configured');
+        });
+    });
+
+    describe('User Mappings', () => {
+        test('should list user mappings with paging', async () => {
+            const response = await request(app)
+                .get('/admin/mappings/users')
+                .query({ page: 2, pageSize: 2 })
+                .set(auth);
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual(expect.objectContaining({
+                page: 2,
+                pageSize: 2,
+                total: 3,
+                totalPages: 2
+            }));
+            expect(response.body.mappings).toHaveLength(1);
+            expect(response.body.mappings[0].lineUserId).toBe('line_test_1');
+        });
+
+        test('should filter user mappings by source', async () => {
+            const configResponse = await request(app)
+                .get('/admin/mappings/users')
+                .query({ source: 'config' })
+                .set(auth);
+            const autoResponse = await request(app)
+                .get('/admin/mappings/users')
+                .query({ source: 'autoMapped' })
+                .set(auth);
+
+            expect(configResponse.body.mappings.map(m => m.lineUserId)).toEqual(['line_cfg_1']);
+            expect(autoResponse.body.mappings.map(m => m.lineUserId)).toEqual(['line_auto_1']);
+        });
+
+        test('should validate list parameters', async () => {
+            const badSource = await request(app).get('/admin/mappings/users').query({ source: 'bogus' }).set(auth);
+            const badPage = await request(app).get('/admin/mappings/users').query({ page: 0 }).set(auth);
+            const badSize = await request(app).get('/admin/mappings/users').query({ pageSize: 1000 }).set(auth);
+
+            expect(badSource.status).toBe(400);
+            expect(badPage.status).toBe(400);
+            expect(badSize.status).toBe(400);
+        });
+
+        test('should get a single user mapping', async () => {
+            const response = await request(app).get('/admin/mappings/users/line_cfg_1').set(auth);
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual(expect.objectContaining({
+                lineUserId: 'line_cfg_1',
+                wechatUserId: 'wechat_cfg_1',
+                source: 'config'
+            }));
+        });
+
+        test('should return 404 for unknown user mappings', async () => {
+            const response = await request(app).get('/admin/mappings/users/unknown').set(auth);
+
+            expect(response.status).toBe(404);
+        });
+
+        test('should create a user mapping', async () => {
+            const response = await request(app)
+                .post('/admin/mappings/users')
+                .set(auth)
+                .send({ lineUserId: 'line_new', wechatUserId: 'wechat_new', displayName: 'Hanako' });
+
+            expect(response.status).toBe(201);
+            expect(response.body).toEqual(expect.objectContaining({
+                lineUserId: 'line_new',
+                wechatUserId: 'wechat_new',
+                displayName: 'Hanako',
+                source: 'admin'
+            }));
+            expect(await userMappingService.getLineUserFromWeChat('wechat_new')).toBe('line_new');
+        });
+
+        test('should set, keep and clear a mapping translation provider', async () => {
+            await request(app)
+                .post('/admin/mappings/users')
+                .set(auth)
+                .send({ lineUserId: 'line_tp', wechatUserId: 'wechat_tp', translationProvider: 'deepl' });
+
+            const renamed = await request(app)
+                .put('/admin/mappings/users/line_tp')
+                .set(auth)
+                .send({ displayName: 'Taro' });
+            expect(renamed.body).toEqual(expect.objectContaining({ displayName: 'Taro', translationProvider: 'deepl' }));
+
+            const cleared = await request(app)
+                .put('/admin/mappings/users/line_tp')
+                .set(auth)
+                .send({ translationProvider: null });
+            expect(cleared.status).toBe(200);
+            expect(cleared.body.translationProvider).toBeUndefined();
+        });
+
+        test('should reject unknown translation providers', async () => {
+            const response = await request(app)
+                .post('/admin/mappings/users')
+                .set(auth)
+                .send({ lineUserId: 'line_tp2', wechatUserId: 'wechat_tp2', translationProvider: 'babelfish' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe('translationProvider must be one of: openai, azure-openai, deepl, mock');
+        });
+
+        test('should set a mapping glossary and reject malformed glossary IDs', async () => {
+            const created = await request(app)
+                .post('/admin/mappings/users')
+                .set(auth)
+                .send({ lineUserId: 'line_gl', wechatUserId: 'wechat_gl', glossaryId: 'sales-team' });
+            expect(created.body.glossaryId).toBe('sales-team');
+
+            const invalid = await request(app)
+                .put('/admin/mappings/users/line_gl')
+                .set(auth)
+                .send({ glossaryId: 'sales team!' });
+            expect(invalid.status).toBe(400);
+            expect(invalid.body.message).toBe('glossaryId may only contain letters, digits, _ and - (max 64)');
+        });
+
+        test('should set and keep a mapping relay format', async () => {
+            const created = await request(app)
+                .post('/admin/mappings/users')
+                .set(auth)
+                .send({ lineUserId: 'line_fmt', wechatUserId: 'wechat_fmt', relayFormat: 'bilingual' });
+            expect(created.body.relayFormat).toBe('bilingual');
+
+            const renamed = await request(app)
+                .put('/admin/mappings/users/line_fmt')
+                .set(auth)
+                .send({ displayName: 'Alex' });
+            expect(renamed.body.relayFormat).toBe('bilingual');
+
+            const invalid = await request(app)
+                .put('/admin/mappings/users/line_fmt')
+                .set(auth)
+                .send({ relayFormat: 'side-by-side' });
+            expect(invalid.status).toBe(400);
+            expect(invalid.body.message).toBe('relayFormat must be one of: translation, bilingual, collapsed');
+        });
+
+        test('should normalize and validate mapping languages', async () => {
+            const created = await request(app)
+                .post('/admin/mappings/users')
+                .set(auth)
+                .send({ lineUserId: 'line_lang', wechatUserId: 'wechat_lang', lineLanguage: 'EN-us', wechatLanguage: 'zh-Hant' });
+            expect(created.body).toEqual(expect.objectContaining({ lineLanguage: 'en-US', wechatLanguage: 'zh-TW' }));
+
+            const renamed = await request(app)
+                .put('/admin/mappings/users/line_lang')
+                .set(auth)
+                .send({ displayName: 'Alex' });
+            expect(renamed.body).toEqual(expect.objectContaining({ lineLanguage: 'en-US', wechatLanguage: 'zh-TW' }));
+
+            const invalid = await request(app)
+                .put('/admin/mappings/users/line_lang')
+                .set(auth)
+                .send({ wechatLanguage: 'auto' });
+            expect(invalid.status).toBe(400);
+            expect(invalid.body.message).toBe('wechatLanguage must be a BCP-47 language tag such as ja, zh-CN, zh-TW, en or ko');
+        });
+
+        test('should reject incomplete or duplicate user mappings', async () => {
+            const missing = await request(app)
+                .post('/admin/mappings/users')
+                .set(auth)
+                .send({ lineUserId: 'line_new' });
+            const duplicate = await request(app)
+                .post('/admin/mappings/users')
+                .set(auth)
+                .send({ lineUserId: 'line_cfg_1', wechatUserId: 'wechat_other' });
+
+            expect(missing.status).toBe(400);
+            expect(duplicate.status).toBe(409);
+        });
+
+        test('should not steal a WeChat user mapped to another LINE user', async () => {
+            const created = await request(app)
+                .post('/admin/mappings/users')
+                .set(auth)
+                .send({ lineUserId: 'line_new', wechatUserId: 'wechat_cfg_1' });
+            const updated = await request(app)
+                .put('/admin/mappings/users/line_test_1')
+                .set(auth)
+                .send({ wechatUserId: 'wechat_cfg_1' });
+
+            expect(created.status).toBe(409);
+            expect(updated.status).toBe(409);
+            expect(updated.body.message).toBe('WeChat user wechat_cfg_1 is already mapped to LINE user line_cfg_1');
+            expect(await userMappingService.getWeChatUserFromLine('line_cfg_1')).toBe('wechat_cfg_1');
+            expect(await userMappingService.getWeChatUserFromLine('line_test_1')).toBe('wechat_test_1');
+        });
+
+        test('should update a user mapping and drop the stale reverse mapping', async () => {
+            const response = await request(app)
+                .put('/admin/mappings/users/line_cfg_1')
+                .set(auth)
+                .send({ wechatUserId: 'wechat_cfg_2' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.wechatUserId).toBe('wechat_cfg_2');
+            expect(response.body.source).toBe('config');
+            expect(await userMappingService.getLineUserFromWeChat('wechat_cfg_2')).toBe('line_cfg_1');
+            expect(await userMappingService.getLineUserFromWeChat('wechat_cfg_1')).toBeNull();
+        });
+
+        test('should delete a user mapping', async () => {
+            const response = await request(app).delete('/admin/mappings/users/line_test_1').set(auth);
+            const again = await request(app).delete('/admin/mappings/users/line_test_1').set(auth);
+
+            expect(response.status).toBe(204);
+            expect(again.status).toBe(404);
+            expect(await userMappingService.getWeChatUserFromLine('line_test_1')).toBeNull();
+        });
+    });
+
+    describe('Group Mappings', () => {
+        test('should list and get group mappings', async () => {
+            const list = await request(app).get('/admin/mappings/groups').set(auth);
+            const single = await request(app).get('/admin/mappings/groups/line_group_1').set(auth);
+
+            expect(list.status).toBe(200);
+            expect(list.body.total).toBe(1);
+            expect(single.body).toEqual(expect.objectContaining({
+                lineGroupId: 'line_group_1',
+                wechatGroupId: 'wechat_group_1',
+                source: 'config'
+            }));
+        });
+
+        test('should create, update and delete group mappings', async () => {
+            const created = await request(app)
+                .post('/admin/mappings/groups')
+                .set(auth)
+                .send({ lineGroupId: 'line_group_2', wechatGroupId: 'wechat_group_2' });
+            expect(created.status).toBe(201);
+            expect(await userMappingService.getWeChatGroupFromLine('line_group_2')).toBe('wechat_group_2');
+
+            const updated = await request(app)
+                .put('/admin/mappings/groups/line_group_2')
+                .set(auth)
+                .send({ wechatGroupId: 'wechat_group_3', displayName: 'Sales' });
+            expect(updated.status).toBe(200);
+            expect(updated.body).toEqual(expect.objectContaining({ wechatGroupId: 'wechat_group_3', displayName: 'Sales' }));
+
+            const deleted = await request(app).delete('/admin/mappings/groups/line_group_2').set(auth);
+            expect(deleted.status).toBe(204);
+            expect(await userMappingService.getWeChatGroupFromLine('line_group_2')).toBeNull();
+        });
+
+        test('should remove group mapping fields set to null and reject non-string values', async () => {
+            await request(app)
+                .post('/admin/mappings/groups')
+                .set(auth)
+                .send({ lineGroupId: 'line_group_2', wechatGroupId: 'wechat_group_2', displayName: 'Sales', relayFormat: 'bilingual', lineLanguage: 'en' });
+
+            const cleared = await request(app)
+                .put('/admin/mappings/groups/line_group_2')
+                .set(auth)
+                .send({ relayFormat: null, lineLanguage: null });
+            expect(cleared.status).toBe(200);
+            expect(cleared.body).toEqual(expect.objectContaining({ displayName: 'Sales' }));
+            expect(cleared.body).not.toHaveProperty('relayFormat');
+            expect(cleared.body).not.toHaveProperty('lineLanguage');
+
+            const invalid = await request(app)
+                .put('/admin/mappings/groups/line_group_2')
+                .set(auth)
+                .send({ displayName: 42 });
+            expect(invalid.status).toBe(400);
+            expect(invalid.body.message).toBe('displayName must be a string, or null to remove it');
+            expect((await userMappingService.getGroupMapping('line_group_2')).displayName).toBe('Sales');
+        });
+
+        test('should reject duplicate group mappings', async () => {
+            const response = await request(app)
+                .post('/admin/mappings/groups')
+                .set(auth)
+                .send({ lineGroupId: 'line_group_1', wechatGroupId: 'wechat_group_9' });
+
+            expect(response.status).toBe(409);
+        });
+
+        test('should not steal a WeChat group mapped to another LINE group', async () => {
+            await userMappingService.mapGroups('line_group_2', 'wechat_group_2');
+
+            const created = await request(app)
+                .post('/admin/mappings/groups')
+                .set(auth)
+                .send({ lineGroupId: 'line_group_3', wechatGroupId: 'wechat_group_1' });
+            const updated = await request(app)
+                .put('/admin/mappings/groups/line_group_2')
+                .set(auth)
+                .send({ wechatGroupId: 'wechat_group_1' });
+
+            expect(created.status).toBe(409);
+            expect(updated.status).toBe(409);
+            expect(await userMappingService.getWeChatGroupFromLine('line_group_1')).toBe('wechat_group_1');
+        });
+    });
+});
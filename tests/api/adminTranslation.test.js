@@ -0,0 +1,140 @@
+const request = require('supertest');
+const express = require('express');
+const { translationService } = require('../../src/services/translationService');
+const { glossaryService } = require('../../src/services/glossaryService');
+const { feedbackService } = require('../../src/services/feedbackService');
+const { InMemoryMappingStore } = require('../../src/database/mappingStore');
+const adminTranslation = require('../../src/api/adminTranslation');
+
+describe('Admin Translation API', () => {
+    let app;
+    const apiKey = 'test-admin-key';
+    const auth = { Authorization: `Bearer ${apiKey}` };
+
+    beforeEach(async () => {
+        process.env.ADMIN_API_KEY = apiKey;
+        await translationService.clearCache();
+        translationService.cache.resetStats();
+        glossaryService.store = new InMemoryMappingStore();
+        glossaryService.cache.clear();
+        feedbackService.store = new InMemoryMappingStore();
+
+        app = express();
+        app.use('/admin/translation', adminTranslation);
+    });
+
+    afterEach(() => {
+        delete process.env.ADMIN_API_KEY;
+    });
+
+    test('should require the admin key', async () => {
+        const response = await request(app).get('/admin/translation/providers');
+
+        expect(response.status).toBe(401);
+    });
+
+    test('should list providers with their circuit state', async () => {
+        const response = await request(app).get('/admin/translation/providers').set(auth);
+
+        expect(response.status).toBe(200);
+        expect(response.body.providers).toContainEqual(expect.objectContaining({
+            name: 'mock',
+            configured: true,
+            default: true,
+            circuit: expect.objectContaining({ state: 'closed' })
+        }));
+    });
+
+    test('should report and clear the translation cache', async () => {
+        await translationService.translateToChinese('ありがとうございます');
+        await translationService.translateToChinese('ありがとうございます');
+
+        const stats = await request(app).get('/admin/translation/cache').set(auth);
+        expect(stats.body).toEqual(expect.objectContaining({
+            enabled: true,
+            hits: { memory: 1, table: 0 },
+            misses: 1,
+            entries: 1
+        }));
+
+        const cleared = await request(app).delete('/admin/translation/cache').set(auth);
+        expect(cleared.status).toBe(204);
+        expect(translationService.getCacheStats().entries).toBe(0);
+    });
+
+    describe('glossaries', () => {
+        const glossary = {
+            name: 'Sales team',
+            terms: [{ ja: '見積書', 'zh-CN': '报价单' }],
+            doNotTranslate: ['OHUA']
+        };
+
+        test('should create, read, list and delete a glossary', async () => {
+            const saved = await request(app).put('/admin/translation/glossaries/sales').set(auth).send(glossary);
+            expect(saved.status).toBe(200);
+            expect(saved.body).toEqual(expect.objectContaining({ id: 'sales', ...glossary, protectedPatterns: [] }));
+
+            const fetched = await request(app).get('/admin/translation/glossaries/sales').set(auth);
+            expect(fetched.body).toEqual(saved.body);
+
+            const listed = await request(app).get('/admin/translation/glossaries').set(auth);
+            expect(listed.body.glossaries).toEqual([saved.body]);
+
+            const removed = await request(app).delete('/admin/translation/glossaries/sales').set(auth);
+            expect(removed.status).toBe(204);
+
+            const missing = await request(app).get('/admin/translation/glossaries/sales').set(auth);
+            expect(missing.status).toBe(404);
+        });
+
+        test('should apply the default glossary to translations', async () => {
+            await request(app).put('/admin/translation/glossaries/default').set(auth).send(glossary);
+
+            expect(await translationService.translateToChinese('見積書 OHUA')).toBe('[中文] 报价单 OHUA');
+        });
+
+        test('should reject invalid glossaries', async () => {
+            const invalidId = await request(app).put('/admin/translation/glossaries/sales%20team').set(auth).send(glossary);
+            expect(invalidId.status).toBe(400);
+
+            const invalidBody = await request(app)
+                .put('/admin/translation/glossaries/sales')
+                .set(auth)
+                .send({ protectedPatterns: [{ pattern: '[' }] });
+            expect(invalidBody.status).toBe(400);
+            expect(invalidBody.body.message).toMatch(/^protectedPatterns\[0\] is not a valid regular expression/);
+        });
+    });
+
+    describe('Feedback', () => {
+        test('should report the most flagged language pairs and phrases', async () => {
+            const ref = feedbackService.rememberRelay({
+                platform: 'line',
+                recipientId: 'line_user_1',
+                sourceText: '明天见',
+                translation: { text: '明日会いましょう', from: 'zh-CN', to: 'ja', provider: 'mock', model: null }
+            });
+            await feedbackService.handlePostback('line_user_1', `action=translationFeedback&ref=${ref}`);
+
+            const listed = await request(app).get('/admin/translation/feedback').set(auth);
+            expect(listed.status).toBe(200);
+            expect(listed.body.feedback).toEqual([expect.objectContaining({ sourceText: '明天见', provider: 'mock' })]);
+
+            const report = await request(app).get('/admin/translation/feedback/report?limit=5').set(auth);
+            expect(report.status).toBe(200);
+            expect(report.body).toEqual(expect.objectContaining({
+                total: 1,
+                languagePairs: [{ from: 'zh-CN', to: 'ja', reports: 1, corrected: 0, providers: { mock: 1 } }]
+            }));
+        });
+
+        test('should reject invalid report queries', async () => {
+            const badLimit = await request(app).get('/admin/translation/feedback/report?limit=0').set(auth);
+            expect(badLimit.status).toBe(400);
+
+            const badSince = await request(app).get('/admin/translation/feedback/report?since=yesterday').set(auth);
+            expect(badSince.status).toBe(400);
+            expect(badSince.body.message).toBe('since must be an ISO 8601 date');
+        });
+    });
+});
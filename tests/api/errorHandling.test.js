@@ -5,6 +5,7 @@ const crypto = require('crypto');
 // Mock external dependencies
 jest.mock('../../src/services/translationService');
 jest.mock('../../src/services/userMappingService');
+jest.mock('../../src/services/conversationHistoryService');
 jest.mock('../../src/api/lineRelay');
 jest.mock('../../src/api/wechatRelay');
 
@@ -15,11 +16,14 @@ const { sendWeComMessage } = require('../../src/api/wechatRelay');
 
 const lineWebhook = require('../../src/api/lineWebhook');
 const wechatWebhook = require('../../src/api/wechatWebhook');
+const { awaitWebhookEvents } = require('../helpers/webhookEvents');
+const { lineDeliveryPlanner } = require('../../src/services/lineDeliveryPlanner');
 
 describe('Enhanced Error Handling and Network Tests', () => {
     let app;
     const mockChannelSecret = 'test-channel-secret';
     const mockWeChatToken = 'test-wecom-token';
+    const detection = { lang: 'und', confidence: 0, alternatives: [] };
     
     beforeEach(() => {
         jest.clearAllMocks();
@@ -43,13 +47,23 @@ describe('Enhanced Error Handling and Network Tests', () => {
             return null;
         });
         
-        // Mock translation service
-        translationService.translateToChinese.mockImplementation((text) => 
-            Promise.resolve(`[Chinese] ${text}`)
+        userMappingService.getPreferredLanguage.mockImplementation(async (platform) =>
+            (platform === 'line' ? 'ja' : 'zh-CN')
         );
-        translationService.translateToJapanese.mockImplementation((text) => 
-            Promise.resolve(`[Japanese] ${text}`)
+        
+        // Mock translation service
+        translationService.detect.mockResolvedValue(detection);
+        translationService.translate.mockImplementation((text, { to }) => 
+            Promise.resolve(to === 'ja' ? `[Japanese] ${text}` : `[Chinese] ${text}`)
         );
+        // Relays translate with details; tests assert on and override translate
+        translationService.translateWithDetails.mockImplementation(async (text, options) => ({
+            text: await translationService.translate(text, options),
+            from: 'auto',
+            to: options.to,
+            provider: 'mock',
+            model: null
+        }));
         
         // Setup Express app with proper middleware order
         app = express();
@@ -59,6 +73,12 @@ describe('Enhanced Error Handling and Network Tests', () => {
         app.use(express.text({ type: 'text/plain', limit: '10mb' }));
         app.use(express.json({ limit: '10mb' }));
         app.use(express.raw({ type: '*/*', limit: '10mb' }));
+        // Webhooks are acknowledged before their events are processed; hold the response
+        // until the event queue is idle so assertions see the processed events
+        app.use(awaitWebhookEvents);
+        // Send relay receipts right away, and forget reply tokens from earlier tests
+        lineDeliveryPlanner.reset();
+        lineDeliveryPlanner.receiptBatchMs = 0;
         // Mount webhook routes
         app.use('/webhook/line', lineWebhook);
         app.use('/webhook/wechat', wechatWebhook);
@@ -67,7 +87,7 @@ describe('Enhanced Error Handling and Network Tests', () => {
     describe('Network Failure Scenarios', () => {
         test('should handle translation service timeout', async () => {
             // Mock translation timeout
-            translationService.translateToChinese.mockRejectedValue(
+            translationService.translate.mockRejectedValue(
                 new Error('Request timeout - translation service unavailable')
             );
             
@@ -266,7 +286,7 @@ describe('Enhanced Error Handling and Network Tests', () => {
             expect(response.status).toBe(200);
             
             // Should handle long messages without issues
-            expect(translationService.translateToChinese).toHaveBeenCalledWith(longMessage);
+            expect(translationService.translate).toHaveBeenCalledWith(longMessage, { to: 'zh-CN', detection, provider: undefined });
         });
     });
 
@@ -310,7 +330,7 @@ describe('Enhanced Error Handling and Network Tests', () => {
             });
             
             // Translation service should have been called for each message
-            expect(translationService.translateToChinese).toHaveBeenCalledTimes(numRequests);
+            expect(translationService.translate).toHaveBeenCalledTimes(numRequests);
         });
 
         test('should handle concurrent translation requests', async () => {
@@ -424,14 +444,14 @@ describe('Enhanced Error Handling and Network Tests', () => {
             expect(response.status).toBe(200);
             
             // Should handle large content without memory issues
-            expect(translationService.translateToChinese).toHaveBeenCalledWith(largeContent);
+            expect(translationService.translate).toHaveBeenCalledWith(largeContent, { to: 'zh-CN', detection, provider: undefined });
         });
     });
 
     describe('Error Recovery and Fallbacks', () => {
         test('should recover from temporary service outages', async () => {
             // First request fails
-            translationService.translateToChinese
+            translationService.translate
                 .mockRejectedValueOnce(new Error('Service temporarily unavailable'))
                 .mockResolvedValueOnce('[Chinese] Hello after recovery');
             
@@ -517,7 +537,7 @@ describe('Enhanced Error Handling and Network Tests', () => {
             expect(response.status).toBe(200);
             
             // Should still process translation
-            expect(translationService.translateToChinese).toHaveBeenCalled();
+            expect(translationService.translate).toHaveBeenCalled();
             
             // Should still reply to user (echo fallback)
             expect(sendLineReply).toHaveBeenCalledWith(
@@ -3,7 +3,9 @@ const {
     sendLineReply,
     sendLinePush,
     sendLineMulticast,
+    startLineLoadingAnimation,
     getLineUserProfile,
+    getLineMessageQuota,
     getLineMessageContent,
     createTextMessage,
     createStickerMessage,
@@ -180,17 +182,33 @@ describe('LINE Relay', () => {
             expect(result).toBeNull();
         });
         
-        test('should handle API errors gracefully', async () => {
+        test('should throw API errors for the delivery queue to classify', async () => {
             const errorResponse = {
                 response: {
+                    status: 400,
                     data: { message: 'Invalid user ID' }
                 }
             };
             mockedAxios.post.mockRejectedValue(errorResponse);
             
-            const result = await sendLinePush('invalid-user', 'Hello world');
-            
-            expect(result).toBeNull();
+            await expect(sendLinePush('invalid-user', 'Hello world')).rejects.toBe(errorResponse);
+        });
+
+        test('should send the retry key and treat a repeat LINE already accepted as delivered', async () => {
+            const conflict = {
+                response: {
+                    status: 409,
+                    headers: { 'x-line-accepted-request-id': 'request-1' },
+                    data: { message: 'The retry key is already accepted' }
+                }
+            };
+            mockedAxios.post.mockRejectedValue(conflict);
+
+            const result = await sendLinePush('user123', 'Hello', { retryKey: 'key-1' });
+
+            expect(mockedAxios.post.mock.calls[0][2].headers['X-Line-Retry-Key']).toBe('key-1');
+            expect(result).toEqual({ sentMessages: [], acceptedRequestId: 'request-1' });
+            await expect(sendLinePush('user123', 'Hello')).rejects.toBe(conflict);
         });
     });
 
@@ -295,6 +313,55 @@ describe('LINE Relay', () => {
         });
     });
 
+    describe('startLineLoadingAnimation', () => {
+        test('should start the animation for a multiple of 5 seconds up to 60', async () => {
+            mockedAxios.post.mockResolvedValue({ data: {} });
+            
+            expect(await startLineLoadingAnimation('user123', 12)).toEqual({});
+            await startLineLoadingAnimation('user123', 90);
+            
+            expect(mockedAxios.post).toHaveBeenNthCalledWith(1,
+                'https://api.line.me/v2/bot/chat/loading/start',
+                { chatId: 'user123', loadingSeconds: 15 },
+                expect.objectContaining({ headers: expect.objectContaining({ 'Authorization': `Bearer ${mockAccessToken}` }) })
+            );
+            expect(mockedAxios.post.mock.calls[1][1]).toEqual({ chatId: 'user123', loadingSeconds: 60 });
+        });
+        
+        test('should return null without a chat ID or on API errors', async () => {
+            expect(await startLineLoadingAnimation(null)).toBeNull();
+            expect(mockedAxios.post).not.toHaveBeenCalled();
+            
+            mockedAxios.post.mockRejectedValue({ response: { data: { message: 'Not found' } } });
+            expect(await startLineLoadingAnimation('group123')).toBeNull();
+        });
+    });
+
+    describe('getLineMessageQuota', () => {
+        test('should combine the monthly limit and usage', async () => {
+            mockedAxios.get
+                .mockResolvedValueOnce({ data: { type: 'limited', value: 500 } })
+                .mockResolvedValueOnce({ data: { totalUsage: 120 } });
+            
+            const result = await getLineMessageQuota();
+            
+            expect(mockedAxios.get).toHaveBeenCalledWith('https://api.line.me/v2/bot/message/quota', expect.any(Object));
+            expect(mockedAxios.get).toHaveBeenCalledWith('https://api.line.me/v2/bot/message/quota/consumption', expect.any(Object));
+            expect(result).toEqual({ limit: 500, used: 120 });
+        });
+        
+        test('should report no limit for unlimited plans and null on errors', async () => {
+            mockedAxios.get
+                .mockResolvedValueOnce({ data: { type: 'none' } })
+                .mockResolvedValueOnce({ data: { totalUsage: 3000 } });
+            
+            expect(await getLineMessageQuota()).toEqual({ limit: null, used: 3000 });
+            
+            mockedAxios.get.mockRejectedValue({ response: { data: { message: 'Authentication failed' } } });
+            expect(await getLineMessageQuota()).toBeNull();
+        });
+    });
+
     describe('getLineMessageContent', () => {
         test('should get message content successfully', async () => {
             const messageId = 'msg123';
@@ -514,9 +581,8 @@ describe('LINE Relay', () => {
             };
             mockedAxios.post.mockRejectedValue(authError);
             
-            const result = await sendLinePush('user', 'message');
-            
-            expect(result).toBeNull();
+            await expect(sendLinePush('user', 'message')).rejects.toBe(authError);
+            expect(await sendLineReply('reply-token', 'message')).toBeNull();
         });
         
         test('should handle server errors', async () => {
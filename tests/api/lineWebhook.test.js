@@ -4,9 +4,14 @@ const crypto = require('crypto');
 
 // Mock the lineRelay module
 jest.mock('../../src/api/lineRelay');
-const { sendLineReply } = require('../../src/api/lineRelay');
+const { sendLineReply, sendLinePush, getLineUserProfile } = require('../../src/api/lineRelay');
+const { userMappingService } = require('../../src/services/userMappingService');
+const { feedbackService } = require('../../src/services/feedbackService');
+const { InMemoryMappingStore } = require('../../src/database/mappingStore');
 
 const lineWebhook = require('../../src/api/lineWebhook');
+const { awaitWebhookEvents } = require('../helpers/webhookEvents');
+const { lineDeliveryPlanner } = require('../../src/services/lineDeliveryPlanner');
 
 describe('LINE Webhook', () => {
     let app;
@@ -22,6 +27,12 @@ describe('LINE Webhook', () => {
         // Create Express app with middleware
         app = express();
         app.use(express.json());
+        // Webhooks are acknowledged before their events are processed; hold the response
+        // until the event queue is idle so assertions see the processed events
+        app.use(awaitWebhookEvents);
+        // Send relay receipts right away, and forget reply tokens from earlier tests
+        lineDeliveryPlanner.reset();
+        lineDeliveryPlanner.receiptBatchMs = 0;
         app.use('/webhook/line', lineWebhook);
         
         // Mock sendLineReply to resolve successfully
@@ -152,6 +163,70 @@ describe('LINE Webhook', () => {
             expect(sendLineReply).toHaveBeenCalledWith('reply-token-123', 'Echo: Hello world');
         });
         
+        test('should answer /link with a pairing code instead of relaying', async () => {
+            const payload = {
+                destination: 'test-destination',
+                events: [{
+                    type: 'message',
+                    message: {
+                        type: 'text',
+                        id: '12345',
+                        text: '/link'
+                    },
+                    source: {
+                        userId: 'pairing_user_1'
+                    },
+                    replyToken: 'reply-token-123'
+                }]
+            };
+            
+            const signature = createSignature(payload);
+            
+            const response = await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', signature)
+                .send(payload);
+                
+            expect(response.status).toBe(200);
+            expect(sendLineReply).toHaveBeenCalledTimes(1);
+            expect(sendLineReply).toHaveBeenCalledWith(
+                'reply-token-123',
+                expect.stringMatching(/^🔗 連携コード: [A-HJ-NP-Z2-9]{6}/)
+            );
+        });
+        
+        test('should push the pairing code when LINE does not accept the reply', async () => {
+            sendLineReply.mockResolvedValueOnce(null);
+            sendLinePush.mockResolvedValueOnce({ sentMessages: [{ id: 'push_1' }] });
+            const payload = {
+                destination: 'test-destination',
+                events: [{
+                    type: 'message',
+                    message: {
+                        type: 'text',
+                        id: '12346',
+                        text: '/link'
+                    },
+                    source: {
+                        userId: 'pairing_user_2'
+                    },
+                    replyToken: 'reply-token-expired'
+                }]
+            };
+            
+            const response = await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createSignature(payload))
+                .send(payload);
+                
+            expect(response.status).toBe(200);
+            expect(sendLinePush).toHaveBeenCalledWith(
+                'pairing_user_2',
+                expect.stringMatching(/^🔗 連携コード: /),
+                { retryKey: expect.any(String) }
+            );
+        });
+        
         test('should handle text message with mentions', async () => {
             const payload = {
                 destination: 'test-destination',
@@ -528,6 +603,24 @@ describe('LINE Webhook', () => {
             expect(response.status).toBe(200);
             expect(sendLineReply).toHaveBeenCalledWith('reply-token-123', 'Thank you for adding me as a friend! 👋');
         });
+
+        test('should store the follower profile language as their preferred language', async () => {
+            getLineUserProfile.mockResolvedValueOnce({ userId: 'user_en', displayName: 'Alex', language: 'en' });
+            const payload = {
+                destination: 'test-destination',
+                events: [{ type: 'follow', source: { userId: 'user_en' }, replyToken: 'reply-token-456' }]
+            };
+
+            await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createSignature(payload))
+                .send(payload);
+
+            expect(await userMappingService.getUserProfile('line', 'user_en')).toEqual(
+                expect.objectContaining({ displayName: 'Alex', language: 'en' })
+            );
+            expect(await userMappingService.getPreferredLanguage('line', null, 'user_en')).toBe('en');
+        });
     });
     
     describe('Unfollow Events', () => {
@@ -606,7 +699,7 @@ describe('LINE Webhook', () => {
     });
     
     describe('Postback Events', () => {
-        test('should handle postback event', async () => {
+        test('should not echo postbacks it has no handler for', async () => {
             const payload = {
                 destination: 'test-destination',
                 events: [{
@@ -629,7 +722,7 @@ describe('LINE Webhook', () => {
                 .send(payload);
                 
             expect(response.status).toBe(200);
-            expect(sendLineReply).toHaveBeenCalledWith('reply-token-123', 'You clicked: action=buy&itemid=123');
+            expect(sendLineReply).not.toHaveBeenCalled();
         });
         
         test('should handle postback event with params', async () => {
@@ -658,7 +751,47 @@ describe('LINE Webhook', () => {
                 .send(payload);
                 
             expect(response.status).toBe(200);
-            expect(sendLineReply).toHaveBeenCalledWith('reply-token-123', 'You clicked: action=datetime');
+            expect(sendLineReply).not.toHaveBeenCalled();
+        });
+        
+        test('should record translation feedback from the quick reply postback', async () => {
+            feedbackService.store = new InMemoryMappingStore();
+            const ref = feedbackService.rememberRelay({
+                platform: 'line',
+                recipientId: 'user123',
+                sourceText: '明天见',
+                translation: { text: '明日会いましょう', from: 'zh-CN', to: 'ja', provider: 'openai', model: 'gpt-4o-mini' }
+            });
+            const payload = {
+                destination: 'test-destination',
+                events: [{
+                    type: 'postback',
+                    postback: {
+                        data: `action=translationFeedback&ref=${ref}`
+                    },
+                    source: {
+                        userId: 'user123'
+                    },
+                    replyToken: 'reply-token-123'
+                }]
+            };
+            
+            const signature = createSignature(payload);
+            
+            const response = await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', signature)
+                .send(payload);
+                
+            expect(response.status).toBe(200);
+            expect(sendLineReply).toHaveBeenCalledWith('reply-token-123', expect.stringContaining('翻訳の問題を報告しました'));
+            expect(await feedbackService.listFeedback()).toEqual([expect.objectContaining({
+                userId: 'user123',
+                sourceText: '明天见',
+                translatedText: '明日会いましょう',
+                provider: 'openai',
+                model: 'gpt-4o-mini'
+            })]);
         });
     });
     
@@ -773,8 +906,10 @@ describe('LINE Webhook', () => {
                 .set('X-Line-Signature', signature)
                 .send(payload);
                 
-            expect(response.status).toBe(500);
-            expect(response.text).toBe('Internal Server Error');
+            // The webhook is acknowledged before the event is processed
+            expect(response.status).toBe(200);
+            expect(response.text).toBe('OK');
+            expect(sendLineReply).toHaveBeenCalled();
         });
         
         test('should handle multiple events in single request', async () => {
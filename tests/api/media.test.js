@@ -0,0 +1,94 @@
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../src/services/mediaRelayService');
+
+const { mediaRelayService } = require('../../src/services/mediaRelayService');
+const media = require('../../src/api/media');
+
+describe('Media Route', () => {
+    let app;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        app = express();
+        app.use('/media', media);
+    });
+
+    test('should serve stored media for a valid signature', async () => {
+        mediaRelayService.verifySignedUrl.mockReturnValue(true);
+        mediaRelayService.getStoredMedia.mockResolvedValue({
+            content: Buffer.from('png bytes'),
+            contentType: 'image/png',
+            filename: null
+        });
+
+        const response = await request(app).get('/media/media_id_1').query({ expires: '1700000000', signature: 'sig' });
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toBe('image/png');
+        expect(response.headers['x-content-type-options']).toBe('nosniff');
+        expect(response.headers['content-disposition']).toBeUndefined();
+        expect(response.body).toEqual(Buffer.from('png bytes'));
+        expect(mediaRelayService.verifySignedUrl).toHaveBeenCalledWith('media_id_1', '1700000000', 'sig');
+    });
+
+    test('should send files as attachments with their name', async () => {
+        mediaRelayService.verifySignedUrl.mockReturnValue(true);
+        mediaRelayService.getStoredMedia.mockResolvedValue({
+            content: Buffer.from('%PDF-1.7'),
+            contentType: 'application/pdf',
+            filename: 'report.pdf'
+        });
+
+        const response = await request(app).get('/media/media_id_1').query({ expires: '1', signature: 'sig' });
+
+        expect(response.headers['content-disposition']).toContain('report.pdf');
+    });
+
+    test('should keep the stored content type when the file name suggests another', async () => {
+        mediaRelayService.verifySignedUrl.mockReturnValue(true);
+        mediaRelayService.getStoredMedia.mockResolvedValue({
+            content: Buffer.from('a,b\n1,2\n'),
+            contentType: 'text/csv',
+            filename: 'export.dat'
+        });
+
+        const response = await request(app).get('/media/media_id_1').query({ expires: '1', signature: 'sig' });
+
+        expect(response.headers['content-type']).toMatch(/^text\/csv/);
+        expect(response.headers['content-disposition']).toContain('export.dat');
+    });
+
+    test('should only serve types LINE displays inline', async () => {
+        mediaRelayService.verifySignedUrl.mockReturnValue(true);
+        mediaRelayService.getStoredMedia.mockResolvedValue({
+            content: Buffer.from('<svg onload="alert(1)"/>'),
+            contentType: 'image/svg+xml',
+            filename: null
+        });
+
+        const response = await request(app).get('/media/media_id_1').query({ expires: '1', signature: 'sig' });
+
+        expect(response.headers['content-disposition']).toBe('attachment');
+        expect(response.headers['x-content-type-options']).toBe('nosniff');
+    });
+
+    test('should reject invalid or expired signatures', async () => {
+        mediaRelayService.verifySignedUrl.mockReturnValue(false);
+
+        const response = await request(app).get('/media/media_id_1').query({ expires: '1', signature: 'bad' });
+
+        expect(response.status).toBe(403);
+        expect(mediaRelayService.getStoredMedia).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for media that no longer exists', async () => {
+        mediaRelayService.verifySignedUrl.mockReturnValue(true);
+        mediaRelayService.getStoredMedia.mockResolvedValue(null);
+
+        const response = await request(app).get('/media/media_id_1').query({ expires: '1', signature: 'sig' });
+
+        expect(response.status).toBe(404);
+    });
+});
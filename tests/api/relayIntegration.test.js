@@ -1,25 +1,45 @@
 const request = require('supertest');
 const express = require('express');
 const crypto = require('crypto');
+const { Readable } = require('stream');
 
 // Mock the services
 jest.mock('../../src/services/translationService');
 jest.mock('../../src/services/userMappingService');
+jest.mock('../../src/services/conversationHistoryService');
 jest.mock('../../src/api/lineRelay');
 jest.mock('../../src/api/wechatRelay');
+jest.mock('../../src/database/azureTableStorage', () => ({
+    ...jest.requireActual('../../src/database/azureTableStorage'),
+    logMessage: jest.fn().mockResolvedValue(null)
+}));
 
 const { translationService } = require('../../src/services/translationService');
 const { userMappingService } = require('../../src/services/userMappingService');
-const { sendLineReply, sendLinePush } = require('../../src/api/lineRelay');
-const { sendWeComMessage } = require('../../src/api/wechatRelay');
+const lineRelay = require('../../src/api/lineRelay');
+const { sendLineReply, sendLinePush, startLineLoadingAnimation, getLineGroupMemberProfile, getLineMessageContent } = lineRelay;
+const { sendWeComMessage, sendWeComAppChatMessage, getWeComUser, uploadWeComMedia, getWeComMedia } = require('../../src/api/wechatRelay');
+const { mediaRelayService } = require('../../src/services/mediaRelayService');
+const { conversationHistoryService } = require('../../src/services/conversationHistoryService');
+const { feedbackService } = require('../../src/services/feedbackService');
+const { deliveryQueue } = require('../../src/services/deliveryQueue');
+const { InMemoryMappingStore } = require('../../src/database/mappingStore');
+const { InMemoryWebhookEventStore } = require('../../src/database/webhookEventStore');
+const { logMessage } = require('../../src/database/azureTableStorage');
 
 const lineWebhook = require('../../src/api/lineWebhook');
 const wechatWebhook = require('../../src/api/wechatWebhook');
+const { encryptMessage } = require('../../src/utils/wecomCrypto');
+const { webhookEventQueue } = require('../../src/services/webhookEventQueue');
+const { awaitWebhookEvents } = require('../helpers/webhookEvents');
+const { lineDeliveryPlanner } = require('../../src/services/lineDeliveryPlanner');
+const { webhookDeduplicationService } = require('../../src/services/webhookDeduplicationService');
 
 describe('Bidirectional LINE-WeChat Relay Integration', () => {
     let app;
     const mockChannelSecret = 'test-channel-secret';
     const mockWeChatToken = 'test-wecom-token';
+    const detection = { lang: 'und', confidence: 0, alternatives: [] };
     
     beforeEach(() => {
         jest.clearAllMocks();
@@ -27,7 +47,7 @@ describe('Bidirectional LINE-WeChat Relay Integration', () => {
         // Set up environment variables
         process.env.LINE_CHANNEL_SECRET = mockChannelSecret;
         process.env.WECOM_CALLBACK_TOKEN = mockWeChatToken;
-        process.env.WECOM_AES_KEY = 'test-aes-key';
+        process.env.WECOM_AES_KEY = 'abcdefghijklmnopqrstuvwxyz0123456789ABCDEFG';
         process.env.DISABLE_SIGNATURE_VALIDATION = 'false';
         process.env.NODE_ENV = 'development';
         process.env.WECOM_MOCK_MESSAGES = 'true';
@@ -36,8 +56,18 @@ describe('Bidirectional LINE-WeChat Relay Integration', () => {
         app = express();
         app.use(express.json());
         app.use(express.raw({ type: 'text/xml' }));
+        // Webhooks are acknowledged before their events are processed; hold the response
+        // until the event queue is idle so assertions see the processed events
+        app.use(awaitWebhookEvents);
         app.use('/webhook/line', lineWebhook);
         app.use('/webhook/wechat', wechatWebhook);
+        // Fixtures reuse event IDs across tests
+        webhookDeduplicationService.store = new InMemoryWebhookEventStore();
+        webhookDeduplicationService.resetStats();
+        // Send relay receipts right away, and forget reply tokens from earlier tests
+        lineDeliveryPlanner.reset();
+        lineDeliveryPlanner.receiptMode = 'full';
+        lineDeliveryPlanner.receiptBatchMs = 0;
         
         // Mock successful responses
         sendLineReply.mockResolvedValue({ success: true });
@@ -45,8 +75,24 @@ describe('Bidirectional LINE-WeChat Relay Integration', () => {
         sendWeComMessage.mockResolvedValue({ success: true });
         
         // Mock translation service
-        translationService.translateToChinese.mockImplementation(async (text) => `[中文] ${text}`);
-        translationService.translateToJapanese.mockImplementation(async (text) => `[日本語] ${text}`);
+        translationService.detect.mockResolvedValue(detection);
+        translationService.translate.mockImplementation(async (text, { to }) => {
+            const tags = { 'zh-CN': '中文', ja: '日本語' };
+            return `[${tags[to] || to}] ${text}`;
+        });
+        // Relays translate with details; tests assert on and override translate
+        translationService.translateWithDetails.mockImplementation(async (text, options) => ({
+            text: await translationService.translate(text, options),
+            from: 'auto',
+            to: options.to,
+            provider: 'mock',
+            model: null
+        }));
+        
+        // Recipients read the default languages unless a test says otherwise
+        userMappingService.getPreferredLanguage.mockImplementation(async (platform) =>
+            (platform === 'line' ? 'ja' : 'zh-CN')
+        );
         
         // Mock user mapping service
         userMappingService.getWeChatUserFromLine.mockImplementation((lineUserId) => {
@@ -114,16 +160,15 @@ describe('Bidirectional LINE-WeChat Relay Integration', () => {
             expect(response.status).toBe(200);
             
             // Verify translation was called
-            expect(translationService.translateToChinese).toHaveBeenCalledWith(
-                'こんにちは、元気ですか？'
+            expect(translationService.translate).toHaveBeenCalledWith(
+                'こんにちは、元気ですか？', { to: 'zh-CN', detection, provider: undefined }
             );
             
             // Verify WeChat message was sent
-            expect(sendWeComMessage).toHaveBeenCalledWith(
-                'wechat_user_456',
-                '[中文] こんにちは、元気ですか？',
-                'text'
-            );
+            expect(sendWeComMessage).toHaveBeenCalledWith({
+                to: { users: ['wechat_user_456'] },
+                message: { type: 'text', content: '[中文] こんにちは、元気ですか？' }
+            });
             
             // Verify confirmation was sent back to LINE
             expect(sendLineReply).toHaveBeenCalledWith(
@@ -132,6 +177,136 @@ describe('Bidirectional LINE-WeChat Relay Integration', () => {
             );
         });
         
+        test('should translate with the provider configured on the mapping', async () => {
+            userMappingService.getUserMapping.mockResolvedValueOnce({
+                lineUserId: 'line_user_123',
+                wechatUserId: 'wechat_user_456',
+                translationProvider: 'deepl'
+            });
+            
+            const payload = {
+                destination: 'test-destination',
+                events: [{
+                    type: 'message',
+                    message: { type: 'text', id: '12346', text: 'よろしくお願いします' },
+                    source: { userId: 'line_user_123' },
+                    replyToken: 'reply-token-123'
+                }]
+            };
+            
+            await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createLineSignature(payload))
+                .send(payload);
+            
+            expect(translationService.translate).toHaveBeenCalledWith(
+                'よろしくお願いします', { to: 'zh-CN', detection, provider: 'deepl' }
+            );
+        });
+        
+        test('should translate with recent conversation messages as context', async () => {
+            const context = [{ speaker: 'WeChat', text: '明天下午三点可以吗？' }];
+            conversationHistoryService.getRecentMessages.mockReturnValueOnce(context);
+            
+            const payload = {
+                destination: 'test-destination',
+                events: [{
+                    type: 'message',
+                    message: { type: 'text', id: '12347', text: 'はい、それで' },
+                    source: { userId: 'line_user_123' },
+                    replyToken: 'reply-token-123'
+                }]
+            };
+            
+            await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createLineSignature(payload))
+                .send(payload);
+            
+            expect(conversationHistoryService.getRecentMessages).toHaveBeenCalledWith('line_user_123_wechat_user_456');
+            expect(translationService.translate).toHaveBeenCalledWith(
+                'はい、それで', { to: 'zh-CN', detection, provider: undefined, context }
+            );
+            expect(conversationHistoryService.addMessage).toHaveBeenCalledWith(
+                'line_user_123_wechat_user_456', { speaker: 'LINE', text: 'はい、それで' }
+            );
+        });
+        
+        test('should record relayed LINE messages in the audit log', async () => {
+            translationService.detect.mockResolvedValue({ lang: 'ja', confidence: 1, alternatives: [] });
+            sendWeComMessage.mockResolvedValue({ errcode: 0, msgid: 'wecom_msg_1' });
+            
+            const payload = {
+                destination: 'test-destination',
+                events: [{
+                    type: 'message',
+                    message: {
+                        type: 'text',
+                        id: '12345',
+                        text: 'こんにちは'
+                    },
+                    source: {
+                        userId: 'line_user_123'
+                    },
+                    replyToken: 'reply-token-123'
+                }]
+            };
+            
+            await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createLineSignature(payload))
+                .send(payload);
+            
+            expect(logMessage).toHaveBeenCalledWith(expect.objectContaining({
+                direction: 'LINE_TO_WECOM',
+                sourceId: 'line_user_123',
+                targetId: 'wechat_user_456',
+                originalText: 'こんにちは',
+                translatedText: '[中文] こんにちは',
+                detectedLanguage: 'ja',
+                sourceMessageId: '12345',
+                targetMessageId: 'wecom_msg_1',
+                outcome: 'relayed',
+                receivedAt: expect.any(Date),
+                relayedAt: expect.any(Date)
+            }));
+        });
+        
+        test('should queue the message for retry when WeCom is rate limiting', async () => {
+            deliveryQueue.store = new InMemoryMappingStore();
+            sendWeComMessage.mockRejectedValueOnce(Object.assign(
+                new Error('WeChat Work send message error: 45009 - api freq out of limit'), { errcode: 45009 }
+            ));
+            const payload = {
+                destination: 'test-destination',
+                events: [{
+                    type: 'message',
+                    message: { type: 'text', id: '12350', text: 'こんにちは' },
+                    source: { userId: 'line_user_123' },
+                    replyToken: 'reply-token-123'
+                }]
+            };
+            
+            await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createLineSignature(payload))
+                .send(payload);
+            
+            expect(logMessage).toHaveBeenCalledWith(expect.objectContaining({
+                outcome: 'queued',
+                error: 'WeChat Work send message error: 45009 - api freq out of limit'
+            }));
+            expect(sendLineReply).toHaveBeenCalledWith(
+                'reply-token-123',
+                '✅ メッセージをWeChatに転送しました (Message forwarded to WeChat)'
+            );
+            expect(await deliveryQueue.listPending()).toEqual([expect.objectContaining({
+                kind: 'wechat.message',
+                payload: { to: { users: ['wechat_user_456'] }, message: { type: 'text', content: '[中文] こんにちは' } },
+                lastError: expect.objectContaining({ reason: 'rate_limited' })
+            })]);
+        });
+        
         test('should handle LINE message when no WeChat mapping exists', async () => {
             const payload = {
                 destination: 'test-destination',
@@ -197,15 +372,108 @@ describe('Bidirectional LINE-WeChat Relay Integration', () => {
             expect(response.status).toBe(200);
             
             // Verify image notification was translated and sent
-            expect(translationService.translateToChinese).toHaveBeenCalledWith(
-                '📷 画像が送信されました (Image sent)'
+            expect(translationService.translate).toHaveBeenCalledWith(
+                '📷 画像が送信されました (Image sent)', { to: 'zh-CN', detection, provider: undefined }
             );
             
-            expect(sendWeComMessage).toHaveBeenCalledWith(
-                'wechat_user_456',
-                '[中文] 📷 画像が送信されました (Image sent)',
-                'text'
-            );
+            expect(sendWeComMessage).toHaveBeenCalledWith({
+                to: { users: ['wechat_user_456'] },
+                message: { type: 'text', content: '[中文] 📷 画像が送信されました (Image sent)' }
+            });
+        });
+        
+        test('should relay LINE image content to WeChat as an image message', async () => {
+            const png = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.alloc(64)]);
+            getLineMessageContent.mockResolvedValue(Readable.from([png]));
+            uploadWeComMedia.mockResolvedValue('media_img_1');
+            sendWeComMessage.mockResolvedValue({ errcode: 0, msgid: 'wecom_img_msg' });
+            
+            const payload = {
+                destination: 'test-destination',
+                events: [{
+                    type: 'message',
+                    message: { type: 'image', id: 'img-456', contentProvider: { type: 'line' } },
+                    source: { userId: 'line_user_123' },
+                    replyToken: 'reply-token-123'
+                }]
+            };
+            
+            await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createLineSignature(payload))
+                .send(payload);
+            
+            expect(getLineMessageContent).toHaveBeenCalledWith('img-456');
+            expect(uploadWeComMedia).toHaveBeenCalledWith(png, expect.objectContaining({ type: 'image', contentType: 'image/png' }));
+            expect(sendWeComMessage).toHaveBeenCalledWith({
+                to: { users: ['wechat_user_456'] },
+                message: { type: 'image', mediaId: 'media_img_1' }
+            });
+            expect(translationService.translate).not.toHaveBeenCalled();
+            expect(sendLineReply).toHaveBeenCalledWith('reply-token-123', '✅ 画像をWeChatに送信しました (Image sent to WeChat)');
+            expect(logMessage).toHaveBeenCalledWith(expect.objectContaining({
+                messageType: 'image',
+                sourceMessageId: 'img-456',
+                targetMessageId: 'wecom_img_msg',
+                outcome: 'relayed'
+            }));
+        });
+        
+        test('should fall back to a text notice when WeCom rejects the file upload', async () => {
+            getLineMessageContent.mockResolvedValue(Readable.from([Buffer.from('%PDF-1.7 quarterly report')]));
+            uploadWeComMedia.mockRejectedValue(new Error('WeChat Work media upload error: 40006 - invalid file size'));
+            
+            const payload = {
+                destination: 'test-destination',
+                events: [{
+                    type: 'message',
+                    message: { type: 'file', id: 'file-1', fileName: 'report.pdf', fileSize: 25 },
+                    source: { userId: 'line_user_123' },
+                    replyToken: 'reply-token-123'
+                }]
+            };
+            
+            await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createLineSignature(payload))
+                .send(payload);
+            
+            expect(sendWeComMessage).toHaveBeenCalledWith({
+                to: { users: ['wechat_user_456'] },
+                message: { type: 'text', content: '[中文] 📁 ファイルが送信されました: report.pdf (File sent)' }
+            });
+        });
+        
+        test('should relay LINE audio with a translated transcript', async () => {
+            const m4a = Buffer.concat([Buffer.from('\0\0\0\x1cftypM4A '), Buffer.alloc(64)]);
+            getLineMessageContent.mockResolvedValue(Readable.from([m4a]));
+            uploadWeComMedia.mockResolvedValue('media_audio_1');
+            
+            const payload = {
+                destination: 'test-destination',
+                events: [{
+                    type: 'message',
+                    message: { type: 'audio', id: 'aud-1', duration: 3000, contentProvider: { type: 'line' } },
+                    source: { userId: 'line_user_123' },
+                    replyToken: 'reply-token-123'
+                }]
+            };
+            
+            await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createLineSignature(payload))
+                .send(payload);
+            
+            // The m4a goes as a file (WeCom voice is AMR-only), followed by the transcript
+            expect(sendWeComMessage).toHaveBeenNthCalledWith(1, {
+                to: { users: ['wechat_user_456'] },
+                message: { type: 'file', mediaId: 'media_audio_1' }
+            });
+            expect(sendWeComMessage).toHaveBeenNthCalledWith(2, {
+                to: { users: ['wechat_user_456'] },
+                message: { type: 'text', content: '[中文] 🎤 This is a mock transcription.' }
+            });
+            expect(sendLineReply).toHaveBeenCalledWith('reply-token-123', '✅ 音声メッセージをWeChatに送信しました (Voice message sent to WeChat)');
         });
         
         test('should relay LINE sticker as emoji to WeChat', async () => {
@@ -237,15 +505,14 @@ describe('Bidirectional LINE-WeChat Relay Integration', () => {
             expect(response.status).toBe(200);
             
             // Verify sticker was converted to text with keywords
-            expect(translationService.translateToChinese).toHaveBeenCalledWith(
-                '😄 happy smile (スタンプ sent a sticker)'
+            expect(translationService.translate).toHaveBeenCalledWith(
+                '😄 happy smile (スタンプ sent a sticker)', { to: 'zh-CN', detection, provider: undefined }
             );
             
-            expect(sendWeComMessage).toHaveBeenCalledWith(
-                'wechat_user_456',
-                '[中文] 😄 happy smile (スタンプ sent a sticker)',
-                'text'
-            );
+            expect(sendWeComMessage).toHaveBeenCalledWith({
+                to: { users: ['wechat_user_456'] },
+                message: { type: 'text', content: '[中文] 😄 happy smile (スタンプ sent a sticker)' }
+            });
         });
     });
 
@@ -273,16 +540,158 @@ describe('Bidirectional LINE-WeChat Relay Integration', () => {
             expect(response.status).toBe(200);
             
             // In development mode, it should process the mock message
-            expect(translationService.translateToJapanese).toHaveBeenCalledWith(
-                '你好，这是一条测试消息。'
+            expect(translationService.translate).toHaveBeenCalledWith(
+                '你好，这是一条测试消息。', { to: 'ja', detection, provider: undefined }
             );
             
             expect(sendLinePush).toHaveBeenCalledWith(
                 'line_user_123',
-                '[日本語] 你好，这是一条测试消息。'
+                '[日本語] 你好，这是一条测试消息。',
+                { retryKey: expect.any(String) }
             );
         });
         
+        test('should translate into the LINE recipient\'s preferred language', async () => {
+            userMappingService.getPreferredLanguage.mockImplementation(async (platform, mapping, userId) =>
+                (platform === 'line' && userId === 'line_user_123' ? 'en' : 'zh-CN')
+            );
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const nonce = 'test-nonce';
+            const messageXml = '<xml><ToUserName><![CDATA[corp_id]]></ToUserName>' +
+                '<FromUserName><![CDATA[wechat_test_user_1]]></FromUserName>' +
+                '<CreateTime>1348831860</CreateTime><MsgType><![CDATA[text]]></MsgType>' +
+                '<Content><![CDATA[明天开会]]></Content><MsgId>1234567890123457</MsgId></xml>';
+            const encryptedMsg = encryptMessage(messageXml, process.env.WECOM_AES_KEY);
+            const signature = createWeChatSignature(timestamp, nonce, mockWeChatToken, encryptedMsg);
+
+            await request(app)
+                .post('/webhook/wechat')
+                .query({ msg_signature: signature, timestamp, nonce })
+                .set('Content-Type', 'text/xml')
+                .send(`<xml><Encrypt><![CDATA[${encryptedMsg}]]></Encrypt></xml>`);
+
+            expect(translationService.translate).toHaveBeenCalledWith('明天开会', { to: 'en', detection, provider: undefined });
+            expect(sendLinePush).toHaveBeenCalledWith('line_user_123', '[en] 明天开会', { retryKey: expect.any(String) });
+        });
+        
+        test('should decrypt and forward a real encrypted WeChat text message', async () => {
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const nonce = 'test-nonce';
+            const messageXml = '<xml><ToUserName><![CDATA[corp_id]]></ToUserName>' +
+                '<FromUserName><![CDATA[wechat_test_user_1]]></FromUserName>' +
+                '<CreateTime>1348831860</CreateTime><MsgType><![CDATA[text]]></MsgType>' +
+                '<Content><![CDATA[明天开会]]></Content><MsgId>1234567890123456</MsgId></xml>';
+            const encryptedMsg = encryptMessage(messageXml, process.env.WECOM_AES_KEY);
+            const signature = createWeChatSignature(timestamp, nonce, mockWeChatToken, encryptedMsg);
+            
+            const response = await request(app)
+                .post('/webhook/wechat')
+                .query({
+                    msg_signature: signature,
+                    timestamp: timestamp,
+                    nonce: nonce
+                })
+                .set('Content-Type', 'text/xml')
+                .send(`<xml><Encrypt><![CDATA[${encryptedMsg}]]></Encrypt></xml>`);
+                
+            expect(response.status).toBe(200);
+            expect(translationService.translate).toHaveBeenCalledWith('明天开会', { to: 'ja', detection, provider: undefined });
+            expect(sendLinePush).toHaveBeenCalledWith('line_user_123', '[日本語] 明天开会', { retryKey: expect.any(String) });
+        });
+        
+        test('should relay WeChat images to LINE as image messages served by signed URL', async () => {
+            const actualLineRelay = jest.requireActual('../../src/api/lineRelay');
+            lineRelay.createImageMessage.mockImplementation(actualLineRelay.createImageMessage);
+            mediaRelayService.publicBaseUrl = 'https://relay.example.com';
+            mediaRelayService.store = { put: jest.fn().mockResolvedValue(undefined) };
+            const jpeg = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(64)]);
+            getWeComMedia.mockResolvedValue({ content: jpeg, contentType: 'image/jpeg' });
+            sendLinePush.mockResolvedValue({ sentMessages: [{ id: 'line_img_1' }] });
+            
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const nonce = 'test-nonce';
+            const messageXml = '<xml><ToUserName><![CDATA[corp_id]]></ToUserName>' +
+                '<FromUserName><![CDATA[wechat_test_user_1]]></FromUserName>' +
+                '<CreateTime>1348831860</CreateTime><MsgType><![CDATA[image]]></MsgType>' +
+                '<PicUrl><![CDATA[http://example.com/pic.jpg]]></PicUrl>' +
+                '<MediaId><![CDATA[wecom_media_1]]></MediaId><MsgId>1234567890123458</MsgId></xml>';
+            const encryptedMsg = encryptMessage(messageXml, process.env.WECOM_AES_KEY);
+            
+            const response = await request(app)
+                .post('/webhook/wechat')
+                .query({
+                    msg_signature: createWeChatSignature(timestamp, nonce, mockWeChatToken, encryptedMsg),
+                    timestamp: timestamp,
+                    nonce: nonce
+                })
+                .set('Content-Type', 'text/xml')
+                .send(`<xml><Encrypt><![CDATA[${encryptedMsg}]]></Encrypt></xml>`);
+            
+            expect(response.status).toBe(200);
+            expect(getWeComMedia).toHaveBeenCalledWith('wecom_media_1');
+            expect(mediaRelayService.store.put).toHaveBeenCalledWith(expect.any(String), jpeg, expect.objectContaining({ contentType: 'image/jpeg' }));
+            expect(sendLinePush).toHaveBeenCalledWith('line_user_123', [{
+                type: 'image',
+                originalContentUrl: expect.stringMatching(/^https:\/\/relay\.example\.com\/media\/.+signature=/),
+                previewImageUrl: expect.stringMatching(/^https:\/\/relay\.example\.com\/media\//)
+            }], { retryKey: expect.any(String) });
+            expect(logMessage).toHaveBeenCalledWith(expect.objectContaining({
+                direction: 'WECOM_TO_LINE',
+                messageType: 'image',
+                targetMessageId: 'line_img_1',
+                outcome: 'relayed'
+            }));
+        });
+        
+        test('should fall back to a translated notice when WeChat media cannot be fetched', async () => {
+            getWeComMedia.mockRejectedValue(new Error('WeChat Work get media error: 40007 - invalid media_id'));
+            
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const nonce = 'test-nonce';
+            const messageXml = '<xml><FromUserName><![CDATA[wechat_test_user_1]]></FromUserName>' +
+                '<MsgType><![CDATA[voice]]></MsgType><MediaId><![CDATA[expired_media]]></MediaId>' +
+                '<Format><![CDATA[amr]]></Format><MsgId>1234567890123459</MsgId></xml>';
+            const encryptedMsg = encryptMessage(messageXml, process.env.WECOM_AES_KEY);
+            
+            await request(app)
+                .post('/webhook/wechat')
+                .query({
+                    msg_signature: createWeChatSignature(timestamp, nonce, mockWeChatToken, encryptedMsg),
+                    timestamp: timestamp,
+                    nonce: nonce
+                })
+                .set('Content-Type', 'text/xml')
+                .send(`<xml><Encrypt><![CDATA[${encryptedMsg}]]></Encrypt></xml>`);
+            
+            expect(sendLinePush).toHaveBeenCalledWith('line_user_123', '[日本語] 🎤 语音消息 (Voice message from WeChat)', { retryKey: expect.any(String) });
+        });
+        
+        test('should relay WeChat voice with its Recognition transcript translated', async () => {
+            getWeComMedia.mockRejectedValue(new Error('media unavailable'));
+            
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const nonce = 'test-nonce';
+            const messageXml = '<xml><FromUserName><![CDATA[wechat_test_user_1]]></FromUserName>' +
+                '<MsgType><![CDATA[voice]]></MsgType><MediaId><![CDATA[voice_media]]></MediaId>' +
+                '<Format><![CDATA[amr]]></Format><Recognition><![CDATA[明天下午三点开会]]></Recognition>' +
+                '<MsgId>1234567890123460</MsgId></xml>';
+            const encryptedMsg = encryptMessage(messageXml, process.env.WECOM_AES_KEY);
+            
+            await request(app)
+                .post('/webhook/wechat')
+                .query({
+                    msg_signature: createWeChatSignature(timestamp, nonce, mockWeChatToken, encryptedMsg),
+                    timestamp: timestamp,
+                    nonce: nonce
+                })
+                .set('Content-Type', 'text/xml')
+                .send(`<xml><Encrypt><![CDATA[${encryptedMsg}]]></Encrypt></xml>`);
+            
+            expect(sendLinePush).toHaveBeenLastCalledWith('line_user_123', '[日本語] 🎤 明天下午三点开会', { retryKey: expect.any(String) });
+            // Recognition is used as-is; the media is only fetched for the audio itself
+            expect(getWeComMedia).toHaveBeenCalledTimes(1);
+        });
+        
         test('should handle WeChat message when no LINE mapping exists', async () => {
             // Mock no mapping found
             userMappingService.getLineUserFromWeChat.mockReturnValue(null);
@@ -310,12 +719,19 @@ describe('Bidirectional LINE-WeChat Relay Integration', () => {
             
             // Should not send to LINE
             expect(sendLinePush).not.toHaveBeenCalled();
+            
+            // Unmapped messages are still audited
+            expect(logMessage).toHaveBeenCalledWith(expect.objectContaining({
+                direction: 'WECOM_TO_LINE',
+                sourceId: 'wechat_test_user_1',
+                outcome: 'no_mapping'
+            }));
         });
         
         test('should handle WeChat webhook verification', async () => {
             const timestamp = Math.floor(Date.now() / 1000).toString();
             const nonce = 'test-nonce';
-            const echostr = 'test-echo-string';
+            const echostr = encryptMessage('test-echo-string', process.env.WECOM_AES_KEY);
             const signature = createWeChatSignature(timestamp, nonce, mockWeChatToken, echostr);
             
             const response = await request(app)
@@ -328,14 +744,535 @@ describe('Bidirectional LINE-WeChat Relay Integration', () => {
                 });
                 
             expect(response.status).toBe(200);
-            expect(response.text).toBe(echostr);
+            expect(response.text).toBe('test-echo-string');
+        });
+    });
+
+    describe('Group Relay', () => {
+        beforeEach(() => {
+            userMappingService.getWeChatGroupFromLine.mockImplementation((lineGroupId) =>
+                lineGroupId === 'line_group_1' ? 'wecom_chat_1' : null);
+            userMappingService.getLineGroupFromWeChat.mockImplementation((wechatGroupId) =>
+                wechatGroupId === 'wecom_chat_1' ? 'line_group_1' : null);
+            userMappingService.getUserProfile.mockResolvedValue(null);
+            sendWeComAppChatMessage.mockResolvedValue({ errcode: 0, errmsg: 'ok' });
+            getLineGroupMemberProfile.mockResolvedValue({ displayName: '田中' });
+            getWeComUser.mockResolvedValue({ errcode: 0, name: '张伟' });
+        });
+
+        const groupTextEvent = (groupId, text) => ({
+            destination: 'test-destination',
+            events: [{
+                type: 'message',
+                message: { type: 'text', id: 'group-msg-1', text },
+                source: { type: 'group', groupId, userId: 'line_user_123' },
+                replyToken: 'reply-token-123'
+            }]
+        });
+
+        test('should relay LINE group messages to the mapped WeChat group chat with the sender name', async () => {
+            const payload = groupTextEvent('line_group_1', 'おはよう');
+
+            const response = await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createLineSignature(payload))
+                .send(payload);
+
+            expect(response.status).toBe(200);
+            expect(getLineGroupMemberProfile).toHaveBeenCalledWith('group', 'line_group_1', 'line_user_123');
+            expect(sendWeComAppChatMessage).toHaveBeenCalledWith('wecom_chat_1', { type: 'text', content: '[中文] 田中: [中文] おはよう' });
+            expect(userMappingService.storeUserProfile).toHaveBeenCalledWith('line', 'line_user_123', expect.objectContaining({
+                displayName: '田中',
+                translatedNames: { 'zh-CN': '[中文] 田中' }
+            }));
+
+            // Group messages are relayed silently and never go to the 1:1 user mapping
+            expect(sendLineReply).not.toHaveBeenCalled();
+            expect(sendWeComMessage).not.toHaveBeenCalled();
+        });
+
+        test('should reuse cached translated sender names', async () => {
+            userMappingService.getUserProfile.mockResolvedValue({
+                displayName: '田中',
+                translatedNames: { 'zh-CN': '田中(缓存)' }
+            });
+            const payload = groupTextEvent('line_group_1', 'おはよう');
+
+            await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createLineSignature(payload))
+                .send(payload);
+
+            expect(getLineGroupMemberProfile).not.toHaveBeenCalled();
+            expect(sendWeComAppChatMessage).toHaveBeenCalledWith('wecom_chat_1', { type: 'text', content: '田中(缓存): [中文] おはよう' });
+        });
+
+        test('should ignore messages from unmapped LINE groups', async () => {
+            const payload = groupTextEvent('line_group_unmapped', 'おはよう');
+
+            const response = await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createLineSignature(payload))
+                .send(payload);
+
+            expect(response.status).toBe(200);
+            expect(sendWeComAppChatMessage).not.toHaveBeenCalled();
+            expect(sendLineReply).not.toHaveBeenCalled();
+            expect(logMessage).toHaveBeenCalledWith(expect.objectContaining({
+                direction: 'LINE_TO_WECOM',
+                sourceId: 'line_group_unmapped',
+                outcome: 'no_mapping'
+            }));
+        });
+
+        test('should push WeChat group chat messages to the mapped LINE group', async () => {
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const nonce = 'test-nonce';
+            const messageXml = '<xml><ToUserName><![CDATA[corp_id]]></ToUserName>' +
+                '<FromUserName><![CDATA[zhangwei]]></FromUserName>' +
+                '<CreateTime>1348831860</CreateTime><MsgType><![CDATA[text]]></MsgType>' +
+                '<Content><![CDATA[大家好]]></Content><MsgId>1234567890123457</MsgId>' +
+                '<ChatId><![CDATA[wecom_chat_1]]></ChatId></xml>';
+            const encryptedMsg = encryptMessage(messageXml, process.env.WECOM_AES_KEY);
+
+            const response = await request(app)
+                .post('/webhook/wechat')
+                .query({
+                    msg_signature: createWeChatSignature(timestamp, nonce, mockWeChatToken, encryptedMsg),
+                    timestamp: timestamp,
+                    nonce: nonce
+                })
+                .set('Content-Type', 'text/xml')
+                .send(`<xml><Encrypt><![CDATA[${encryptedMsg}]]></Encrypt></xml>`);
+
+            expect(response.status).toBe(200);
+            expect(getWeComUser).toHaveBeenCalledWith('zhangwei');
+            expect(sendLinePush).toHaveBeenCalledWith('line_group_1', '[日本語] 张伟: [日本語] 大家好', { retryKey: expect.any(String) });
+            expect(logMessage).toHaveBeenCalledWith(expect.objectContaining({
+                direction: 'WECOM_TO_LINE',
+                sourceId: 'wecom_chat_1',
+                targetId: 'line_group_1',
+                outcome: 'relayed'
+            }));
+        });
+    });
+
+    describe('Relay Formats', () => {
+        test('should send LINE a Flex bubble with the translation and original for bilingual mappings', async () => {
+            userMappingService.getGroupMapping.mockResolvedValueOnce({ wechatGroupId: 'wecom_chat_1', relayFormat: 'bilingual' });
+            userMappingService.getLineGroupFromWeChat.mockResolvedValueOnce('line_group_1');
+            userMappingService.getUserProfile.mockResolvedValueOnce({ translatedNames: { ja: '張偉' } });
+            translationService.detect.mockResolvedValue({ lang: 'zh-CN', confidence: 0.9, alternatives: [] });
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const nonce = 'test-nonce';
+            const messageXml = '<xml><ToUserName><![CDATA[corp_id]]></ToUserName>' +
+                '<FromUserName><![CDATA[zhangwei]]></FromUserName>' +
+                '<CreateTime>1348831860</CreateTime><MsgType><![CDATA[text]]></MsgType>' +
+                '<Content><![CDATA[大家好]]></Content><MsgId>1234567890123458</MsgId>' +
+                '<ChatId><![CDATA[wecom_chat_1]]></ChatId></xml>';
+            const encryptedMsg = encryptMessage(messageXml, process.env.WECOM_AES_KEY);
+
+            await request(app)
+                .post('/webhook/wechat')
+                .query({ msg_signature: createWeChatSignature(timestamp, nonce, mockWeChatToken, encryptedMsg), timestamp, nonce })
+                .set('Content-Type', 'text/xml')
+                .send(`<xml><Encrypt><![CDATA[${encryptedMsg}]]></Encrypt></xml>`);
+
+            const [to, message] = sendLinePush.mock.calls[0];
+            expect(to).toBe('line_group_1');
+            expect(message.type).toBe('flex');
+            expect(message.altText).toBe('張偉: [日本語] 大家好');
+            expect(JSON.stringify(message.contents)).toEqual(expect.stringContaining('"text":"Chinese (Simplified)"'));
+            expect(message.contents.body.contents.slice(1).map(component => component.text))
+                .toEqual(['[日本語] 大家好', undefined, '大家好']);
+        });
+
+        test('should send WeCom markdown with the sender and a collapsed original', async () => {
+            userMappingService.getUserMapping.mockResolvedValueOnce({ wechatUserId: 'wechat_user_456', relayFormat: 'collapsed' });
+            userMappingService.getUserProfile.mockResolvedValueOnce({ translatedNames: { 'zh-CN': '田中' } });
+            translationService.detect.mockResolvedValue({ lang: 'ja', confidence: 1, alternatives: [] });
+            const payload = {
+                destination: 'test-destination',
+                events: [{
+                    type: 'message',
+                    message: { type: 'text', id: '12348', text: 'おはようございます' },
+                    source: { type: 'user', userId: 'line_user_123' },
+                    replyToken: 'reply-token-123'
+                }]
+            };
+
+            await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createLineSignature(payload))
+                .send(payload);
+
+            expect(sendWeComMessage).toHaveBeenCalledWith({
+                to: { users: ['wechat_user_456'] },
+                message: {
+                    type: 'markdown',
+                    content: '**田中** <font color="comment">Japanese</font>\n[中文] おはようございます\n' +
+                        '> <font color="comment">おはようございます</font>'
+                }
+            });
+        });
+    });
+
+    describe('Translation Feedback', () => {
+        beforeEach(() => {
+            feedbackService.store = new InMemoryMappingStore();
+            feedbackService.recentReports.clear();
+            feedbackService.quickReplyEnabled = true;
+        });
+
+        afterEach(() => {
+            feedbackService.quickReplyEnabled = false;
+        });
+
+        const postWeChatText = (fromUser, content, msgId, chatId) => {
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const nonce = 'test-nonce';
+            const messageXml = '<xml><ToUserName><![CDATA[corp_id]]></ToUserName>' +
+                `<FromUserName><![CDATA[${fromUser}]]></FromUserName>` +
+                '<CreateTime>1348831860</CreateTime><MsgType><![CDATA[text]]></MsgType>' +
+                `<Content><![CDATA[${content}]]></Content><MsgId>${msgId}</MsgId>` +
+                (chatId ? `<ChatId><![CDATA[${chatId}]]></ChatId>` : '') + '</xml>';
+            const encryptedMsg = encryptMessage(messageXml, process.env.WECOM_AES_KEY);
+            return request(app)
+                .post('/webhook/wechat')
+                .query({ msg_signature: createWeChatSignature(timestamp, nonce, mockWeChatToken, encryptedMsg), timestamp, nonce })
+                .set('Content-Type', 'text/xml')
+                .send(`<xml><Encrypt><![CDATA[${encryptedMsg}]]></Encrypt></xml>`);
+        };
+
+        test('should offer a quick reply on LINE and record the report when it is tapped', async () => {
+            await postWeChatText('wechat_test_user_1', '明天开会', '1234567890123459');
+
+            const [to, message] = sendLinePush.mock.calls[0];
+            expect(to).toBe('line_user_123');
+            expect(message).toEqual({
+                type: 'text',
+                text: '[日本語] 明天开会',
+                quickReply: { items: [expect.objectContaining({ type: 'action' })] }
+            });
+
+            const payload = {
+                destination: 'test-destination',
+                events: [{
+                    type: 'postback',
+                    postback: { data: message.quickReply.items[0].action.data },
+                    source: { type: 'user', userId: 'line_user_123' },
+                    replyToken: 'reply-token-123'
+                }]
+            };
+            await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createLineSignature(payload))
+                .send(payload);
+
+            expect(sendLineReply).toHaveBeenCalledWith('reply-token-123', expect.stringContaining('翻訳の問題を報告しました'));
+            expect(await feedbackService.listFeedback()).toEqual([expect.objectContaining({
+                sourceText: '明天开会',
+                translatedText: '[日本語] 明天开会',
+                to: 'ja',
+                provider: 'mock'
+            })]);
+        });
+
+        test('should take a correction from WeCom for the last translation relayed there', async () => {
+            const payload = {
+                destination: 'test-destination',
+                events: [{
+                    type: 'message',
+                    message: { type: 'text', id: '12349', text: 'お疲れ様です' },
+                    source: { type: 'user', userId: 'line_user_123' },
+                    replyToken: 'reply-token-123'
+                }]
+            };
+            await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createLineSignature(payload))
+                .send(payload);
+            translationService.translate.mockClear();
+
+            await postWeChatText('wechat_user_456', '/feedback 辛苦了', '1234567890123460');
+
+            expect(translationService.translate).not.toHaveBeenCalled();
+            expect(sendWeComMessage).toHaveBeenLastCalledWith({
+                to: { users: ['wechat_user_456'] },
+                message: expect.stringContaining('已记录您的修改建议')
+            });
+            expect(await feedbackService.listFeedback()).toEqual([expect.objectContaining({
+                platform: 'wechat',
+                userId: 'wechat_user_456',
+                sourceText: 'お疲れ様です',
+                translatedText: '[中文] お疲れ様です',
+                correction: '辛苦了'
+            })]);
+        });
+
+        describe('in group chats', () => {
+            const postLineGroupText = (text, id) => {
+                const payload = {
+                    destination: 'test-destination',
+                    events: [{
+                        type: 'message',
+                        message: { type: 'text', id, text },
+                        source: { type: 'group', groupId: 'line_group_1', userId: 'line_user_123' },
+                        replyToken: `reply-token-${id}`
+                    }]
+                };
+                return request(app)
+                    .post('/webhook/line')
+                    .set('X-Line-Signature', createLineSignature(payload))
+                    .send(payload);
+            };
+
+            beforeEach(() => {
+                userMappingService.getWeChatGroupFromLine.mockImplementation(async (lineGroupId) =>
+                    lineGroupId === 'line_group_1' ? 'wecom_chat_1' : null);
+                userMappingService.getLineGroupFromWeChat.mockImplementation(async (wechatGroupId) =>
+                    wechatGroupId === 'wecom_chat_1' ? 'line_group_1' : null);
+                userMappingService.getUserProfile.mockResolvedValue(null);
+                sendWeComAppChatMessage.mockResolvedValue({ errcode: 0, errmsg: 'ok' });
+                getLineGroupMemberProfile.mockResolvedValue({ displayName: '田中' });
+                getWeComUser.mockResolvedValue({ errcode: 0, name: '张伟' });
+            });
+
+            test('should report the last translation relayed to the LINE group', async () => {
+                await postWeChatText('zhangwei', '大家好', '1234567890123461', 'wecom_chat_1');
+
+                await postLineGroupText('/feedback', 'group-feedback-1');
+
+                expect(sendLineReply).toHaveBeenCalledWith('reply-token-group-feedback-1', expect.stringContaining('翻訳の問題を報告しました'));
+                expect(sendWeComAppChatMessage).not.toHaveBeenCalled();
+                expect(await feedbackService.listFeedback()).toEqual([expect.objectContaining({
+                    platform: 'line',
+                    userId: 'line_user_123',
+                    recipientId: 'line_group_1',
+                    sourceText: '大家好'
+                })]);
+            });
+
+            test('should take a correction in the WeCom group chat for the last translation relayed there', async () => {
+                await postLineGroupText('お疲れ様です', 'group-msg-2');
+                sendWeComAppChatMessage.mockClear();
+
+                await postWeChatText('zhangwei', '/feedback 辛苦了', '1234567890123462', 'wecom_chat_1');
+
+                expect(sendLinePush).not.toHaveBeenCalled();
+                expect(sendWeComAppChatMessage).toHaveBeenCalledWith('wecom_chat_1', expect.stringContaining('已记录您的修改建议'));
+                expect(await feedbackService.listFeedback()).toEqual([expect.objectContaining({
+                    platform: 'wechat',
+                    userId: 'zhangwei',
+                    recipientId: 'wecom_chat_1',
+                    sourceText: 'お疲れ様です',
+                    correction: '辛苦了'
+                })]);
+            });
+        });
+    });
+
+    describe('Asynchronous Processing', () => {
+        const lineMessage = (id, text) => ({
+            type: 'message',
+            message: { type: 'text', id, text },
+            source: { userId: 'line_user_123' },
+            replyToken: `reply-token-${id}`
+        });
+
+        test('should acknowledge the webhook before a slow translation finishes, keeping conversation order', async () => {
+            // An app without the response hold, as in production
+            const ackApp = express();
+            ackApp.use(express.json());
+            ackApp.use('/webhook/line', lineWebhook);
+
+            let finishTranslation;
+            translationService.translate.mockImplementationOnce((text) => new Promise(resolve => {
+                finishTranslation = () => resolve(`[中文] ${text}`);
+            }));
+            const payload = { destination: 'test-destination', events: [lineMessage('1', '一つ目'), lineMessage('2', '二つ目')] };
+
+            const response = await request(ackApp)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createLineSignature(payload))
+                .send(payload);
+
+            expect(response.status).toBe(200);
+            expect(sendWeComMessage).not.toHaveBeenCalled();
+
+            finishTranslation();
+            await webhookEventQueue.onIdle();
+
+            expect(sendWeComMessage.mock.calls.map(([{ message }]) => message.content))
+                .toEqual(['[中文] 一つ目', '[中文] 二つ目']);
+        });
+    });
+
+    describe('LINE Delivery Planning', () => {
+        test('should answer with the LINE user\'s reply token instead of a push when receipts are off', async () => {
+            lineDeliveryPlanner.receiptMode = 'off';
+            const payload = {
+                events: [{
+                    type: 'message',
+                    message: { type: 'text', id: '12345', text: '明日の会議は何時ですか？' },
+                    source: { userId: 'line_user_123' },
+                    replyToken: 'reply-token-123'
+                }]
+            };
+            await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createLineSignature(payload))
+                .send(payload);
+
+            expect(sendWeComMessage).toHaveBeenCalled();
+            expect(sendLineReply).not.toHaveBeenCalled();
+
+            const timestamp = Math.floor(Date.now() / 1000).toString();
+            const nonce = 'test-nonce';
+            const messageXml = '<xml><ToUserName><![CDATA[corp_id]]></ToUserName>' +
+                '<FromUserName><![CDATA[wechat_test_user_1]]></FromUserName>' +
+                '<CreateTime>1348831860</CreateTime><MsgType><![CDATA[text]]></MsgType>' +
+                '<Content><![CDATA[下午三点]]></Content><MsgId>1234567890123470</MsgId></xml>';
+            const encryptedMsg = encryptMessage(messageXml, process.env.WECOM_AES_KEY);
+            await request(app)
+                .post('/webhook/wechat')
+                .query({ msg_signature: createWeChatSignature(timestamp, nonce, mockWeChatToken, encryptedMsg), timestamp, nonce })
+                .set('Content-Type', 'text/xml')
+                .send(`<xml><Encrypt><![CDATA[${encryptedMsg}]]></Encrypt></xml>`);
+
+            expect(sendLineReply).toHaveBeenCalledWith('reply-token-123', '[日本語] 下午三点');
+            expect(sendLinePush).not.toHaveBeenCalled();
+            expect(logMessage).toHaveBeenCalledWith(expect.objectContaining({
+                direction: 'WECOM_TO_LINE',
+                outcome: 'relayed'
+            }));
+        });
+    });
+
+    describe('Progress Feedback', () => {
+        const sendLineText = async (text, source = { userId: 'line_user_123' }) => {
+            const payload = {
+                events: [{
+                    type: 'message',
+                    message: { type: 'text', id: '12345', text },
+                    source,
+                    replyToken: 'reply-token-123'
+                }]
+            };
+            return await request(app)
+                .post('/webhook/line')
+                .set('X-Line-Signature', createLineSignature(payload))
+                .send(payload);
+        };
+
+        afterEach(() => {
+            delete process.env.WECOM_TRANSLATING_NOTICE;
+            delete process.env.WECOM_TRANSLATING_NOTICE_DELAY_MS;
+            delete process.env.LINE_LOADING_SECONDS;
+        });
+
+        test('should show the LINE loading animation while relaying a 1:1 message', async () => {
+            await sendLineText('こんにちは');
+
+            expect(startLineLoadingAnimation).toHaveBeenCalledWith('line_user_123', 20);
+            expect(startLineLoadingAnimation.mock.invocationCallOrder[0])
+                .toBeLessThan(sendWeComMessage.mock.invocationCallOrder[0]);
+        });
+
+        test('should not show the loading animation in groups, or when disabled', async () => {
+            userMappingService.getWeChatGroupFromLine.mockResolvedValueOnce(null);
+            await sendLineText('こんにちは', { type: 'group', groupId: 'line_group_1', userId: 'line_user_123' });
+
+            process.env.LINE_LOADING_SECONDS = '0';
+            await sendLineText('こんにちは');
+
+            expect(startLineLoadingAnimation).not.toHaveBeenCalled();
+        });
+
+        test('should show the loading animation for the minimum time when receipts are off', async () => {
+            lineDeliveryPlanner.receiptMode = 'off';
+
+            await sendLineText('こんにちは');
+
+            expect(sendWeComMessage).toHaveBeenCalled();
+            expect(startLineLoadingAnimation).toHaveBeenCalledWith('line_user_123', 5);
+        });
+
+        test('should tell the WeCom recipient a slow translation is on its way', async () => {
+            process.env.WECOM_TRANSLATING_NOTICE = '翻译中…';
+            process.env.WECOM_TRANSLATING_NOTICE_DELAY_MS = '20';
+            translationService.translate.mockImplementationOnce(async (text) => {
+                await new Promise(resolve => setTimeout(resolve, 60));
+                return `[中文] ${text}`;
+            });
+
+            await sendLineText('こんにちは');
+
+            expect(sendWeComMessage.mock.calls.map(([{ message }]) => message)).toEqual([
+                '翻译中…',
+                { type: 'text', content: '[中文] こんにちは' }
+            ]);
+        });
+
+        test('should not send the notice when the translation is quick', async () => {
+            process.env.WECOM_TRANSLATING_NOTICE = '翻译中…';
+            process.env.WECOM_TRANSLATING_NOTICE_DELAY_MS = '20';
+
+            await sendLineText('こんにちは');
+            await new Promise(resolve => setTimeout(resolve, 40));
+
+            expect(sendWeComMessage).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('Deduplication', () => {
+        test('should relay a redelivered LINE event only once', async () => {
+            const event = {
+                type: 'message',
+                webhookEventId: '01FZ74A0TDDPYRVKNK77XKC3ZR',
+                deliveryContext: { isRedelivery: false },
+                message: { type: 'text', id: '12345', text: 'こんにちは' },
+                source: { userId: 'line_user_123' },
+                replyToken: 'reply-token-123'
+            };
+            const redelivery = { ...event, deliveryContext: { isRedelivery: true } };
+
+            for (const payload of [{ events: [event] }, { events: [redelivery] }]) {
+                const response = await request(app)
+                    .post('/webhook/line')
+                    .set('X-Line-Signature', createLineSignature(payload))
+                    .send(payload);
+                expect(response.status).toBe(200);
+            }
+
+            expect(sendWeComMessage).toHaveBeenCalledTimes(1);
+            expect(webhookDeduplicationService.getStats()).toEqual(expect.objectContaining({ duplicates: 1 }));
+        });
+
+        test('should relay a retried WeCom callback only once', async () => {
+            const messageXml = '<xml><ToUserName><![CDATA[corp_id]]></ToUserName>' +
+                '<FromUserName><![CDATA[wechat_test_user_1]]></FromUserName>' +
+                '<CreateTime>1348831860</CreateTime><MsgType><![CDATA[text]]></MsgType>' +
+                '<Content><![CDATA[明天开会]]></Content><MsgId>1234567890123499</MsgId></xml>';
+            const encryptedMsg = encryptMessage(messageXml, process.env.WECOM_AES_KEY);
+
+            for (const nonce of ['nonce-1', 'nonce-2', 'nonce-3']) {
+                const timestamp = Math.floor(Date.now() / 1000).toString();
+                await request(app)
+                    .post('/webhook/wechat')
+                    .query({ msg_signature: createWeChatSignature(timestamp, nonce, mockWeChatToken, encryptedMsg), timestamp, nonce })
+                    .set('Content-Type', 'text/xml')
+                    .send(`<xml><Encrypt><![CDATA[${encryptedMsg}]]></Encrypt></xml>`);
+            }
+
+            expect(sendLinePush).toHaveBeenCalledTimes(1);
         });
     });
 
     describe('Translation Service Integration', () => {
         test('should handle translation errors gracefully', async () => {
             // Mock translation failure - service should return original text
-            translationService.translateToChinese.mockResolvedValue('Test message'); // Fallback to original
+            translationService.translate.mockResolvedValue('Test message'); // Fallback to original
             
             const payload = {
                 destination: 'test-destination',
@@ -364,11 +1301,10 @@ describe('Bidirectional LINE-WeChat Relay Integration', () => {
             
             // Translation service should fallback to original text when translation fails
             // The relay should still be attempted
-            expect(sendWeComMessage).toHaveBeenCalledWith(
-                'wechat_user_456',
-                'Test message', // Original text when translation fails
-                'text'
-            );
+            expect(sendWeComMessage).toHaveBeenCalledWith({
+                to: { users: ['wechat_user_456'] },
+                message: { type: 'text', content: 'Test message' } // Original text when translation fails
+            });
             
             // Should send success confirmation since relay succeeded with original text
             expect(sendLineReply).toHaveBeenCalledWith(
@@ -373,7 +373,7 @@ describe('Translation Accuracy Tests', () => {
             for (const text of chineseTexts) {
                 const detectedLang = await translationService.detectLanguage(text);
                 console.log(`Text: "${text}" -> Detected: ${detectedLang}`);
-                expect(detectedLang).toBe('zh');
+                expect(detectedLang).toBe('zh-CN');
             }
         });
 
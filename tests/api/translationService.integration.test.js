@@ -1,8 +1,20 @@
 // Integration tests for translation service with real OpenAI API
 require('dotenv').config();
 const { translateText, detectLanguage } = require('../../src/api/translationService');
+const { translationService } = require('../../src/services/translationService');
 
 describe('Translation Service - Real API Integration', () => {
+    const originalProviderName = translationService.providerName;
+
+    beforeEach(() => {
+        // The singleton defaults to the mock provider under NODE_ENV=test
+        translationService.providerName = 'openai';
+    });
+
+    afterEach(() => {
+        translationService.providerName = originalProviderName;
+    });
+
     // Test with real OpenAI API
     test('should translate text with real OpenAI API', async () => {
         const result = await translateText('Hello World', 'Spanish');
@@ -123,6 +123,22 @@ describe('WeChat Work Relay - Official API Tests', () => {
 
             expect(freshMockedAxios.get).toHaveBeenCalledTimes(1);
         });
+
+        test('should drop the cached token after a token error', async () => {
+            jest.resetModules();
+            const freshWechatRelay = require('../../src/api/wechatRelay');
+            const freshMockedAxios = require('axios');
+
+            freshMockedAxios.get.mockResolvedValue({
+                data: { errcode: 0, errmsg: 'ok', access_token: 'stale_token', expires_in: 7200 }
+            });
+            freshMockedAxios.post.mockResolvedValue({ data: { errcode: 40001, errmsg: 'invalid credential' } });
+
+            await expect(freshWechatRelay.sendWeComAppChatMessage('chat_1', 'hello')).rejects.toHaveProperty('errcode', 40001);
+            await freshWechatRelay.getWeComAccessToken();
+
+            expect(freshMockedAxios.get).toHaveBeenCalledTimes(2);
+        });
     });
 
     describe('Message Sending', () => {
@@ -197,6 +213,9 @@ describe('WeChat Work Relay - Official API Tests', () => {
             await expect(wechatRelay('Test message error'))
                 .rejects
                 .toThrow('WeChat Work send message error: 40003 - invalid userid');
+            await expect(wechatRelay('Test message error'))
+                .rejects
+                .toHaveProperty('errcode', 40003);
         });
 
         test('should handle network errors during message sending', async () => {
@@ -249,4 +268,155 @@ describe('WeChat Work Relay - Official API Tests', () => {
             process.env.WECOM_AGENT_ID = originalAgentId;
         });
     });
+
+    describe('Typed Message API', () => {
+        beforeEach(() => {
+            mockedAxios.get.mockResolvedValue({
+                data: { errcode: 0, errmsg: 'ok', access_token: 'typed_token', expires_in: 7200 }
+            });
+            mockedAxios.post.mockResolvedValue({ data: { errcode: 0, errmsg: 'ok', msgid: 'msg_001' } });
+        });
+
+        test('should address users, parties and tags from the options object', async () => {
+            const result = await wechatRelay.sendWeComMessage({
+                to: { users: ['zhangsan', 'lisi'], parties: '2', tags: ['5'] },
+                message: { type: 'text', content: '你好' }
+            });
+
+            expect(result.msgid).toBe('msg_001');
+            expect(mockedAxios.post).toHaveBeenCalledWith(
+                expect.stringContaining('/cgi-bin/message/send?access_token='),
+                expect.objectContaining({
+                    touser: 'zhangsan|lisi',
+                    toparty: '2',
+                    totag: '5',
+                    msgtype: 'text',
+                    text: { content: '你好' }
+                }),
+                expect.any(Object)
+            );
+        });
+
+        test('should build markdown, image, file, news and textcard payloads', () => {
+            expect(wechatRelay.buildMessageBody({ type: 'markdown', content: '**重要**' }))
+                .toEqual({ msgtype: 'markdown', markdown: { content: '**重要**' } });
+            expect(wechatRelay.buildMessageBody({ type: 'image', mediaId: 'media_1' }))
+                .toEqual({ msgtype: 'image', image: { media_id: 'media_1' } });
+            expect(wechatRelay.buildMessageBody({ type: 'file', mediaId: 'media_2' }))
+                .toEqual({ msgtype: 'file', file: { media_id: 'media_2' } });
+            expect(wechatRelay.buildMessageBody({
+                type: 'news',
+                articles: [{ title: '通知', url: 'https://example.com', picurl: 'https://example.com/a.png' }]
+            })).toEqual({
+                msgtype: 'news',
+                news: { articles: [{ title: '通知', url: 'https://example.com', picurl: 'https://example.com/a.png' }] }
+            });
+            expect(wechatRelay.buildMessageBody({
+                type: 'textcard',
+                title: '翻译',
+                description: '原文 / 译文',
+                url: 'https://example.com'
+            })).toEqual({
+                msgtype: 'textcard',
+                textcard: { title: '翻译', description: '原文 / 译文', url: 'https://example.com' }
+            });
+        });
+
+        test('should reject invalid typed messages before calling the API', async () => {
+            await expect(wechatRelay.sendWeComMessage({ to: { users: 'zhangsan' }, message: { type: 'sticker' } }))
+                .rejects.toThrow('Unsupported WeChat Work message type: sticker');
+            await expect(wechatRelay.sendWeComMessage({ message: { type: 'image' } }))
+                .rejects.toThrow('requires a mediaId');
+            await expect(wechatRelay.sendWeComMessage({ message: { type: 'news', articles: [] } }))
+                .rejects.toThrow('requires 1-8 articles');
+            await expect(wechatRelay.sendWeComMessage({ message: { type: 'textcard', title: 'x' } }))
+                .rejects.toThrow('requires a title, description and url');
+
+            expect(mockedAxios.post).not.toHaveBeenCalled();
+        });
+
+        test('should reject the old positional call signature', async () => {
+            await expect(wechatRelay.sendWeComMessage('wechat_user_456', 'hello', 'text'))
+                .rejects.toThrow(TypeError);
+            expect(mockedAxios.post).not.toHaveBeenCalled();
+        });
+
+        test('should send to a single user via sendToWeComUser', async () => {
+            await wechatRelay.sendToWeComUser('hello', 'zhangsan');
+
+            expect(mockedAxios.post).toHaveBeenCalledWith(
+                expect.any(String),
+                expect.objectContaining({ touser: 'zhangsan', toparty: '', totag: '' }),
+                expect.any(Object)
+            );
+        });
+    });
+
+    describe('Media Upload', () => {
+        test('should upload media as multipart form data', async () => {
+            mockedAxios.get.mockResolvedValue({
+                data: { errcode: 0, errmsg: 'ok', access_token: 'upload_token', expires_in: 7200 }
+            });
+            mockedAxios.post.mockResolvedValue({ data: { errcode: 0, errmsg: 'ok', type: 'image', media_id: 'media_abc' } });
+
+            const mediaId = await wechatRelay.uploadWeComMedia(Buffer.from('fake image'), {
+                type: 'image',
+                filename: 'photo.png',
+                contentType: 'image/png'
+            });
+
+            expect(mediaId).toBe('media_abc');
+            const [url, form, config] = mockedAxios.post.mock.calls[0];
+            expect(url).toBe('https://qyapi.weixin.qq.com/cgi-bin/media/upload');
+            expect(config.params).toEqual({ access_token: expect.any(String), type: 'image' });
+            expect(form.get('media').name).toBe('photo.png');
+            expect(form.get('media').type).toBe('image/png');
+        });
+
+        test('should reject unsupported media types and empty content', async () => {
+            await expect(wechatRelay.uploadWeComMedia(Buffer.from('x'), { type: 'sticker' }))
+                .rejects.toThrow('Unsupported WeChat Work media type: sticker');
+            await expect(wechatRelay.uploadWeComMedia(Buffer.alloc(0), { type: 'file' }))
+                .rejects.toThrow('Media content cannot be empty');
+        });
+    });
+
+    describe('Group Chat Messages', () => {
+        test('should send text to an app chat via appchat/send', async () => {
+            mockedAxios.get.mockResolvedValue({
+                data: { errcode: 0, errmsg: 'ok', access_token: 'appchat_token', expires_in: 7200 }
+            });
+            mockedAxios.post.mockResolvedValue({ data: { errcode: 0, errmsg: 'ok' } });
+
+            const result = await wechatRelay.sendWeComAppChatMessage('chat_001', '田中: 你好');
+
+            expect(result.errcode).toBe(0);
+            expect(mockedAxios.post).toHaveBeenCalledWith(
+                expect.stringContaining('https://qyapi.weixin.qq.com/cgi-bin/appchat/send?access_token='),
+                {
+                    chatid: 'chat_001',
+                    msgtype: 'text',
+                    text: { content: '田中: 你好' },
+                    safe: 0
+                },
+                expect.objectContaining({ timeout: 10000 })
+            );
+        });
+
+        test('should surface app chat API errors', async () => {
+            mockedAxios.get.mockResolvedValue({
+                data: { errcode: 0, errmsg: 'ok', access_token: 'appchat_token', expires_in: 7200 }
+            });
+            mockedAxios.post.mockResolvedValue({ data: { errcode: 86003, errmsg: 'chat not found' } });
+
+            await expect(wechatRelay.sendWeComAppChatMessage('missing_chat', 'hello'))
+                .rejects
+                .toThrow('WeChat Work group chat error: 86003 - chat not found');
+        });
+
+        test('should require a chat ID and content', async () => {
+            await expect(wechatRelay.sendWeComAppChatMessage('', 'hello')).rejects.toThrow('Group chat ID is required');
+            await expect(wechatRelay.sendWeComAppChatMessage('chat_001', ' ')).rejects.toThrow('Message content cannot be empty');
+        });
+    });
 });
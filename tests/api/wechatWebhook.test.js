@@ -2,10 +2,12 @@ const request = require('supertest');
 const express = require('express');
 const crypto = require('crypto');
 const wechatWebhook = require('../../src/api/wechatWebhook');
+const { encryptMessage } = require('../../src/utils/wecomCrypto');
+const { awaitWebhookEvents } = require('../helpers/webhookEvents');
 
 // Mock environment variables
 process.env.WECOM_CALLBACK_TOKEN = 'test_token_123';
-process.env.WECOM_AES_KEY = 'testAESKey1234567890123456789012345678901234567890123';
+process.env.WECOM_AES_KEY = 'abcdefghijklmnopqrstuvwxyz0123456789ABCDEFG';
 process.env.WECOM_MOCK_MESSAGES = 'true';
 
 describe('WeChat Work Webhook', () => {
@@ -17,6 +19,9 @@ describe('WeChat Work Webhook', () => {
         app.use(express.text({ type: 'text/xml' }));
         app.use(express.text({ type: 'application/xml' }));
         app.use(express.json());
+        // Webhooks are acknowledged before their events are processed; hold the response
+        // until the event queue is idle so assertions see the processed events
+        app.use(awaitWebhookEvents);
         app.use('/webhook/wechat', wechatWebhook);
     });
 
@@ -29,11 +34,16 @@ describe('WeChat Work Webhook', () => {
         return shasum.digest('hex');
     }
 
+    // Helper function to encrypt echostr the way WeChat Work does during URL verification
+    function encryptEchoStr(plainText) {
+        return encryptMessage(plainText, process.env.WECOM_AES_KEY);
+    }
+
     describe('GET /webhook/wechat - URL Verification', () => {
         test('should verify webhook URL with correct signature', async () => {
             const timestamp = '1234567890';
             const nonce = 'test_nonce';
-            const echostr = 'test_echo_string';
+            const echostr = encryptEchoStr('test_echo_string');
             const token = process.env.WECOM_CALLBACK_TOKEN;
             
             const signature = generateWeComSignature(token, timestamp, nonce, echostr);
@@ -48,7 +58,28 @@ describe('WeChat Work Webhook', () => {
                 });
 
             expect(response.status).toBe(200);
-            expect(response.text).toBe(echostr);
+            expect(response.text).toBe('test_echo_string');
+        });
+
+        test('should return 500 when echostr cannot be decrypted', async () => {
+            const timestamp = '1234567890';
+            const nonce = 'test_nonce';
+            const echostr = 'not_encrypted_echo';
+            const token = process.env.WECOM_CALLBACK_TOKEN;
+            
+            const signature = generateWeComSignature(token, timestamp, nonce, echostr);
+
+            const response = await request(app)
+                .get('/webhook/wechat')
+                .query({
+                    msg_signature: signature,
+                    timestamp: timestamp,
+                    nonce: nonce,
+                    echostr: echostr
+                });
+
+            expect(response.status).toBe(500);
+            expect(response.text).toBe('Verification error');
         });
 
         test('should reject webhook verification with invalid signature', async () => {
@@ -369,7 +400,7 @@ describe('WeChat Work Webhook', () => {
         test('should handle malformed timestamp parameter', async () => {
             const malformedTimestamp = 'not_a_timestamp';
             const nonce = 'test_nonce';
-            const echostr = 'test_echo_string';
+            const echostr = encryptEchoStr('test_echo_string');
             const token = process.env.WECOM_CALLBACK_TOKEN;
             
             const signature = generateWeComSignature(token, malformedTimestamp, nonce, echostr);
@@ -489,7 +520,7 @@ describe('WeChat Work Webhook', () => {
         test('should handle replay attacks with old timestamps', async () => {
             const oldTimestamp = '1000000000'; // Very old timestamp (2001)
             const nonce = 'test_nonce';
-            const echostr = 'test_echo_string';
+            const echostr = encryptEchoStr('test_echo_string');
             const token = process.env.WECOM_CALLBACK_TOKEN;
             
             const signature = generateWeComSignature(token, oldTimestamp, nonce, echostr);
@@ -510,7 +541,8 @@ describe('WeChat Work Webhook', () => {
         test('should handle URL-encoded parameters correctly', async () => {
             const timestamp = '1634567890';
             const nonce = 'test nonce with spaces';
-            const echostr = 'echo string with spaces & symbols';
+            const plainEcho = 'echo string with spaces & symbols';
+            const echostr = encryptEchoStr(plainEcho);
             const token = process.env.WECOM_CALLBACK_TOKEN;
             
             const signature = generateWeComSignature(token, timestamp, nonce, echostr);
@@ -525,7 +557,7 @@ describe('WeChat Work Webhook', () => {
                 });
 
             expect(response.status).toBe(200);
-            expect(response.text).toBe(echostr);
+            expect(response.text).toBe(plainEcho);
         });
     });
 
@@ -670,7 +702,7 @@ describe('WeChat Work Webhook', () => {
             const requests = Array.from({ length: 10 }, (_, i) => {
                 const timestamp = `163456789${i}`;
                 const nonce = `concurrent_nonce_${i}`;
-                const echostr = `echo_${i}`;
+                const echostr = encryptEchoStr(`echo_${i}`);
                 const token = process.env.WECOM_CALLBACK_TOKEN;
                 
                 const signature = generateWeComSignature(token, timestamp, nonce, echostr);
@@ -0,0 +1,81 @@
+const { InMemoryMappingStore, AzureTableMappingStore } = require('../../src/database/mappingStore');
+
+describe('Mapping Store', () => {
+    describe('InMemoryMappingStore', () => {
+        test('should get, set, list and delete records by type', async () => {
+            const store = new InMemoryMappingStore();
+
+            await store.set('lineToWeChat', 'line_1', { wechatUserId: 'wechat_1' });
+            await store.set('group', 'line_1', { wechatGroupId: 'group_1' });
+
+            expect(await store.get('lineToWeChat', 'line_1')).toEqual({ wechatUserId: 'wechat_1' });
+            expect(await store.list('lineToWeChat')).toEqual([
+                { id: 'line_1', value: { wechatUserId: 'wechat_1' } }
+            ]);
+            expect(await store.delete('lineToWeChat', 'line_1')).toBe(true);
+            expect(await store.get('lineToWeChat', 'line_1')).toBeNull();
+            expect(await store.get('group', 'line_1')).toEqual({ wechatGroupId: 'group_1' });
+        });
+
+        test('should return copies so callers cannot mutate stored records', async () => {
+            const store = new InMemoryMappingStore();
+            const value = { wechatUserId: 'wechat_1' };
+
+            await store.set('lineToWeChat', 'line_1', value);
+            value.wechatUserId = 'changed';
+
+            expect((await store.get('lineToWeChat', 'line_1')).wechatUserId).toBe('wechat_1');
+        });
+    });
+
+    describe('AzureTableMappingStore', () => {
+        let tableStorage;
+        let store;
+
+        beforeEach(() => {
+            tableStorage = {
+                getEntity: jest.fn(),
+                upsertEntity: jest.fn().mockResolvedValue({}),
+                deleteEntity: jest.fn().mockResolvedValue(true),
+                listEntities: jest.fn()
+            };
+            store = new AzureTableMappingStore(tableStorage, 'TestMappings');
+        });
+
+        test('should store records as JSON with type as partition key', async () => {
+            await store.set('profile', 'line:U123/abc', { displayName: 'Taro' });
+
+            expect(tableStorage.upsertEntity).toHaveBeenCalledWith('TestMappings', {
+                partitionKey: 'profile',
+                rowKey: 'line%3AU123%2Fabc',
+                data: JSON.stringify({ displayName: 'Taro' })
+            });
+        });
+
+        test('should parse stored records and return null when missing', async () => {
+            tableStorage.getEntity
+                .mockResolvedValueOnce({ data: JSON.stringify({ wechatUserId: 'wechat_1' }) })
+                .mockResolvedValueOnce(null);
+
+            expect(await store.get('lineToWeChat', 'line_1')).toEqual({ wechatUserId: 'wechat_1' });
+            expect(await store.get('lineToWeChat', 'line_2')).toBeNull();
+            expect(tableStorage.getEntity).toHaveBeenCalledWith('TestMappings', 'lineToWeChat', 'line_1');
+        });
+
+        test('should list a partition and decode row keys', async () => {
+            tableStorage.listEntities.mockResolvedValue([
+                { rowKey: 'line%3AU1', data: JSON.stringify({ displayName: 'A' }) }
+            ]);
+
+            expect(await store.list('profile')).toEqual([
+                { id: 'line:U1', value: { displayName: 'A' } }
+            ]);
+            expect(tableStorage.listEntities).toHaveBeenCalledWith('TestMappings', { partitionKey: 'profile' });
+        });
+
+        test('should delete records', async () => {
+            expect(await store.delete('group', 'line_group_1')).toBe(true);
+            expect(tableStorage.deleteEntity).toHaveBeenCalledWith('TestMappings', 'group', 'line_group_1');
+        });
+    });
+});
@@ -0,0 +1,100 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { LocalMediaStore, AzureBlobMediaStore } = require('../../src/database/mediaStore');
+
+jest.mock('axios');
+
+describe('Media Stores', () => {
+    describe('LocalMediaStore', () => {
+        let directory;
+        let store;
+
+        beforeEach(async () => {
+            directory = await fs.mkdtemp(path.join(os.tmpdir(), 'media-store-test-'));
+            store = new LocalMediaStore({ directory });
+        });
+
+        afterEach(async () => {
+            await fs.rm(directory, { recursive: true, force: true });
+        });
+
+        test('should store, read and delete media with metadata', async () => {
+            await store.put('media_id_1', Buffer.from('image bytes'), { contentType: 'image/png', filename: 'photo.png' });
+
+            expect(await store.get('media_id_1')).toEqual(expect.objectContaining({
+                content: Buffer.from('image bytes'),
+                contentType: 'image/png',
+                filename: 'photo.png',
+                size: 11
+            }));
+            expect(await store.delete('media_id_1')).toBe(true);
+            expect(await store.get('media_id_1')).toBeNull();
+        });
+
+        test('should reject IDs that could escape the store directory', async () => {
+            await expect(store.put('../../etc/passwd', Buffer.from('x'))).rejects.toThrow('Invalid media ID');
+            await expect(store.get('..%2Fsecret')).rejects.toThrow('Invalid media ID');
+        });
+
+        test('should purge media older than the maximum age', async () => {
+            await store.put('media_old_1', Buffer.from('old'));
+            await store.put('media_new_1', Buffer.from('new'));
+            const past = new Date(Date.now() - 8 * 24 * 3600000);
+            await fs.utimes(path.join(directory, 'media_old_1.json'), past, past);
+
+            expect(await store.purgeExpired()).toBe(1);
+            expect(await store.get('media_old_1')).toBeNull();
+            expect(await store.get('media_new_1')).not.toBeNull();
+        });
+    });
+
+    describe('AzureBlobMediaStore', () => {
+        const sasUrl = 'https://account.blob.core.windows.net/media?sv=2024&sig=abc';
+        let store;
+
+        beforeEach(() => {
+            jest.clearAllMocks();
+            store = new AzureBlobMediaStore(sasUrl);
+        });
+
+        test('should upload block blobs to the container with the SAS query', async () => {
+            axios.put.mockResolvedValue({ status: 201 });
+
+            await store.put('media_id_1', Buffer.from('abc'), { contentType: 'image/jpeg', filename: '照片.jpg' });
+
+            expect(axios.put).toHaveBeenCalledWith(
+                'https://account.blob.core.windows.net/media/media_id_1?sv=2024&sig=abc',
+                Buffer.from('abc'),
+                expect.objectContaining({
+                    headers: {
+                        'x-ms-blob-type': 'BlockBlob',
+                        'x-ms-blob-content-type': 'image/jpeg',
+                        'x-ms-meta-filename': encodeURIComponent('照片.jpg')
+                    }
+                })
+            );
+        });
+
+        test('should read blobs and return null when missing', async () => {
+            axios.get.mockResolvedValueOnce({
+                data: new Uint8Array([1, 2, 3]).buffer,
+                headers: { 'content-type': 'image/jpeg', 'x-ms-meta-filename': encodeURIComponent('照片.jpg') }
+            });
+            axios.get.mockRejectedValueOnce({ response: { status: 404 } });
+
+            expect(await store.get('media_id_1')).toEqual({
+                content: Buffer.from([1, 2, 3]),
+                contentType: 'image/jpeg',
+                filename: '照片.jpg',
+                size: 3
+            });
+            expect(await store.get('media_id_2')).toBeNull();
+        });
+
+        test('should require a container SAS URL', () => {
+            expect(() => new AzureBlobMediaStore('')).toThrow('MEDIA_BLOB_CONTAINER_SAS_URL not configured');
+        });
+    });
+});
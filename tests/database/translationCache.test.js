@@ -0,0 +1,136 @@
+const {
+    LruTranslationCache,
+    AzureTableTranslationCache,
+    TranslationCache,
+    buildCacheKey
+} = require('../../src/database/translationCache');
+
+describe('Translation Cache', () => {
+    const key = buildCacheKey('了解しました', { from: 'auto', to: 'zh-CN', model: 'openai/gpt-4o' });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('buildCacheKey', () => {
+        test('should ignore whitespace and width differences', () => {
+            const params = { from: 'auto', to: 'zh-CN', model: 'openai/gpt-4o' };
+
+            expect(buildCacheKey('  ありがとう　ございます ', params)).toEqual(buildCacheKey('ありがとう ございます', params));
+            expect(buildCacheKey('ＯＫ', params)).toEqual(buildCacheKey('OK', params));
+        });
+
+        test('should separate language pairs and models', () => {
+            expect(key.partition).toBe('auto_zh-CN');
+            expect(buildCacheKey('了解しました', { from: 'auto', to: 'zh-CN', model: 'deepl' }).id).not.toBe(key.id);
+            expect(buildCacheKey('了解しました', { from: 'auto', to: 'ko', model: 'openai/gpt-4o' }).partition).toBe('auto_ko');
+        });
+    });
+
+    describe('LruTranslationCache', () => {
+        test('should evict the least recently used entry', async () => {
+            const cache = new LruTranslationCache({ maxEntries: 2 });
+            const expiresAt = Date.now() + 60000;
+            const keys = ['a', 'b', 'c'].map(id => ({ partition: 'auto_ja', id }));
+
+            await cache.set(keys[0], 'A', expiresAt);
+            await cache.set(keys[1], 'B', expiresAt);
+            await cache.get(keys[0]);
+            await cache.set(keys[2], 'C', expiresAt);
+
+            expect(await cache.get(keys[0])).toBe('A');
+            expect(await cache.get(keys[1])).toBeNull();
+            expect(cache.size).toBe(2);
+        });
+
+        test('should expire entries', async () => {
+            jest.useFakeTimers();
+            const cache = new LruTranslationCache();
+            await cache.set(key, '明白了', Date.now() + 1000);
+
+            jest.advanceTimersByTime(1000);
+
+            expect(await cache.get(key)).toBeNull();
+            expect(cache.size).toBe(0);
+        });
+    });
+
+    describe('AzureTableTranslationCache', () => {
+        let tableStorage;
+
+        beforeEach(() => {
+            tableStorage = {
+                getEntity: jest.fn(),
+                upsertEntity: jest.fn().mockResolvedValue({}),
+                deleteEntity: jest.fn().mockResolvedValue(true)
+            };
+        });
+
+        test('should store entities by language pair and hash', async () => {
+            const cache = new AzureTableTranslationCache(tableStorage, 'TranslationCache');
+
+            await cache.set(key, '明白了', Date.parse('2030-01-01T00:00:00Z'));
+
+            expect(tableStorage.upsertEntity).toHaveBeenCalledWith('TranslationCache', {
+                partitionKey: 'auto_zh-CN',
+                rowKey: key.id,
+                translatedText: '明白了',
+                expiresAt: '2030-01-01T00:00:00.000Z'
+            });
+        });
+
+        test('should treat expired entities as misses and delete them', async () => {
+            tableStorage.getEntity.mockResolvedValue({ translatedText: '明白了', expiresAt: '2000-01-01T00:00:00.000Z' });
+            const cache = new AzureTableTranslationCache(tableStorage, 'TranslationCache');
+
+            expect(await cache.get(key)).toBeNull();
+            expect(tableStorage.deleteEntity).toHaveBeenCalledWith('TranslationCache', 'auto_zh-CN', key.id);
+        });
+    });
+
+    describe('TranslationCache', () => {
+        test('should count memory hits, table hits and misses', async () => {
+            const table = { get: jest.fn().mockResolvedValueOnce('明白了').mockResolvedValue(null), set: jest.fn() };
+            const cache = new TranslationCache({ table });
+            const otherKey = buildCacheKey('好的', { from: 'auto', to: 'ja', model: 'mock' });
+
+            expect(await cache.get(key)).toBe('明白了'); // table hit, copied to memory
+            expect(await cache.get(key)).toBe('明白了'); // memory hit
+            expect(await cache.get(otherKey)).toBeNull();
+
+            expect(cache.getStats()).toEqual(expect.objectContaining({
+                hits: { memory: 1, table: 1 },
+                misses: 1,
+                hitRate: 0.6667,
+                entries: 1,
+                tiers: ['memory', 'table']
+            }));
+        });
+
+        test('should write through to the table tier', async () => {
+            const table = { get: jest.fn(), set: jest.fn().mockResolvedValue() };
+            const cache = new TranslationCache({ table, ttlMinutes: 60 });
+
+            await cache.set(key, '明白了');
+
+            expect(table.set).toHaveBeenCalledWith(key, '明白了', expect.any(Number));
+            expect(cache.getStats().writes).toBe(1);
+        });
+
+        test('should fall back to a miss when the table tier fails', async () => {
+            const table = { get: jest.fn().mockRejectedValue(new Error('ServiceUnavailable')), set: jest.fn() };
+            const cache = new TranslationCache({ table });
+
+            expect(await cache.get(key)).toBeNull();
+            expect(cache.getStats().misses).toBe(1);
+        });
+
+        test('should only cache short messages that are not context-dependent', () => {
+            const cache = new TranslationCache({ maxTextLength: 10 });
+
+            expect(cache.isCacheable('好的')).toBe(true);
+            expect(cache.isCacheable('好的', { cache: false })).toBe(false);
+            expect(cache.isCacheable('これはとても長いメッセージです')).toBe(false);
+        });
+    });
+});
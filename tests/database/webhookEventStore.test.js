@@ -0,0 +1,93 @@
+const { InMemoryWebhookEventStore, AzureTableWebhookEventStore } = require('../../src/database/webhookEventStore');
+
+describe('Webhook Event Store', () => {
+    const key = { platform: 'line', eventId: '01FZ74A0TDDPYRVKNK77XKC3ZR' };
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('InMemoryWebhookEventStore', () => {
+        test('should claim an event once until its claim expires', async () => {
+            const store = new InMemoryWebhookEventStore();
+
+            expect(await store.claim(key, Date.now() + 60000)).toBe(true);
+            expect(await store.claim(key, Date.now() + 60000)).toBe(false);
+            expect(await store.claim({ platform: 'wechat', eventId: key.eventId }, Date.now() + 60000)).toBe(true);
+
+            jest.advanceTimersByTime(60000);
+            expect(await store.claim(key, Date.now() + 60000)).toBe(true);
+        });
+
+        test('should purge expired claims', async () => {
+            const store = new InMemoryWebhookEventStore();
+            await store.claim({ platform: 'line', eventId: 'old' }, Date.now() + 1000);
+            await store.claim({ platform: 'line', eventId: 'new' }, Date.now() + 60000);
+
+            jest.advanceTimersByTime(1000);
+
+            expect(await store.purgeExpired()).toBe(1);
+            expect(store.size).toBe(1);
+        });
+    });
+
+    describe('AzureTableWebhookEventStore', () => {
+        let tableStorage;
+        let store;
+
+        beforeEach(() => {
+            tableStorage = {
+                createEntity: jest.fn().mockResolvedValue(true),
+                getEntity: jest.fn(),
+                deleteEntity: jest.fn().mockResolvedValue(true),
+                listEntities: jest.fn()
+            };
+            store = new AzureTableWebhookEventStore(tableStorage, 'ProcessedWebhookEvents');
+        });
+
+        test('should claim by inserting a row per platform and event ID', async () => {
+            expect(await store.claim({ platform: 'wechat', eventId: 'user_1:1348831860:enter_agent' }, Date.now() + 60000)).toBe(true);
+
+            expect(tableStorage.createEntity).toHaveBeenCalledWith('ProcessedWebhookEvents', {
+                partitionKey: 'wechat',
+                rowKey: 'user_1%3A1348831860%3Aenter_agent',
+                expiresAt: '2025-01-01T00:01:00.000Z',
+                claimedAt: '2025-01-01T00:00:00.000Z'
+            });
+        });
+
+        test('should refuse a claim another instance holds', async () => {
+            tableStorage.createEntity.mockResolvedValue(false);
+            tableStorage.getEntity.mockResolvedValue({ expiresAt: '2025-01-01T00:05:00.000Z', etag: 'W/"1"' });
+
+            expect(await store.claim(key, Date.now() + 60000)).toBe(false);
+            expect(tableStorage.deleteEntity).not.toHaveBeenCalled();
+        });
+
+        test('should take over an expired claim unless it changed meanwhile', async () => {
+            tableStorage.createEntity.mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+            tableStorage.getEntity.mockResolvedValue({ expiresAt: '2024-12-31T00:00:00.000Z', etag: 'W/"1"' });
+
+            expect(await store.claim(key, Date.now() + 60000)).toBe(true);
+            expect(tableStorage.deleteEntity).toHaveBeenCalledWith('ProcessedWebhookEvents', 'line', key.eventId, { etag: 'W/"1"' });
+
+            tableStorage.createEntity.mockResolvedValueOnce(false);
+            tableStorage.deleteEntity.mockResolvedValueOnce(false);
+            expect(await store.claim(key, Date.now() + 60000)).toBe(false);
+        });
+
+        test('should purge rows past their expiry', async () => {
+            tableStorage.listEntities.mockResolvedValue([{ partitionKey: 'line', rowKey: 'a', etag: 'W/"1"' }]);
+
+            expect(await store.purgeExpired()).toBe(1);
+            expect(tableStorage.listEntities).toHaveBeenCalledWith('ProcessedWebhookEvents', {
+                filter: "expiresAt lt '2025-01-01T00:00:00.000Z'"
+            });
+            expect(tableStorage.deleteEntity).toHaveBeenCalledWith('ProcessedWebhookEvents', 'line', 'a', { etag: 'W/"1"' });
+        });
+    });
+});
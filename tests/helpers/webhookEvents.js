@@ -0,0 +1,16 @@
+const { webhookEventQueue } = require('../../src/services/webhookEventQueue');
+
+// Express middleware for webhook tests: delays the webhook response until every queued
+// event has been processed, so assertions made after the request see its effects
+function awaitWebhookEvents(req, res, next) {
+    const end = res.end.bind(res);
+    res.end = (...args) => {
+        webhookEventQueue.onIdle().then(() => end(...args));
+        return res;
+    };
+    next();
+}
+
+module.exports = {
+    awaitWebhookEvents
+};
@@ -0,0 +1,54 @@
+const { ConversationHistoryService } = require('../../src/services/conversationHistoryService');
+
+describe('Conversation History Service', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should keep the last N messages per conversation, oldest first', () => {
+        const history = new ConversationHistoryService({ maxMessages: 2 });
+
+        history.addMessage('line_1_wechat_1', { speaker: 'LINE', text: '明日の会議は何時？' });
+        history.addMessage('line_1_wechat_1', { speaker: 'WeChat', text: '下午三点' });
+        history.addMessage('line_1_wechat_1', { speaker: 'LINE', text: 'はい、それで' });
+        history.addMessage('line_2_wechat_2', { speaker: 'LINE', text: '別の会話' });
+
+        expect(history.getRecentMessages('line_1_wechat_1')).toEqual([
+            { speaker: 'WeChat', text: '下午三点' },
+            { speaker: 'LINE', text: 'はい、それで' }
+        ]);
+        expect(history.getRecentMessages('line_2_wechat_2')).toHaveLength(1);
+        expect(history.getRecentMessages('unknown')).toEqual([]);
+    });
+
+    test('should drop messages older than the max age', () => {
+        jest.useFakeTimers();
+        const history = new ConversationHistoryService({ maxAgeMinutes: 10 });
+
+        history.addMessage('conv', { speaker: 'LINE', text: 'old' });
+        jest.advanceTimersByTime(10 * 60000);
+        history.addMessage('conv', { speaker: 'WeChat', text: 'new' });
+
+        expect(history.getRecentMessages('conv')).toEqual([{ speaker: 'WeChat', text: 'new' }]);
+    });
+
+    test('should evict the least recently active conversation', () => {
+        const history = new ConversationHistoryService({ maxConversations: 2 });
+
+        history.addMessage('a', { speaker: 'LINE', text: '1' });
+        history.addMessage('b', { speaker: 'LINE', text: '2' });
+        history.addMessage('a', { speaker: 'WeChat', text: '3' });
+        history.addMessage('c', { speaker: 'LINE', text: '4' });
+
+        expect(history.getRecentMessages('a')).toHaveLength(2);
+        expect(history.getRecentMessages('b')).toEqual([]);
+    });
+
+    test('should record nothing when context is disabled', () => {
+        const history = new ConversationHistoryService({ maxMessages: 0 });
+
+        history.addMessage('conv', { speaker: 'LINE', text: 'hello' });
+
+        expect(history.getRecentMessages('conv')).toEqual([]);
+    });
+});
@@ -0,0 +1,207 @@
+jest.mock('../../src/api/lineRelay');
+jest.mock('../../src/api/wechatRelay');
+
+const { sendLinePush } = require('../../src/api/lineRelay');
+const { sendWeComMessage, sendWeComAppChatMessage } = require('../../src/api/wechatRelay');
+const { DeliveryQueue, classifyLineError, classifyWeComError, deliveryAuditFields } = require('../../src/services/deliveryQueue');
+const { InMemoryMappingStore } = require('../../src/database/mappingStore');
+const { InMemoryWebhookEventStore } = require('../../src/database/webhookEventStore');
+
+function httpError(status, headers = {}) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), {
+        isAxiosError: true,
+        response: { status, headers, data: {} }
+    });
+}
+
+function weComError(errcode) {
+    return Object.assign(new Error(`WeChat Work send message error: ${errcode} - error`), { errcode });
+}
+
+describe('Delivery Queue', () => {
+    let store;
+    let queue;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+        store = new InMemoryMappingStore();
+        queue = new DeliveryQueue(store, { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 60000, random: () => 1 });
+    });
+
+    afterEach(() => {
+        queue.stop();
+        jest.useRealTimers();
+    });
+
+    describe('Classification', () => {
+        test('should retry LINE rate limits, server and network errors but not bad requests', () => {
+            expect(classifyLineError(httpError(429, { 'retry-after': '30' })))
+                .toEqual({ retryable: true, reason: 'rate_limited', delayMs: 30000 });
+            expect(classifyLineError(httpError(502))).toEqual({ retryable: true, reason: 'server_error' });
+            expect(classifyLineError(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' })))
+                .toEqual({ retryable: true, reason: 'network' });
+            expect(classifyLineError(httpError(400))).toEqual({ retryable: false, reason: 'http_400' });
+            expect(classifyLineError(Object.assign(httpError(429), {
+                response: { status: 429, headers: {}, data: { message: 'You have reached your monthly limit.' } }
+            }))).toEqual({ retryable: false, reason: 'quota_exceeded' });
+        });
+
+        test('should tell WeCom rate limits and token errors from permanent errors', () => {
+            expect(classifyWeComError(weComError(45009))).toEqual({ retryable: true, reason: 'rate_limited', delayMs: 60000 });
+            expect(classifyWeComError(weComError(40014))).toEqual({ retryable: true, reason: 'token_invalid', delayMs: 0 });
+            expect(classifyWeComError(weComError(81013))).toEqual({ retryable: false, reason: 'errcode_81013' });
+            expect(classifyWeComError(new Error('Message content cannot be empty')))
+                .toEqual({ retryable: false, reason: 'rejected' });
+        });
+    });
+
+    test('should back off exponentially with jitter up to the maximum', () => {
+        expect(queue.getRetryDelay(1)).toBe(1000);
+        expect(queue.getRetryDelay(3)).toBe(4000);
+        expect(queue.getRetryDelay(10)).toBe(60000);
+        expect(queue.getRetryDelay(1, { delayMs: 30000 })).toBe(30000);
+
+        queue.random = () => 0;
+        expect(queue.getRetryDelay(3)).toBe(2000);
+    });
+
+    test('should deliver on the first attempt without storing the job', async () => {
+        sendLinePush.mockResolvedValue({ sentMessages: [{ id: '1' }] });
+
+        const delivery = await queue.deliver('line.push', { to: 'line_user_1', message: 'hello' });
+
+        expect(delivery).toEqual({ status: 'delivered', id: expect.any(String), result: { sentMessages: [{ id: '1' }] } });
+        expect(sendLinePush).toHaveBeenCalledWith('line_user_1', 'hello', { retryKey: expect.any(String) });
+        expect(await queue.getStats()).toEqual({ pending: 0, deadLetters: 0, nextAttemptAt: null });
+    });
+
+    test('should store transient failures and retry them once the backoff has passed', async () => {
+        sendWeComMessage.mockRejectedValueOnce(httpError(503)).mockResolvedValueOnce({ errcode: 0, msgid: 'msg_1' });
+
+        const delivery = await queue.deliver('wechat.message', { to: { users: ['wechat_user_1'] }, message: 'hello' });
+
+        expect(delivery).toEqual({ status: 'queued', id: expect.any(String), error: 'Request failed with status code 503' });
+        expect(await queue.listPending()).toEqual([expect.objectContaining({
+            id: delivery.id,
+            attempts: 1,
+            nextAttemptAt: Date.now() + 1000,
+            lastError: expect.objectContaining({ reason: 'server_error' })
+        })]);
+
+        await queue.processDue();
+        expect(sendWeComMessage).toHaveBeenCalledTimes(1);
+
+        jest.advanceTimersByTime(1000);
+        await queue.processDue();
+
+        expect(sendWeComMessage).toHaveBeenCalledTimes(2);
+        expect(sendWeComMessage).toHaveBeenLastCalledWith({ to: { users: ['wechat_user_1'] }, message: 'hello' });
+        expect(await queue.listPending()).toEqual([]);
+    });
+
+    test('should dead-letter permanent failures right away', async () => {
+        sendWeComAppChatMessage.mockRejectedValue(weComError(86003));
+
+        const delivery = await queue.deliver('wechat.appchat', { chatId: 'chat_1', message: 'hello' });
+
+        expect(delivery.status).toBe('failed');
+        expect(sendWeComAppChatMessage).toHaveBeenCalledTimes(1);
+        expect(await queue.listDeadLetters()).toEqual([expect.objectContaining({
+            id: delivery.id,
+            kind: 'wechat.appchat',
+            payload: { chatId: 'chat_1', message: 'hello' },
+            lastError: expect.objectContaining({ reason: 'errcode_86003' })
+        })]);
+    });
+
+    test('should dead-letter sends the relay refuses to make', async () => {
+        sendLinePush.mockResolvedValue(null);
+
+        const delivery = await queue.deliver('line.push', { to: 'line_user_1', message: 'hello' });
+
+        expect(delivery.status).toBe('failed');
+        expect((await queue.getDeadLetter(delivery.id)).lastError.reason).toBe('rejected');
+    });
+
+    test('should dead-letter a job once it runs out of attempts', async () => {
+        sendLinePush.mockRejectedValue(httpError(500));
+
+        const delivery = await queue.deliver('line.push', { to: 'line_user_1', message: 'hello' });
+        for (let attempt = 0; attempt < 2; attempt++) {
+            jest.advanceTimersByTime(60000);
+            await queue.processDue();
+        }
+
+        expect(sendLinePush).toHaveBeenCalledTimes(3);
+        expect(await queue.getStats()).toEqual({ pending: 0, deadLetters: 1, nextAttemptAt: null });
+        expect((await queue.getDeadLetter(delivery.id)).attempts).toBe(3);
+    });
+
+    test('should replay a dead letter with fresh attempts', async () => {
+        sendLinePush.mockRejectedValueOnce(httpError(403)).mockResolvedValueOnce({ sentMessages: [] });
+        const delivery = await queue.deliver('line.push', { to: 'line_user_1', message: 'hello' });
+
+        const replay = await queue.replayDeadLetter(delivery.id);
+
+        expect(replay).toEqual(expect.objectContaining({ status: 'delivered', id: delivery.id }));
+        expect(await queue.listDeadLetters()).toEqual([]);
+        expect(await queue.replayDeadLetter('missing')).toBeNull();
+    });
+
+    test('should send LINE pushes with a retry key that stays the same across retries', async () => {
+        sendLinePush.mockResolvedValue({ sentMessages: [] });
+        sendLinePush.mockRejectedValueOnce(httpError(502));
+        await queue.deliver('line.push', { to: 'line_user_1', message: 'hello' });
+        await queue.deliver('line.push', { to: 'line_user_2', message: 'hi' });
+
+        jest.advanceTimersByTime(1000);
+        await queue.processDue();
+
+        // Calls: line_user_1 (fails), line_user_2, line_user_1 again
+        const retryKeys = sendLinePush.mock.calls.map(([, , options]) => options.retryKey);
+        expect(retryKeys[0]).toEqual(expect.any(String));
+        expect(retryKeys[2]).toBe(retryKeys[0]);
+        expect(retryKeys[1]).not.toBe(retryKeys[0]);
+        expect(await queue.listPending()).toEqual([]);
+    });
+
+    test('should resume stored jobs when started, as after a restart', async () => {
+        sendLinePush.mockRejectedValueOnce(httpError(502));
+        await queue.deliver('line.push', { to: 'line_user_1', message: 'hello' });
+
+        const restarted = new DeliveryQueue(store, { maxAttempts: 3, baseDelayMs: 1000, random: () => 1 });
+        sendLinePush.mockResolvedValue({ sentMessages: [] });
+        await restarted.start();
+        expect(sendLinePush).toHaveBeenCalledTimes(1);
+
+        // The retry timer fires once the backoff has passed
+        await jest.advanceTimersByTimeAsync(1000);
+        restarted.stop();
+
+        expect(sendLinePush).toHaveBeenCalledTimes(2);
+        expect(await restarted.listPending()).toEqual([]);
+    });
+
+    test('should let only one instance make each retry', async () => {
+        const claimStore = new InMemoryWebhookEventStore();
+        const options = { maxAttempts: 3, baseDelayMs: 1000, random: () => 1, claimStore };
+        const first = new DeliveryQueue(store, options);
+        const second = new DeliveryQueue(store, options);
+        sendWeComMessage.mockRejectedValueOnce(httpError(503)).mockResolvedValue({ errcode: 0, msgid: 'msg_1' });
+        await first.deliver('wechat.message', { to: { users: ['wechat_user_1'] }, message: 'hello' });
+
+        jest.advanceTimersByTime(1000);
+        await Promise.all([first.processDue(), second.processDue()]);
+
+        expect(sendWeComMessage).toHaveBeenCalledTimes(2);
+        expect(await store.list('pending')).toEqual([]);
+    });
+
+    test('should map deliveries to message log fields', () => {
+        expect(deliveryAuditFields({ status: 'delivered', result: { msgid: 'msg_1' } }))
+            .toEqual({ outcome: 'relayed', targetMessageId: 'msg_1' });
+        expect(deliveryAuditFields({ status: 'queued', error: 'timeout' }))
+            .toEqual({ outcome: 'queued', targetMessageId: undefined, error: 'timeout' });
+    });
+});
@@ -0,0 +1,190 @@
+const { FeedbackService } = require('../../src/services/feedbackService');
+const { InMemoryMappingStore } = require('../../src/database/mappingStore');
+
+describe('Feedback Service', () => {
+    let feedback;
+    const translation = { text: '明日会いましょう', from: 'zh-CN', to: 'ja', provider: 'openai', model: 'gpt-4o-mini' };
+
+    const relayTo = (recipientId, overrides = {}) => feedback.rememberRelay({
+        platform: 'line',
+        recipientId,
+        sourceText: '明天见',
+        translation: { ...translation, ...overrides }
+    });
+
+    beforeEach(() => {
+        feedback = new FeedbackService(new InMemoryMappingStore(), { quickReply: true });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('parseCommand', () => {
+        test('should parse feedback with and without a correction', () => {
+            expect(feedback.parseCommand('/feedback')).toEqual({ correction: null });
+            expect(feedback.parseCommand(' ／反馈  明天见 ')).toEqual({ correction: '明天见' });
+            expect(feedback.parseCommand('/フィードバック また明日')).toEqual({ correction: 'また明日' });
+        });
+
+        test('should ignore ordinary messages', () => {
+            expect(feedback.parseCommand('send /feedback')).toBeNull();
+            expect(feedback.parseCommand('/feedbacks')).toBeNull();
+            expect(feedback.parseCommand(null)).toBeNull();
+        });
+    });
+
+    describe('Quick replies', () => {
+        test('should attach a postback quick reply to relayed LINE messages', () => {
+            const ref = relayTo('line_user_1');
+
+            const message = feedback.withQuickReply('明日会いましょう', ref);
+
+            expect(message).toEqual({
+                type: 'text',
+                text: '明日会いましょう',
+                quickReply: {
+                    items: [{
+                        type: 'action',
+                        action: expect.objectContaining({
+                            type: 'postback',
+                            label: '翻訳がおかしい',
+                            data: `action=translationFeedback&ref=${ref}`,
+                            fillInText: '/feedback '
+                        })
+                    }]
+                }
+            });
+        });
+
+        test('should not offer feedback on untranslated text or when disabled', () => {
+            expect(relayTo('line_user_1', { provider: null })).toBeNull();
+
+            const disabled = new FeedbackService(new InMemoryMappingStore(), { quickReply: false });
+            expect(disabled.withQuickReply('hi', 'abc')).toBe('hi');
+        });
+    });
+
+    describe('Reporting', () => {
+        test('should record the relay behind a quick reply postback', async () => {
+            const ref = relayTo('line_group_1');
+
+            const result = await feedback.handlePostback('line_user_1', `action=translationFeedback&ref=${ref}`);
+
+            expect(result.reply).toContain('翻訳の問題を報告しました');
+            expect(await feedback.listFeedback()).toEqual([expect.objectContaining({
+                platform: 'line',
+                userId: 'line_user_1',
+                recipientId: 'line_group_1',
+                sourceText: '明天见',
+                translatedText: '明日会いましょう',
+                from: 'zh-CN',
+                to: 'ja',
+                provider: 'openai',
+                model: 'gpt-4o-mini',
+                correction: null
+            })]);
+        });
+
+        test('should count a repeated tap once', async () => {
+            const ref = relayTo('line_user_1');
+
+            await feedback.handlePostback('line_user_1', `action=translationFeedback&ref=${ref}`);
+            await feedback.handlePostback('line_user_1', `action=translationFeedback&ref=${ref}`);
+
+            expect(await feedback.listFeedback()).toHaveLength(1);
+        });
+
+        test('should ignore postbacks that are not feedback', async () => {
+            expect(await feedback.handlePostback('line_user_1', 'action=buy&itemid=123')).toBeNull();
+        });
+
+        test('should add a correction sent after the quick reply to the same report', async () => {
+            const ref = relayTo('line_user_1');
+            await feedback.handlePostback('line_user_1', `action=translationFeedback&ref=${ref}`);
+
+            const result = await feedback.handleCommand('line', 'line_user_1', '/feedback 明日また会いましょう');
+
+            expect(result.reply).toContain('修正案を記録しました');
+            const stored = await feedback.listFeedback();
+            expect(stored).toHaveLength(1);
+            expect(stored[0].correction).toBe('明日また会いましょう');
+        });
+
+        test('should report the last translation relayed to a WeCom user', async () => {
+            feedback.rememberRelay({
+                platform: 'wechat',
+                recipientId: 'wechat_user_1',
+                sourceText: 'お疲れ様です',
+                translation: { text: '你累了', from: 'ja', to: 'zh-CN', provider: 'deepl', model: null }
+            });
+
+            const result = await feedback.handleCommand('wechat', 'wechat_user_1', '/feedback 辛苦了');
+
+            expect(result.reply).toContain('已记录您的修改建议');
+            expect(await feedback.listFeedback()).toEqual([expect.objectContaining({
+                sourceText: 'お疲れ様です',
+                translatedText: '你累了',
+                provider: 'deepl',
+                correction: '辛苦了'
+            })]);
+        });
+
+        test('should say so when there is nothing recent to report', async () => {
+            jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+            const ref = relayTo('line_user_1');
+            jest.setSystemTime(new Date('2025-01-02T00:00:01Z'));
+
+            const expired = await feedback.handlePostback('line_user_1', `action=translationFeedback&ref=${ref}`);
+            const unknown = await feedback.handleCommand('wechat', 'wechat_user_9', '/feedback');
+
+            expect(expired.reply).toContain('報告できる最近の翻訳がありません');
+            expect(unknown.reply).toContain('没有可以反馈的最近翻译');
+            expect(await feedback.listFeedback()).toEqual([]);
+        });
+    });
+
+    describe('getReport', () => {
+        test('should rank language pairs and phrases by reports', async () => {
+            for (const userId of ['u1', 'u2']) {
+                const ref = relayTo(userId);
+                await feedback.handlePostback(userId, `action=translationFeedback&ref=${ref}`);
+            }
+            feedback.rememberRelay({
+                platform: 'wechat',
+                recipientId: 'w1',
+                sourceText: 'お疲れ様です',
+                translation: { text: '你累了', from: 'ja', to: 'zh-CN', provider: 'deepl', model: null }
+            });
+            await feedback.handleCommand('wechat', 'w1', '/feedback 辛苦了');
+
+            const report = await feedback.getReport();
+
+            expect(report.total).toBe(3);
+            expect(report.corrected).toBe(1);
+            expect(report.languagePairs).toEqual([
+                { from: 'zh-CN', to: 'ja', reports: 2, corrected: 0, providers: { 'openai/gpt-4o-mini': 2 } },
+                { from: 'ja', to: 'zh-CN', reports: 1, corrected: 1, providers: { deepl: 1 } }
+            ]);
+            expect(report.phrases[0]).toEqual({
+                sourceText: '明天见',
+                from: 'zh-CN',
+                to: 'ja',
+                reports: 2,
+                translations: ['明日会いましょう'],
+                corrections: []
+            });
+            expect(report.phrases[1].corrections).toEqual(['辛苦了']);
+        });
+
+        test('should only include reports since the given date', async () => {
+            const ref = relayTo('u1');
+            await feedback.handlePostback('u1', `action=translationFeedback&ref=${ref}`);
+
+            const report = await feedback.getReport({ since: new Date(Date.now() + 60000).toISOString() });
+
+            expect(report.total).toBe(0);
+            expect(report.languagePairs).toEqual([]);
+        });
+    });
+});
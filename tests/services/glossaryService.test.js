@@ -0,0 +1,171 @@
+const { GlossaryService, validateGlossary } = require('../../src/services/glossaryService');
+const { InMemoryMappingStore } = require('../../src/database/mappingStore');
+
+describe('Glossary Service', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new GlossaryService(new InMemoryMappingStore());
+    });
+
+    describe('storage', () => {
+        test('should save, list and delete glossaries', async () => {
+            const saved = await service.saveGlossary('sales', {
+                terms: [{ ja: ' 欧華 ', 'zh-CN': '欧华' }],
+                doNotTranslate: ['OHUA']
+            });
+
+            expect(saved).toEqual(expect.objectContaining({
+                id: 'sales',
+                name: 'sales',
+                terms: [{ ja: '欧華', 'zh-CN': '欧华' }],
+                doNotTranslate: ['OHUA'],
+                protectedPatterns: []
+            }));
+            expect(await service.listGlossaries()).toEqual([saved]);
+
+            expect(await service.deleteGlossary('sales')).toBe(true);
+            expect(await service.deleteGlossary('sales')).toBe(false);
+            expect(await service.getGlossary('sales')).toBeNull();
+        });
+
+        test('should merge the default glossary with a team glossary', async () => {
+            await service.saveGlossary('default', { doNotTranslate: ['OHUA'] });
+            await service.saveGlossary('sales', { terms: [{ ja: '見積書', 'zh-CN': '报价单' }] });
+
+            const glossary = await service.resolve('sales');
+
+            expect(glossary.doNotTranslate).toEqual(['OHUA']);
+            expect(glossary.terms).toEqual([{ ja: '見積書', 'zh-CN': '报价单' }]);
+            expect(glossary.version).toMatch(/^default@.+,sales@.+$/);
+        });
+
+        test('should resolve without glossaries when the store fails', async () => {
+            service.store.get = jest.fn().mockRejectedValue(new Error('Table unavailable'));
+
+            const glossary = await service.resolve('sales');
+
+            expect(glossary.terms).toEqual([]);
+            expect(glossary.version).toBe('');
+        });
+    });
+
+    describe('masking', () => {
+        test('should mask and restore URLs, mentions and order numbers', async () => {
+            const glossary = await service.resolve();
+            const text = '@yamada.t 注文 PO-12345 の詳細は https://example.com/orders?id=1 です';
+
+            const masked = service.mask(text, glossary, { to: 'zh-CN' });
+
+            expect(masked.text).toBe('{{1}} 注文 {{2}} の詳細は {{0}} です');
+            expect(service.unmask('{{1}} 订单 {{2}} 的详情见 ｛｛0｝｝', masked))
+                .toBe('@yamada.t 订单 PO-12345 的详情见 https://example.com/orders?id=1');
+        });
+
+        test('should not swallow CJK text after an @ without mention offsets', async () => {
+            const masked = service.mask('@田中さん明日の会議は十時からです', await service.resolve(), { to: 'zh-CN' });
+
+            expect(masked.text).toBe('@田中さん明日の会議は十時からです');
+            expect(masked.tokens).toEqual([]);
+        });
+
+        test('should protect CJK mentions from LINE mention offsets', async () => {
+            const text = '@田中さん 明日の会議は@李明 さんと十時からです';
+
+            const masked = service.mask(text, await service.resolve(), {
+                to: 'zh-CN',
+                mentions: [{ index: 0, length: 5 }, { index: 12, length: 3 }]
+            });
+
+            expect(masked.text).toBe('{{1}} 明日の会議は{{0}} さんと十時からです');
+            expect(service.unmask('{{1}} 明天和{{0}}的会议十点开始', masked)).toBe('@田中さん 明天和@李明的会议十点开始');
+        });
+
+        test('should append tokens the provider dropped', async () => {
+            const masked = service.mask('See https://example.com', await service.resolve(), { to: 'ja' });
+
+            expect(service.unmask('ご覧ください', masked)).toBe('ご覧ください https://example.com');
+        });
+
+        test('should protect do-not-translate terms and custom patterns', async () => {
+            await service.saveGlossary('default', {
+                doNotTranslate: ['OHUA Cloud', 'OHUA'],
+                protectedPatterns: [{ name: 'ticket', pattern: '#\\d+' }]
+            });
+
+            const masked = service.mask('OHUA Cloud と OHUA の件 #42', await service.resolve(), { to: 'zh-CN' });
+
+            expect(masked.text).toBe('{{1}} と {{2}} の件 {{0}}');
+            expect(masked.tokens).toEqual(['#42', 'OHUA Cloud', 'OHUA']);
+        });
+
+        test('should not let custom patterns match inside earlier placeholders', async () => {
+            await service.saveGlossary('default', { protectedPatterns: [{ name: 'digits', pattern: '\\d+' }] });
+
+            const masked = service.mask('order AB-1234, 2 boxes', await service.resolve(), { to: 'ja' });
+
+            expect(masked.text).toBe('order {{0}}, {{1}} boxes');
+            expect(masked.tokens).toEqual(['AB-1234', '2']);
+            expect(service.unmask('注文 {{0}}、{{1}} 箱', masked)).toBe('注文 AB-1234、2 箱');
+        });
+
+        test('should collect glossary terms for the target language', async () => {
+            await service.saveGlossary('default', {
+                terms: [
+                    { ja: '見積書', 'zh-CN': '报价单', 'zh-TW': '報價單', en: 'quotation' },
+                    { ja: '納期', en: 'delivery date' }
+                ]
+            });
+
+            const masked = service.mask('見積書と納期を送ります', await service.resolve(), { to: 'zh-CN' });
+
+            expect(masked.text).toBe('見積書と納期を送ります');
+            expect(masked.terms).toEqual([{ source: '見積書', target: '报价单' }]);
+        });
+
+        test('should substitute glossary terms for providers without glossary support', async () => {
+            await service.saveGlossary('default', { terms: [{ 'zh-CN': '报价单', ja: '見積書' }] });
+
+            const masked = service.mask('请发送报价单', await service.resolve(), { to: 'ja', substituteTerms: true });
+
+            expect(masked.text).toBe('请发送{{0}}');
+            expect(masked.terms).toEqual([]);
+            expect(service.unmask('{{0}}を送ってください', masked)).toBe('見積書を送ってください');
+        });
+
+        test('should only match Latin-script terms as whole words', async () => {
+            await service.saveGlossary('default', {
+                terms: [{ en: 'AI', ja: '人工知能' }],
+                doNotTranslate: ['OHUA']
+            });
+            const glossary = await service.resolve();
+
+            const masked = service.mask('He said AI, not OHUAX or OHUA.', glossary, { to: 'ja', substituteTerms: true });
+
+            expect(masked.text).toBe('He said {{1}}, not OHUAX or {{0}}.');
+            expect(masked.tokens).toEqual(['OHUA', '人工知能']);
+            expect(service.mask('He said hi', glossary, { to: 'ja' }).terms).toEqual([]);
+        });
+    });
+
+    describe('validateGlossary', () => {
+        test('should accept a complete glossary', () => {
+            expect(validateGlossary({
+                name: 'Sales',
+                terms: [{ ja: '見積書', 'zh-CN': '报价单' }],
+                doNotTranslate: ['OHUA'],
+                protectedPatterns: [{ name: 'ticket', pattern: '#\\d+', flags: 'i' }]
+            })).toBeNull();
+        });
+
+        test.each([
+            [{ terms: {} }, 'terms must be an array'],
+            [{ terms: [{ ja: '見積書', ko: '견적서' }] }, 'terms[0] has unsupported language ko (use ja, zh-CN, zh-TW, en)'],
+            [{ terms: [{ ja: '見積書' }] }, 'terms[0] needs non-empty text in at least two languages'],
+            [{ doNotTranslate: ['OHUA', ''] }, 'doNotTranslate must be an array of non-empty strings'],
+            [{ protectedPatterns: [{ pattern: '(' }] }, expect.stringContaining('protectedPatterns[0] is not a valid regular expression')]
+        ])('should reject %j', (body, message) => {
+            expect(validateGlossary(body)).toEqual(message);
+        });
+    });
+});
@@ -0,0 +1,204 @@
+jest.mock('../../src/api/lineRelay');
+
+const { sendLineReply, sendLinePush, getLineMessageQuota } = require('../../src/api/lineRelay');
+const { LineDeliveryPlanner } = require('../../src/services/lineDeliveryPlanner');
+const { deliveryQueue } = require('../../src/services/deliveryQueue');
+const { InMemoryMappingStore } = require('../../src/database/mappingStore');
+
+const RECEIPT = '✅ メッセージをWeChatに転送しました (Message forwarded to WeChat)';
+
+describe('LINE Delivery Planner', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+        deliveryQueue.store = new InMemoryMappingStore();
+        sendLineReply.mockResolvedValue({ sentMessages: [{ id: 'reply_1' }] });
+        sendLinePush.mockResolvedValue({ sentMessages: [{ id: 'push_1' }] });
+        getLineMessageQuota.mockResolvedValue({ limit: 200, used: 10 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('Receipts', () => {
+        test('should batch receipts for messages sent in quick succession into one reply', async () => {
+            const planner = new LineDeliveryPlanner({ receiptMode: 'full', receiptBatchMs: 3000 });
+
+            await planner.confirmRelay('line_user_1', 'token_1', RECEIPT);
+            await planner.confirmRelay('line_user_1', 'token_2', RECEIPT);
+            expect(sendLineReply).not.toHaveBeenCalled();
+
+            await jest.advanceTimersByTimeAsync(3000);
+
+            expect(sendLineReply).toHaveBeenCalledTimes(1);
+            expect(sendLineReply).toHaveBeenCalledWith('token_2',
+                '✅ 2件のメッセージをWeChatに転送しました (2 messages forwarded to WeChat)');
+        });
+
+        test('should send a single receipt as is, or an emoji in emoji mode', async () => {
+            await new LineDeliveryPlanner({ receiptMode: 'full', receiptBatchMs: 0 }).confirmRelay('line_user_1', 'token_1', RECEIPT);
+            await new LineDeliveryPlanner({ receiptMode: 'emoji', receiptBatchMs: 0 }).confirmRelay('line_user_1', 'token_2', RECEIPT);
+
+            expect(sendLineReply).toHaveBeenNthCalledWith(1, 'token_1', RECEIPT);
+            expect(sendLineReply).toHaveBeenNthCalledWith(2, 'token_2', '✅');
+        });
+
+        test('should keep the reply token for the answer when receipts are off', async () => {
+            const planner = new LineDeliveryPlanner({ receiptMode: 'off' });
+
+            await planner.confirmRelay('line_user_1', 'token_1', RECEIPT);
+            const delivery = await planner.deliver('line_user_1', '[ja] 了解');
+
+            expect(delivery).toEqual({ status: 'delivered', via: 'reply', result: { sentMessages: [{ id: 'reply_1' }] } });
+            expect(sendLineReply).toHaveBeenCalledWith('token_1', '[ja] 了解');
+            expect(sendLinePush).not.toHaveBeenCalled();
+        });
+
+        test('should let an answer arriving within the batch window replace pending receipts', async () => {
+            const planner = new LineDeliveryPlanner({ receiptMode: 'full', receiptBatchMs: 3000 });
+
+            await planner.confirmRelay('line_user_1', 'token_1', RECEIPT);
+            await planner.deliver('line_user_1', '[ja] 了解');
+            await jest.advanceTimersByTimeAsync(3000);
+
+            expect(sendLineReply).toHaveBeenCalledTimes(1);
+            expect(sendLineReply).toHaveBeenCalledWith('token_1', '[ja] 了解');
+        });
+    });
+
+    describe('Delivery', () => {
+        test('should push once the reply token has expired', async () => {
+            const planner = new LineDeliveryPlanner({ receiptMode: 'off', replyTokenTtlSeconds: 50 });
+            planner.rememberReplyToken('line_group_1', 'token_1');
+
+            jest.advanceTimersByTime(50000);
+            const delivery = await planner.deliver('line_group_1', '[ja] 了解');
+
+            expect(delivery).toEqual(expect.objectContaining({ status: 'delivered', via: 'push' }));
+            expect(sendLineReply).not.toHaveBeenCalled();
+            expect(sendLinePush).toHaveBeenCalledWith('line_group_1', '[ja] 了解', { retryKey: expect.any(String) });
+        });
+
+        test('should push when LINE rejects the reply token', async () => {
+            const planner = new LineDeliveryPlanner({ receiptMode: 'off' });
+            planner.rememberReplyToken('line_user_1', 'token_1');
+            sendLineReply.mockResolvedValueOnce(null);
+
+            const delivery = await planner.deliver('line_user_1', '[ja] 了解');
+
+            expect(delivery.via).toBe('push');
+            expect(sendLinePush).toHaveBeenCalledWith('line_user_1', '[ja] 了解', { retryKey: expect.any(String) });
+        });
+    });
+
+    describe('Direct Replies', () => {
+        test('should answer with the event\'s reply token', async () => {
+            const planner = new LineDeliveryPlanner({ receiptMode: 'off' });
+
+            const delivery = await planner.reply('line_user_1', 'token_1', 'linked');
+
+            expect(delivery).toEqual(expect.objectContaining({ status: 'delivered', via: 'reply' }));
+            expect(sendLineReply).toHaveBeenCalledWith('token_1', 'linked');
+            expect(sendLinePush).not.toHaveBeenCalled();
+        });
+
+        test('should push replies the user needs through the delivery queue when they are not accepted', async () => {
+            const planner = new LineDeliveryPlanner({ receiptMode: 'off' });
+            sendLineReply.mockResolvedValueOnce(null);
+            sendLinePush.mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 503'), {
+                isAxiosError: true,
+                response: { status: 503, headers: {}, data: {} }
+            }));
+
+            const delivery = await planner.reply('line_user_1', 'token_1', 'linked', { fallbackToPush: true });
+
+            expect(delivery).toEqual(expect.objectContaining({ status: 'queued', via: 'push' }));
+            expect(await deliveryQueue.listPending()).toEqual([
+                expect.objectContaining({ kind: 'line.push', payload: expect.objectContaining({ to: 'line_user_1', message: 'linked' }) })
+            ]);
+        });
+
+        test('should drop other replies that are not accepted', async () => {
+            const planner = new LineDeliveryPlanner({ receiptMode: 'off' });
+            sendLineReply.mockResolvedValueOnce(null);
+
+            const delivery = await planner.reply('line_user_1', 'token_1', 'Nice sticker! 😄');
+
+            expect(delivery).toEqual({ status: 'failed', via: 'reply', error: 'Reply not accepted' });
+            expect(sendLinePush).not.toHaveBeenCalled();
+            expect(await deliveryQueue.listPending()).toEqual([]);
+        });
+
+        test('should not push without a recipient', async () => {
+            const planner = new LineDeliveryPlanner({ receiptMode: 'off' });
+            sendLineReply.mockResolvedValueOnce(null);
+
+            expect((await planner.reply(undefined, 'token_1', 'hello', { fallbackToPush: true })).status).toBe('failed');
+            expect(sendLinePush).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Quota', () => {
+        test('should count pushes against the quota between refreshes and stop at the limit', async () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+            getLineMessageQuota.mockResolvedValue({ limit: 2, used: 1 });
+            const planner = new LineDeliveryPlanner({ quotaRefreshMinutes: 10 });
+
+            expect((await planner.deliver('line_user_1', 'one')).status).toBe('delivered');
+            const blocked = await planner.deliver('line_user_1', 'two');
+
+            expect(blocked).toEqual({ status: 'failed', via: 'push', error: 'LINE monthly push quota used up' });
+            expect(sendLinePush).toHaveBeenCalledTimes(1);
+            expect(getLineMessageQuota).toHaveBeenCalledTimes(1);
+            expect(planner.getStats()).toEqual(expect.objectContaining({ pushes: 1, quotaBlocked: 1 }));
+            consoleSpy.mockRestore();
+        });
+
+        test('should only count pushes LINE has accepted', async () => {
+            sendLinePush.mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 503'), {
+                isAxiosError: true,
+                response: { status: 503, headers: {}, data: {} }
+            }));
+            const planner = new LineDeliveryPlanner();
+
+            expect((await planner.deliver('line_user_1', 'one')).status).toBe('queued');
+
+            expect(planner.getStats().pushes).toBe(0);
+            expect((await planner.getQuota()).used).toBe(10);
+        });
+
+        test('should re-read the quota from LINE after pushing to a group', async () => {
+            const groupId = `C${'0'.repeat(32)}`;
+            const planner = new LineDeliveryPlanner({ quotaRefreshMinutes: 10 });
+
+            await planner.deliver(groupId, '[ja] 了解');
+            getLineMessageQuota.mockResolvedValue({ limit: 200, used: 35 });
+
+            expect((await planner.getQuota()).used).toBe(35);
+            expect(getLineMessageQuota).toHaveBeenCalledTimes(2);
+            expect(await planner.getQuota()).toEqual(expect.objectContaining({ used: 35 }));
+            expect(getLineMessageQuota).toHaveBeenCalledTimes(2);
+        });
+
+        test('should refresh the quota from LINE once the cached figures are stale', async () => {
+            const planner = new LineDeliveryPlanner({ quotaRefreshMinutes: 10 });
+
+            expect(await planner.getQuota()).toEqual({ limit: 200, used: 10, remaining: 190, checkedAt: '2025-01-01T00:00:00.000Z' });
+
+            getLineMessageQuota.mockResolvedValue({ limit: null, used: 500 });
+            jest.advanceTimersByTime(10 * 60000);
+
+            expect(await planner.getQuota()).toEqual(expect.objectContaining({ limit: null, used: 500, remaining: null }));
+            expect(await planner.canPush()).toBe(true);
+        });
+
+        test('should allow pushes while the quota is unknown', async () => {
+            getLineMessageQuota.mockResolvedValue(null);
+            const planner = new LineDeliveryPlanner();
+
+            expect(await planner.getQuota()).toBeNull();
+            expect(await planner.canPush()).toBe(true);
+        });
+    });
+});
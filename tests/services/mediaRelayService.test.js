@@ -0,0 +1,219 @@
+const { Readable } = require('stream');
+
+jest.mock('../../src/api/lineRelay', () => ({
+    ...jest.requireActual('../../src/api/lineRelay'),
+    getLineMessageContent: jest.fn()
+}));
+jest.mock('../../src/api/wechatRelay');
+
+const { getLineMessageContent } = require('../../src/api/lineRelay');
+const { uploadWeComMedia, getWeComMedia } = require('../../src/api/wechatRelay');
+const { MediaRelayService } = require('../../src/services/mediaRelayService');
+
+const PNG = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.alloc(32)]);
+const M4A = Buffer.concat([Buffer.from('\0\0\0\x1cftypM4A '), Buffer.alloc(32)]);
+// 3 AMR-NB 12.2k frames (header 0x3c + 31 bytes) = 60ms
+const AMR = Buffer.concat([Buffer.from('#!AMR\n'), ...Array(3).fill(Buffer.concat([Buffer.from([0x3c]), Buffer.alloc(31)]))]);
+
+// Minimal in-memory media store
+function createMemoryStore() {
+    const items = new Map();
+    return {
+        items,
+        put: jest.fn(async (id, content, metadata) => items.set(id, { content, ...metadata })),
+        get: jest.fn(async (id) => items.get(id) || null)
+    };
+}
+
+describe('Media Relay Service', () => {
+    let service;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        service = new MediaRelayService({
+            maxDownloadBytes: 1024,
+            store: createMemoryStore(),
+            publicBaseUrl: 'https://relay.example.com/',
+            urlSecret: 'test-secret'
+        });
+        uploadWeComMedia.mockResolvedValue('media_123');
+    });
+
+    describe('uploadLineMediaToWeCom', () => {
+        test('should upload LINE images as WeCom images', async () => {
+            getLineMessageContent.mockResolvedValue(Readable.from([PNG.subarray(0, 10), PNG.subarray(10)]));
+
+            const media = await service.uploadLineMediaToWeCom({ type: 'image', id: 'img1' });
+
+            expect(media).toEqual({
+                type: 'image',
+                mediaId: 'media_123',
+                filename: 'image_img1.png',
+                contentType: 'image/png',
+                size: PNG.length
+            });
+            expect(uploadWeComMedia).toHaveBeenCalledWith(PNG, {
+                type: 'image',
+                filename: 'image_img1.png',
+                contentType: 'image/png'
+            });
+        });
+
+        test('should upload LINE audio as a file and keep original file names', async () => {
+            getLineMessageContent.mockResolvedValue(Readable.from([M4A]));
+            const audio = await service.uploadLineMediaToWeCom({ type: 'audio', id: 'aud1' });
+
+            getLineMessageContent.mockResolvedValue(Readable.from([Buffer.from('%PDF-1.7 report')]));
+            const file = await service.uploadLineMediaToWeCom({ type: 'file', id: 'file1', fileName: 'report.pdf', fileSize: 15 });
+
+            expect(audio).toEqual(expect.objectContaining({ type: 'file', filename: 'audio_aud1.m4a' }));
+            expect(file).toEqual(expect.objectContaining({ type: 'file', filename: 'report.pdf', contentType: 'application/pdf' }));
+        });
+
+        test('should reject files larger than the download limit without downloading', async () => {
+            await expect(service.uploadLineMediaToWeCom({ type: 'file', id: 'big', fileName: 'big.zip', fileSize: 4096 }))
+                .rejects.toThrow('too large');
+            expect(getLineMessageContent).not.toHaveBeenCalled();
+        });
+
+        test('should abort streams that exceed the download limit', async () => {
+            const stream = Readable.from([Buffer.alloc(600), Buffer.alloc(600)]);
+            getLineMessageContent.mockResolvedValue(stream);
+
+            await expect(service.uploadLineMediaToWeCom({ type: 'video', id: 'vid1' }))
+                .rejects.toThrow('Media exceeds 1024 bytes');
+            expect(uploadWeComMedia).not.toHaveBeenCalled();
+        });
+
+        test('should fail when LINE content is unavailable or the upload is rejected', async () => {
+            getLineMessageContent.mockResolvedValue(null);
+            await expect(service.uploadLineMediaToWeCom({ type: 'image', id: 'gone' }))
+                .rejects.toThrow('Could not download LINE image gone');
+
+            getLineMessageContent.mockResolvedValue(Readable.from([PNG]));
+            uploadWeComMedia.mockRejectedValue(new Error('WeChat Work media upload error: 40004 - invalid media type'));
+            await expect(service.uploadLineMediaToWeCom({ type: 'image', id: 'img2' }))
+                .rejects.toThrow('40004');
+        });
+    });
+
+    describe('createLineMessagesFromWeCom', () => {
+        test('should store WeCom images and send them by signed URL', async () => {
+            getWeComMedia.mockResolvedValue({ content: PNG, contentType: 'image/png', filename: 'photo.png' });
+
+            const [message] = await service.createLineMessagesFromWeCom({ MsgType: 'image', MediaId: 'wecom_media_1' });
+
+            expect(getWeComMedia).toHaveBeenCalledWith('wecom_media_1');
+            expect(message.type).toBe('image');
+            expect(message.originalContentUrl).toMatch(/^https:\/\/relay\.example\.com\/media\/[\w-]+\?expires=\d+&signature=[\w-]+$/);
+            expect(message.previewImageUrl).toBe(message.originalContentUrl);
+            expect(service.store.items.size).toBe(1);
+        });
+
+        test('should send video with its thumbnail', async () => {
+            getWeComMedia.mockImplementation(async (mediaId) => mediaId === 'thumb_1'
+                ? { content: PNG, contentType: 'image/png' }
+                : { content: Buffer.from('\0\0\0\x18ftypmp42 video'), contentType: 'video/mp4' });
+
+            const [message] = await service.createLineMessagesFromWeCom({ MsgType: 'video', MediaId: 'video_1', ThumbMediaId: 'thumb_1' });
+
+            expect(message.type).toBe('video');
+            expect(message.originalContentUrl).not.toBe(message.previewImageUrl);
+        });
+
+        test('should reject videos or previews LINE cannot show', async () => {
+            getWeComMedia.mockImplementation(async (mediaId) => mediaId === 'thumb_1'
+                ? { content: PNG, contentType: 'image/png' }
+                : { content: Buffer.from('RIFF\0\0\0\0AVI LIST'), contentType: 'video/x-msvideo' });
+            await expect(service.createLineMessagesFromWeCom({ MsgType: 'video', MediaId: 'video_1', ThumbMediaId: 'thumb_1' }))
+                .rejects.toThrow('LINE does not support video/x-msvideo videos');
+
+            getWeComMedia.mockImplementation(async (mediaId) => mediaId === 'thumb_1'
+                ? { content: Buffer.from('GIF89a'), contentType: 'image/gif' }
+                : { content: Buffer.from('\0\0\0\x18ftypmp42 video'), contentType: 'video/mp4' });
+            await expect(service.createLineMessagesFromWeCom({ MsgType: 'video', MediaId: 'video_1', ThumbMediaId: 'thumb_1' }))
+                .rejects.toThrow('LINE does not support image/gif video previews');
+        });
+
+        test('should send voice as a link without a transcoder and as audio with one', async () => {
+            getWeComMedia.mockResolvedValue({ content: AMR, contentType: 'audio/amr' });
+
+            const [link] = await service.createLineMessagesFromWeCom({ MsgType: 'voice', MediaId: 'voice_1', MsgId: '42' });
+            expect(link.type).toBe('text');
+            expect(link.text).toContain('https://relay.example.com/media/');
+
+            service.audioTranscoder = jest.fn().mockResolvedValue({ content: M4A, contentType: 'audio/x-m4a', durationMs: 60 });
+            const [audio] = await service.createLineMessagesFromWeCom({ MsgType: 'voice', MediaId: 'voice_1' });
+            expect(service.audioTranscoder).toHaveBeenCalledWith(AMR, 'audio/amr');
+            expect(audio).toEqual(expect.objectContaining({ type: 'audio', duration: 60 }));
+        });
+
+        test('should fall back to a link when transcoding fails', async () => {
+            getWeComMedia.mockResolvedValue({ content: AMR, contentType: 'audio/amr' });
+            service.audioTranscoder = jest.fn().mockRejectedValue(new Error('ffmpeg failed: Invalid data'));
+
+            const [message] = await service.createLineMessagesFromWeCom({ MsgType: 'voice', MediaId: 'voice_1' });
+
+            expect(message.type).toBe('text');
+            expect(message.text).toContain('https://relay.example.com/media/');
+        });
+
+        test('should convert locations without downloading anything', async () => {
+            const [message] = await service.createLineMessagesFromWeCom({
+                MsgType: 'location',
+                Location_X: '31.2304',
+                Location_Y: '121.4737',
+                Label: '上海市黄浦区'
+            });
+
+            expect(message).toEqual({
+                type: 'location',
+                title: '上海市黄浦区',
+                address: '上海市黄浦区',
+                latitude: 31.2304,
+                longitude: 121.4737
+            });
+            expect(getWeComMedia).not.toHaveBeenCalled();
+        });
+
+        test('should reject images LINE cannot display', async () => {
+            getWeComMedia.mockResolvedValue({ content: Buffer.from('GIF89a....'), contentType: 'image/gif' });
+
+            await expect(service.createLineMessagesFromWeCom({ MsgType: 'image', MediaId: 'gif_1' }))
+                .rejects.toThrow('LINE does not support image/gif images');
+        });
+
+        test('should require PUBLIC_BASE_URL to serve media', async () => {
+            service.publicBaseUrl = '';
+            getWeComMedia.mockResolvedValue({ content: PNG, contentType: 'image/png' });
+
+            await expect(service.createLineMessagesFromWeCom({ MsgType: 'image', MediaId: 'img_1' }))
+                .rejects.toThrow('PUBLIC_BASE_URL not configured');
+        });
+    });
+
+    describe('Signed URLs', () => {
+        const parse = (url) => {
+            const parsed = new URL(url);
+            return [parsed.pathname.split('/').pop(), parsed.searchParams.get('expires'), parsed.searchParams.get('signature')];
+        };
+
+        test('should verify untampered, unexpired URLs only', () => {
+            const [id, expires, signature] = parse(service.createSignedUrl('media_id_1'));
+
+            expect(service.verifySignedUrl(id, expires, signature)).toBe(true);
+            expect(service.verifySignedUrl('media_id_2', expires, signature)).toBe(false);
+            expect(service.verifySignedUrl(id, String(Number(expires) + 60), signature)).toBe(false);
+            expect(service.verifySignedUrl(id, expires, undefined)).toBe(false);
+        });
+
+        test('should reject expired URLs', () => {
+            jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+            const [id, expires, signature] = parse(service.createSignedUrl('media_id_1'));
+
+            jest.setSystemTime(new Date('2025-01-02T00:00:01Z'));
+            expect(service.verifySignedUrl(id, expires, signature)).toBe(false);
+            jest.useRealTimers();
+        });
+    });
+});
@@ -0,0 +1,199 @@
+const { PairingService } = require('../../src/services/pairingService');
+const { UserMappingService } = require('../../src/services/userMappingService');
+const { InMemoryMappingStore } = require('../../src/database/mappingStore');
+
+describe('Pairing Service', () => {
+    let mappingService;
+    let pairing;
+
+    beforeEach(() => {
+        mappingService = new UserMappingService(new InMemoryMappingStore());
+        pairing = new PairingService(mappingService, {
+            codeTtlMinutes: 10,
+            maxCodesPerHour: 3,
+            maxFailedAttempts: 3
+        });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('parseCommand', () => {
+        test('should parse link, link with code and unlink', () => {
+            expect(pairing.parseCommand('/link')).toEqual({ command: 'link' });
+            expect(pairing.parseCommand('  /link abc234 ')).toEqual({ command: 'link', code: 'ABC234' });
+            expect(pairing.parseCommand('／unlink')).toEqual({ command: 'unlink' });
+        });
+
+        test('should ignore ordinary messages', () => {
+            expect(pairing.parseCommand('please /link me')).toBeNull();
+            expect(pairing.parseCommand('/linked')).toBeNull();
+            expect(pairing.parseCommand(null)).toBeNull();
+        });
+    });
+
+    describe('Linking', () => {
+        test('should link accounts when the code is redeemed on the other platform', async () => {
+            const issued = await pairing.handleCommand('line', 'line_user_1', '/link');
+            expect(issued.code).toMatch(/^[A-HJ-NP-Z2-9]{6}$/);
+            expect(issued.reply).toContain(issued.code);
+
+            const redeemed = await pairing.handleCommand('wechat', 'wechat_user_1', `/link ${issued.code.toLowerCase()}`);
+
+            expect(redeemed.reply).toContain('账号绑定成功');
+            expect(redeemed.notify).toEqual({
+                platform: 'line',
+                userId: 'line_user_1',
+                message: expect.stringContaining('アカウントを連携しました')
+            });
+            expect(await mappingService.getWeChatUserFromLine('line_user_1')).toBe('wechat_user_1');
+            expect(await mappingService.getUserMapping('line_user_1')).toEqual(
+                expect.objectContaining({ source: 'pairing' })
+            );
+        });
+
+        test('should link accounts when the code is issued on WeCom', async () => {
+            const issued = await pairing.handleCommand('wechat', 'wechat_user_1', '/link');
+            await pairing.handleCommand('line', 'line_user_1', `/link ${issued.code}`);
+
+            expect(await mappingService.getLineUserFromWeChat('wechat_user_1')).toBe('line_user_1');
+        });
+
+        test('should only allow each code to be used once', async () => {
+            const issued = await pairing.issueCode('line', 'line_user_1');
+            await pairing.redeemCode('wechat', 'wechat_user_1', issued.code);
+
+            const second = await pairing.redeemCode('wechat', 'wechat_user_2', issued.code);
+
+            expect(second.reply).toContain('绑定码无效或已过期');
+            expect(await mappingService.getLineUserFromWeChat('wechat_user_2')).toBeNull();
+        });
+
+        test('should let only one of two concurrent redemptions use a code', async () => {
+            const issued = await pairing.issueCode('line', 'line_user_1');
+
+            const results = await Promise.all([
+                pairing.redeemCode('wechat', 'wechat_user_1', issued.code),
+                pairing.redeemCode('wechat', 'wechat_user_2', issued.code)
+            ]);
+
+            expect(results.filter(result => result.notify)).toHaveLength(1);
+            expect(results[1].reply).toContain('绑定码无效或已过期');
+            expect(await mappingService.getWeChatUserFromLine('line_user_1')).toBe('wechat_user_1');
+            expect(await mappingService.getLineUserFromWeChat('wechat_user_2')).toBeNull();
+            expect(await pairing.getAuditLog()).toEqual(expect.arrayContaining([
+                expect.objectContaining({ event: 'code_rejected', userId: 'wechat_user_2', reason: 'already_redeemed' })
+            ]));
+        });
+
+        test('should not replace a link the issuer made after the code was issued', async () => {
+            const issued = await pairing.issueCode('line', 'line_user_1');
+            await mappingService.mapLineToWeChat('line_user_1', 'wechat_user_9');
+
+            const result = await pairing.redeemCode('wechat', 'wechat_user_1', issued.code);
+
+            expect(result.notify).toBeNull();
+            expect(result.reply).toContain('该绑定码的发放者已绑定其他LINE账号');
+            expect(await mappingService.getWeChatUserFromLine('line_user_1')).toBe('wechat_user_9');
+            expect(await mappingService.getLineUserFromWeChat('wechat_user_1')).toBeNull();
+        });
+
+        test('should reject expired codes', async () => {
+            jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+            const issued = await pairing.issueCode('line', 'line_user_1');
+
+            jest.setSystemTime(new Date('2025-01-01T00:10:01Z'));
+            const result = await pairing.redeemCode('wechat', 'wechat_user_1', issued.code);
+
+            expect(result.reply).toContain('绑定码无效或已过期');
+            expect(await mappingService.getWeChatUserFromLine('line_user_1')).toBeNull();
+        });
+
+        test('should purge expired codes when issuing new ones', async () => {
+            jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+            const purge = jest.spyOn(pairing, 'purgeExpiredCodes');
+            const expired = await pairing.issueCode('line', 'line_user_1');
+            expect(purge).toHaveBeenCalledTimes(1);
+
+            jest.setSystemTime(new Date('2025-01-01T00:05:00Z'));
+            const live = await pairing.issueCode('line', 'line_user_2');
+            expect(purge).toHaveBeenCalledTimes(1);
+
+            jest.setSystemTime(new Date('2025-01-01T00:10:01Z'));
+            expect(await pairing.purgeExpiredCodes()).toBe(1);
+            expect(await mappingService.store.get('pairingCode', expired.code)).toBeNull();
+            expect(await mappingService.store.get('pairingCode', live.code)).not.toBeNull();
+
+            await pairing.issueCode('line', 'line_user_3');
+            expect(purge).toHaveBeenCalledTimes(3);
+        });
+
+        test('should reject codes redeemed on the issuing platform', async () => {
+            const issued = await pairing.issueCode('line', 'line_user_1');
+            const result = await pairing.redeemCode('line', 'line_user_2', issued.code);
+
+            expect(result.reply).toContain('連携コードが無効');
+            expect(await mappingService.getWeChatUserFromLine('line_user_2')).toBeNull();
+        });
+
+        test('should refuse to issue codes to already linked users', async () => {
+            await mappingService.mapLineToWeChat('line_user_1', 'wechat_user_1');
+
+            const result = await pairing.handleCommand('line', 'line_user_1', '/link');
+
+            expect(result.code).toBeUndefined();
+            expect(result.reply).toContain('すでに連携済み');
+        });
+    });
+
+    describe('Rate Limiting', () => {
+        test('should limit how many codes a user can request per hour', async () => {
+            for (let i = 0; i < 3; i++) {
+                expect((await pairing.issueCode('line', 'line_user_1')).code).toBeDefined();
+            }
+
+            const limited = await pairing.issueCode('line', 'line_user_1');
+            expect(limited.code).toBeUndefined();
+            expect(limited.reply).toContain('試行回数が多すぎます');
+        });
+
+        test('should block redemption after repeated wrong codes', async () => {
+            const issued = await pairing.issueCode('line', 'line_user_1');
+            for (let i = 0; i < 3; i++) {
+                await pairing.redeemCode('wechat', 'wechat_user_1', 'WRONG1');
+            }
+
+            const result = await pairing.redeemCode('wechat', 'wechat_user_1', issued.code);
+
+            expect(result.reply).toContain('尝试次数过多');
+            expect(await mappingService.getWeChatUserFromLine('line_user_1')).toBeNull();
+        });
+    });
+
+    describe('Unlinking and Audit', () => {
+        test('should unlink from either platform and notify the other side', async () => {
+            await mappingService.mapLineToWeChat('line_user_1', 'wechat_user_1');
+
+            const result = await pairing.handleCommand('wechat', 'wechat_user_1', '/unlink');
+
+            expect(result.reply).toContain('已解除账号绑定');
+            expect(result.notify).toEqual(expect.objectContaining({ platform: 'line', userId: 'line_user_1' }));
+            expect(await mappingService.getWeChatUserFromLine('line_user_1')).toBeNull();
+
+            const again = await pairing.handleCommand('line', 'line_user_1', '/unlink');
+            expect(again.reply).toContain('連携されているアカウントはありません');
+        });
+
+        test('should record an audit trail of pairing events', async () => {
+            const issued = await pairing.issueCode('line', 'line_user_1');
+            await pairing.redeemCode('wechat', 'wechat_user_1', 'WRONG1');
+            await pairing.redeemCode('wechat', 'wechat_user_1', issued.code);
+            await pairing.unlink('line', 'line_user_1');
+
+            const events = (await pairing.getAuditLog()).map(record => record.event);
+
+            expect(events).toEqual(['code_issued', 'code_rejected', 'code_redeemed', 'unlinked']);
+        });
+    });
+});
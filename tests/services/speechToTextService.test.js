@@ -0,0 +1,73 @@
+const axios = require('axios');
+const { SpeechToTextService, OpenAISpeechProvider } = require('../../src/services/speechToTextService');
+
+jest.mock('axios');
+
+describe('Speech-to-Text Service', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should use the mock provider under test', async () => {
+        const service = new SpeechToTextService();
+
+        const result = await service.transcribe(Buffer.from('audio'), { contentType: 'audio/amr' });
+
+        expect(result).toEqual({ text: 'This is a mock transcription.', language: 'en', provider: 'mock' });
+    });
+
+    test('should accept custom providers', async () => {
+        const service = new SpeechToTextService({ provider: 'custom' });
+        service.registerProvider({
+            name: 'custom',
+            supportedContentTypes: ['audio/amr'],
+            transcribe: jest.fn().mockResolvedValue({ text: '明天见', language: 'zh' })
+        });
+
+        expect(service.supports('audio/amr')).toBe(true);
+        expect(service.supports('audio/x-m4a')).toBe(false);
+        expect(await service.transcribe(Buffer.from('amr'), { contentType: 'audio/amr' }))
+            .toEqual({ text: '明天见', language: 'zh', provider: 'custom' });
+        expect(await service.transcribe(Buffer.from('m4a'), { contentType: 'audio/x-m4a' })).toBeNull();
+    });
+
+    test('should be disabled when no provider is configured', async () => {
+        const service = new SpeechToTextService({ provider: 'none' });
+
+        expect(service.getProvider()).toBeNull();
+        expect(await service.transcribe(Buffer.from('audio'), { contentType: 'audio/x-m4a' })).toBeNull();
+    });
+
+    test('should return null instead of throwing when the provider fails', async () => {
+        const service = new SpeechToTextService({ provider: 'openai' });
+        axios.post.mockRejectedValue(new Error('timeout of 30000ms exceeded'));
+        service.registerProvider(new OpenAISpeechProvider({ apiKey: 'sk-test' }));
+
+        expect(await service.transcribe(Buffer.from('audio'), { contentType: 'audio/x-m4a' })).toBeNull();
+    });
+
+    describe('OpenAISpeechProvider', () => {
+        test('should post audio to the transcription endpoint', async () => {
+            axios.post.mockResolvedValue({ data: { text: ' こんにちは ' } });
+            const provider = new OpenAISpeechProvider({ apiKey: 'sk-test' });
+
+            const result = await provider.transcribe(Buffer.from('m4a audio'), {
+                contentType: 'audio/x-m4a',
+                filename: 'audio.m4a',
+                language: 'ja'
+            });
+
+            expect(result).toEqual({ text: 'こんにちは', language: 'ja' });
+            const [url, form, config] = axios.post.mock.calls[0];
+            expect(url).toBe('https://api.openai.com/v1/audio/transcriptions');
+            expect(form.get('model')).toBe('whisper-1');
+            expect(form.get('language')).toBe('ja');
+            expect(form.get('file').name).toBe('audio.m4a');
+            expect(config.headers.Authorization).toBe('Bearer sk-test');
+        });
+
+        test('should not accept AMR audio', () => {
+            expect(new OpenAISpeechProvider().supportedContentTypes).not.toContain('audio/amr');
+        });
+    });
+});
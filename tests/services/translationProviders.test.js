@@ -0,0 +1,182 @@
+const axios = require('axios');
+const {
+    OpenAITranslationProvider,
+    AzureOpenAITranslationProvider,
+    DeepLTranslationProvider,
+    MockTranslationProvider,
+    estimateTokens
+} = require('../../src/services/translationProviders');
+
+jest.mock('axios');
+
+function createClient(content) {
+    return { chat: { completions: { create: jest.fn().mockResolvedValue({ choices: [{ message: { content } }] }) } } };
+}
+
+describe('Translation Providers', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('OpenAITranslationProvider', () => {
+        test('should translate with a chat completion', async () => {
+            const client = createClient(' 你好 ');
+            const provider = new OpenAITranslationProvider({ apiKey: 'sk-test', model: 'gpt-4o', client });
+
+            const result = await provider.translate('こんにちは', { from: 'ja', to: 'zh-CN' });
+
+            expect(result).toBe('你好');
+            expect(client.chat.completions.create).toHaveBeenCalledWith(expect.objectContaining({
+                model: 'gpt-4o',
+                messages: [
+                    expect.objectContaining({ role: 'system', content: expect.stringContaining('from Japanese to Chinese (Simplified)') }),
+                    { role: 'user', content: 'こんにちは' }
+                ]
+            }));
+        });
+
+        test('should translate only the newest message when given context', async () => {
+            const client = createClient('好的，就这样');
+            const provider = new OpenAITranslationProvider({ apiKey: 'sk-test', client });
+
+            await provider.translate('はい、それで', {
+                to: 'zh-CN',
+                context: [{ speaker: 'WeChat', text: '下午三点可以吗？' }]
+            });
+
+            const { messages } = client.chat.completions.create.mock.calls[0][0];
+            expect(messages[0].content).toContain('Translate only the final message to Chinese (Simplified)');
+            expect(messages[1].content).toBe(
+                'Earlier messages (context only, do not translate):\nWeChat: 下午三点可以吗？\n\nMessage to translate:\nはい、それで'
+            );
+        });
+
+        test('should enforce glossary terms and keep placeholders', async () => {
+            const client = createClient('请查看{{0}}的报价单');
+            const provider = new OpenAITranslationProvider({ apiKey: 'sk-test', client });
+
+            await provider.translate('{{0}} の見積書をご確認ください', {
+                to: 'zh-CN',
+                glossary: [{ source: '見積書', target: '报价单' }]
+            });
+
+            const { messages } = client.chat.completions.create.mock.calls[0][0];
+            expect(messages[0].content).toContain('Always translate these terms exactly as given: "見積書" -> "报价单".');
+            expect(messages[0].content).toContain('Keep placeholders such as {{0}} exactly as they appear.');
+        });
+
+        test('should throw on an empty completion', async () => {
+            const provider = new OpenAITranslationProvider({ apiKey: 'sk-test', client: createClient('') });
+
+            await expect(provider.translate('hello', { to: 'ja' })).rejects.toThrow('No translation received from openai');
+        });
+
+        test('should detect a language code', async () => {
+            const provider = new OpenAITranslationProvider({ apiKey: 'sk-test', client: createClient('JA') });
+
+            expect(await provider.detect('こんにちは')).toBe('ja');
+        });
+
+        test('should estimate token cost', () => {
+            const provider = new OpenAITranslationProvider({ apiKey: 'sk-test' });
+
+            expect(provider.estimateCost('a'.repeat(4000))).toEqual({
+                inputTokens: 1000,
+                outputTokens: 1200,
+                characters: 4000,
+                costUSD: 0.0023
+            });
+        });
+    });
+
+    describe('estimateTokens', () => {
+        test('should count CJK characters as a token each', () => {
+            expect(estimateTokens('hello world!')).toBe(3);
+            expect(estimateTokens('下午三点')).toBe(4);
+            expect(estimateTokens('はい OK')).toBe(3);
+        });
+    });
+
+    describe('AzureOpenAITranslationProvider', () => {
+        test('should require an endpoint, key and deployment', () => {
+            expect(new AzureOpenAITranslationProvider({ apiKey: 'key', endpoint: 'https://example.openai.azure.com' }).isConfigured()).toBe(false);
+            expect(new AzureOpenAITranslationProvider({
+                apiKey: 'key',
+                endpoint: 'https://example.openai.azure.com',
+                deployment: 'gpt-4o-translate'
+            }).isConfigured()).toBe(true);
+        });
+
+        test('should send the deployment as the model', async () => {
+            const client = createClient('[翻訳]');
+            const provider = new AzureOpenAITranslationProvider({
+                apiKey: 'key',
+                endpoint: 'https://example.openai.azure.com',
+                deployment: 'gpt-4o-translate',
+                client
+            });
+
+            await provider.translate('你好', { to: 'ja' });
+
+            expect(provider.name).toBe('azure-openai');
+            expect(client.chat.completions.create).toHaveBeenCalledWith(expect.objectContaining({ model: 'gpt-4o-translate' }));
+        });
+    });
+
+    describe('DeepLTranslationProvider', () => {
+        test('should call the free API host for :fx keys', async () => {
+            axios.post.mockResolvedValue({ data: { translations: [{ detected_source_language: 'JA', text: '你好' }] } });
+            const provider = new DeepLTranslationProvider({ apiKey: 'abc:fx' });
+
+            const result = await provider.translate('こんにちは', { from: 'ja', to: 'zh-CN' });
+
+            expect(result).toBe('你好');
+            expect(axios.post).toHaveBeenCalledWith(
+                'https://api-free.deepl.com/v2/translate',
+                { text: ['こんにちは'], target_lang: 'ZH-HANS', source_lang: 'JA' },
+                expect.objectContaining({
+                    headers: expect.objectContaining({ 'Authorization': 'DeepL-Auth-Key abc:fx' })
+                })
+            );
+        });
+
+        test('should support compatible services and omit auto source languages', async () => {
+            axios.post.mockResolvedValue({ data: { translations: [{ text: 'こんにちは' }] } });
+            const provider = new DeepLTranslationProvider({ apiKey: 'key', apiUrl: 'https://translate.internal/' });
+
+            await provider.translate('你好', { from: 'auto', to: 'ja' });
+
+            expect(axios.post).toHaveBeenCalledWith(
+                'https://translate.internal/v2/translate',
+                { text: ['你好'], target_lang: 'JA' },
+                expect.any(Object)
+            );
+        });
+
+        test('should send context as a separate field', async () => {
+            axios.post.mockResolvedValue({ data: { translations: [{ text: '好的' }] } });
+            const provider = new DeepLTranslationProvider({ apiKey: 'key' });
+
+            await provider.translate('はい', { to: 'zh-CN', context: [{ speaker: 'WeChat', text: '可以吗？' }] });
+
+            expect(axios.post.mock.calls[0][1].context).toBe('WeChat: 可以吗？');
+        });
+
+        test('should report per-character cost and no detection', () => {
+            const provider = new DeepLTranslationProvider({ apiKey: 'key' });
+
+            expect(provider.capabilities.detection).toBe(false);
+            expect(provider.estimateCost('a'.repeat(1000)).costUSD).toBe(0.025);
+        });
+    });
+
+    describe('MockTranslationProvider', () => {
+        test('should tag text with the target language', async () => {
+            const provider = new MockTranslationProvider();
+
+            expect(await provider.translate('hello', { to: 'zh-CN' })).toBe('[中文] hello');
+            expect(await provider.translate('hello', { to: 'ja' })).toBe('[日本語] hello');
+            expect(await provider.translate('hello', { to: 'ko' })).toBe('[ko] hello');
+        });
+    });
+});
@@ -0,0 +1,417 @@
+const { TranslationService } = require('../../src/services/translationService');
+const { GlossaryService } = require('../../src/services/glossaryService');
+const { InMemoryMappingStore } = require('../../src/database/mappingStore');
+
+function createProvider(name, overrides = {}) {
+    return {
+        name,
+        capabilities: { languages: null, detection: false },
+        isConfigured: () => true,
+        translate: jest.fn(async (text, { to }) => `${name}:${to}:${text}`),
+        estimateCost: text => ({ inputTokens: 0, outputTokens: 0, characters: text.length, costUSD: text.length / 1000 }),
+        ...overrides
+    };
+}
+
+describe('Translation Service provider registry', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new TranslationService();
+    });
+
+    test('should register the built-in providers with mock as the test default', () => {
+        expect(service.listProviders().map(provider => provider.name)).toEqual(['openai', 'azure-openai', 'deepl', 'mock']);
+        expect(service.getProvider().name).toBe('mock');
+        expect(service.listProviders().find(provider => provider.default).name).toBe('mock');
+    });
+
+    test('should translate with the default provider', async () => {
+        service = new TranslationService({ provider: 'custom' });
+        service.registerProvider(createProvider('custom'));
+
+        expect(await service.translateToChinese('こんにちは')).toBe('custom:zh-CN:こんにちは');
+        expect(await service.translateToJapanese('你好', 'zh')).toBe('custom:ja:你好');
+    });
+
+    test('should use a per-conversation provider override', async () => {
+        const custom = createProvider('custom');
+        service.registerProvider(custom);
+
+        expect(await service.translateToChinese('hello', 'auto', { provider: 'custom' })).toBe('custom:zh-CN:hello');
+        expect(custom.translate).toHaveBeenCalledWith('hello', { from: 'auto', to: 'zh-CN' });
+    });
+
+    describe('language pairs', () => {
+        test('should translate between any two languages', async () => {
+            const custom = createProvider('custom');
+            service = new TranslationService({ provider: 'custom' });
+            service.registerProvider(custom);
+
+            expect(await service.translate('こんにちは', { to: 'ko' })).toBe('custom:ko:こんにちは');
+            expect(await service.translate('你好', { from: 'zh-hant', to: 'EN-us' })).toBe('custom:en-US:你好');
+            expect(custom.translate).toHaveBeenLastCalledWith('你好', { from: 'zh-TW', to: 'en-US' });
+        });
+
+        test('should skip providers that do not support the target language', async () => {
+            const limited = createProvider('limited', { capabilities: { languages: ['ja', 'zh'], detection: false } });
+            service = new TranslationService({ provider: 'limited', fallbackProviders: ['mock'] });
+            service.registerProvider(limited);
+
+            expect(await service.translate('hello', { to: 'zh-TW' })).toBe('limited:zh-TW:hello');
+            expect(await service.translate('hello', { to: 'th' })).toBe('[th] hello');
+            expect(limited.translate).toHaveBeenCalledTimes(1);
+        });
+
+        test('should mark text for invalid target languages', async () => {
+            expect(await service.translate('hello', { to: 'not a language' })).toBe('⚠️ [Untranslated] hello');
+        });
+    });
+
+    test('should fall back to the default provider for unknown overrides', async () => {
+        expect(await service.translateToJapanese('你好', 'auto', { provider: 'babelfish' })).toBe('[日本語] 你好');
+    });
+
+    test('should skip unconfigured providers', async () => {
+        service.registerProvider(createProvider('unconfigured', { isConfigured: () => false }));
+
+        expect(await service.translateToChinese('hello', 'auto', { provider: 'unconfigured' })).toBe('[中文] hello');
+    });
+
+    describe('cache', () => {
+        let custom;
+
+        beforeEach(() => {
+            custom = createProvider('custom', { model: 'v1' });
+            service = new TranslationService({ provider: 'custom' });
+            service.registerProvider(custom);
+        });
+
+        test('should serve repeated phrases from the cache', async () => {
+            expect(await service.translateToChinese('了解しました')).toBe('custom:zh-CN:了解しました');
+            expect(await service.translateToChinese(' 了解しました ')).toBe('custom:zh-CN:了解しました');
+
+            expect(custom.translate).toHaveBeenCalledTimes(1);
+            expect(service.getCacheStats()).toEqual(expect.objectContaining({ hits: { memory: 1, table: 0 }, misses: 1 }));
+        });
+
+        test('should bypass the cache for long or context-dependent messages', async () => {
+            const longText = 'あ'.repeat(201);
+
+            await service.translateToChinese(longText);
+            await service.translateToChinese(longText);
+            await service.translateToChinese('それで', 'auto', { cache: false });
+            await service.translateToChinese('それで', 'auto', { cache: false });
+
+            expect(custom.translate).toHaveBeenCalledTimes(4);
+            expect(service.getCacheStats().bypassed).toBe(4);
+        });
+
+        test('should keep separate entries per target language and provider', async () => {
+            const other = createProvider('other');
+            service.registerProvider(other);
+
+            await service.translateToChinese('OK');
+            await service.translateToJapanese('OK');
+            expect(await service.translateToChinese('OK', 'auto', { provider: 'other' })).toBe('other:zh-CN:OK');
+
+            expect(custom.translate).toHaveBeenCalledTimes(2);
+        });
+
+        test('should not cache failed translations', async () => {
+            custom.translate.mockRejectedValueOnce(new Error('timeout'));
+
+            expect(await service.translateToJapanese('好的')).toBe('⚠️ [未翻訳 / Untranslated] 好的');
+            expect(await service.translateToJapanese('好的')).toBe('custom:ja:好的');
+        });
+
+        test('should translate without caching when disabled', async () => {
+            service = new TranslationService({ provider: 'custom', translationCache: null });
+            service.registerProvider(custom);
+
+            await service.translateToChinese('はい');
+            await service.translateToChinese('はい');
+
+            expect(custom.translate).toHaveBeenCalledTimes(2);
+            expect(service.getCacheStats()).toBeNull();
+        });
+    });
+
+    describe('conversation context', () => {
+        const context = [
+            { speaker: 'LINE', text: '明日の会議は何時ですか？' },
+            { speaker: 'WeChat', text: '下午三点可以吗？' }
+        ];
+        let custom;
+
+        beforeEach(() => {
+            custom = createProvider('custom', { capabilities: { languages: null, detection: false, context: true } });
+            service = new TranslationService({ provider: 'custom', contextTokenBudget: 30 });
+            service.registerProvider(custom);
+        });
+
+        test('should pass earlier messages to providers that support context', async () => {
+            await service.translateToChinese('はい、それで', 'auto', { context });
+
+            expect(custom.translate).toHaveBeenCalledWith('はい、それで', { from: 'auto', to: 'zh-CN', context });
+        });
+
+        test('should drop the oldest messages beyond the token budget', async () => {
+            const longer = [{ speaker: 'LINE', text: 'あ'.repeat(20) }, ...context];
+
+            await service.translateToChinese('はい、それで', 'auto', { context: longer });
+
+            expect(custom.translate.mock.calls[0][1].context).toEqual(context);
+        });
+
+        test('should neither read nor write the cache when translating with context', async () => {
+            await service.translateToChinese('はい');
+            await service.translateToChinese('はい', 'auto', { context });
+
+            expect(custom.translate).toHaveBeenCalledTimes(2);
+            expect(service.getCacheStats()).toEqual(expect.objectContaining({ writes: 1, bypassed: 1 }));
+        });
+
+        test('should not send context to providers without the capability', async () => {
+            const plain = createProvider('plain');
+            service.registerProvider(plain);
+
+            await service.translateToChinese('はい、それで', 'auto', { provider: 'plain', context });
+
+            expect(plain.translate).toHaveBeenCalledWith('はい、それで', { from: 'auto', to: 'zh-CN' });
+        });
+    });
+
+    describe('glossaries', () => {
+        let glossaries;
+        let custom;
+
+        beforeEach(async () => {
+            glossaries = new GlossaryService(new InMemoryMappingStore());
+            await glossaries.saveGlossary('default', { terms: [{ ja: '見積書', 'zh-CN': '报价单' }] });
+            await glossaries.saveGlossary('sales', { doNotTranslate: ['OHUA'] });
+            custom = createProvider('custom', {
+                capabilities: { languages: null, detection: false, glossary: true },
+                translate: jest.fn(async text => text.replace('見積書', '报价单').replace('を送ります', '已发送'))
+            });
+            service = new TranslationService({ provider: 'custom', glossaryService: glossaries });
+            service.registerProvider(custom);
+        });
+
+        test('should pass glossary hits and masked text to providers that support glossaries', async () => {
+            const result = await service.translateToChinese('OHUA の見積書を送ります https://example.com', 'auto', { glossaryId: 'sales' });
+
+            expect(custom.translate).toHaveBeenCalledWith('{{1}} の見積書を送ります {{0}}', {
+                from: 'auto',
+                to: 'zh-CN',
+                glossary: [{ source: '見積書', target: '报价单' }]
+            });
+            expect(result).toBe('OHUA の报价单已发送 https://example.com');
+        });
+
+        test('should substitute glossary terms for other providers', async () => {
+            const result = await service.translateToChinese('見積書を送ります', 'auto', { provider: 'mock' });
+
+            expect(result).toBe('[中文] 报价单を送ります');
+        });
+
+        test('should keep LINE mentions verbatim', async () => {
+            const result = await service.translateToChinese('@田中さん見積書を送ります', 'auto', {
+                mentions: [{ index: 0, length: 5 }]
+            });
+
+            expect(custom.translate).toHaveBeenCalledWith('{{0}}見積書を送ります', expect.any(Object));
+            expect(result).toBe('@田中さん报价单已发送');
+        });
+
+        test('should not serve translations cached before a glossary change', async () => {
+            await service.translateToChinese('見積書');
+            await glossaries.saveGlossary('default', { terms: [{ ja: '見積書', 'zh-CN': '报价书' }] });
+            await service.translateToChinese('見積書');
+
+            expect(custom.translate).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('failover', () => {
+        let primary;
+        let backup;
+
+        beforeEach(() => {
+            primary = createProvider('primary', { translate: jest.fn().mockRejectedValue(new Error('503 Service Unavailable')) });
+            backup = createProvider('backup');
+            service = new TranslationService({
+                provider: 'primary',
+                fallbackProviders: ['backup'],
+                breakerFailureThreshold: 2,
+                breakerResetMs: 1000
+            });
+            service.registerProvider(primary);
+            service.registerProvider(backup);
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should fall back to the next provider in the chain', async () => {
+            expect(await service.translateToJapanese('你好')).toBe('backup:ja:你好');
+            expect(primary.translate).toHaveBeenCalledTimes(1);
+        });
+
+        test('should try a conversation override, then the default, then fallbacks', async () => {
+            const override = createProvider('override', { translate: jest.fn().mockRejectedValue(new Error('quota')) });
+            service.registerProvider(override);
+
+            expect(await service.translateToJapanese('你好', 'auto', { provider: 'override' })).toBe('backup:ja:你好');
+            expect(override.translate).toHaveBeenCalledTimes(1);
+            expect(primary.translate).toHaveBeenCalledTimes(1);
+        });
+
+        test('should stop calling a provider once its circuit opens and probe it after the reset timeout', async () => {
+            jest.useFakeTimers();
+
+            await service.translateToJapanese('one');
+            await service.translateToJapanese('two');
+            await service.translateToJapanese('three');
+            expect(primary.translate).toHaveBeenCalledTimes(2);
+            expect(service.listProviders().find(provider => provider.name === 'primary').circuit.state).toBe('open');
+
+            jest.advanceTimersByTime(1000);
+            primary.translate.mockResolvedValueOnce('復旧');
+            expect(await service.translateToJapanese('four')).toBe('復旧');
+            expect(service.listProviders().find(provider => provider.name === 'primary').circuit.state).toBe('closed');
+        });
+
+        test('should mark text as untranslated when every provider fails', async () => {
+            backup.translate = jest.fn().mockRejectedValue(new Error('timeout'));
+
+            expect(await service.translateToChinese('こんにちは')).toBe('⚠️ [未翻译 / Untranslated] こんにちは');
+            expect(await service.translateToJapanese('你好')).toBe('⚠️ [未翻訳 / Untranslated] 你好');
+            expect(await service.translateToJapanese('王', 'auto', { markUntranslated: false })).toBe('王');
+        });
+    });
+
+    describe('translateWithDetails', () => {
+        test('should report the provider and model that produced the translation', async () => {
+            const custom = createProvider('custom', { model: 'custom-large' });
+            service = new TranslationService({ provider: 'custom' });
+            service.registerProvider(custom);
+
+            expect(await service.translateWithDetails('你好', { from: 'zh', to: 'ja' })).toEqual({
+                text: 'custom:ja:你好',
+                from: 'zh-CN',
+                to: 'ja',
+                provider: 'custom',
+                model: 'custom-large'
+            });
+        });
+
+        test('should report no provider for untranslated text', async () => {
+            expect(await service.translateWithDetails('👍', { to: 'ja' })).toEqual(expect.objectContaining({
+                text: '👍',
+                provider: null,
+                model: null
+            }));
+        });
+    });
+
+    describe('language detection', () => {
+        test('should skip text already in the target language', async () => {
+            const custom = createProvider('custom');
+            service = new TranslationService({ provider: 'custom' });
+            service.registerProvider(custom);
+
+            expect(await service.translate('ありがとうございます', { to: 'ja' })).toBe('ありがとうございます');
+            expect(await service.translate('Thank you for the help', { to: 'en-US' })).toBe('Thank you for the help');
+            expect(custom.translate).not.toHaveBeenCalled();
+        });
+
+        test('should translate between Chinese variants and when unsure of the language', async () => {
+            const custom = createProvider('custom');
+            service = new TranslationService({ provider: 'custom' });
+            service.registerProvider(custom);
+
+            expect(await service.translate('谢谢你们的帮助', { to: 'zh-TW' })).toBe('custom:zh-TW:谢谢你们的帮助');
+            expect(await service.translate('北京', { to: 'zh-CN' })).toBe('custom:zh-CN:北京');
+        });
+
+        test('should relay emoji, links, numbers and code without translating', async () => {
+            const custom = createProvider('custom');
+            service = new TranslationService({ provider: 'custom' });
+            service.registerProvider(custom);
+
+            expect(await service.translate('👍🎉', { to: 'zh-CN' })).toBe('👍🎉');
+            expect(await service.translate('https://example.com/orders?id=1', { to: 'ja' })).toBe('https://example.com/orders?id=1');
+            expect(await service.translate('12,345', { to: 'ja' })).toBe('12,345');
+            expect(await service.translate('```\nnpm test\n```', { to: 'ja' })).toBe('```\nnpm test\n```');
+            expect(custom.translate).not.toHaveBeenCalled();
+        });
+
+        test('should keep code verbatim in mixed content', async () => {
+            const custom = createProvider('custom', { translate: jest.fn(async text => text.replace('を実行してください', '请运行')) });
+            service = new TranslationService({ provider: 'custom' });
+            service.registerProvider(custom);
+
+            expect(await service.translate('`npm test` を実行してください', { to: 'zh-CN' })).toBe('`npm test` 请运行');
+            expect(custom.translate).toHaveBeenCalledWith('{{0}} を実行してください', { from: 'auto', to: 'zh-CN' });
+        });
+
+        test('should use a detection passed by the caller', async () => {
+            const custom = createProvider('custom');
+            service = new TranslationService({ provider: 'custom' });
+            service.registerProvider(custom);
+            const detection = { lang: 'zh-CN', confidence: 0.95, alternatives: [] };
+
+            expect(await service.translate('OK', { to: 'zh-CN', detection })).toBe('OK');
+            expect(custom.translate).not.toHaveBeenCalled();
+        });
+
+        test('should ask the provider when local detection is unsure', async () => {
+            const detect = jest.fn().mockResolvedValue('zh');
+            service = new TranslationService({ provider: 'custom', providerDetection: true });
+            service.registerProvider(createProvider('custom', { capabilities: { languages: null, detection: true }, detect }));
+
+            const result = await service.detect('北京');
+
+            expect(detect).toHaveBeenCalledWith('北京');
+            expect(result).toEqual({
+                lang: 'zh-CN',
+                confidence: 0.85,
+                alternatives: [expect.objectContaining({ lang: 'zh-TW' }), expect.objectContaining({ lang: 'ja' })]
+            });
+            expect((await service.detect('こんにちは')).confidence).toBe(1);
+            expect(detect).toHaveBeenCalledTimes(1);
+        });
+
+        test('should keep the local result when provider detection fails', async () => {
+            const detect = jest.fn().mockRejectedValue(new Error('timeout'));
+            service = new TranslationService({ provider: 'custom', providerDetection: true });
+            service.registerProvider(createProvider('custom', { capabilities: { languages: null, detection: true }, detect }));
+
+            expect((await service.detect('北京')).lang).toBe('zh-CN');
+            expect(service.listProviders().find(provider => provider.name === 'custom').circuit.failures).toBe(1);
+        });
+
+        test('should not ask the provider unless provider detection is enabled', async () => {
+            const detect = jest.fn().mockResolvedValue('ja');
+            service = new TranslationService({ provider: 'custom', providerDetection: false });
+            service.registerProvider(createProvider('custom', { capabilities: { languages: null, detection: true }, detect }));
+
+            expect((await service.detect('北京')).lang).toBe('zh-CN');
+            expect(detect).not.toHaveBeenCalled();
+        });
+    });
+
+    test('should estimate cost with the selected provider', () => {
+        service.registerProvider(createProvider('custom'));
+
+        expect(service.estimateCost('hello', { provider: 'custom' })).toEqual({
+            provider: 'custom',
+            inputTokens: 0,
+            outputTokens: 0,
+            characters: 5,
+            costUSD: 0.005
+        });
+    });
+});
@@ -0,0 +1,232 @@
+const { UserMappingService, RECORD_TYPES } = require('../../src/services/userMappingService');
+const { InMemoryMappingStore } = require('../../src/database/mappingStore');
+
+describe('User Mapping Service', () => {
+    let store;
+    let service;
+
+    beforeEach(() => {
+        store = new InMemoryMappingStore();
+        service = new UserMappingService(store);
+    });
+
+    describe('User Mappings', () => {
+        test('should write bidirectional mappings through to the store', async () => {
+            const result = await service.mapLineToWeChat('line_user_1', 'wechat_user_1', { source: 'test' });
+
+            expect(result).toBe(true);
+            expect(await store.get(RECORD_TYPES.LINE_TO_WECHAT, 'line_user_1')).toEqual(
+                expect.objectContaining({ wechatUserId: 'wechat_user_1', source: 'test' })
+            );
+            expect(await store.get(RECORD_TYPES.WECHAT_TO_LINE, 'wechat_user_1')).toEqual(
+                expect.objectContaining({ lineUserId: 'line_user_1', source: 'test' })
+            );
+            expect(await service.getWeChatUserFromLine('line_user_1')).toBe('wechat_user_1');
+            expect(await service.getLineUserFromWeChat('wechat_user_1')).toBe('line_user_1');
+        });
+
+        test('should reject mappings without both IDs', async () => {
+            expect(await service.mapLineToWeChat('line_user_1', '')).toBe(false);
+            expect(await store.list(RECORD_TYPES.LINE_TO_WECHAT)).toHaveLength(0);
+        });
+
+        test('should not cache a mapping when the store write fails', async () => {
+            store.set = jest.fn().mockRejectedValue(new Error('storage unavailable'));
+
+            expect(await service.mapLineToWeChat('line_user_1', 'wechat_user_1')).toBe(false);
+            expect(service.lineToChatMappings.has('line_user_1')).toBe(false);
+        });
+
+        test('should read through to the store on a cache miss', async () => {
+            // Simulate a mapping created by another instance
+            const other = new UserMappingService(store);
+            await other.mapLineToWeChat('line_user_2', 'wechat_user_2');
+
+            expect(service.lineToChatMappings.has('line_user_2')).toBe(false);
+            expect(await service.getWeChatUserFromLine('line_user_2')).toBe('wechat_user_2');
+            expect(service.lineToChatMappings.has('line_user_2')).toBe(true);
+        });
+
+        test('should re-read cached mappings changed by another instance after a minute', async () => {
+            jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+            try {
+                await service.mapLineToWeChat('line_user_1', 'wechat_user_1');
+                const other = new UserMappingService(store);
+                await other.mapLineToWeChat('line_user_1', 'wechat_user_9');
+                await other.removeMapping('line_user_1');
+                await other.mapGroups('line_group_1', 'wechat_group_1');
+                expect(await service.getWeChatGroupFromLine('line_group_1')).toBe('wechat_group_1');
+                await other.mapGroups('line_group_1', 'wechat_group_2');
+
+                expect(await service.getWeChatUserFromLine('line_user_1')).toBe('wechat_user_1');
+                expect(await service.getWeChatGroupFromLine('line_group_1')).toBe('wechat_group_1');
+
+                jest.advanceTimersByTime(60000);
+                expect(await service.getWeChatUserFromLine('line_user_1')).toBeNull();
+                expect(service.lineToChatMappings.has('line_user_1')).toBe(false);
+                expect(await service.getWeChatGroupFromLine('line_group_1')).toBe('wechat_group_2');
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+
+        test('should keep serving stale cached mappings while storage is unavailable', async () => {
+            jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+            try {
+                await service.mapLineToWeChat('line_user_1', 'wechat_user_1');
+                jest.advanceTimersByTime(60000);
+                store.get = jest.fn().mockRejectedValue(new Error('storage unavailable'));
+
+                expect(await service.getWeChatUserFromLine('line_user_1')).toBe('wechat_user_1');
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+
+        test('should return null for unknown users and on storage read errors', async () => {
+            expect(await service.getWeChatUserFromLine('unknown')).toBeNull();
+
+            store.get = jest.fn().mockRejectedValue(new Error('storage unavailable'));
+            expect(await service.getLineUserFromWeChat('unknown')).toBeNull();
+        });
+
+        test('should remove mappings from the store and cache', async () => {
+            await service.mapLineToWeChat('line_user_1', 'wechat_user_1');
+
+            expect(await service.removeMapping('line_user_1')).toBe(true);
+            expect(await service.getWeChatUserFromLine('line_user_1')).toBeNull();
+            expect(await service.getLineUserFromWeChat('wechat_user_1')).toBeNull();
+            expect(await store.get(RECORD_TYPES.WECHAT_TO_LINE, 'wechat_user_1')).toBeNull();
+            expect(await service.removeMapping('line_user_1')).toBe(false);
+        });
+    });
+
+    describe('Group Mappings and Profiles', () => {
+        test('should persist and resolve group mappings', async () => {
+            expect(await service.mapGroups('line_group_1', 'wechat_group_1')).toBe(true);
+
+            const fresh = new UserMappingService(store);
+            expect(await fresh.getWeChatGroupFromLine('line_group_1')).toBe('wechat_group_1');
+            expect(await fresh.getWeChatGroupFromLine('line_group_2')).toBeNull();
+            expect(await fresh.getLineGroupFromWeChat('wechat_group_1')).toBe('line_group_1');
+        });
+
+        test('should serve group mapping records from the cache until they are a minute old', async () => {
+            jest.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+            try {
+                await service.mapGroups('line_group_1', 'wechat_group_1', { relayFormat: 'bilingual' });
+                await new UserMappingService(store).mapGroups('line_group_1', 'wechat_group_1', { relayFormat: 'collapsed' });
+                const get = jest.spyOn(store, 'get');
+
+                expect(await service.getGroupMapping('line_group_1')).toEqual(expect.objectContaining({
+                    lineGroupId: 'line_group_1',
+                    wechatGroupId: 'wechat_group_1',
+                    relayFormat: 'bilingual'
+                }));
+                expect(get).not.toHaveBeenCalled();
+
+                jest.advanceTimersByTime(60000);
+                expect((await service.getGroupMapping('line_group_1')).relayFormat).toBe('collapsed');
+                expect(get).toHaveBeenCalledTimes(1);
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+
+        test('should keep group mappings 1:1 when remapping or removing', async () => {
+            await service.mapGroups('line_group_1', 'wechat_group_1');
+            await service.mapGroups('line_group_1', 'wechat_group_2');
+
+            expect(await service.getLineGroupFromWeChat('wechat_group_2')).toBe('line_group_1');
+            expect(await service.getLineGroupFromWeChat('wechat_group_1')).toBeNull();
+
+            await service.removeGroupMapping('line_group_1');
+
+            const fresh = new UserMappingService(store);
+            expect(await fresh.getLineGroupFromWeChat('wechat_group_2')).toBeNull();
+        });
+
+        test('should persist user profiles', async () => {
+            await service.storeUserProfile('line', 'line_user_1', { displayName: 'Taro' });
+
+            const fresh = new UserMappingService(store);
+            expect(await fresh.getUserProfile('line', 'line_user_1')).toEqual(
+                expect.objectContaining({ displayName: 'Taro', platform: 'line', userId: 'line_user_1' })
+            );
+        });
+    });
+
+    describe('Preferred Languages', () => {
+        test('should prefer the mapping setting, then the profile language, then the platform default', async () => {
+            await service.mapLineToWeChat('line_user_1', 'wechat_user_1', { wechatLanguage: 'zh-TW' });
+            await service.storeUserProfile('line', 'line_user_1', { displayName: 'Taro', language: 'en' });
+            const mapping = await service.getUserMapping('line_user_1');
+
+            expect(await service.getPreferredLanguage('wechat', mapping, 'wechat_user_1')).toBe('zh-TW');
+            expect(await service.getPreferredLanguage('line', mapping, 'line_user_1')).toBe('en');
+            expect(await service.getPreferredLanguage('line', mapping)).toBe('ja');
+            expect(await service.getPreferredLanguage('wechat', null)).toBe('zh-CN');
+        });
+    });
+
+    describe('Startup Loading', () => {
+        afterEach(() => {
+            delete process.env.USER_MAPPINGS;
+        });
+
+        test('should load persisted mappings into the cache', async () => {
+            await service.mapLineToWeChat('line_user_1', 'wechat_user_1');
+            await service.mapGroups('line_group_1', 'wechat_group_1');
+
+            const restarted = new UserMappingService(store);
+            await restarted.loadMappingsFromStorage();
+
+            expect(restarted.getAllMappings()).toEqual(expect.objectContaining({
+                groups: { line_group_1: 'wechat_group_1' },
+                totalMappings: 1
+            }));
+        });
+
+        test('should write config mappings through to the store', async () => {
+            process.env.USER_MAPPINGS = JSON.stringify({
+                users: [{ lineUserId: 'line_cfg', wechatUserId: 'wechat_cfg', lineLanguage: 'EN-us' }],
+                groups: [{ lineGroupId: 'line_group_cfg', wechatGroupId: 'wechat_group_cfg' }]
+            });
+
+            await service.loadMappingsFromConfig();
+
+            expect(await store.get(RECORD_TYPES.LINE_TO_WECHAT, 'line_cfg')).toEqual(
+                expect.objectContaining({ wechatUserId: 'wechat_cfg', source: 'config', lineLanguage: 'en-US' })
+            );
+            expect(await store.get(RECORD_TYPES.GROUP, 'line_group_cfg')).toEqual(
+                expect.objectContaining({ wechatGroupId: 'wechat_group_cfg' })
+            );
+        });
+
+        test('should not overwrite stored mappings with config entries on restart', async () => {
+            await service.mapLineToWeChat('line_cfg', 'wechat_cfg', {
+                source: 'admin', glossaryId: 'sales', displayName: 'Yamada'
+            });
+            await service.mapGroups('line_group_cfg', 'wechat_group_cfg', { source: 'admin', relayFormat: 'minimal' });
+            process.env.USER_MAPPINGS = JSON.stringify({
+                users: [
+                    { lineUserId: 'line_cfg', wechatUserId: 'wechat_cfg' },
+                    { lineUserId: 'line_new', wechatUserId: 'wechat_new' }
+                ],
+                groups: [{ lineGroupId: 'line_group_cfg', wechatGroupId: 'wechat_group_cfg' }]
+            });
+
+            await new UserMappingService(store).loadMappingsFromConfig();
+
+            expect(await store.get(RECORD_TYPES.LINE_TO_WECHAT, 'line_cfg')).toEqual(
+                expect.objectContaining({ source: 'admin', glossaryId: 'sales', displayName: 'Yamada' })
+            );
+            expect(await store.get(RECORD_TYPES.GROUP, 'line_group_cfg')).toEqual(
+                expect.objectContaining({ source: 'admin', relayFormat: 'minimal' })
+            );
+            expect(await store.get(RECORD_TYPES.LINE_TO_WECHAT, 'line_new')).toEqual(
+                expect.objectContaining({ wechatUserId: 'wechat_new', source: 'config' })
+            );
+        });
+    });
+});
@@ -0,0 +1,45 @@
+const { WebhookDeduplicationService } = require('../../src/services/webhookDeduplicationService');
+const { InMemoryWebhookEventStore } = require('../../src/database/webhookEventStore');
+
+describe('Webhook Deduplication Service', () => {
+    let service;
+
+    beforeEach(() => {
+        service = new WebhookDeduplicationService(new InMemoryWebhookEventStore(), { ttlMinutes: 60 });
+    });
+
+    test('should process an event ID once per platform', async () => {
+        expect(await service.claim('line', 'evt_1')).toBe(true);
+        expect(await service.claim('line', 'evt_1')).toBe(false);
+        expect(await service.claim('wechat', 'evt_1')).toBe(true);
+
+        expect(service.getStats()).toEqual({ claimed: 2, duplicates: 1, unchecked: 0 });
+    });
+
+    test('should process events without an ID', async () => {
+        expect(await service.claim('wechat', undefined)).toBe(true);
+        expect(await service.claim('wechat', undefined)).toBe(true);
+
+        expect(service.getStats().unchecked).toBe(2);
+    });
+
+    test('should process events when the store is unavailable', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        service.store = { claim: jest.fn().mockRejectedValue(new Error('Server Busy')) };
+
+        expect(await service.claim('line', 'evt_1')).toBe(true);
+        expect(service.getStats().unchecked).toBe(1);
+        consoleSpy.mockRestore();
+    });
+
+    test('should claim with the configured TTL', async () => {
+        const store = { claim: jest.fn().mockResolvedValue(true) };
+        service.store = store;
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+        await service.claim('wechat', 1234567890123456);
+
+        expect(store.claim).toHaveBeenCalledWith({ platform: 'wechat', eventId: '1234567890123456' }, 1000 + 60 * 60000);
+        Date.now.mockRestore();
+    });
+});
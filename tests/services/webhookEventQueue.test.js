@@ -0,0 +1,87 @@
+const { WebhookEventQueue } = require('../../src/services/webhookEventQueue');
+
+// A task that finishes when the test says so
+function deferredTask(log, name) {
+    let finish;
+    const task = jest.fn(() => {
+        log.push(`start ${name}`);
+        return new Promise(resolve => {
+            finish = () => {
+                log.push(`end ${name}`);
+                resolve();
+            };
+        });
+    });
+    return { task, finish: () => finish() };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Webhook Event Queue', () => {
+    let queue;
+    let log;
+
+    beforeEach(() => {
+        queue = new WebhookEventQueue({ concurrency: 2 });
+        log = [];
+    });
+
+    test('should process events for the same conversation one at a time, in order', async () => {
+        const first = deferredTask(log, 'first');
+        const second = deferredTask(log, 'second');
+
+        queue.enqueue('line:user_1', first.task);
+        queue.enqueue('line:user_1', second.task);
+        await flush();
+
+        expect(second.task).not.toHaveBeenCalled();
+        expect(queue.getStats()).toEqual(expect.objectContaining({ running: 1, waiting: 1, conversations: 1 }));
+
+        first.finish();
+        await flush();
+        second.finish();
+        await queue.onIdle();
+
+        expect(log).toEqual(['start first', 'end first', 'start second', 'end second']);
+    });
+
+    test('should process different conversations concurrently up to the worker limit', async () => {
+        const tasks = ['line:user_1', 'line:group_1', 'wechat:user_2'].map(key => {
+            const deferred = deferredTask(log, key);
+            queue.enqueue(key, deferred.task);
+            return deferred;
+        });
+        await flush();
+
+        expect(log).toEqual(['start line:user_1', 'start line:group_1']);
+
+        tasks[1].finish();
+        await flush();
+        expect(tasks[2].task).toHaveBeenCalled();
+
+        tasks[0].finish();
+        tasks[2].finish();
+        await queue.onIdle();
+
+        expect(queue.isIdle()).toBe(true);
+        expect(queue.getStats()).toEqual({ running: 0, waiting: 0, conversations: 0, processed: 3, failed: 0 });
+    });
+
+    test('should keep processing after an event fails', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const next = jest.fn().mockResolvedValue();
+
+        queue.enqueue('line:user_1', () => Promise.reject(new Error('translation failed')));
+        queue.enqueue('line:user_1', next);
+        await queue.onIdle();
+
+        expect(next).toHaveBeenCalled();
+        expect(queue.getStats()).toEqual(expect.objectContaining({ processed: 1, failed: 1 }));
+        expect(consoleSpy).toHaveBeenCalledWith('Error processing webhook event for line:user_1:', expect.any(Error));
+        consoleSpy.mockRestore();
+    });
+
+    test('should resolve onIdle immediately when nothing is queued', async () => {
+        await expect(queue.onIdle()).resolves.toBeUndefined();
+    });
+});
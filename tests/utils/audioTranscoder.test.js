@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('child_process', () => ({ execFile: jest.fn() }));
+
+const { execFile } = require('child_process');
+const { createFfmpegTranscoder, createAudioTranscoder } = require('../../src/utils/audioTranscoder');
+
+// 3 AMR-NB 12.2k frames (header 0x3c + 31 bytes) = 60ms
+const AMR = Buffer.concat([Buffer.from('#!AMR\n'), ...Array(3).fill(Buffer.concat([Buffer.from([0x3c]), Buffer.alloc(31)]))]);
+const M4A = Buffer.concat([Buffer.from('\0\0\0\x1cftypM4A '), Buffer.alloc(32)]);
+
+describe('Audio Transcoder', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('createFfmpegTranscoder', () => {
+        test('should convert AMR to m4a through temporary files', async () => {
+            let directory;
+            execFile.mockImplementation((file, args, options, callback) => {
+                const input = args[args.indexOf('-i') + 1];
+                directory = path.dirname(input);
+                expect(fs.readFileSync(input)).toEqual(AMR);
+                fs.writeFileSync(args[args.length - 1], M4A);
+                callback(null, '', '');
+            });
+
+            const transcode = createFfmpegTranscoder({ ffmpegPath: '/opt/ffmpeg/bin/ffmpeg', timeoutMs: 5000 });
+            const audio = await transcode(AMR, 'audio/amr');
+
+            expect(audio).toEqual({ content: M4A, contentType: 'audio/x-m4a', durationMs: 60 });
+            expect(execFile).toHaveBeenCalledWith(
+                '/opt/ffmpeg/bin/ffmpeg',
+                expect.arrayContaining(['-c:a', 'aac']),
+                { timeout: 5000 },
+                expect.any(Function)
+            );
+            expect(fs.existsSync(directory)).toBe(false);
+        });
+
+        test('should reject with ffmpeg\'s error output and clean up', async () => {
+            let directory;
+            execFile.mockImplementation((file, args, options, callback) => {
+                directory = path.dirname(args[args.indexOf('-i') + 1]);
+                callback(new Error('Command failed'), '', 'Invalid data found when processing input\n');
+            });
+
+            await expect(createFfmpegTranscoder()(AMR, 'audio/amr'))
+                .rejects.toThrow('ffmpeg failed: Invalid data found when processing input');
+            expect(fs.existsSync(directory)).toBe(false);
+        });
+    });
+
+    describe('createAudioTranscoder', () => {
+        test('should only create a transcoder when AUDIO_TRANSCODER=ffmpeg', () => {
+            expect(createAudioTranscoder('ffmpeg')).toEqual(expect.any(Function));
+            expect(createAudioTranscoder('none')).toBeNull();
+            expect(createAudioTranscoder(undefined)).toBeNull();
+            expect(createAudioTranscoder('sox')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,62 @@
+const { CircuitBreaker, CIRCUIT_STATES } = require('../../src/utils/circuitBreaker');
+
+describe('CircuitBreaker', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should open after the failure threshold', () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 3 });
+
+        breaker.recordFailure();
+        breaker.recordFailure();
+        expect(breaker.canRequest()).toBe(true);
+
+        breaker.recordFailure();
+        expect(breaker.getStatus().state).toBe(CIRCUIT_STATES.OPEN);
+        expect(breaker.canRequest()).toBe(false);
+    });
+
+    test('should reset the failure count on success', () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 2 });
+
+        breaker.recordFailure();
+        breaker.recordSuccess();
+        breaker.recordFailure();
+
+        expect(breaker.getStatus()).toEqual({ state: CIRCUIT_STATES.CLOSED, failures: 1, openedAt: null });
+    });
+
+    test('should allow a single half-open probe after the reset timeout', () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 5000 });
+        breaker.recordFailure();
+
+        jest.advanceTimersByTime(4999);
+        expect(breaker.canRequest()).toBe(false);
+
+        jest.advanceTimersByTime(1);
+        expect(breaker.canRequest()).toBe(true);
+        expect(breaker.getStatus().state).toBe(CIRCUIT_STATES.HALF_OPEN);
+        expect(breaker.canRequest()).toBe(false);
+    });
+
+    test('should close after a successful probe and re-open after a failed one', () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 });
+        breaker.recordFailure();
+
+        jest.advanceTimersByTime(1000);
+        breaker.canRequest();
+        breaker.recordFailure();
+        expect(breaker.getStatus().state).toBe(CIRCUIT_STATES.OPEN);
+
+        jest.advanceTimersByTime(1000);
+        breaker.canRequest();
+        breaker.recordSuccess();
+        expect(breaker.getStatus().state).toBe(CIRCUIT_STATES.CLOSED);
+        expect(breaker.canRequest()).toBe(true);
+    });
+});
@@ -0,0 +1,32 @@
+const { normalizeLanguageTag, primaryLanguage } = require('../../src/utils/language');
+
+describe('Language Utilities', () => {
+    describe('normalizeLanguageTag', () => {
+        test('should collapse Chinese variants to Simplified or Traditional', () => {
+            expect(normalizeLanguageTag('zh')).toBe('zh-CN');
+            expect(normalizeLanguageTag('zh-Hans')).toBe('zh-CN');
+            expect(normalizeLanguageTag('zh-hant')).toBe('zh-TW');
+            expect(normalizeLanguageTag('zh-HK')).toBe('zh-TW');
+            expect(normalizeLanguageTag('zh-Hans-TW')).toBe('zh-CN');
+        });
+
+        test('should canonicalize other tags', () => {
+            expect(normalizeLanguageTag('JA')).toBe('ja');
+            expect(normalizeLanguageTag('en-us')).toBe('en-US');
+            expect(normalizeLanguageTag(' vi ')).toBe('vi');
+            expect(normalizeLanguageTag('Auto')).toBe('auto');
+        });
+
+        test('should reject invalid tags', () => {
+            expect(normalizeLanguageTag('not a language')).toBeNull();
+            expect(normalizeLanguageTag('')).toBeNull();
+            expect(normalizeLanguageTag(undefined)).toBeNull();
+        });
+    });
+
+    test('primaryLanguage should return the language subtag', () => {
+        expect(primaryLanguage('pt-BR')).toBe('pt');
+        expect(primaryLanguage('zh-TW')).toBe('zh');
+        expect(primaryLanguage('th')).toBe('th');
+    });
+});
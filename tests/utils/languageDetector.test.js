@@ -0,0 +1,44 @@
+const { detectLanguage } = require('../../src/utils/languageDetector');
+
+describe('Language Detector', () => {
+    test('should detect languages from their script', () => {
+        expect(detectLanguage('こんにちは、お元気ですか？')).toEqual({ lang: 'ja', confidence: 1, alternatives: [] });
+        expect(detectLanguage('안녕하세요').lang).toBe('ko');
+        expect(detectLanguage('สวัสดีครับ').lang).toBe('th');
+        expect(detectLanguage('Привет').lang).toBe('ru');
+    });
+
+    test('should tell Simplified Chinese, Traditional Chinese and Japanese kanji apart', () => {
+        expect(detectLanguage('谢谢你们').lang).toBe('zh-CN');
+        expect(detectLanguage('這是中文').lang).toBe('zh-TW');
+        expect(detectLanguage('東京駅で会議').lang).toBe('ja');
+    });
+
+    test('should give low confidence to short marker-free Han text', () => {
+        const result = detectLanguage('北京');
+
+        expect(result.lang).toBe('zh-CN');
+        expect(result.confidence).toBeLessThan(0.6);
+        expect(result.alternatives.map(candidate => candidate.lang)).toEqual(['zh-TW', 'ja']);
+    });
+
+    test('should score Latin-script languages by trigrams and diacritics', () => {
+        expect(detectLanguage('Thank you for the help with this').lang).toBe('en');
+        expect(detectLanguage('Muchas gracias por la ayuda, mañana').lang).toBe('es');
+        expect(detectLanguage('Vielen Dank für die schnelle Antwort').lang).toBe('de');
+        expect(detectLanguage('Cảm ơn bạn rất nhiều').lang).toBe('vi');
+    });
+
+    test('should weigh mixed-script text by content', () => {
+        const result = detectLanguage('Hello, 私の名前は田中です');
+
+        expect(result.lang).toBe('ja');
+        expect(result.alternatives[0].lang).toBe('en');
+    });
+
+    test('should ignore URLs, emails, mentions and numbers', () => {
+        expect(detectLanguage('我的email是test@gmail.com').lang).toBe('zh-CN');
+        expect(detectLanguage('https://example.com/orders 12345 @tanaka')).toEqual({ lang: 'und', confidence: 0, alternatives: [] });
+        expect(detectLanguage('👍🎉')).toEqual({ lang: 'und', confidence: 0, alternatives: [] });
+    });
+});
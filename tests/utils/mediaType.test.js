@@ -0,0 +1,52 @@
+const { sniffContentType, selectWeComMediaType, getAmrDurationMs, WECOM_MEDIA_LIMITS } = require('../../src/utils/mediaType');
+
+describe('Media Type Utilities', () => {
+    describe('sniffContentType', () => {
+        test('should detect common image, audio and video formats', () => {
+            expect(sniffContentType(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00])).contentType).toBe('image/jpeg');
+            expect(sniffContentType(Buffer.from('89504e470d0a1a0a0000', 'hex'))).toEqual({ contentType: 'image/png', extension: 'png' });
+            expect(sniffContentType(Buffer.from('#!AMR\n....')).contentType).toBe('audio/amr');
+            expect(sniffContentType(Buffer.from('\0\0\0\x1cftypM4A \0\0')).extension).toBe('m4a');
+            expect(sniffContentType(Buffer.from('\0\0\0\x18ftypmp42\0\0')).contentType).toBe('video/mp4');
+            expect(sniffContentType(Buffer.from('%PDF-1.7')).contentType).toBe('application/pdf');
+        });
+
+        test('should fall back to application/octet-stream', () => {
+            expect(sniffContentType(Buffer.from('plain text'))).toEqual({ contentType: 'application/octet-stream', extension: 'bin' });
+            expect(sniffContentType(null).contentType).toBe('application/octet-stream');
+        });
+    });
+
+    describe('selectWeComMediaType', () => {
+        test('should map supported formats to their WeCom media type', () => {
+            expect(selectWeComMediaType('image/jpeg', 1024)).toBe('image');
+            expect(selectWeComMediaType('audio/amr', 1024)).toBe('voice');
+            expect(selectWeComMediaType('video/mp4', 1024)).toBe('video');
+        });
+
+        test('should send unsupported formats as files', () => {
+            // WeCom voice messages only accept AMR, so LINE's m4a audio goes as a file
+            expect(selectWeComMediaType('audio/x-m4a', 1024)).toBe('file');
+            expect(selectWeComMediaType('image/gif', 1024)).toBe('file');
+        });
+
+        test('should fall back to file when over the type limit and reject oversized media', () => {
+            expect(selectWeComMediaType('image/png', WECOM_MEDIA_LIMITS.image.maxBytes + 1)).toBe('file');
+            expect(selectWeComMediaType('image/png', WECOM_MEDIA_LIMITS.file.maxBytes + 1)).toBeNull();
+        });
+    });
+
+    describe('getAmrDurationMs', () => {
+        test('should count 20ms AMR frames', () => {
+            const frame122 = Buffer.concat([Buffer.from([0x3c]), Buffer.alloc(31)]); // 12.2 kbit/s
+            const frame475 = Buffer.concat([Buffer.from([0x04]), Buffer.alloc(12)]); // 4.75 kbit/s
+            const amr = Buffer.concat([Buffer.from('#!AMR\n'), frame122, frame122, frame475]);
+
+            expect(getAmrDurationMs(amr)).toBe(60);
+        });
+
+        test('should return 0 for non-AMR content', () => {
+            expect(getAmrDurationMs(Buffer.from('ID3 mp3 data'))).toBe(0);
+        });
+    });
+});
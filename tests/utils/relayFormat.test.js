@@ -0,0 +1,78 @@
+const { resolveRelayFormat, buildLineRelayMessage, buildWeComRelayMessage } = require('../../src/utils/relayFormat');
+
+describe('Relay Formats', () => {
+    const relay = {
+        translatedText: '明天下午三点开会',
+        originalText: '明日の午後3時に会議です',
+        senderName: '田中',
+        sourceLanguage: 'ja'
+    };
+
+    afterEach(() => {
+        delete process.env.RELAY_FORMAT;
+    });
+
+    test('should resolve the mapping format, then RELAY_FORMAT, then translation only', () => {
+        expect(resolveRelayFormat(undefined)).toBe('translation');
+        process.env.RELAY_FORMAT = 'collapsed';
+        expect(resolveRelayFormat({})).toBe('collapsed');
+        expect(resolveRelayFormat({ relayFormat: 'bilingual' })).toBe('bilingual');
+        process.env.RELAY_FORMAT = 'fancy';
+        expect(resolveRelayFormat({})).toBe('translation');
+    });
+
+    test('should render translation only as plain text', () => {
+        expect(buildLineRelayMessage(relay, 'translation')).toBe('田中: 明天下午三点开会');
+        expect(buildWeComRelayMessage({ ...relay, senderName: undefined })).toEqual({ type: 'text', content: '明天下午三点开会' });
+    });
+
+    test('should fall back to plain text when the text was not translated', () => {
+        const untranslated = { ...relay, translatedText: relay.originalText };
+
+        expect(buildLineRelayMessage(untranslated, 'bilingual')).toBe('田中: 明日の午後3時に会議です');
+        expect(buildWeComRelayMessage(untranslated, 'collapsed').type).toBe('text');
+    });
+
+    test('should render a LINE Flex bubble with sender, source language, translation and original', () => {
+        const message = buildLineRelayMessage(relay, 'bilingual');
+
+        expect(message.type).toBe('flex');
+        expect(message.altText).toBe('田中: 明天下午三点开会');
+        const [header, translation, separator, original] = message.contents.body.contents;
+        expect(header.contents.map(component => component.text)).toEqual(['田中', 'Japanese']);
+        expect(translation).toEqual({ type: 'text', text: '明天下午三点开会', wrap: true });
+        expect(separator.type).toBe('separator');
+        expect(original).toEqual(expect.objectContaining({ text: '明日の午後3時に会議です', size: 'sm' }));
+        expect(original.maxLines).toBeUndefined();
+    });
+
+    test('should collapse the original in LINE to a two-line preview', () => {
+        const message = buildLineRelayMessage({ ...relay, senderName: undefined, sourceLanguage: 'und' }, 'collapsed');
+
+        expect(message.contents.body.contents).toHaveLength(3);
+        expect(message.contents.body.contents[2].maxLines).toBe(2);
+    });
+
+    test('should render WeCom markdown with the original quoted', () => {
+        expect(buildWeComRelayMessage({ ...relay, originalText: '明日の会議\nよろしく' }, 'bilingual')).toEqual({
+            type: 'markdown',
+            content: '**田中** <font color="comment">Japanese</font>\n明天下午三点开会\n' +
+                '> <font color="comment">明日の会議</font>\n> <font color="comment">よろしく</font>'
+        });
+    });
+
+    test('should shorten the original to one line in the collapsed WeCom format', () => {
+        const message = buildWeComRelayMessage({ ...relay, originalText: `${'長い文章です。'.repeat(20)}\n二行目` }, 'collapsed');
+
+        const quoted = message.content.split('\n').slice(2);
+        expect(quoted).toHaveLength(1);
+        expect(quoted[0]).toMatch(/^> <font color="comment">長い文章です。.*…<\/font>$/);
+    });
+
+    test('should keep WeCom markdown within the size limit', () => {
+        const message = buildWeComRelayMessage({ ...relay, translatedText: '长'.repeat(1300), originalText: '長'.repeat(1300) }, 'bilingual');
+
+        expect(Buffer.byteLength(message.content)).toBeLessThanOrEqual(4096);
+        expect(message.content).toContain('长'.repeat(1300));
+    });
+});
@@ -0,0 +1,34 @@
+const { getSkipReason } = require('../../src/utils/translationSkip');
+
+describe('Translation Skip Rules', () => {
+    test.each([
+        ['👍', 'emoji'],
+        ['🎉🎉 👍🏻', 'emoji'],
+        ['👨‍👩‍👧 🇯🇵', 'emoji'],
+        ['https://example.com/orders?id=1', 'url'],
+        ['www.example.com', 'url'],
+        ['12,345.67', 'number'],
+        ['2024-10-19 15:30', 'number'],
+        ['```js\nconst total = 1;\n```', 'code'],
+        ['`npm test`', 'code'],
+        ['https://example.com 👍', 'url'],
+        ['？！', 'symbols']
+    ])('should skip %j as %s', (text, reason) => {
+        expect(getSkipReason(text)).toBe(reason);
+    });
+
+    test.each([
+        'OK 👍',
+        '了解しました',
+        '请看 https://example.com',
+        '```\nnpm test\n``` を実行してください',
+        'abc123'
+    ])('should translate %j', (text) => {
+        expect(getSkipReason(text)).toBeNull();
+    });
+
+    test('should ignore empty input', () => {
+        expect(getSkipReason('   ')).toBeNull();
+        expect(getSkipReason(undefined)).toBeNull();
+    });
+});
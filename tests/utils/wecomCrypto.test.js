@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const xml2js = require('xml2js');
+const {
+    decodeAESKey,
+    computeSignature,
+    decryptMessage,
+    encryptMessage,
+    buildEncryptedReply
+} = require('../../src/utils/wecomCrypto');
+
+describe('WeChat Work Message Crypto', () => {
+    const encodingAESKey = 'abcdefghijklmnopqrstuvwxyz0123456789ABCDEFG';
+    const corpId = 'ww1234567890abcdef';
+
+    describe('decodeAESKey', () => {
+        test('should decode a 43-character EncodingAESKey to 32 bytes', () => {
+            expect(decodeAESKey(encodingAESKey)).toHaveLength(32);
+        });
+
+        test('should reject keys with the wrong length', () => {
+            expect(() => decodeAESKey('too-short')).toThrow('Invalid EncodingAESKey');
+            expect(() => decodeAESKey('')).toThrow('Invalid EncodingAESKey');
+        });
+    });
+
+    describe('encryptMessage / decryptMessage', () => {
+        test('should round-trip a message with the receiver ID', () => {
+            const message = '<xml><Content><![CDATA[你好，世界]]></Content></xml>';
+            const encrypted = encryptMessage(message, encodingAESKey, corpId);
+
+            expect(decryptMessage(encrypted, encodingAESKey, corpId)).toEqual({
+                message,
+                receiveId: corpId
+            });
+        });
+
+        test('should use a random prefix so identical messages encrypt differently', () => {
+            const first = encryptMessage('same message', encodingAESKey, corpId);
+            const second = encryptMessage('same message', encodingAESKey, corpId);
+
+            expect(first).not.toBe(second);
+        });
+
+        test('should pad plaintext to a multiple of 32 bytes', () => {
+            // 16 random + 4 length + 12 message = 32 bytes, so a full block of padding is added
+            const encrypted = encryptMessage('twelve bytes', encodingAESKey);
+
+            expect(Buffer.from(encrypted, 'base64')).toHaveLength(64);
+        });
+
+        test('should decrypt a payload produced with the WXBizMsgCrypt layout', () => {
+            const key = decodeAESKey(encodingAESKey);
+            const message = Buffer.from('echo_check_123');
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(message.length, 0);
+
+            let plaintext = Buffer.concat([crypto.randomBytes(16), length, message, Buffer.from(corpId)]);
+            const pad = 32 - (plaintext.length % 32);
+            plaintext = Buffer.concat([plaintext, Buffer.alloc(pad, pad)]);
+
+            const cipher = crypto.createCipheriv('aes-256-cbc', key, key.subarray(0, 16));
+            cipher.setAutoPadding(false);
+            const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]).toString('base64');
+
+            expect(decryptMessage(encrypted, encodingAESKey, corpId).message).toBe('echo_check_123');
+        });
+
+        test('should reject a mismatched receiver ID', () => {
+            const encrypted = encryptMessage('hello', encodingAESKey, 'other_corp');
+
+            expect(() => decryptMessage(encrypted, encodingAESKey, corpId))
+                .toThrow('Receiver ID mismatch');
+        });
+
+        test('should skip receiver verification when no CorpID is given', () => {
+            const encrypted = encryptMessage('hello', encodingAESKey, 'other_corp');
+
+            expect(decryptMessage(encrypted, encodingAESKey).receiveId).toBe('other_corp');
+        });
+
+        test('should reject ciphertext that is not valid AES output', () => {
+            expect(() => decryptMessage('encrypted_message_content_123', encodingAESKey))
+                .toThrow();
+            expect(() => decryptMessage('', encodingAESKey))
+                .toThrow('Encrypted message is required');
+        });
+
+        test('should reject ciphertext encrypted with a different key', () => {
+            const encrypted = encryptMessage('hello', 'ZYXWVUTSRQPONMLKJIHGFEDCBA9876543210zyxwvut', corpId);
+
+            expect(() => decryptMessage(encrypted, encodingAESKey, corpId)).toThrow();
+        });
+    });
+
+    describe('buildEncryptedReply', () => {
+        test('should build a signed reply envelope that decrypts to the original XML', async () => {
+            const replyXml = '<xml><MsgType><![CDATA[text]]></MsgType><Content><![CDATA[收到]]></Content></xml>';
+            const envelope = buildEncryptedReply(replyXml, {
+                token: 'test_token',
+                encodingAESKey,
+                receiveId: corpId,
+                timestamp: '1409659813',
+                nonce: '1372623149'
+            });
+
+            const parsed = await new xml2js.Parser({ explicitArray: false }).parseStringPromise(envelope);
+            const { Encrypt, MsgSignature, TimeStamp, Nonce } = parsed.xml;
+
+            expect(TimeStamp).toBe('1409659813');
+            expect(Nonce).toBe('1372623149');
+            expect(MsgSignature).toBe(computeSignature('test_token', TimeStamp, Nonce, Encrypt));
+            expect(decryptMessage(Encrypt, encodingAESKey, corpId).message).toBe(replyXml);
+        });
+    });
+});